@@ -0,0 +1,99 @@
+/**
+ * Claude Code backend: `claude -p PROMPT --output-format stream-json --verbose`.
+ * Tool calls arrive as tool_use blocks in assistant messages and complete with tool_result
+ * blocks in the following user message; the normalizer pairs them by id.
+ */
+
+import { toolFromClaude } from "./tool-calls.mjs";
+import { normalizeUsage } from "./events.mjs";
+
+const MAX_OUTPUT = 4000;
+
+function resultText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map((c) => (typeof c === "string" ? c : c?.text || "")).join("\n");
+  }
+  return "";
+}
+
+export default {
+  name: "claude",
+  command: "claude",
+  installHint: "Claude Code CLI not found. Install: npm install -g @anthropic-ai/claude-code",
+
+  /**
+   * CLI arguments for one non-interactive run ("auto" lets the CLI pick its default model).
+   * @param {{ model: string, prompt: string }} opts
+   * @returns {string[]}
+   */
+  buildArgs({ model, prompt }) {
+    const args = ["-p", prompt, "--output-format", "stream-json", "--verbose", "--dangerously-skip-permissions"];
+    if (model && model !== "auto") args.push("--model", model);
+    return args;
+  },
+
+  /**
+   * Create a normalizer for one run: raw stream-json object -> normalized events.
+   * @returns {(ob: object) => object[]}
+   */
+  createNormalizer() {
+    const tools = new Map(); // tool_use id -> normalized tool
+    return (ob) => {
+      switch (ob.type) {
+        case "system":
+          return ob.subtype === "init" ? [{ type: "init", model: ob.model || "auto" }] : [];
+        case "assistant": {
+          const events = [];
+          for (const block of ob.message?.content || []) {
+            if (block.type === "thinking") {
+              events.push({ type: "thinking", subtype: "delta", text: block.thinking || "" });
+              events.push({ type: "thinking", subtype: "completed" });
+            } else if (block.type === "text") {
+              events.push({ type: "text", subtype: "message", text: block.text || "" });
+            } else if (block.type === "tool_use") {
+              const tool = toolFromClaude(block.name, block.input);
+              tools.set(block.id, tool);
+              events.push({ type: "tool", subtype: "started", callId: block.id, tool });
+            }
+          }
+          return events;
+        }
+        case "user": {
+          const events = [];
+          const content = ob.message?.content;
+          if (typeof content === "string") return [{ type: "prompt", text: content }];
+          for (const block of content || []) {
+            if (block.type === "tool_result") {
+              const tool = tools.get(block.tool_use_id) || toolFromClaude("tool", {});
+              const out = resultText(block.content);
+              events.push({
+                type: "tool",
+                subtype: "completed",
+                callId: block.tool_use_id,
+                tool,
+                isError: !!block.is_error,
+                ...(out ? { output: out.length > MAX_OUTPUT ? out.slice(-MAX_OUTPUT) : out } : {}),
+              });
+            } else if (block.type === "text") {
+              events.push({ type: "prompt", text: block.text || "" });
+            }
+          }
+          return events;
+        }
+        case "result":
+          return [
+            {
+              type: "result",
+              isError: !!ob.is_error,
+              durationMs: typeof ob.duration_ms === "number" ? ob.duration_ms : null,
+              text: typeof ob.result === "string" ? ob.result : "",
+              usage: normalizeUsage(ob.usage),
+            },
+          ];
+        default:
+          return [];
+      }
+    };
+  },
+};
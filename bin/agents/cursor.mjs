@@ -0,0 +1,90 @@
+/**
+ * Cursor CLI backend: `agent -p --force --model MODEL --output-format stream-json PROMPT`.
+ * Normalizes Cursor's stream-json events (system/user/thinking/tool_call/assistant/result).
+ */
+
+import { toolFromCursor } from "./tool-calls.mjs";
+import { normalizeUsage } from "./events.mjs";
+
+const MAX_OUTPUT = 4000;
+
+function toolResult(toolCall) {
+  const key = toolCall && Object.keys(toolCall).find((k) => toolCall[k] && typeof toolCall[k] === "object");
+  const result = key ? toolCall[key].result : null;
+  if (!result || typeof result !== "object") return {};
+  const body = result.success || result.failure || result.error || result.rejected || {};
+  const exitCode = typeof body.exitCode === "number" ? body.exitCode : undefined;
+  const isError = !!(result.failure || result.error || result.rejected) || (exitCode != null && exitCode !== 0);
+  const out = [body.stdout, body.stderr, typeof body.message === "string" ? body.message : null, typeof body === "string" ? body : null]
+    .filter((s) => typeof s === "string" && s.length > 0)
+    .join("\n");
+  return {
+    isError,
+    ...(exitCode != null ? { exitCode } : {}),
+    ...(out ? { output: out.length > MAX_OUTPUT ? out.slice(-MAX_OUTPUT) : out } : {}),
+  };
+}
+
+export default {
+  name: "cursor",
+  command: "agent",
+  installHint: "Cursor CLI not found. Install: curl -fsSL https://cursor.com/install | bash",
+
+  /**
+   * CLI arguments for one non-interactive run.
+   * @param {{ model: string, prompt: string }} opts
+   * @returns {string[]}
+   */
+  buildArgs({ model, prompt }) {
+    return ["-p", "--force", "--model", model || "auto", "--output-format", "stream-json", prompt];
+  },
+
+  /**
+   * Create a normalizer for one run: raw stream-json object -> normalized events.
+   * @returns {(ob: object) => object[]}
+   */
+  createNormalizer() {
+    return (ob) => {
+      const ts = typeof ob.timestamp_ms === "number" ? ob.timestamp_ms : undefined;
+      const subtype = ob.subtype || "";
+      switch (ob.type) {
+        case "system":
+          return subtype === "init" ? [{ type: "init", model: ob.model || "auto", ts }] : [];
+        case "user": {
+          const text = ob.message?.content?.find?.((c) => c.type === "text")?.text;
+          return text ? [{ type: "prompt", text, ts }] : [];
+        }
+        case "thinking":
+          if (subtype === "delta") return [{ type: "thinking", subtype: "delta", text: ob.text || "", ts }];
+          if (subtype === "completed") return [{ type: "thinking", subtype: "completed", ts }];
+          return [];
+        case "tool_call": {
+          if (subtype !== "started" && subtype !== "completed") return [];
+          const tool = toolFromCursor(ob.tool_call);
+          if (!tool) return [];
+          const ev = { type: "tool", subtype, callId: ob.call_id || null, tool, ts };
+          return [subtype === "completed" ? { ...ev, ...toolResult(ob.tool_call) } : ev];
+        }
+        case "assistant":
+          if (subtype === "delta") {
+            const text = ob.delta?.text;
+            return text ? [{ type: "text", subtype: "delta", text, ts }] : [];
+          }
+          return [{ type: "text", subtype: "message", text: ob.message?.content?.[0]?.text || "", ts }];
+        case "result":
+          return [
+            {
+              type: "result",
+              isError: typeof ob.is_error === "boolean" ? ob.is_error : subtype !== "success",
+              durationMs: typeof ob.duration_ms === "number" ? ob.duration_ms : null,
+              text: typeof ob.result === "string" ? ob.result : "",
+              usage: normalizeUsage(ob.usage),
+              ts,
+            },
+          ];
+        default:
+          return [];
+      }
+    };
+  },
+};
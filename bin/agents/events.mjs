@@ -0,0 +1,46 @@
+/**
+ * Normalized agent event schema. Every backend adapter turns its own output into these
+ * events; the terminal renderer, the run ledger and the debug tools only consume this shape.
+ * One event per line (JSON) in agent logs; `agent` is always set and names the backend.
+ *
+ *   { agent, type: "init", model, ts }
+ *   { agent, type: "prompt", text, ts }                                   Prompt echoed by the backend
+ *   { agent, type: "thinking", subtype: "delta" | "completed", text?, ts }
+ *   { agent, type: "tool", subtype: "started" | "completed", callId, tool, ts,
+ *     isError?, exitCode?, output? }                                      tool: see tool-calls.mjs
+ *   { agent, type: "text", subtype: "delta" | "message", text, ts }       Assistant output
+ *   { agent, type: "result", isError, durationMs, text, usage: { inputTokens, outputTokens, totalTokens }, ts }
+ *   { agent, type: "raw", text, ts }                                      Non-JSON output (stderr, shell noise)
+ *
+ * ts is epoch milliseconds (from the backend when it reports one, else when the line was read).
+ */
+
+export const EVENT_TYPES = ["init", "prompt", "thinking", "tool", "text", "result", "raw"];
+
+/**
+ * True if the object is a normalized event (as opposed to a raw backend event).
+ * @param {object} ob
+ * @returns {boolean}
+ */
+export function isNormalizedEvent(ob) {
+  return !!ob && typeof ob === "object" && typeof ob.agent === "string" && EVENT_TYPES.includes(ob.type);
+}
+
+/**
+ * Token usage from a backend usage object; accepts snake_case and camelCase fields.
+ * totalTokens falls back to input + output + cache tokens.
+ * @param {object} [usage]
+ * @returns {{ inputTokens: number|null, outputTokens: number|null, totalTokens: number|null }}
+ */
+export function normalizeUsage(usage) {
+  const u = usage || {};
+  const num = (...keys) => keys.map((k) => u[k]).find((v) => typeof v === "number") ?? null;
+  const inputTokens = num("input_tokens", "inputTokens", "prompt_tokens");
+  const outputTokens = num("output_tokens", "outputTokens", "completion_tokens");
+  const cache = (num("cache_read_input_tokens", "cacheReadTokens") || 0) + (num("cache_creation_input_tokens", "cacheWriteTokens") || 0);
+  let totalTokens = num("total_tokens", "totalTokens");
+  if (totalTokens == null && (inputTokens != null || outputTokens != null)) {
+    totalTokens = (inputTokens || 0) + (outputTokens || 0) + cache;
+  }
+  return { inputTokens, outputTokens, totalTokens };
+}
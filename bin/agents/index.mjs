@@ -0,0 +1,70 @@
+/**
+ * Agent backend registry. A backend is either:
+ *   - a CLI adapter: { name, command, installHint, buildArgs({ model, prompt }), createNormalizer() }
+ *     where the normalizer maps one raw JSON line of the CLI's event stream to normalized events, or
+ *   - an in-process adapter: { name, run({ prompt, model, cwd, emit, scriptPath }) } -> exit code.
+ * Normalized events are described in events.mjs.
+ *
+ * To add another CLI coding agent that emits a JSON event stream, add a module next to
+ * cursor.mjs / claude.mjs and register it in BACKENDS.
+ */
+
+import cursor from "./cursor.mjs";
+import claude from "./claude.mjs";
+import scripted from "./scripted.mjs";
+import { isNormalizedEvent } from "./events.mjs";
+
+const BACKENDS = { cursor, claude, scripted };
+
+export const DEFAULT_AGENT = "cursor";
+
+/**
+ * Backend adapter by name.
+ * @param {string} name
+ * @returns {object} Adapter
+ * @throws {Error} Unknown backend
+ */
+export function getAgentBackend(name) {
+  const backend = BACKENDS[name || DEFAULT_AGENT];
+  if (!backend) {
+    throw new Error(`Unknown agent backend '${name}'. Available: ${listAgentBackends().join(", ")}`);
+  }
+  return backend;
+}
+
+/**
+ * Names of all registered backends.
+ * @returns {string[]}
+ */
+export function listAgentBackends() {
+  return Object.keys(BACKENDS);
+}
+
+/**
+ * Normalizer for agent log lines (agent_output_*.log, ledger streams). Lines that already are
+ * normalized events pass through; raw backend lines (older logs) are normalized with the
+ * given backend's normalizer (Cursor by default); other text becomes "raw" events.
+ * @param {string} [backendName] - Backend for raw JSON lines
+ * @returns {(line: string) => object[]}
+ */
+export function createLogNormalizer(backendName = DEFAULT_AGENT) {
+  const backend = getAgentBackend(backendName);
+  const normalize = backend.createNormalizer ? backend.createNormalizer() : () => [];
+  return (line) => {
+    const t = line.trim();
+    if (!t) return [];
+    if (t.startsWith("{")) {
+      let ob = null;
+      try {
+        ob = JSON.parse(t);
+      } catch {
+        ob = null;
+      }
+      if (ob && typeof ob === "object") {
+        if (isNormalizedEvent(ob)) return [ob];
+        return normalize(ob).map((ev) => ({ agent: backend.name, ...ev }));
+      }
+    }
+    return [{ agent: backend.name, type: "raw", text: line.replace(/\r$/, "") }];
+  };
+}
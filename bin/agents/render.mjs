@@ -0,0 +1,156 @@
+/**
+ * Terminal renderer for normalized agent events (see events.mjs): human-readable progress.
+ *   - Spinner during thinking phases (TTY only)
+ *   - Tool names when tools start (e.g., "Reading file.dart...", TTY only)
+ *   - Tool completion markers; consecutive tools of one category are grouped
+ *     ("✓ Read 3 files"), shell commands never are
+ *   - Assistant text output (the actual agent response)
+ * When output is a TTY: animated spinner with ANSI escape codes.
+ * When output is a file or pipe: clean text without spinners or escape codes.
+ */
+
+import { describeTool, describeToolGroup } from "./tool-calls.mjs";
+
+const SPINNER_CHARS = "⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏";
+
+/**
+ * Create a renderer writing to a stream.
+ * @param {{ write: (s: string) => void, isTTY?: boolean }} out - Output stream (e.g. process.stdout)
+ * @returns {{ handle: (ev: object) => void, end: () => void }}
+ */
+export function createRenderer(out) {
+  const isTty = !!out.isTTY;
+  const write = (s) => out.write(s);
+
+  let thinkingActive = false;
+  let currentTool = "";
+  let spinnerIdx = 0;
+
+  // Tool grouping state
+  let groupCategory = "";
+  let groupCount = 0;
+  let groupLastName = "";
+
+  // Assistant streaming state
+  let assistantStreaming = false;
+  let assistantNewlineNeeded = false;
+
+  // Clear current line helper (no-op when not a TTY)
+  const clearLine = () => {
+    if (isTty) write("\r\x1b[K");
+  };
+
+  // Flush accumulated tool group to output
+  const flushGroup = () => {
+    if (groupCount === 0) return;
+    clearLine();
+    write(`✓ ${groupCount === 1 ? groupLastName : describeToolGroup(groupCategory, groupCount)}\n`);
+    groupCategory = "";
+    groupCount = 0;
+    groupLastName = "";
+  };
+
+  const handleText = (ev) => {
+    // Flush any pending tool group before assistant output
+    flushGroup();
+    if (ev.subtype === "delta") {
+      if (!ev.text) return;
+      if (!assistantStreaming) {
+        // First delta - ensure clean line, add visual separator
+        if (thinkingActive || currentTool) clearLine();
+        thinkingActive = false;
+        write("\n");
+        assistantStreaming = true;
+      }
+      write(ev.text);
+      assistantNewlineNeeded = true;
+      return;
+    }
+    // Complete message; only show if we weren't streaming (avoid duplicate)
+    const text = ev.text || "";
+    if (text.trim() && !assistantStreaming) {
+      if (thinkingActive || currentTool) clearLine();
+      thinkingActive = false;
+      write(`\n${text}\n`);
+      assistantNewlineNeeded = false;
+    }
+    if (assistantStreaming && assistantNewlineNeeded) {
+      write("\n");
+      assistantNewlineNeeded = false;
+    }
+    assistantStreaming = false;
+  };
+
+  const handleTool = (ev) => {
+    const name = describeTool(ev.tool);
+    if (ev.subtype === "started") {
+      currentTool = name;
+      clearLine();
+      if (isTty) write(`→ ${name}...`);
+      return;
+    }
+    if (ev.subtype !== "completed") return;
+    const category = ev.tool?.category || "other";
+    if (category === "shell") {
+      // Shell commands are never grouped - flush any pending group first
+      flushGroup();
+      clearLine();
+      write(`✓ ${name}\n`);
+    } else if (!groupCategory) {
+      groupCategory = category;
+      groupCount = 1;
+      groupLastName = name;
+    } else if (groupCategory === category) {
+      groupCount++;
+      groupLastName = name;
+    } else {
+      // Different category - flush previous, start new
+      flushGroup();
+      groupCategory = category;
+      groupCount = 1;
+      groupLastName = name;
+    }
+    currentTool = "";
+  };
+
+  return {
+    handle(ev) {
+      if (!ev || typeof ev !== "object") return;
+      switch (ev.type) {
+        case "thinking":
+          if (ev.subtype === "delta") {
+            thinkingActive = true;
+            if (isTty) {
+              const char = SPINNER_CHARS[spinnerIdx];
+              spinnerIdx = (spinnerIdx + 1) % SPINNER_CHARS.length;
+              clearLine();
+              write(`${char} Thinking...`);
+            }
+          } else if (ev.subtype === "completed" && thinkingActive) {
+            clearLine();
+            thinkingActive = false;
+          }
+          break;
+        case "tool":
+          handleTool(ev);
+          break;
+        case "text":
+          handleText(ev);
+          break;
+        case "init":
+          write(`⚡ Agent started (model: ${ev.model || "auto"})\n`);
+          break;
+        default:
+          break;
+      }
+    },
+
+    end() {
+      flushGroup();
+      // Ensure final newline
+      if (thinkingActive || currentTool) clearLine();
+      if (assistantNewlineNeeded) write("\n");
+      write("\n");
+    },
+  };
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Runs one prompt through the selected agent backend, normalizes its event stream
+ * (see events.mjs) and renders progress to stdout. The run loop uses run.mjs in-process;
+ * this CLI is for single runs, checking a backend and replaying saved event logs.
+ * Run from project root (the agent works in the current directory).
+ *
+ * Usage:
+ *   node run-agent.mjs --agent NAME --model MODEL --prompt-file FILE [--events FILE] [--log FILE] [--quiet] [--agent_script FILE] [--timeout S]
+ *   node run-agent.mjs --check [--agent NAME]
+ *   node run-agent.mjs --replay [FILE]
+ *
+ * Options:
+ *   --agent NAME          Backend: cursor (default), claude, scripted. Env: CURSOR_TODO_AGENT.
+ *   --model MODEL         Model passed to the backend (default: auto).
+ *   --prompt-file FILE    Prompt to send.
+ *   --events FILE         Write the normalized events of this run to FILE (JSON lines, truncated first).
+ *   --log FILE            Also append the normalized events to FILE (debug log).
+ *   --quiet               Do not render progress to stdout.
+ *   --agent_script FILE   Script for the scripted backend. Env: CURSOR_TODO_AGENT_SCRIPT.
+ *   --timeout S           Stop the agent (its whole process group) after S seconds.
+ *   --check               Only check that the backend's CLI is installed.
+ *   --replay [FILE]       Render an event log (normalized or raw Cursor stream-json) from FILE or stdin.
+ *
+ * Exit codes:
+ *   Agent exit code (128 + signal number if it was killed); 124 = timed out (--timeout);
+ *   127 = backend CLI not found; 1 = bad arguments or unknown backend.
+ */
+
+import fs from "fs";
+import readline from "readline";
+import { getAgentBackend, createLogNormalizer, DEFAULT_AGENT } from "./index.mjs";
+import { runAgent, missingBackendHint } from "./run.mjs";
+import { createRenderer } from "./render.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    agent: process.env.CURSOR_TODO_AGENT || DEFAULT_AGENT,
+    model: "auto",
+    promptFile: null,
+    events: null,
+    log: null,
+    quiet: false,
+    agentScript: process.env.CURSOR_TODO_AGENT_SCRIPT || null,
+    timeout: null,
+    check: false,
+    replay: null,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const next = args[i + 1];
+    if (args[i] === "--agent" && next) {
+      opts.agent = next;
+      i++;
+    } else if (args[i] === "--model" && next) {
+      opts.model = next;
+      i++;
+    } else if (args[i] === "--prompt-file" && next) {
+      opts.promptFile = next;
+      i++;
+    } else if (args[i] === "--events" && next) {
+      opts.events = next;
+      i++;
+    } else if (args[i] === "--log" && next) {
+      opts.log = next;
+      i++;
+    } else if (args[i] === "--agent_script" && next) {
+      opts.agentScript = next;
+      i++;
+    } else if (args[i] === "--timeout" && next) {
+      opts.timeout = next;
+      i++;
+    } else if (args[i] === "--quiet") {
+      opts.quiet = true;
+    } else if (args[i] === "--check") {
+      opts.check = true;
+    } else if (args[i] === "--replay") {
+      opts.replay = next && !next.startsWith("--") ? next : "-";
+      if (opts.replay !== "-") i++;
+    }
+  }
+  return opts;
+}
+
+async function replay(file) {
+  const renderer = createRenderer(process.stdout);
+  const normalize = createLogNormalizer();
+  const input = file === "-" ? process.stdin : fs.createReadStream(file, { encoding: "utf8" });
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    normalize(line).forEach((ev) => renderer.handle(ev));
+  }
+  renderer.end();
+}
+
+async function main() {
+  const opts = parseArgs();
+
+  if (opts.replay) {
+    await replay(opts.replay);
+    return 0;
+  }
+
+  let backend;
+  try {
+    backend = getAgentBackend(opts.agent);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  const hint = missingBackendHint(backend);
+  if (hint) {
+    console.log(hint);
+    return 127;
+  }
+  if (opts.check) return 0;
+
+  if (!opts.promptFile) {
+    console.error("--prompt-file is required.");
+    return 1;
+  }
+  if (opts.timeout !== null && !(Number(opts.timeout) > 0)) {
+    console.error(`--timeout expects a positive number of seconds (got: ${opts.timeout}).`);
+    return 1;
+  }
+  const prompt = fs.readFileSync(opts.promptFile, "utf8");
+
+  const renderer = opts.quiet ? null : createRenderer(process.stdout);
+  if (opts.events) fs.writeFileSync(opts.events, "", "utf8");
+  const onEvent = (event) => {
+    const line = JSON.stringify(event) + "\n";
+    if (opts.events) fs.appendFileSync(opts.events, line, "utf8");
+    if (opts.log) fs.appendFileSync(opts.log, line, "utf8");
+    if (renderer) renderer.handle(event);
+  };
+
+  const exitCode = await runAgent({
+    agent: backend.name,
+    model: opts.model,
+    prompt,
+    scriptPath: opts.agentScript,
+    timeoutMs: opts.timeout === null ? null : Number(opts.timeout) * 1000,
+    onEvent,
+  });
+  if (renderer) renderer.end();
+  return exitCode;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);
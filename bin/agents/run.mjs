@@ -0,0 +1,163 @@
+/**
+ * Run one prompt through an agent backend in-process and deliver its normalized events
+ * (see events.mjs). Used by run-agent.mjs and the run loop (bin/runner/run-loop.mjs).
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { spawn } from "child_process";
+import { getAgentBackend } from "./index.mjs";
+
+const SIGNALS = { SIGHUP: 1, SIGINT: 2, SIGKILL: 9, SIGTERM: 15 };
+
+/** Exit code of an agent run stopped by its timeout (as timeout(1)). */
+export const AGENT_TIMEOUT_EXIT = 124;
+
+// After SIGTERM to a timed-out agent's process group, wait this long before SIGKILL
+const KILL_GRACE_MS = 5000;
+// Runner signals passed on to a detached agent process group (it no longer gets the terminal's)
+const FORWARDED_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP"];
+
+/** Resolve a command on PATH (null if not found). */
+function findOnPath(command) {
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, command);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch {
+      // not here
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a backend can run (its CLI is on PATH; in-process backends always can).
+ * @param {object} backend - Adapter from getAgentBackend
+ * @returns {string|null} Install hint when the CLI is missing, else null
+ */
+export function missingBackendHint(backend) {
+  if (!backend.command || findOnPath(backend.command)) return null;
+  return backend.installHint || `${backend.command} not found on PATH.`;
+}
+
+/**
+ * Spawn a CLI backend and feed each stdout/stderr line through its normalizer. With a timeout
+ * the CLI runs in its own process group, so the shells and tools it started are stopped with it.
+ * @returns {Promise<number>} Exit code (AGENT_TIMEOUT_EXIT when the timeout stopped it)
+ */
+function runCli(backend, { model, prompt, cwd, timeoutMs }, emit) {
+  return new Promise((resolve) => {
+    const normalize = backend.createNormalizer();
+    const child = spawn(backend.command, backend.buildArgs({ model, prompt }), {
+      cwd,
+      stdio: ["ignore", "pipe", "pipe"],
+      detached: !!timeoutMs,
+    });
+    let timedOut = false;
+    let timer = null;
+    let killTimer = null;
+    const killGroup = (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch {
+        // Group already gone
+      }
+    };
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      FORWARDED_SIGNALS.forEach((s) => process.off(s, forward));
+    };
+    // Stop the agent with the runner, then let the signal take its default course
+    const forward = (signal) => {
+      killGroup(signal);
+      cleanup();
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    };
+    if (timeoutMs && child.pid) {
+      FORWARDED_SIGNALS.forEach((s) => process.on(s, forward));
+      timer = setTimeout(() => {
+        timedOut = true;
+        emit({ type: "raw", text: `Agent timed out after ${Math.round(timeoutMs / 1000)}s; stopping its process group.` });
+        killGroup("SIGTERM");
+        killTimer = setTimeout(() => {
+          killGroup("SIGKILL");
+          // Output pipes held open by a process that left the group must not keep the run waiting
+          child.stdout.destroy();
+          child.stderr.destroy();
+        }, KILL_GRACE_MS);
+      }, timeoutMs);
+    }
+    const onLine = (line) => {
+      const t = line.trim();
+      if (!t) return;
+      if (t.startsWith("{")) {
+        try {
+          const ob = JSON.parse(t);
+          normalize(ob).forEach(emit);
+          return;
+        } catch {
+          // not JSON; fall through to raw
+        }
+      }
+      emit({ type: "raw", text: line.replace(/\r$/, "") });
+    };
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on("line", onLine);
+    readline.createInterface({ input: child.stderr, crlfDelay: Infinity }).on("line", onLine);
+    child.on("error", (err) => {
+      cleanup();
+      emit({ type: "raw", text: `Failed to start ${backend.command}: ${err.message}` });
+      resolve(err.code === "ENOENT" ? 127 : 1);
+    });
+    child.on("close", (code, signal) => {
+      cleanup();
+      if (timedOut) resolve(AGENT_TIMEOUT_EXIT);
+      else resolve(signal ? 128 + (SIGNALS[signal] || 0) : code ?? 1);
+    });
+  });
+}
+
+/**
+ * Run one prompt through a backend. After timeoutMs a CLI agent's process group gets SIGTERM
+ * (SIGKILL 5s later); an in-process backend's run is aborted through its `signal`.
+ * @param {{ agent?: string, model?: string, prompt: string, cwd?: string, scriptPath?: string|null,
+ *   timeoutMs?: number|null, onEvent?: (ev: object) => void }} opts
+ * @returns {Promise<number>} Agent exit code (128 + signal number if it was killed; 127 if its CLI is missing;
+ *   AGENT_TIMEOUT_EXIT = 124 if it timed out)
+ * @throws {Error} Unknown backend
+ */
+export async function runAgent({ agent, model = "auto", prompt, cwd = process.cwd(), scriptPath = null, timeoutMs = null, onEvent = () => {} }) {
+  const backend = getAgentBackend(agent);
+  const emit = (ev) => onEvent({ agent: backend.name, ...ev, ts: ev.ts ?? Date.now() });
+
+  const hint = missingBackendHint(backend);
+  if (hint) {
+    emit({ type: "raw", text: hint });
+    return 127;
+  }
+  if (backend.run) {
+    const controller = new AbortController();
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      if (!timeoutMs) return;
+      timer = setTimeout(() => {
+        emit({ type: "raw", text: `Agent timed out after ${Math.round(timeoutMs / 1000)}s; aborting the ${backend.name} backend.` });
+        controller.abort();
+        resolve(AGENT_TIMEOUT_EXIT);
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([backend.run({ prompt, model, cwd, emit, scriptPath, signal: controller.signal }), timeout]);
+    } catch (err) {
+      emit({ type: "raw", text: `${backend.name} backend failed: ${err.message}` });
+      return 1;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return runCli(backend, { model, prompt, cwd, timeoutMs }, emit);
+}
@@ -0,0 +1,186 @@
+/**
+ * Scripted backend: runs in-process, no CLI or network. Replays a canned action script,
+ * emitting normalized events and performing the file edits, so the whole runner loop can
+ * run offline (demos, CI, debugging the runner itself).
+ *
+ * Script (JSON, path from --agent_script / CURSOR_TODO_AGENT_SCRIPT):
+ *   {
+ *     "steps":   { "P1_01.02": [actions], "P1_01": [actions] },   Longest matching step id prefix wins
+ *     "default": [actions],                                         Steps without a match
+ *     "summary": [actions]                                          Execution summary runs
+ *   }
+ *
+ * Actions (one key each, plus its options):
+ *   { "think": "text" }                          Thinking events
+ *   { "say": "text" }                            Assistant message
+ *   { "read": "path" }                           Read tool (error if the file is missing)
+ *   { "write": "path", "content": "..." }        Write (create/overwrite) a file
+ *   { "edit": "path", "find": "...", "replace": "..." }   Replace first occurrence (error if not found)
+ *   { "shell": "command" }                       Run a shell command in the project root
+ *   { "actionRequired": "name.md", "content": "..." }     Write docs/TODO/action_required/name.md
+ *   { "sleep": ms }
+ *   { "exit": code }                             Agent exit code (default 0)
+ *
+ * Strings may use {{step}}, {{stepFile}} and {{outputPath}}.
+ * Without a script: steps read their step file and report done; summaries write a stub summary
+ * to the prompt's output path.
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { toolOfKind } from "./tool-calls.mjs";
+
+const MAX_OUTPUT = 4000;
+
+function parsePrompt(prompt) {
+  const stepMatch = prompt.match(/@?((?:[^\s@`]*\/)?docs\/TODO\/active\/steps\/([^\s`]+\.md))/);
+  const stepFile = stepMatch ? stepMatch[2] : null;
+  const idMatch = stepFile ? stepFile.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*)_/) : null;
+  const outputMatch = prompt.match(/Save the summary to this path exactly[^\n]*\n\s*(\S+)/);
+  const isSummary = /execution summary/i.test(prompt) && !!outputMatch;
+  return {
+    step: idMatch ? idMatch[1] : null,
+    stepFile,
+    stepPath: stepFile ? path.join("docs", "TODO", "active", "steps", stepFile) : null,
+    outputPath: outputMatch ? outputMatch[1] : null,
+    isSummary,
+  };
+}
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return null;
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read agent script ${scriptPath}: ${err.message}`);
+  }
+}
+
+function selectActions(script, ctx) {
+  if (ctx.isSummary) {
+    if (script?.summary) return script.summary;
+    return [
+      { say: "Writing execution summary." },
+      { write: "{{outputPath}}", content: "# Execution summary\n\nGenerated by the scripted agent backend.\n" },
+    ];
+  }
+  if (script?.steps && ctx.step) {
+    const key = Object.keys(script.steps)
+      .filter((k) => ctx.step === k || ctx.step.startsWith(k + ".") || ctx.step.startsWith(k + "_"))
+      .sort((a, b) => b.length - a.length)[0];
+    if (key) return script.steps[key];
+  }
+  if (script?.default) return script.default;
+  return [...(ctx.stepPath ? [{ read: ctx.stepPath }] : []), { say: "Scripted agent: no script actions for this step; nothing changed." }];
+}
+
+function fill(value, ctx) {
+  if (typeof value !== "string") return value;
+  return value
+    .replace(/\{\{step\}\}/g, ctx.step || "")
+    .replace(/\{\{stepFile\}\}/g, ctx.stepFile || "")
+    .replace(/\{\{outputPath\}\}/g, ctx.outputPath || "");
+}
+
+// Ends early when the run is aborted (timeout)
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+export default {
+  name: "scripted",
+  command: null,
+  installHint: null,
+
+  /**
+   * Run one prompt in-process. An aborted signal (timeout) stops before the next action.
+   * @param {{ prompt: string, model: string, cwd: string, emit: (ev: object) => void, scriptPath?: string, signal?: AbortSignal }} opts
+   * @returns {Promise<number>} Exit code
+   */
+  async run({ prompt, model, cwd, emit, scriptPath, signal }) {
+    const started = Date.now();
+    const ctx = parsePrompt(prompt);
+    const actions = selectActions(loadScript(scriptPath), ctx);
+    let exitCode = 0;
+    let lastText = "";
+    let callSeq = 0;
+
+    emit({ type: "init", model: model || "auto" });
+    emit({ type: "prompt", text: prompt });
+
+    const tool = (kind, args, fn) => {
+      const callId = `call_${String(++callSeq).padStart(3, "0")}`;
+      const t = toolOfKind(kind, args);
+      emit({ type: "tool", subtype: "started", callId, tool: t });
+      let res;
+      try {
+        res = fn() || {};
+      } catch (err) {
+        res = { isError: true, output: err.message };
+      }
+      emit({ type: "tool", subtype: "completed", callId, tool: t, isError: !!res.isError, ...res });
+    };
+
+    for (const action of actions) {
+      if (signal?.aborted) return exitCode;
+      const abs = (p) => path.resolve(cwd, fill(p, ctx));
+      if (action.think != null) {
+        emit({ type: "thinking", subtype: "delta", text: fill(action.think, ctx) });
+        emit({ type: "thinking", subtype: "completed" });
+      } else if (action.say != null) {
+        lastText = fill(action.say, ctx);
+        emit({ type: "text", subtype: "message", text: lastText });
+      } else if (action.read != null) {
+        tool("read", { path: fill(action.read, ctx) }, () => {
+          fs.readFileSync(abs(action.read), "utf8");
+        });
+      } else if (action.write != null) {
+        tool("write", { path: fill(action.write, ctx) }, () => {
+          fs.mkdirSync(path.dirname(abs(action.write)), { recursive: true });
+          fs.writeFileSync(abs(action.write), fill(action.content ?? "", ctx), "utf8");
+        });
+      } else if (action.edit != null) {
+        tool("edit", { path: fill(action.edit, ctx) }, () => {
+          const content = fs.readFileSync(abs(action.edit), "utf8");
+          const find = fill(action.find ?? "", ctx);
+          if (!content.includes(find)) return { isError: true, output: `Text not found in ${action.edit}` };
+          fs.writeFileSync(abs(action.edit), content.replace(find, fill(action.replace ?? "", ctx)), "utf8");
+        });
+      } else if (action.shell != null) {
+        const command = fill(action.shell, ctx);
+        tool("shell", { command }, () => {
+          const res = spawnSync("sh", ["-c", command], { cwd, encoding: "utf8" });
+          const out = ((res.stdout || "") + (res.stderr || "")).slice(-MAX_OUTPUT);
+          const code = res.status ?? 1;
+          return { isError: code !== 0, exitCode: code, ...(out ? { output: out } : {}) };
+        });
+      } else if (action.actionRequired != null) {
+        const rel = path.join("docs", "TODO", "action_required", fill(action.actionRequired, ctx));
+        tool("write", { path: rel }, () => {
+          fs.mkdirSync(path.dirname(path.resolve(cwd, rel)), { recursive: true });
+          fs.writeFileSync(path.resolve(cwd, rel), fill(action.content ?? "Action required.\n", ctx), "utf8");
+        });
+      } else if (action.sleep != null) {
+        await sleep(Number(action.sleep) || 0, signal);
+      } else if (action.exit != null) {
+        exitCode = Number(action.exit) || 0;
+      }
+    }
+    if (signal?.aborted) return exitCode;
+
+    emit({
+      type: "result",
+      isError: exitCode !== 0,
+      durationMs: Date.now() - started,
+      text: lastText,
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+    });
+    return exitCode;
+  },
+};
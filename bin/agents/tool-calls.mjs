@@ -0,0 +1,209 @@
+/**
+ * Tool-call taxonomy shared by the agent adapters, the terminal renderer and the debug tools.
+ * Every backend maps its own tool names onto one of the kinds below; everything downstream
+ * (grouping, labels, debug summaries) only looks at the normalized tool object:
+ *
+ *   { kind, name, category, path?, command?, pattern? }
+ *
+ * kind      Canonical tool kind (key of TOOL_KINDS).
+ * name      Backend tool name (e.g. "readToolCall", "Read") for diagnostics.
+ * category  Grouping category for the renderer: read | search | write | edit | shell | other.
+ *
+ * A kind's access says what it does to its path: "read" (read), "write" (write, delete, edit) or
+ * null; the timeline's files read / written lists (bin/debug/timeline-core.mjs) come from it.
+ */
+
+import path from "path";
+
+/** Canonical tool kinds: renderer category and file access. */
+export const TOOL_KINDS = {
+  read: { category: "read", access: "read" },
+  list: { category: "read", access: null },
+  lint: { category: "read", access: null },
+  glob: { category: "search", access: null },
+  grep: { category: "search", access: null },
+  search: { category: "search", access: null },
+  web: { category: "search", access: null },
+  write: { category: "write", access: "write" },
+  delete: { category: "write", access: "write" },
+  edit: { category: "edit", access: "write" },
+  shell: { category: "shell", access: null },
+  todo: { category: "other", access: null },
+  task: { category: "other", access: null },
+  mcp: { category: "other", access: null },
+  other: { category: "other", access: null },
+};
+
+/** Label of several completed tools of one category ("Read 3 files"); the renderer groups by category. */
+const GROUP_LABELS = {
+  read: (n) => `Read ${n} files`,
+  search: (n) => `${n} searches`,
+  write: (n) => `Wrote ${n} files`,
+  edit: (n) => `Edited ${n} files`,
+};
+
+// Cursor CLI stream-json: tool_call.<key>.args
+const CURSOR_TOOL_KINDS = {
+  readToolCall: "read",
+  lsToolCall: "list",
+  globToolCall: "glob",
+  grepToolCall: "grep",
+  writeToolCall: "write",
+  deleteToolCall: "delete",
+  strReplaceToolCall: "edit",
+  editToolCall: "edit",
+  multiEditToolCall: "edit",
+  readLintsToolCall: "lint",
+  semSearchToolCall: "search",
+  codebaseSearchToolCall: "search",
+  shellToolCall: "shell",
+  runToolCall: "shell",
+  runTerminalCommand: "shell",
+  webSearchToolCall: "web",
+  webFetchToolCall: "web",
+  todoToolCall: "todo",
+  updateTodosToolCall: "todo",
+  taskToolCall: "task",
+  mcpToolCall: "mcp",
+};
+
+// Claude Code stream-json: tool_use.name / tool_use.input
+const CLAUDE_TOOL_KINDS = {
+  Read: "read",
+  NotebookRead: "read",
+  LS: "list",
+  Glob: "glob",
+  Grep: "grep",
+  Write: "write",
+  Edit: "edit",
+  MultiEdit: "edit",
+  NotebookEdit: "edit",
+  Bash: "shell",
+  BashOutput: "shell",
+  KillShell: "shell",
+  KillBash: "shell",
+  WebSearch: "web",
+  WebFetch: "web",
+  TodoWrite: "todo",
+  Task: "task",
+};
+
+function makeTool(kind, name, args = {}) {
+  const tool = { kind, name, category: TOOL_KINDS[kind].category };
+  const p = args.path ?? args.file_path ?? args.filePath ?? args.notebook_path ?? args.targetFile;
+  if (p) tool.path = String(p);
+  if (args.command != null) tool.command = String(args.command);
+  const pattern = args.pattern ?? args.globPattern ?? args.glob_pattern ?? args.query ?? args.url;
+  if (pattern != null) tool.pattern = String(pattern);
+  return tool;
+}
+
+/**
+ * Normalize a Cursor tool_call object ({ readToolCall: { args, result } } etc.).
+ * Unknown keys become kind "other" with the key (minus "ToolCall") as name.
+ * @param {object} toolCall - The tool_call field of a Cursor stream-json event
+ * @returns {{ kind: string, name: string, category: string, path?: string, command?: string, pattern?: string } | null}
+ */
+export function toolFromCursor(toolCall) {
+  if (!toolCall || typeof toolCall !== "object") return null;
+  const key = Object.keys(toolCall).find((k) => k !== "args" && toolCall[k] && typeof toolCall[k] === "object");
+  if (!key) return null;
+  const kind = CURSOR_TOOL_KINDS[key] || "other";
+  const tool = makeTool(kind, key, toolCall[key].args || {});
+  if (kind === "other") tool.name = key.replace(/ToolCall$/, "");
+  return tool;
+}
+
+/**
+ * Normalize a Claude Code tool_use (name + input).
+ * @param {string} name - Tool name
+ * @param {object} input - Tool input
+ * @returns {{ kind: string, name: string, category: string, path?: string, command?: string, pattern?: string }}
+ */
+export function toolFromClaude(name, input) {
+  const kind = CLAUDE_TOOL_KINDS[name] || (/^mcp__/.test(name || "") ? "mcp" : "other");
+  return makeTool(kind, name || "tool", input || {});
+}
+
+/**
+ * Build a normalized tool from a kind and args (used by the scripted backend).
+ * @param {string} kind - Key of TOOL_KINDS
+ * @param {object} [args]
+ */
+export function toolOfKind(kind, args = {}) {
+  return makeTool(TOOL_KINDS[kind] ? kind : "other", kind, args);
+}
+
+/**
+ * What a tool does to its path: "read", "write" or null (no path, or the kind does not touch files).
+ * @param {{ kind: string, path?: string }} tool
+ * @returns {"read"|"write"|null}
+ */
+export function toolFileAccess(tool) {
+  if (!tool || !tool.path) return null;
+  return (TOOL_KINDS[tool.kind] || TOOL_KINDS.other).access;
+}
+
+/**
+ * Label of count completed tools of one category, e.g. "Read 3 files", "2 searches".
+ * @param {string} category - Category of TOOL_KINDS
+ * @param {number} count
+ * @returns {string}
+ */
+export function describeToolGroup(category, count) {
+  const label = GROUP_LABELS[category];
+  return label ? label(count) : `${count} operations`;
+}
+
+/**
+ * Meaningful part of a shell command for display: drops a leading "cd ... &&" / "cd ...;"
+ * and truncates to maxLength.
+ * @param {string} command
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function shortCommand(command, maxLength = 80) {
+  let cmd = String(command || "");
+  if (/^cd /.test(cmd) && (cmd.includes(" && ") || cmd.includes("; "))) {
+    cmd = cmd.replace(/^[^&;]*(&&|;)\s*/, "");
+  }
+  return cmd.length > maxLength ? cmd.slice(0, maxLength - 3) + "..." : cmd;
+}
+
+/**
+ * Human-readable label for a tool, e.g. "Reading main.dart", "Running: yarn test".
+ * @param {{ kind: string, name: string, path?: string, command?: string }} tool
+ * @returns {string}
+ */
+export function describeTool(tool) {
+  if (!tool) return "Using tool";
+  const base = tool.path ? " " + path.basename(tool.path) : "";
+  switch (tool.kind) {
+    case "read":
+      return "Reading" + base;
+    case "list":
+      return "Listing" + base;
+    case "glob":
+      return "Searching files";
+    case "grep":
+      return "Searching content";
+    case "search":
+      return "Searching the codebase";
+    case "lint":
+      return "Reading lints" + base;
+    case "web":
+      return "Searching the web";
+    case "write":
+      return "Writing" + base;
+    case "delete":
+      return "Deleting" + base;
+    case "edit":
+      return "Editing" + base;
+    case "shell":
+      return tool.command ? "Running: " + shortCommand(tool.command) : "Using " + tool.name;
+    case "todo":
+      return "Updating todos";
+    default:
+      return "Using " + tool.name;
+  }
+}
@@ -1,41 +1,39 @@
 /**
  * Core logic for debug utilities - extracted for testability.
  * This module exports pure functions that can be tested in isolation.
+ * Agent events are the normalized events of bin/agents/events.mjs; raw Cursor stream-json
+ * lines (older logs) are normalized first via createLogNormalizer.
  */
 
+import { isNormalizedEvent } from "../agents/events.mjs";
+import { shortCommand } from "../agents/tool-calls.mjs";
+
 /**
- * Summarize a tool call for debug output
- * @param {object} tc - Tool call object
+ * Summarize a normalized tool for debug output
+ * @param {object} tool - Normalized tool ({ kind, name, category, path?, command?, pattern? })
  * @returns {string} Summary string
  */
-export function summarizeToolCall(tc) {
-  if (!tc || typeof tc !== "object") return "";
-  const r =
-    tc.readToolCall ||
-    tc.lsToolCall ||
-    tc.editToolCall ||
-    tc.runToolCall ||
-    tc.runTerminalCommand;
-  if (!r) return "";
-  const args = r.args || {};
-  if (args.path) return `path=${args.path.replace(process.cwd(), ".")}`;
-  if (args.offset) return `path=${(args.path || "").replace(process.cwd(), ".")} offset=${args.offset}`;
-  if (args.command) return `command=${String(args.command).slice(0, 50)}…`;
+export function summarizeToolCall(tool) {
+  if (!tool || typeof tool !== "object") return "";
+  if (tool.path) return `path=${tool.path.replace(process.cwd(), ".")}`;
+  if (tool.command) return `command=${shortCommand(tool.command, 50)}`;
+  if (tool.pattern) return `pattern=${String(tool.pattern).slice(0, 50)}`;
   return "";
 }
 
 /**
  * Summarize a result event for debug output
- * @param {object} res - Result object
+ * @param {object} res - Normalized result event
  * @returns {string} Summary string
  */
 export function summarizeResult(res) {
   if (!res || typeof res !== "object") return "";
   const parts = [];
-  if (res.duration_ms != null) parts.push(`duration_ms=${res.duration_ms}`);
-  if (res.is_error != null) parts.push(`is_error=${res.is_error}`);
-  if (res.result && typeof res.result === "string" && res.result.length < 200)
-    parts.push(`result=${res.result.slice(0, 150)}…`);
+  if (res.durationMs != null) parts.push(`duration_ms=${res.durationMs}`);
+  if (res.isError != null) parts.push(`is_error=${res.isError}`);
+  if (res.usage?.totalTokens != null) parts.push(`tokens=${res.usage.totalTokens}`);
+  if (res.text && typeof res.text === "string" && res.text.length < 200)
+    parts.push(`result=${res.text.slice(0, 150)}…`);
   return parts.join(" ");
 }
 
@@ -55,40 +53,39 @@ export function parseLine(line) {
 }
 
 /**
- * Format an event object for debug output
- * @param {object} ob - Event object
+ * Format a normalized event for debug output
+ * @param {object} ev - Normalized event
  * @returns {string} Formatted string
  */
-export function formatEvent(ob) {
-  const type = ob.type;
-  const subtype = ob.subtype || "";
-  const ts = ob.timestamp_ms != null ? new Date(ob.timestamp_ms).toISOString() : "";
-  const id = ob.call_id ? ` ${ob.call_id.slice(-8)}` : ob.model_call_id ? ` ${String(ob.model_call_id).slice(-12)}` : "";
+export function formatEvent(ev) {
+  const type = ev.type;
+  const subtype = ev.subtype || "";
+  const ts = ev.ts != null ? new Date(ev.ts).toISOString() : "";
+  const id = ev.callId ? ` ${String(ev.callId).slice(-8)}` : "";
 
   switch (type) {
-    case "tool_call": {
-      const tc =
-        ob.tool_call?.readToolCall ||
-        ob.tool_call?.lsToolCall ||
-        ob.tool_call?.editToolCall ||
-        ob.tool_call?.runToolCall ||
-        ob.tool_call?.runTerminalCommand;
-      const name = tc ? Object.keys(ob.tool_call).find((k) => k !== "args") : "";
-      const sum = tc ? summarizeToolCall(ob.tool_call) : "";
-      return `${ts} tool_call ${subtype} ${name}${sum ? " " + sum : ""}${id}`;
+    case "tool": {
+      const tool = ev.tool || {};
+      const sum = summarizeToolCall(tool);
+      const status = subtype === "completed" && ev.isError ? " error" : "";
+      const kind = tool.kind || "other";
+      const name = tool.name && tool.name !== kind ? `${kind}(${tool.name})` : kind;
+      return `${ts} tool ${subtype} ${name}${sum ? " " + sum : ""}${status}${id}`;
     }
     case "thinking":
-      return `${ts} thinking ${subtype}${id}`;
-    case "assistant":
-      return `${ts} assistant message${id}`;
+      return `${ts} thinking ${subtype}`;
+    case "text":
+      return `${ts} assistant ${subtype || "message"}`;
+    case "init":
+      return `${ts} init ${ev.agent || ""} model=${ev.model || "auto"}`;
     case "result": {
-      const sum = summarizeResult(ob);
-      const text = ob.result ?? "";
+      const sum = summarizeResult(ev);
+      const text = ev.text ?? "";
       const err = text && (text.includes("error Command failed") || text.includes("exit code"));
-      return `${ts} result ${ob.subtype ?? ""} ${sum}${err ? "\n  >>> " + text.trim().split("\n").slice(-3).join("\n  >>> ") : ""}`;
+      return `${ts} result ${sum}${err ? "\n  >>> " + text.trim().split("\n").slice(-3).join("\n  >>> ") : ""}`;
     }
     default:
-      return `${ts} ${type} ${subtype}${id}`;
+      return `${ts} ${type} ${subtype}`;
   }
 }
 
@@ -107,7 +104,7 @@ export function inferRunKind(userText) {
 }
 
 /**
- * Check if a line is an agent stream JSON line
+ * Check if a line is an agent stream JSON line (normalized event or raw backend event)
  * @param {string} line - Line to check
  * @returns {boolean} True if it's an agent stream line
  */
@@ -116,7 +113,8 @@ export function isAgentStreamLine(line) {
   if (!t.startsWith("{")) return false;
   try {
     const ob = JSON.parse(line);
-    if (ob && typeof ob !== "object") return false;
+    if (!ob || typeof ob !== "object") return false;
+    if (isNormalizedEvent(ob)) return true;
     if (ob.type && ["tool_call", "thinking", "assistant", "result", "system"].includes(ob.type))
       return true;
     if (ob.message && ob.message.role === "assistant") return true;
@@ -1,29 +1,14 @@
 #!/usr/bin/env node
 /**
  * Prints only cursor_todo_runner debug: shell echoes and our scripts' output.
- * Strips Cursor agent stream-json (tool_call, thinking, assistant, result).
+ * Strips agent event lines (normalized events and raw Cursor stream-json).
  * Reads from stdin or file path (first arg).
  * Usage: node debug-runner.mjs [path]  OR  cat run.log | node debug-runner.mjs
  */
 
 import fs from "fs";
 import readline from "readline";
-
-function isAgentStreamLine(line) {
-  const t = line.trim();
-  if (!t.startsWith("{")) return false;
-  try {
-    const ob = JSON.parse(line);
-    if (ob && typeof ob !== "object") return false;
-    if (ob.type && ["tool_call", "thinking", "assistant", "result", "system"].includes(ob.type))
-      return true;
-    if (ob.message && ob.message.role === "assistant") return true;
-    if (ob.type === "user") return true;
-    return false;
-  } catch {
-    return false;
-  }
-}
+import { isAgentStreamLine, cleanAnsiCodes } from "./debug-core.mjs";
 
 async function main() {
   const file = process.argv[2];
@@ -34,10 +19,7 @@ async function main() {
 
   for await (const line of rl) {
     if (isAgentStreamLine(line)) continue;
-    const cleaned = line
-      .replace(/\r$/, "")
-      .replace(/\x1b\[[0-9;]*m/g, "")
-      .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, "");
+    const cleaned = cleanAnsiCodes(line);
     if (cleaned.trim()) console.log(cleaned);
   }
 }
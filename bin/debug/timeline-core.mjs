@@ -0,0 +1,474 @@
+/**
+ * Timeline of an agent log (docs/TODO/runner/agent_output_*.log, written by run-loop.mjs with
+ * --debug): the log split into its agent runs, each with its tool calls (started and completed
+ * events paired by callId, so every call has a duration), thinking time against tool time, the
+ * files read and written, and failed shell commands with their output. Rendered as Markdown or
+ * as a self-contained HTML page (timeline.mjs).
+ *
+ * Log layout: "key=value" header lines up to a "---" line, then per agent run a label line
+ * ("=== step P1_01.02 ===", "=== step P1_01.02 (attempt 2) ===", "=== step P1_01.02 (parallel) ===",
+ * "=== summary P1_01 ===") followed by one normalized event per line (bin/agents/events.mjs).
+ * Logs without labels (last_agent_stream.jsonl, older logs) are split at init events; raw Cursor
+ * or Claude stream-json lines are normalized first. Tool kinds, labels and file access all come
+ * from the shared taxonomy (bin/agents/tool-calls.mjs), as in the terminal renderer.
+ */
+
+import path from "path";
+import { createLogNormalizer, listAgentBackends } from "../agents/index.mjs";
+import { TOOL_KINDS, describeTool, toolFileAccess, shortCommand } from "../agents/tool-calls.mjs";
+import { escapeHtml } from "../runner/markdown.mjs";
+import { formatDuration } from "../runner/timeouts.mjs";
+import { stepIdFromFilename } from "../runner/step-files.mjs";
+
+const LABEL_REGEX = /^=== (\w+) (\S+)(?: \((parallel|attempt (\d+))\))? ===$/;
+const HEADER_REGEX = /^([\w.-]+)=(.*)$/;
+const MAX_OUTPUT_LINES = 40;
+
+/**
+ * Split an agent log into its header and agent runs.
+ * @param {string} content - Log file content
+ * @returns {{ header: Record<string, string>, runs: { kind: string, id: string|null, file: string|null, attempt: number, parallel: boolean, events: object[] }[] }}
+ *   kind: "step", "summary", or "agent" for runs without a label line; file: the step file of the label
+ */
+export function parseAgentLog(content) {
+  const lines = String(content || "").split("\n");
+  const header = {};
+  const sep = lines.indexOf("---");
+  let start = 0;
+  if (sep > 0 && lines.slice(0, sep).every((l) => !l.trim() || HEADER_REGEX.test(l))) {
+    for (const l of lines.slice(0, sep)) {
+      const m = l.match(HEADER_REGEX);
+      if (m) header[m[1]] = m[2];
+    }
+    start = sep + 1;
+  }
+
+  // Raw backend lines are read with the run's backend; Cursor for logs without a (known) one
+  const normalize = createLogNormalizer(listAgentBackends().includes(header.agent) ? header.agent : undefined);
+  const runs = [];
+  let run = null;
+  const newRun = (fields) => {
+    run = { kind: "agent", id: null, file: null, attempt: 1, parallel: false, events: [], ...fields };
+    runs.push(run);
+  };
+  for (const line of lines.slice(start)) {
+    const label = line.trim().match(LABEL_REGEX);
+    if (label) {
+      const file = stepIdFromFilename(label[2]) ? label[2] : null;
+      newRun({ kind: label[1], id: file ? stepIdFromFilename(file) : label[2], file, attempt: label[4] ? Number(label[4]) : 1, parallel: label[3] === "parallel" });
+      continue;
+    }
+    for (const ev of normalize(line)) {
+      if (ev.type === "raw" && !ev.text.trim()) continue;
+      // Unlabelled logs: every init starts a run
+      if (!run || (ev.type === "init" && run.events.some((e) => e.type === "init"))) newRun({});
+      run.events.push(ev);
+    }
+  }
+  return { header, runs: runs.filter((r) => r.events.length > 0 || r.kind !== "agent") };
+}
+
+/** Total length of the union of [start, end] intervals. */
+function unionMs(intervals) {
+  const sorted = intervals.filter((i) => i.end > i.start).sort((a, b) => a.start - b.start);
+  let total = 0;
+  let end = -Infinity;
+  for (const i of sorted) {
+    if (i.start > end) {
+      total += i.end - i.start;
+      end = i.end;
+    } else if (i.end > end) {
+      total += i.end - end;
+      end = i.end;
+    }
+  }
+  return total;
+}
+
+/** A path relative to root when it is inside it. */
+function displayPath(p, root) {
+  if (root && path.isAbsolute(p)) {
+    const rel = path.relative(root, p);
+    if (rel && !rel.startsWith("..") && !path.isAbsolute(rel)) return rel;
+  }
+  return p;
+}
+
+/**
+ * Timeline of one agent run.
+ * @param {{ kind: string, id: string|null, file: string|null, attempt: number, parallel: boolean, events: object[] }} run - From parseAgentLog
+ * @param {{ root?: string }} [opts] - root: project root (log header), to show paths relative to it
+ * @returns {object} { kind, id, file, attempt, parallel, model, start, end, totalMs, thinkingMs, toolMs, otherMs,
+ *   entries (thinking spans, tool calls and messages in order), tools, byKind, filesRead, filesWritten,
+ *   failedShells, failedTools, result }
+ */
+export function buildRunTimeline(run, { root = null } = {}) {
+  const events = run.events.filter((ev) => ev.type !== "raw");
+  const stamps = events.map((ev) => ev.ts).filter((ts) => typeof ts === "number");
+  const start = stamps.length ? Math.min(...stamps) : null;
+  const end = stamps.length ? Math.max(...stamps) : null;
+
+  const entries = [];
+  const tools = [];
+  const open = new Map(); // callId -> tool entry still running
+  const thinking = [];
+  let thinkStart = null;
+  let model = null;
+  let result = null;
+
+  const closeThinking = (ts) => {
+    if (thinkStart == null) return;
+    const span = { type: "thinking", start: thinkStart, end: ts ?? thinkStart, durationMs: Math.max(0, (ts ?? thinkStart) - thinkStart) };
+    thinking.push(span);
+    entries.push(span);
+    thinkStart = null;
+  };
+
+  for (const ev of events) {
+    const ts = typeof ev.ts === "number" ? ev.ts : null;
+    if (ev.type === "thinking") {
+      if (ev.subtype === "delta" && thinkStart == null) thinkStart = ts;
+      else if (ev.subtype === "completed") closeThinking(ts);
+      continue;
+    }
+    // A thinking phase without its completed event ends at the next event
+    closeThinking(ts);
+    if (ev.type === "init") {
+      model = ev.model || model;
+    } else if (ev.type === "tool") {
+      const tool = ev.tool || { kind: "other", name: "tool", category: "other" };
+      if (ev.subtype === "started") {
+        const entry = { type: "tool", callId: ev.callId ?? null, tool, label: describeTool(tool), start: ts, end: null, durationMs: null, done: false };
+        if (ev.callId != null) open.set(ev.callId, entry);
+        tools.push(entry);
+        entries.push(entry);
+      } else if (ev.subtype === "completed") {
+        let entry = ev.callId != null ? open.get(ev.callId) : null;
+        if (entry) {
+          open.delete(ev.callId);
+        } else {
+          // Completed without a start in this run (e.g. the log starts mid-run)
+          entry = { type: "tool", callId: ev.callId ?? null, tool, label: describeTool(tool), start: null, end: null, durationMs: null, done: false };
+          tools.push(entry);
+          entries.push(entry);
+        }
+        Object.assign(entry, {
+          tool: { ...tool, ...entry.tool },
+          end: ts,
+          durationMs: entry.start != null && ts != null ? Math.max(0, ts - entry.start) : null,
+          done: true,
+          isError: !!ev.isError,
+          ...(ev.exitCode != null ? { exitCode: ev.exitCode } : {}),
+          ...(ev.output ? { output: String(ev.output) } : {}),
+        });
+      }
+    } else if (ev.type === "text" && ev.subtype !== "delta" && ev.text && ev.text.trim()) {
+      entries.push({ type: "text", start: ts, text: ev.text.trim() });
+    } else if (ev.type === "result") {
+      result = { isError: !!ev.isError, durationMs: ev.durationMs ?? null, usage: ev.usage || null, text: ev.text || "" };
+      entries.push({ type: "result", start: ts, ...result });
+    }
+  }
+  closeThinking(end);
+
+  const byKind = {};
+  for (const kind of Object.keys(TOOL_KINDS)) {
+    const calls = tools.filter((t) => (TOOL_KINDS[t.tool.kind] ? t.tool.kind : "other") === kind);
+    if (calls.length === 0) continue;
+    byKind[kind] = {
+      calls: calls.length,
+      errors: calls.filter((t) => t.isError).length,
+      durationMs: calls.reduce((sum, t) => sum + (t.durationMs || 0), 0),
+    };
+  }
+
+  const filesRead = new Map();
+  const filesWritten = new Map();
+  for (const t of tools) {
+    const access = toolFileAccess(t.tool);
+    if (!access || t.isError) continue;
+    const p = displayPath(t.tool.path, root);
+    if (access === "read") filesRead.set(p, (filesRead.get(p) || 0) + 1);
+    else filesWritten.set(p, [...new Set([...(filesWritten.get(p) || []), t.tool.kind])]);
+  }
+
+  const failed = (t) => t.isError || (t.exitCode != null && t.exitCode !== 0);
+  const wallMs = start != null ? end - start : 0;
+  const totalMs = result?.durationMs ?? wallMs;
+  const thinkingMs = thinking.reduce((sum, s) => sum + s.durationMs, 0);
+  const toolMs = unionMs(tools.filter((t) => t.durationMs != null).map((t) => ({ start: t.start, end: t.end })));
+  return {
+    kind: run.kind,
+    id: run.id,
+    file: run.file,
+    attempt: run.attempt,
+    parallel: run.parallel,
+    model,
+    start,
+    end,
+    totalMs,
+    thinkingMs,
+    toolMs,
+    otherMs: Math.max(0, totalMs - thinkingMs - toolMs),
+    entries,
+    tools,
+    byKind,
+    filesRead: [...filesRead].map(([file, count]) => ({ path: file, count })),
+    filesWritten: [...filesWritten].map(([file, kinds]) => ({ path: file, kinds })),
+    failedShells: tools.filter((t) => t.tool.kind === "shell" && failed(t)),
+    failedTools: tools.filter((t) => t.tool.kind !== "shell" && failed(t)),
+    unfinished: tools.filter((t) => !t.done),
+    result,
+  };
+}
+
+/**
+ * Timeline of a whole agent log.
+ * @param {string} content - Log file content
+ * @param {{ step?: string }} [opts] - step: only runs whose id is or starts with this id (e.g. P2 or P2_04)
+ * @returns {{ header: Record<string, string>, runs: object[] }} runs: from buildRunTimeline
+ */
+export function buildTimeline(content, { step = null } = {}) {
+  const { header, runs } = parseAgentLog(content);
+  const matches = (id) => !step || (!!id && (id === step || id.startsWith(step + ".") || id.startsWith(step + "_")));
+  return { header, runs: runs.filter((r) => matches(r.id)).map((r) => buildRunTimeline(r, { root: header.root || null })) };
+}
+
+/** "850ms", "4.2s", "3m12s". */
+export function formatMs(ms) {
+  if (ms == null) return "—";
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return formatDuration(ms / 1000);
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/** Title of a run: "step P1_01.02 (attempt 2)". */
+function runTitle(run) {
+  const extra = run.parallel ? " (parallel)" : run.attempt > 1 ? ` (attempt ${run.attempt})` : "";
+  return run.id ? `${run.kind} ${run.id}${extra}` : "agent run";
+}
+
+/** Offset of an entry from the start of its run: "+4.2s". */
+function offset(run, ts) {
+  return ts != null && run.start != null ? `+${formatMs(ts - run.start)}` : "";
+}
+
+function outcome(run) {
+  if (!run.result) return "no result";
+  return run.result.isError ? "error" : "ok";
+}
+
+function tokens(run) {
+  const total = run.result?.usage?.totalTokens;
+  return total != null ? String(total) : "—";
+}
+
+/** Tool output, shortened to its last lines. */
+function tailOutput(output) {
+  const lines = String(output || "").replace(/\s+$/, "").split("\n");
+  return lines.length > MAX_OUTPUT_LINES ? ["…", ...lines.slice(-MAX_OUTPUT_LINES)].join("\n") : lines.join("\n");
+}
+
+/** Text of a timeline entry (one line). */
+function entryText(entry) {
+  switch (entry.type) {
+    case "thinking":
+      return "Thinking";
+    case "tool": {
+      const status = entry.exitCode != null && entry.exitCode !== 0 ? ` (exit ${entry.exitCode})` : entry.isError ? " (error)" : !entry.done ? " (no completion)" : "";
+      return entry.label + status;
+    }
+    case "text":
+      return "Says: " + shortCommand(entry.text.replace(/\s+/g, " "), 100);
+    case "result":
+      return `Result: ${entry.isError ? "error" : "success"}`;
+    default:
+      return entry.type;
+  }
+}
+
+const mdCell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+/** Code fence longer than any backtick run in the text. */
+function fence(text) {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map((m) => m.length));
+  return "`".repeat(longest + 1);
+}
+
+/**
+ * Render a timeline as Markdown.
+ * @param {{ header: Record<string, string>, runs: object[] }} timeline - From buildTimeline
+ * @param {{ source?: string }} [opts] - source: log file name for the title
+ * @returns {string}
+ */
+export function renderTimelineMarkdown(timeline, { source = null } = {}) {
+  const { header, runs } = timeline;
+  const out = [`# Agent timeline${source ? `: ${source}` : ""}`, ""];
+  const meta = [
+    header.run_timestamp && `Run: ${header.run_timestamp}`,
+    header.agent && `Agent: ${header.agent}`,
+    header.model && `Model: ${header.model}`,
+    header.phase && `Phase: ${header.phase}`,
+  ].filter(Boolean);
+  if (meta.length) out.push(meta.join(" · "), "");
+  if (runs.length === 0) {
+    out.push("No agent runs in this log.", "");
+    return out.join("\n");
+  }
+
+  out.push("| Run | Model | Duration | Thinking | Tools | Tool calls | Failed shells | Tokens | Outcome |");
+  out.push("|-----|-------|----------|----------|-------|------------|---------------|--------|---------|");
+  for (const run of runs) {
+    out.push(
+      `| ${mdCell(runTitle(run))} | ${mdCell(run.model || "—")} | ${formatMs(run.totalMs)} | ${formatMs(run.thinkingMs)} | ${formatMs(run.toolMs)} | ${run.tools.length} | ${run.failedShells.length} | ${tokens(run)} | ${outcome(run)} |`
+    );
+  }
+  out.push("");
+
+  for (const run of runs) {
+    out.push(`## ${runTitle(run)}`, "");
+    const started = run.start != null ? `Started ${new Date(run.start).toISOString()}, ` : "";
+    out.push(
+      `${started}${formatMs(run.totalMs)}: thinking ${formatMs(run.thinkingMs)} (${percent(run.thinkingMs, run.totalMs)}%), tools ${formatMs(run.toolMs)} (${percent(run.toolMs, run.totalMs)}%), other ${formatMs(run.otherMs)} (${percent(run.otherMs, run.totalMs)}%).`,
+      ""
+    );
+
+    if (run.failedShells.length > 0) {
+      out.push(`### Failed shell commands (${run.failedShells.length})`, "");
+      for (const t of run.failedShells) {
+        out.push(`- **\`${mdCell(shortCommand(t.tool.command, 120))}\`** ${offset(run, t.start)}${t.exitCode != null ? `, exit ${t.exitCode}` : ""}`);
+        if (t.output) {
+          const text = tailOutput(t.output);
+          out.push("", `  ${fence(text)}text`, ...text.split("\n").map((l) => `  ${l}`), `  ${fence(text)}`);
+        }
+      }
+      out.push("");
+    }
+
+    if (Object.keys(run.byKind).length > 0) {
+      out.push("### Tools", "", "| Kind | Calls | Errors | Time |", "|------|-------|--------|------|");
+      for (const [kind, s] of Object.entries(run.byKind)) out.push(`| ${kind} | ${s.calls} | ${s.errors} | ${formatMs(s.durationMs)} |`);
+      out.push("");
+    }
+
+    out.push("### Files", "");
+    out.push(`Read (${run.filesRead.length}): ${run.filesRead.map((f) => `\`${f.path}\`${f.count > 1 ? ` ×${f.count}` : ""}`).join(", ") || "none"}`, "");
+    out.push(`Written (${run.filesWritten.length}): ${run.filesWritten.map((f) => `\`${f.path}\` (${f.kinds.join(", ")})`).join(", ") || "none"}`, "");
+
+    out.push("### Timeline", "", "| At | Event | Duration |", "|----|-------|----------|");
+    for (const entry of run.entries) {
+      const duration = entry.type === "thinking" || entry.type === "tool" ? formatMs(entry.durationMs) : "";
+      const text = mdCell(entryText(entry));
+      const failed = entry.type === "tool" && (entry.isError || (entry.exitCode != null && entry.exitCode !== 0));
+      out.push(`| ${offset(run, entry.start)} | ${failed ? `**${text}**` : text} | ${duration} |`);
+    }
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+const HTML_STYLE = `
+  body { font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px auto; max-width: 1100px; padding: 0 16px; color: #1f2328; }
+  h1 { font-size: 22px; } h2 { font-size: 18px; margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; } h3 { font-size: 15px; }
+  table { border-collapse: collapse; margin: 8px 0 16px; } th, td { border: 1px solid #d0d7de; padding: 3px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; } td.num { text-align: right; white-space: nowrap; }
+  code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+  pre { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; background: #fff5f5; border: 1px solid #ffc1c0; padding: 8px; overflow-x: auto; white-space: pre-wrap; }
+  .meta { color: #57606a; }
+  .split { display: flex; height: 14px; border-radius: 4px; overflow: hidden; margin: 6px 0 4px; background: #eaeef2; }
+  .thinking { background: #8250df; } .tools { background: #1f883d; } .other { background: #afb8c1; }
+  .legend span { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin: 0 4px 0 12px; }
+  .legend span:first-child { margin-left: 0; }
+  .lane { position: relative; height: 12px; min-width: 240px; background: #f6f8fa; }
+  .lane div { position: absolute; top: 2px; height: 8px; min-width: 2px; border-radius: 2px; }
+  tr.failed td { background: #ffebe9; } .failed-label { color: #cf222e; font-weight: 600; }
+  .ok { color: #1a7f37; } .error { color: #cf222e; }
+`;
+
+/** Position of an entry on its run's lane as CSS. */
+function laneStyle(run, entry) {
+  const span = run.end != null && run.start != null ? run.end - run.start : 0;
+  if (!span || entry.start == null) return "left: 0; width: 0";
+  const left = ((entry.start - run.start) / span) * 100;
+  const width = entry.durationMs != null ? (entry.durationMs / span) * 100 : 0;
+  return `left: ${left.toFixed(2)}%; width: ${Math.min(width, 100 - left).toFixed(2)}%`;
+}
+
+/**
+ * Render a timeline as a self-contained HTML page (inline CSS, no scripts or external assets).
+ * @param {{ header: Record<string, string>, runs: object[] }} timeline - From buildTimeline
+ * @param {{ source?: string }} [opts] - source: log file name for the title
+ * @returns {string}
+ */
+export function renderTimelineHtml(timeline, { source = null } = {}) {
+  const { header, runs } = timeline;
+  const e = escapeHtml;
+  const title = `Agent timeline${source ? `: ${source}` : ""}`;
+  const out = [`<!DOCTYPE html>`, `<html lang="en">`, `<head>`, `<meta charset="utf-8">`, `<title>${e(title)}</title>`, `<style>${HTML_STYLE}</style>`, `</head>`, `<body>`, `<h1>${e(title)}</h1>`];
+  const meta = [
+    header.run_timestamp && `Run: ${header.run_timestamp}`,
+    header.agent && `Agent: ${header.agent}`,
+    header.model && `Model: ${header.model}`,
+    header.phase && `Phase: ${header.phase}`,
+  ].filter(Boolean);
+  if (meta.length) out.push(`<p class="meta">${e(meta.join(" · "))}</p>`);
+  out.push(`<p class="legend"><span class="thinking"></span>thinking<span class="tools"></span>tools<span class="other"></span>other</p>`);
+  if (runs.length === 0) out.push(`<p>No agent runs in this log.</p>`);
+
+  if (runs.length > 0) {
+    out.push(`<table><tr><th>Run</th><th>Model</th><th>Duration</th><th>Thinking</th><th>Tools</th><th>Tool calls</th><th>Failed shells</th><th>Tokens</th><th>Outcome</th></tr>`);
+    runs.forEach((run, i) => {
+      out.push(
+        `<tr${run.failedShells.length ? ` class="failed"` : ""}><td><a href="#run-${i + 1}">${e(runTitle(run))}</a></td><td>${e(run.model || "—")}</td><td class="num">${formatMs(run.totalMs)}</td><td class="num">${formatMs(run.thinkingMs)}</td><td class="num">${formatMs(run.toolMs)}</td><td class="num">${run.tools.length}</td><td class="num">${run.failedShells.length}</td><td class="num">${tokens(run)}</td><td class="${run.result?.isError ? "error" : "ok"}">${outcome(run)}</td></tr>`
+      );
+    });
+    out.push(`</table>`);
+  }
+
+  runs.forEach((run, i) => {
+    out.push(`<h2 id="run-${i + 1}">${e(runTitle(run))}</h2>`);
+    const started = run.start != null ? `Started ${new Date(run.start).toISOString()}, ` : "";
+    out.push(
+      `<p class="meta">${e(started)}${formatMs(run.totalMs)}: thinking ${formatMs(run.thinkingMs)} (${percent(run.thinkingMs, run.totalMs)}%), tools ${formatMs(run.toolMs)} (${percent(run.toolMs, run.totalMs)}%), other ${formatMs(run.otherMs)} (${percent(run.otherMs, run.totalMs)}%)</p>`
+    );
+    out.push(
+      `<div class="split"><div class="thinking" style="width: ${percent(run.thinkingMs, run.totalMs)}%"></div><div class="tools" style="width: ${percent(run.toolMs, run.totalMs)}%"></div><div class="other" style="width: ${percent(run.otherMs, run.totalMs)}%"></div></div>`
+    );
+
+    if (run.failedShells.length > 0) {
+      out.push(`<h3 class="failed-label">Failed shell commands (${run.failedShells.length})</h3>`);
+      for (const t of run.failedShells) {
+        out.push(`<p><code>${e(shortCommand(t.tool.command, 200))}</code> ${e(offset(run, t.start))}${t.exitCode != null ? `, exit ${e(t.exitCode)}` : ""}</p>`);
+        if (t.output) out.push(`<pre>${e(tailOutput(t.output))}</pre>`);
+      }
+    }
+
+    if (Object.keys(run.byKind).length > 0) {
+      out.push(`<h3>Tools</h3><table><tr><th>Kind</th><th>Calls</th><th>Errors</th><th>Time</th></tr>`);
+      for (const [kind, s] of Object.entries(run.byKind)) out.push(`<tr><td>${e(kind)}</td><td class="num">${s.calls}</td><td class="num">${s.errors}</td><td class="num">${formatMs(s.durationMs)}</td></tr>`);
+      out.push(`</table>`);
+    }
+
+    out.push(`<h3>Files</h3>`);
+    const files = (list, fmt) => (list.length ? list.map(fmt).join(", ") : "none");
+    out.push(`<p>Read (${run.filesRead.length}): ${files(run.filesRead, (f) => `<code>${e(f.path)}</code>${f.count > 1 ? ` ×${f.count}` : ""}`)}</p>`);
+    out.push(`<p>Written (${run.filesWritten.length}): ${files(run.filesWritten, (f) => `<code>${e(f.path)}</code> (${e(f.kinds.join(", "))})`)}</p>`);
+
+    out.push(`<h3>Timeline</h3><table><tr><th>At</th><th>Event</th><th>Duration</th><th></th></tr>`);
+    for (const entry of run.entries) {
+      const failed = entry.type === "tool" && (entry.isError || (entry.exitCode != null && entry.exitCode !== 0));
+      const bar = entry.type === "thinking" ? "thinking" : entry.type === "tool" ? "tools" : null;
+      out.push(
+        `<tr${failed ? ` class="failed"` : ""}><td class="num">${e(offset(run, entry.start))}</td><td>${e(entryText(entry))}</td><td class="num">${bar ? formatMs(entry.durationMs) : ""}</td><td><div class="lane">${bar ? `<div class="${bar}" style="${laneStyle(run, entry)}"></div>` : ""}</div></td></tr>`
+      );
+    }
+    out.push(`</table>`);
+  });
+
+  out.push(`</body>`, `</html>`, "");
+  return out.join("\n");
+}
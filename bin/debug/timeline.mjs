@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Turns an agent log (docs/TODO/runner/agent_output_*.log, written with --debug) into a Markdown or
+ * self-contained HTML report: per agent run the tool calls with their durations, thinking time
+ * against tool time, files read and written, and failed shell commands with their output
+ * (see timeline-core.mjs).
+ * Run from project root (run-steps.sh timeline ... passes through to this script).
+ *
+ * Usage:
+ *   node timeline.mjs [LOG] [options]
+ *
+ * LOG defaults to the newest docs/TODO/runner/agent_output_*.log.
+ *
+ * Options:
+ *   --format FMT   md (default) or html.
+ *   --out FILE     Write the report to FILE instead of stdout.
+ *   --step ID      Only runs whose step or TODO id is or starts with ID (e.g. P2_04 or P2_04.03).
+ *
+ * Exit codes:
+ *   0  Report written.
+ *   1  Usage error, or no log found.
+ */
+
+import fs from "fs";
+import path from "path";
+import { buildTimeline, renderTimelineMarkdown, renderTimelineHtml } from "./timeline-core.mjs";
+
+const ROOT = process.cwd();
+const RUNNER_DIR = path.join(ROOT, "docs", "TODO", "runner");
+const FORMATS = ["md", "html"];
+const USAGE = "Usage: node timeline.mjs [LOG] [--format md|html] [--out FILE] [--step ID]";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { log: null, format: "md", out: null, step: null };
+  for (let i = 0; i < args.length; i++) {
+    const next = args[i + 1];
+    if (args[i] === "--format" && next) {
+      opts.format = next;
+      i++;
+    } else if (args[i] === "--out" && next) {
+      opts.out = next;
+      i++;
+    } else if (args[i] === "--step" && next) {
+      opts.step = next;
+      i++;
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      opts.help = true;
+    } else if (!args[i].startsWith("--") && !opts.log) {
+      opts.log = args[i];
+    }
+  }
+  return opts;
+}
+
+/** Newest agent_output_*.log (the names carry a sortable timestamp), or null. */
+function newestLog() {
+  if (!fs.existsSync(RUNNER_DIR)) return null;
+  const logs = fs.readdirSync(RUNNER_DIR).filter((f) => /^agent_output_.*\.log$/.test(f)).sort();
+  return logs.length ? path.join(RUNNER_DIR, logs[logs.length - 1]) : null;
+}
+
+function main() {
+  const opts = parseArgs();
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!FORMATS.includes(opts.format)) {
+    console.error(`Unknown format '${opts.format}'. Use ${FORMATS.join(" or ")}.`);
+    return 1;
+  }
+  const logPath = opts.log ? path.resolve(opts.log) : newestLog();
+  if (!logPath) {
+    console.error("No agent log found in docs/TODO/runner/ (run with --debug to write one), or pass a log file.");
+    console.error(USAGE);
+    return 1;
+  }
+  if (!fs.existsSync(logPath)) {
+    console.error(`File not found: ${logPath}`);
+    return 1;
+  }
+
+  const timeline = buildTimeline(fs.readFileSync(logPath, "utf8"), { step: opts.step });
+  const source = path.basename(logPath);
+  const rendered = opts.format === "html" ? renderTimelineHtml(timeline, { source }) : renderTimelineMarkdown(timeline, { source });
+  if (opts.out) {
+    fs.writeFileSync(path.resolve(opts.out), rendered, "utf8");
+    console.error(`Written: ${path.resolve(opts.out)} (${timeline.runs.length} runs)`);
+  } else {
+    process.stdout.write(rendered);
+  }
+  return 0;
+}
+
+process.exitCode = main();
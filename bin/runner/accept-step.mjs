@@ -10,6 +10,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { spawnSync } from "child_process";
+import { STEP_ID_REGEX } from "./step-files.mjs";
 
 const ROOT = process.cwd();
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
@@ -34,7 +35,7 @@ function findStepPath() {
     if (!fs.existsSync(file)) continue;
     const content = fs.readFileSync(file, "utf8");
     // Match versioned step filename: P{phase}_{todo}.{step}_slug.md (e.g., P2.5_01.5.01_foo.md)
-    const match = content.match(/docs[/\\]TODO[/\\]active[/\\]steps[/\\](P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*_[^\s`]+\.md)/);
+    const match = content.match(new RegExp(`docs[/\\\\]TODO[/\\\\]active[/\\\\]steps[/\\\\](${STEP_ID_REGEX.source}_[^\\s\`]+\\.md)`));
     if (match) return path.join(ROOT, "docs", "TODO", "active", "steps", match[1]);
   }
   return null;
@@ -0,0 +1,265 @@
+/**
+ * docs/TODO/action_required helpers: open action files (everything but resolved_*, which block the
+ * runner) and the resolved_* rename that tells the runner an item is done
+ * (take_action_P1_03.1_x.md / manual_test_P1_03.1.md -> resolved_P1_03.1_x.md / resolved_P1_03.1.md).
+ *
+ * An item moves through these places (action.mjs manages them by hand):
+ *   action_required/<name>.md            open: blocks the runner
+ *   action_required/resolved_<...>.md    resolved, not yet processed: the runner completes the item's step
+ *   action_required/deferred/<name>.md   deferred: no longer blocks; the runner skips its step (left pending)
+ *   completed/actions/<name>.md          archived by the runner once it processed a resolved item
+ * Every change appends a line to the item's "## Resolution log" (time, event, the item's open name
+ * and the note), so the archive keeps the history; the note of a resolution is also attached to the
+ * completed step (attachActionNote) for the execution summary.
+ */
+
+import fs from "fs";
+import path from "path";
+import { STEP_ID_REGEX } from "./step-files.mjs";
+
+export const ACTION_STATES = ["open", "resolved", "deferred", "archived"];
+
+const LOG_HEADING = "## Resolution log";
+const LOG_ENTRY_REGEX = /^- (\S+) (resolved|reopened|deferred|archived) \(([^)]+)\)(?:: (.*))?$/;
+const STEP_NOTES_HEADING = "## Action items";
+
+/**
+ * Action required directory of a project.
+ * @param {string} root
+ * @returns {string}
+ */
+export function actionRequiredDir(root) {
+  return path.join(root, "docs", "TODO", "action_required");
+}
+
+/**
+ * Deferred action items (do not block the runner).
+ * @param {string} root
+ * @returns {string}
+ */
+export function deferredActionsDir(root) {
+  return path.join(actionRequiredDir(root), "deferred");
+}
+
+/**
+ * Archive of resolved action items.
+ * @param {string} root
+ * @returns {string}
+ */
+export function completedActionsDir(root) {
+  return path.join(root, "docs", "TODO", "completed", "actions");
+}
+
+const listMarkdown = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort() : []);
+
+/**
+ * Open action files (names, sorted); resolved_* files are not open.
+ * @param {string} root
+ * @returns {string[]}
+ */
+export function listOpenActionFiles(root) {
+  return listMarkdown(actionRequiredDir(root)).filter((f) => !f.startsWith("resolved_"));
+}
+
+/**
+ * Name an action file gets when it is resolved.
+ * @param {string} name - e.g. manual_test_P1_03.1.md
+ * @returns {string} e.g. resolved_P1_03.1.md
+ */
+export function resolvedName(name) {
+  return "resolved_" + name.replace(/^(take_action|manual_test)_/, "");
+}
+
+/**
+ * Step id an action file names (P1_03.1 for take_action_P1_03.1_x.md), or null.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function actionStepId(name) {
+  const match = name.replace(/^(take_action|manual_test|resolved)_/, "").match(new RegExp(`^${STEP_ID_REGEX.source}`));
+  return match ? match[0] : null;
+}
+
+/**
+ * Entries of an action file's resolution log, oldest first.
+ * @param {string} content
+ * @returns {{ at: string, event: string, name: string, note: string|null }[]}
+ */
+export function readActionLog(content) {
+  const start = content.lastIndexOf(`\n${LOG_HEADING}\n`);
+  if (start < 0) return [];
+  return content
+    .slice(start + LOG_HEADING.length + 2)
+    .split("\n")
+    .map((line) => line.match(LOG_ENTRY_REGEX))
+    .filter(Boolean)
+    .map(([, at, event, name, note]) => ({ at, event, name, note: note || null }));
+}
+
+/** Append an entry to the file's resolution log (the section is added on first use). */
+function appendActionLog(file, { event, name, note }) {
+  const content = fs.readFileSync(file, "utf8").trimEnd();
+  const base = content.includes(`\n${LOG_HEADING}\n`) ? content : `${content}\n\n${LOG_HEADING}\n`;
+  const text = note ? `: ${String(note).replace(/\s+/g, " ").trim()}` : "";
+  fs.writeFileSync(file, `${base}\n- ${new Date().toISOString()} ${event} (${name})${text}\n`, "utf8");
+}
+
+/** Name the item had while open: from its log, else derived from a resolved_* name. */
+function openName(file) {
+  const entry = readActionLog(fs.readFileSync(file, "utf8")).find((e) => !e.name.startsWith("resolved_"));
+  if (entry) return entry.name;
+  const name = path.basename(file);
+  return name.startsWith("resolved_") ? name.replace(/^resolved_/, "take_action_") : name;
+}
+
+/**
+ * Every action item of a project with its state (open, resolved: waiting for the runner, deferred,
+ * archived).
+ * @param {string} root
+ * @returns {{ id: string, file: string, state: string, stepId: string|null, path: string, note: string|null, updated: string|null }[]}
+ *   id: file name without .md; path: relative to the project root; note: of the last resolve, defer or reopen;
+ *   updated: time of the last log entry
+ */
+export function listActions(root) {
+  const dirs = [
+    [actionRequiredDir(root), (f) => (f.startsWith("resolved_") ? "resolved" : "open")],
+    [deferredActionsDir(root), () => "deferred"],
+    [completedActionsDir(root), () => "archived"],
+  ];
+  const items = [];
+  for (const [dir, state] of dirs) {
+    for (const file of listMarkdown(dir)) {
+      const log = readActionLog(fs.readFileSync(path.join(dir, file), "utf8"));
+      const last = log[log.length - 1];
+      const noted = log.filter((e) => e.event !== "archived").pop();
+      items.push({
+        id: path.basename(file, ".md"),
+        file,
+        state: state(file),
+        stepId: actionStepId(file),
+        path: path.relative(root, path.join(dir, file)),
+        note: noted ? noted.note : null,
+        updated: last ? last.at : null,
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * The action item an id names: its file name (with or without .md) or, when only one item in the
+ * given states names it, a step id.
+ * @param {string} root
+ * @param {string} id
+ * @param {string[]} [states] - States to look in (default: all)
+ * @returns {object} Item as from listActions
+ * @throws {Error} When no item or more than one matches
+ */
+export function findAction(root, id, states = ACTION_STATES) {
+  const items = listActions(root).filter((item) => states.includes(item.state));
+  const name = String(id || "").replace(/\.md$/, "");
+  const byName = items.filter((item) => item.id === name);
+  const matches = byName.length ? byName : items.filter((item) => item.stepId === name);
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`No ${states.join(" or ")} action item ${id}`);
+  throw new Error(`${id} names more than one action item (${matches.map((m) => m.id).join(", ")}); give the full name`);
+}
+
+/**
+ * Mark an open (or deferred) action file resolved (rename to resolved_* in action_required); the
+ * runner processes it on its next iteration.
+ * @param {string} root
+ * @param {string} name - Action file name (no directories)
+ * @param {{ note?: string }} [opts] - note: how it was resolved (kept in the archive and on the step)
+ * @returns {{ from: string, to: string }} Names before and after
+ * @throws {Error} When the name is not an open or deferred action file or the resolved name is taken
+ */
+export function resolveActionFile(root, name, { note = null } = {}) {
+  const dir = actionRequiredDir(root);
+  const deferred = fs.existsSync(path.join(deferredActionsDir(root), name || ""));
+  if (!name || name !== path.basename(name) || !(deferred || listOpenActionFiles(root).includes(name))) {
+    throw new Error(`Not an open action file: ${name}`);
+  }
+  const to = resolvedName(name);
+  if (fs.existsSync(path.join(dir, to))) throw new Error(`${to} already exists in docs/TODO/action_required`);
+  const from = path.join(deferred ? deferredActionsDir(root) : dir, name);
+  appendActionLog(from, { event: "resolved", name, note });
+  fs.renameSync(from, path.join(dir, to));
+  return { from: name, to };
+}
+
+/**
+ * Defer an open action item: it moves to action_required/deferred/ and no longer blocks the runner.
+ * Its step stays pending; next-step.mjs skips it until the item is resolved or reopened.
+ * @param {string} root
+ * @param {string} name - Open action file name
+ * @param {{ note?: string }} [opts]
+ * @returns {{ from: string, to: string }} to: path relative to the project root
+ * @throws {Error} When the name is not an open action file or a deferred item has the same name
+ */
+export function deferActionFile(root, name, { note = null } = {}) {
+  if (!name || !listOpenActionFiles(root).includes(name)) throw new Error(`Not an open action file: ${name}`);
+  const dest = path.join(deferredActionsDir(root), name);
+  if (fs.existsSync(dest)) {
+    throw new Error(`docs/TODO/action_required/deferred/${name} already exists; resolve or remove it, then defer ${name} again`);
+  }
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  appendActionLog(path.join(actionRequiredDir(root), name), { event: "deferred", name, note });
+  fs.renameSync(path.join(actionRequiredDir(root), name), dest);
+  return { from: name, to: path.relative(root, dest) };
+}
+
+/**
+ * Reopen a resolved, deferred or archived action item: it goes back to action_required under its
+ * open name and blocks the runner again. The item's step is not moved back.
+ * @param {string} root
+ * @param {object} item - From findAction
+ * @param {{ note?: string }} [opts]
+ * @returns {{ from: string, to: string }} Paths relative to the project root
+ * @throws {Error} When the item is open or its open name is taken
+ */
+export function reopenAction(root, item, { note = null } = {}) {
+  if (item.state === "open") throw new Error(`${item.file} is already open`);
+  const src = path.join(root, item.path);
+  const name = openName(src);
+  const dest = path.join(actionRequiredDir(root), name);
+  if (fs.existsSync(dest)) throw new Error(`${name} already exists in docs/TODO/action_required`);
+  appendActionLog(src, { event: "reopened", name, note });
+  fs.renameSync(src, dest);
+  return { from: item.path, to: path.relative(root, dest) };
+}
+
+/**
+ * Move a processed resolved_* file to completed/actions/ (under its open name; a second
+ * resolution of the same item gets a numbered name) and log it.
+ * @param {string} root
+ * @param {string} file - resolved_* file name in action_required
+ * @param {{ note?: string }} [opts] - note: logged with the archive entry (e.g. who resolved it)
+ * @returns {{ dest: string, note: string|null, name: string }} dest: archived path; note: the resolution note
+ */
+export function archiveResolvedAction(root, file, { note = null } = {}) {
+  const src = path.join(actionRequiredDir(root), file);
+  const name = openName(src);
+  const resolved = readActionLog(fs.readFileSync(src, "utf8")).filter((e) => e.event === "resolved").pop();
+  const dir = completedActionsDir(root);
+  fs.mkdirSync(dir, { recursive: true });
+  let dest = path.join(dir, name);
+  for (let n = 2; fs.existsSync(dest); n++) dest = path.join(dir, `${path.basename(name, ".md")}_${n}.md`);
+  appendActionLog(src, { event: "archived", name, note });
+  fs.renameSync(src, dest);
+  return { dest, note: resolved ? resolved.note : null, name };
+}
+
+/**
+ * Attach a resolved action item to a completed step file ("## Action items" section), so the
+ * execution summary can cite the resolution.
+ * @param {string} stepPath - Completed step file
+ * @param {{ actionPath: string, event?: string, note?: string|null }} item - actionPath: the archived or deferred file
+ */
+export function attachActionNote(stepPath, { actionPath, event = "resolved", note = null }) {
+  const content = fs.readFileSync(stepPath, "utf8").trimEnd();
+  const base = content.includes(`\n${STEP_NOTES_HEADING}\n`) ? content : `${content}\n\n${STEP_NOTES_HEADING}\n`;
+  const link = `[${path.basename(actionPath)}](${path.relative(path.dirname(stepPath), actionPath).split(path.sep).join("/")})`;
+  const text = note ? `: ${String(note).replace(/\s+/g, " ").trim()}` : " (no note)";
+  fs.writeFileSync(stepPath, `${base}\n- ${new Date().toISOString()} ${event} ${link}${text}\n`, "utf8");
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Manages docs/TODO/action_required items (see action-files.mjs): list them, show one, resolve,
+ * defer or reopen them. Resolving renames the file to resolved_* like a hand rename; on its next
+ * iteration the runner completes the item's step, archives the file to docs/TODO/completed/actions/
+ * and attaches the note to the completed step.
+ * Run from project root.
+ *
+ * Usage:
+ *   node action.mjs list [--all] [--json]
+ *   node action.mjs show <id>
+ *   node action.mjs resolve <id> [--note TEXT]
+ *   node action.mjs defer <id> [--note TEXT]
+ *   node action.mjs reopen <id> [--note TEXT]
+ *
+ * <id> is the file name (with or without .md), or a step id when only one item names that step.
+ *
+ * Commands:
+ *   list     Open, resolved (waiting for the runner) and deferred items; --all adds archived ones.
+ *   show     Print an item's file, including its resolution log.
+ *   resolve  Mark an open or deferred item resolved.
+ *   defer    Move an open item to action_required/deferred/: it no longer blocks the runner, which
+ *            leaves its step pending and runs the other steps. The step is skipped until the item is
+ *            resolved (the runner then completes it) or reopened. The item stays listed until then.
+ *   reopen   Move a resolved, deferred or archived item back to action_required (blocks the runner
+ *            again). Its step stays where it is (a deferred item's step is still pending).
+ *
+ * Options:
+ *   --note TEXT  Why or how (kept in the item's resolution log; a resolve note is also attached to the step).
+ *   --all        list: include archived items.
+ *   --json       list: print the items as JSON.
+ *
+ * Exit codes:
+ *   0  Done.
+ *   1  Usage error, or no (or more than one) item matches the id.
+ */
+
+import fs from "fs";
+import path from "path";
+import { listActions, findAction, resolveActionFile, deferActionFile, reopenAction } from "./action-files.mjs";
+
+const ROOT = process.cwd();
+const COMMANDS = ["list", "show", "resolve", "defer", "reopen"];
+const USAGE = "Usage: node action.mjs list [--all] [--json] | show <id> | resolve <id> [--note TEXT] | defer <id> [--note TEXT] | reopen <id> [--note TEXT]";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null, id: null, note: null, all: false, json: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--note" && args[i + 1] !== undefined) {
+      opts.note = args[i + 1];
+      i++;
+    } else if (args[i] === "--all") {
+      opts.all = true;
+    } else if (args[i] === "--json") {
+      opts.json = true;
+    } else if (!args[i].startsWith("--")) {
+      if (!opts.command) opts.command = args[i];
+      else if (!opts.id) opts.id = args[i];
+    }
+  }
+  return opts;
+}
+
+function list({ all, json }) {
+  const items = listActions(ROOT).filter((item) => all || item.state !== "archived");
+  if (json) {
+    console.log(JSON.stringify(items, null, 2));
+    return;
+  }
+  if (items.length === 0) {
+    console.log(all ? "No action items." : "No action items (archived ones: --all).");
+    return;
+  }
+  for (const item of items) {
+    const note = item.note ? `\t${item.note}` : "";
+    console.log(`${item.state.padEnd(8)}\t${item.id}\t${item.stepId || "-"}\t${item.updated || ""}${note}`);
+  }
+}
+
+/** The open item to defer; for an item that is deferred already, say how to lift the deferral instead. */
+function findOpenToDefer(id) {
+  const names = (item) => item.id === id.replace(/\.md$/, "") || item.stepId === id;
+  const items = listActions(ROOT);
+  const deferred = items.find((item) => item.state === "deferred" && names(item));
+  if (deferred && !items.some((item) => item.state === "open" && names(item))) {
+    throw new Error(`${deferred.id} is already deferred. Resolve it when done (node action.mjs resolve ${deferred.id}), or reopen it to block the runner again (node action.mjs reopen ${deferred.id}).`);
+  }
+  return findAction(ROOT, id, ["open"]);
+}
+
+function main() {
+  const opts = parseArgs();
+  if (!COMMANDS.includes(opts.command) || (opts.command !== "list" && !opts.id)) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (opts.command === "list") {
+    list(opts);
+    return 0;
+  }
+
+  try {
+    if (opts.command === "show") {
+      const item = findAction(ROOT, opts.id);
+      console.log(`${item.path} (${item.state})\n`);
+      process.stdout.write(fs.readFileSync(path.join(ROOT, item.path), "utf8"));
+    } else if (opts.command === "resolve") {
+      const item = findAction(ROOT, opts.id, ["open", "deferred"]);
+      const res = resolveActionFile(ROOT, item.file, { note: opts.note });
+      console.log(`Resolved ${res.from} -> docs/TODO/action_required/${res.to}; the runner completes its step and archives it on its next iteration.`);
+    } else if (opts.command === "defer") {
+      const item = findOpenToDefer(opts.id);
+      const res = deferActionFile(ROOT, item.file, { note: opts.note });
+      console.log(`Deferred ${res.from} -> ${res.to}; it no longer blocks the runner.`);
+      if (item.stepId) console.log(`Step ${item.stepId} stays pending and is skipped until you resolve or reopen the item.`);
+    } else {
+      const item = findAction(ROOT, opts.id, ["resolved", "deferred", "archived"]);
+      const res = reopenAction(ROOT, item, { note: opts.note });
+      console.log(`Reopened ${res.from} -> ${res.to}; it blocks the runner again.`);
+      if (item.stepId && item.state === "archived") {
+        console.log(`If step ${item.stepId} is completed, it stays so; to run it again, move its file back to docs/TODO/active/steps/ (or use rollback-step.mjs with --git).`);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  return 0;
+}
+
+process.exit(main());
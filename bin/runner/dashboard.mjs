@@ -0,0 +1,299 @@
+/**
+ * Local web dashboard for run-steps.sh --serve PORT: the phase/TODO/step board (project-status.mjs),
+ * the steps currently running with their live tool-call feed, open action_required items (Markdown
+ * rendered, with a button that does the resolved_* rename) and the execution summaries in
+ * docs/TODO/completed/summaries. Live updates are pushed with server-sent events built from the
+ * run loop's events (run-loop.mjs), so the page needs no polling while a run is attached.
+ *
+ *   import { startDashboard } from "<runner-path>/bin/runner/dashboard.mjs";
+ *   const dashboard = await startDashboard({ root, port: 8377 });
+ *   dashboard.attach(runSteps({ root }));
+ *
+ * HTTP (bound to 127.0.0.1 by default):
+ *   GET  /                               Dashboard page (dashboard.html)
+ *   GET  /api/state                      { root, phase, run, steps, log, status, actions, summaries }
+ *   GET  /api/summaries/<file>           { file, html }
+ *   POST /api/actions/<file>/resolve     Rename an open action file to resolved_* -> { from, to }
+ *   POST /api/run                        Start another run (only when startRun was given and no run is active)
+ *   GET  /events                         SSE: feed, steps, log, run, board (board = refetch /api/state)
+ *
+ * POST requests from another origin are refused, so other web pages cannot resolve items.
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describeTool } from "../agents/tool-calls.mjs";
+import { loadProjectStatus } from "./project-status.mjs";
+import { resolveConfig } from "./project-config.mjs";
+import { actionRequiredDir, listOpenActionFiles, resolveActionFile } from "./action-files.mjs";
+import { renderMarkdown } from "./markdown.mjs";
+
+const PAGE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "dashboard.html");
+
+// Kept in memory: step runs shown, feed items per step run, runner log lines
+const MAX_STEP_RUNS = 6;
+const MAX_FEED_ITEMS = 400;
+const MAX_LOG_LINES = 300;
+
+/**
+ * Feed item for a normalized agent event (events.mjs), or null for events the feed skips
+ * (prompt, thinking, raw). Text deltas are merged into the previous text item by the caller.
+ */
+function feedItem(event) {
+  switch (event.type) {
+    case "init":
+      return { type: "init", label: `Agent started${event.model ? ` (${event.model})` : ""}` };
+    case "tool":
+      return {
+        type: "tool",
+        callId: event.callId,
+        category: event.tool ? event.tool.category : "other",
+        label: describeTool(event.tool),
+        state: event.subtype === "started" ? "running" : event.isError ? "error" : "done",
+      };
+    case "text":
+      return { type: "text", text: event.text || "", streaming: event.subtype === "delta" };
+    case "result": {
+      const secs = event.durationMs != null ? ` in ${Math.round(event.durationMs / 1000)}s` : "";
+      const tokens = event.usage && event.usage.totalTokens != null ? `, ${event.usage.totalTokens} tokens` : "";
+      return { type: "result", label: `${event.isError ? "Failed" : "Finished"}${secs}${tokens}`, state: event.isError ? "error" : "done" };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Start the dashboard server.
+ * @param {{ root: string, port: number, host?: string, phase?: string|null, startRun?: (() => import("events").EventEmitter)|null }} opts
+ *   port 0 picks a free port; phase filters the board like status.mjs --phase; startRun enables "Run again"
+ * @returns {Promise<{ url: string, server: http.Server, attach: (run: import("events").EventEmitter) => void, close: () => Promise<void> }>}
+ */
+export async function startDashboard({ root, port, host = "127.0.0.1", phase = null, startRun = null }) {
+  // Model routing of the board's next step (project config is read once, at start)
+  const config = await resolveConfig(root);
+  const clients = new Set();
+  const stepRuns = []; // { key, stepId, stepFile, kind, model, run, parallel, state, started, ended, feed: [] }
+  const logLines = [];
+  const run = { active: false, exitCode: null, runs: 0, started: null, ended: null, canRestart: !!startRun };
+  let nextItemId = 1;
+
+  const send = (event, data) => {
+    const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(chunk);
+  };
+  const stepsView = () => stepRuns.map(({ feed, ...rest }) => ({ ...rest, feedLength: feed.length }));
+  const sendSteps = () => send("steps", stepsView());
+  const board = () => send("board", {});
+
+  const stepRunFor = (key, init = {}) => {
+    let entry = [...stepRuns].reverse().find((s) => s.key === key && s.state === "running");
+    if (!entry) {
+      entry = { key, stepId: null, stepFile: null, kind: "step", model: null, run: null, parallel: false, attempt: 1, state: "running", started: Date.now(), ended: null, feed: [], ...init };
+      stepRuns.push(entry);
+      if (stepRuns.length > MAX_STEP_RUNS) stepRuns.splice(0, stepRuns.length - MAX_STEP_RUNS);
+      sendSteps();
+    }
+    return entry;
+  };
+  const finishStepRun = (key, state) => {
+    const entry = [...stepRuns].reverse().find((s) => s.key === key && s.state === "running");
+    if (!entry) return;
+    entry.state = state;
+    entry.ended = Date.now();
+    sendSteps();
+  };
+  const pushFeed = (entry, item) => {
+    // Streaming text is merged into one item per message
+    const last = entry.feed[entry.feed.length - 1];
+    if (item.type === "text" && last && last.type === "text" && last.streaming) {
+      last.text = item.streaming ? last.text + item.text : item.text;
+      last.streaming = item.streaming;
+      send("feed", { key: entry.key, item: last });
+      return;
+    }
+    if (item.type === "tool" && item.state !== "running") {
+      const started = entry.feed.find((f) => f.type === "tool" && f.callId && f.callId === item.callId);
+      if (started) {
+        started.state = item.state;
+        send("feed", { key: entry.key, item: started });
+        return;
+      }
+    }
+    const stored = { id: nextItemId++, ts: Date.now(), ...item };
+    entry.feed.push(stored);
+    if (entry.feed.length > MAX_FEED_ITEMS) entry.feed.splice(0, entry.feed.length - MAX_FEED_ITEMS);
+    send("feed", { key: entry.key, item: stored });
+  };
+
+  /** Follow a run loop emitter (runSteps()). */
+  const attach = (emitter) => {
+    Object.assign(run, { active: true, exitCode: null, runs: 0, started: Date.now(), ended: null });
+    send("run", run);
+    board();
+    emitter.on("log", ({ message, stream }) => {
+      const line = { ts: Date.now(), message, stream };
+      logLines.push(line);
+      if (logLines.length > MAX_LOG_LINES) logLines.splice(0, logLines.length - MAX_LOG_LINES);
+      send("log", line);
+    });
+    emitter.on("step:start", ({ stepId, stepFile, model, run: n, parallel }) => {
+      finishStepRun(stepId, "interrupted");
+      stepRunFor(stepId, { stepId, stepFile, model, run: n, parallel });
+      board();
+    });
+    emitter.on("agent:event", ({ kind, stepId, event }) => {
+      const item = feedItem(event);
+      if (!item) return;
+      const key = kind === "summary" ? "summary" : stepId;
+      pushFeed(stepRunFor(key, kind === "summary" ? { kind, stepFile: "Execution summary" } : { stepId }), item);
+    });
+    emitter.on("agent:done", ({ kind, stepId, exitCode }) => {
+      if (kind === "summary") finishStepRun("summary", exitCode === 0 ? "completed" : "failed");
+    });
+    emitter.on("verify:done", ({ stepId, passed, commands }) => {
+      if (!commands || commands.length === 0) return;
+      pushFeed(stepRunFor(stepId, { stepId }), {
+        type: "verify",
+        label: `Verification ${passed ? "passed" : "failed"} (${commands.length} command${commands.length === 1 ? "" : "s"})`,
+        state: passed ? "done" : "error",
+      });
+    });
+    emitter.on("step:retry", ({ stepId, attempt, maxAttempts, model }) => {
+      const entry = stepRunFor(stepId, { stepId });
+      entry.attempt = attempt;
+      entry.model = model;
+      pushFeed(entry, { type: "retry", label: `Retrying: attempt ${attempt} of ${maxAttempts}${model ? ` with ${model}` : ""}`, state: "running" });
+      sendSteps();
+    });
+    emitter.on("step:completed", ({ stepId }) => {
+      finishStepRun(stepId, "completed");
+      board();
+    });
+    emitter.on("blocked", () => {
+      for (const entry of stepRuns) if (entry.state === "running") finishStepRun(entry.key, "blocked");
+      board();
+    });
+    emitter.on("phase:done", board);
+    emitter.on("summary:written", board);
+    emitter.on("end", ({ exitCode, runs }) => {
+      for (const entry of stepRuns) if (entry.state === "running") finishStepRun(entry.key, "stopped");
+      Object.assign(run, { active: false, exitCode, runs, ended: Date.now() });
+      send("run", run);
+      board();
+    });
+  };
+
+  const summariesDir = path.join(root, "docs", "TODO", "completed", "summaries");
+  const listSummaries = () => {
+    if (!fs.existsSync(summariesDir)) return [];
+    return fs
+      .readdirSync(summariesDir)
+      .filter((f) => f.endsWith(".md"))
+      .map((file) => ({ file, modified: fs.statSync(path.join(summariesDir, file)).mtime.toISOString() }))
+      .sort((a, b) => (a.modified < b.modified ? 1 : -1));
+  };
+  const readActions = () =>
+    listOpenActionFiles(root).map((file) => {
+      let markdown = "";
+      try {
+        markdown = fs.readFileSync(path.join(actionRequiredDir(root), file), "utf8");
+      } catch {
+        // Removed between listing and reading
+      }
+      const kind = file.startsWith("manual_test_") ? "manual_test" : file.startsWith("take_action_") ? "take_action" : "other";
+      return { file, kind, html: renderMarkdown(markdown) };
+    });
+  const state = () => ({
+    root,
+    phase,
+    run,
+    steps: stepRuns,
+    log: logLines,
+    status: loadProjectStatus(root, { phase, config }),
+    actions: readActions(),
+    summaries: listSummaries(),
+  });
+
+  const json = (res, code, body) => {
+    res.writeHead(code, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body));
+  };
+  const sameOrigin = (req) => !req.headers.origin || req.headers.origin === `http://${req.headers.host}`;
+
+  const handle = (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    if (req.method === "POST" && !sameOrigin(req)) return json(res, 403, { error: "Cross-origin request refused" });
+
+    if (req.method === "GET" && url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      return res.end(fs.readFileSync(PAGE_PATH, "utf8"));
+    }
+    if (req.method === "GET" && url.pathname === "/api/state") return json(res, 200, state());
+    if (req.method === "GET" && parts[0] === "api" && parts[1] === "summaries" && parts.length === 3) {
+      const file = parts[2];
+      if (file !== path.basename(file) || !listSummaries().some((s) => s.file === file)) return json(res, 404, { error: `No summary ${file}` });
+      return json(res, 200, { file, html: renderMarkdown(fs.readFileSync(path.join(summariesDir, file), "utf8")) });
+    }
+    if (req.method === "POST" && parts[0] === "api" && parts[1] === "actions" && parts[3] === "resolve" && parts.length === 4) {
+      try {
+        const result = resolveActionFile(root, parts[2]);
+        board();
+        return json(res, 200, result);
+      } catch (err) {
+        return json(res, 409, { error: err.message });
+      }
+    }
+    if (req.method === "POST" && url.pathname === "/api/run") {
+      if (!startRun) return json(res, 501, { error: "This dashboard cannot start runs" });
+      if (run.active) return json(res, 409, { error: "A run is already active" });
+      attach(startRun());
+      return json(res, 202, { started: true });
+    }
+    if (req.method === "GET" && url.pathname === "/events") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+      res.write("retry: 2000\n\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+    json(res, 404, { error: "Not found" });
+  };
+
+  const server = http.createServer((req, res) => {
+    try {
+      handle(req, res);
+    } catch (err) {
+      if (!res.headersSent) json(res, 500, { error: err.message });
+      else res.end();
+    }
+  });
+  // Keep SSE connections alive through proxies and idle timeouts
+  const ping = setInterval(() => {
+    for (const res of clients) res.write(": ping\n\n");
+  }, 20000);
+  ping.unref();
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      const { port: actual } = server.address();
+      resolve({
+        url: `http://${host}:${actual}/`,
+        server,
+        attach,
+        close: () =>
+          new Promise((done) => {
+            clearInterval(ping);
+            for (const res of clients) res.end();
+            clients.clear();
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+}
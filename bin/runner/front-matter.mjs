@@ -0,0 +1,109 @@
+/**
+ * YAML front matter of step and TODO files: a block between two "---" lines at the very top of the
+ * file. Only the subset the metadata needs is read:
+ *
+ *   ---
+ *   id: P1_01.02
+ *   depends_on: [P1_01.01]        # inline list, or "- item" lines below the key (indented or not), or "none"
+ *   model: gpt-5.2
+ *   timeout: 45m
+ *   tags:
+ *     - migration
+ *   manual: skip
+ *   priority: high
+ *   status: "in progress"
+ *   ---
+ *
+ * Values are strings (quoted or not), numbers, true/false, null (~ or empty) and lists of those.
+ * Nested maps, multi-line strings and anchors are not supported; they make the block invalid.
+ * What the fields mean and how they fall back to the Markdown conventions is in step-files.mjs
+ * (readStepMeta, readTodoMeta).
+ */
+
+const OPEN_REGEX = /^\uFEFF?---[ \t]*\r?\n/;
+const CLOSE_REGEX = /^(?:---|\.\.\.)[ \t]*$/;
+const KEY_REGEX = /^([A-Za-z_][\w-]*)[ \t]*:(?:[ \t]+(.*))?$/;
+// "- item" under a key with an empty value, indented or at column 0 (both are block lists in YAML)
+const ITEM_REGEX = /^[ \t]*-(?:[ \t]+(.*))?$/;
+
+/** A scalar: quoted string, true/false, null, number, else the plain text without a trailing comment. */
+function parseScalar(text) {
+  const value = String(text ?? "").trim();
+  const quoted = value.match(/^"((?:[^"\\]|\\.)*)"(?:\s+#.*)?$/) || value.match(/^'((?:[^']|'')*)'(?:\s+#.*)?$/);
+  if (quoted) return value.startsWith('"') ? quoted[1].replace(/\\(.)/g, "$1") : quoted[1].replace(/''/g, "'");
+  const plain = value.replace(/(?:^|\s+)#.*$/, "").trim();
+  if (plain === "" || plain === "~" || plain === "null") return null;
+  if (plain === "true" || plain === "false") return plain === "true";
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+/** An inline list "[a, "b c", 3]". */
+function parseInlineList(text) {
+  const inner = text.trim().replace(/^\[/, "").replace(/\](?:\s+#.*)?$/, "").trim();
+  if (!inner) return [];
+  return (inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || []).map(parseScalar).filter((v) => v !== null);
+}
+
+/**
+ * Split a file into its front matter and the rest.
+ * @param {string} content - File content
+ * @returns {{ data: object|null, body: string, error: string|null }} data: null without front matter (or when it
+ *   is invalid); body: the content after it (all of it without); error: why the block could not be read
+ */
+export function parseFrontMatter(content) {
+  const text = String(content || "");
+  const open = text.match(OPEN_REGEX);
+  if (!open) return { data: null, body: text, error: null };
+  const lines = text.slice(open[0].length).split("\n");
+  const end = lines.findIndex((l) => CLOSE_REGEX.test(l.replace(/\r$/, "")));
+  if (end < 0) return { data: null, body: text, error: "Front matter is not closed (no '---' line after it)" };
+  const body = lines.slice(end + 1).join("\n");
+
+  const data = {};
+  let listKey = null;
+  for (let i = 0; i < end; i++) {
+    const line = lines[i].replace(/\r$/, "");
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const item = line.match(ITEM_REGEX);
+    if (item && listKey) {
+      const value = parseScalar(item[1]);
+      if (value !== null) data[listKey].push(value);
+      continue;
+    }
+    const key = line.match(KEY_REGEX);
+    if (!key) return { data: null, body, error: `Front matter line ${i + 2} is not "key: value": ${line.trim()}` };
+    const [, name, raw = ""] = key;
+    if (Object.prototype.hasOwnProperty.call(data, name)) return { data: null, body, error: `Front matter key '${name}' is given twice` };
+    listKey = null;
+    if (raw.trim() === "" || /^#/.test(raw.trim())) {
+      // A list may follow on "- item" lines; otherwise the value is null
+      const next = lines.slice(i + 1, end).find((l) => l.trim() && !/^\s*#/.test(l));
+      if (next !== undefined && ITEM_REGEX.test(next.replace(/\r$/, ""))) {
+        data[name] = [];
+        listKey = name;
+      } else {
+        data[name] = null;
+      }
+    } else if (raw.trim().startsWith("[")) {
+      data[name] = parseInlineList(raw);
+    } else if (/^[|>{&*!]/.test(raw.trim())) {
+      return { data: null, body, error: `Front matter key '${name}': block strings, maps, anchors and tags are not supported` };
+    } else {
+      data[name] = parseScalar(raw);
+    }
+  }
+  return { data, body, error: null };
+}
+
+/**
+ * A front matter value as a list: lists as they are, a string split at commas and white space,
+ * null and undefined as [].
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function frontMatterList(value) {
+  if (value === null || value === undefined) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
@@ -0,0 +1,255 @@
+/**
+ * Front matter parser (front-matter.mjs) and the metadata readers built on it (step-files.mjs
+ * readStepMeta, readTodoMeta): which value wins when front matter and the Markdown conventions
+ * disagree, and the fallback to the Markdown fields when the block is missing or invalid.
+ */
+
+import { parseFrontMatter, frontMatterList } from "./front-matter.mjs";
+import { readStepMeta, readTodoMeta } from "./step-files.mjs";
+
+const block = (...lines) => ["---", ...lines, "---", "# Body", ""].join("\n");
+
+describe("parseFrontMatter", () => {
+  test.each([
+    ["plain string", "model: gpt-5.2", { model: "gpt-5.2" }],
+    ["integer", "timeout: 45", { timeout: 45 }],
+    ["negative decimal", "weight: -1.5", { weight: -1.5 }],
+    ["true", "manual: true", { manual: true }],
+    ["false", "manual: false", { manual: false }],
+    ["null", "model: null", { model: null }],
+    ["tilde", "model: ~", { model: null }],
+    ["empty value", "model:", { model: null }],
+    ["double-quoted string", 'status: "in progress"', { status: "in progress" }],
+    ["double-quoted escapes", 'status: "say \\"hi\\""', { status: 'say "hi"' }],
+    ["single-quoted string", "status: 'it''s done'", { status: "it's done" }],
+    ["quoted number stays a string", 'id: "42"', { id: "42" }],
+    ["quoted # is not a comment", 'tag: "#1"', { tag: "#1" }],
+    ["trailing comment", "model: gpt-5.2   # the big one", { model: "gpt-5.2" }],
+    ["# inside a word is not a comment", "model: c#sharp", { model: "c#sharp" }],
+    ["inline list", "depends_on: [P1_01.01, P1_01.02]", { depends_on: ["P1_01.01", "P1_01.02"] }],
+    ["inline list with quoted items", "tags: [\"a, b\", 'c', 3]", { tags: ["a, b", "c", 3] }],
+    ["inline list with a comment", "tags: [a, b] # two", { tags: ["a", "b"] }],
+    ["empty inline list", "tags: []", { tags: [] }],
+    ["inline list drops nulls", "tags: [a, null, ~]", { tags: ["a"] }],
+  ])("%s", (_, line, expected) => {
+    const { data, error } = parseFrontMatter(block(line));
+    expect(error).toBeNull();
+    expect(data).toEqual(expected);
+  });
+
+  test("block lists, comment lines and blank lines", () => {
+    const { data, error, body } = parseFrontMatter(
+      block("# a comment", "tags:", "  - migration", "", "  # between items", "  - 'db'", "depends_on:", "  - P1_01.01", "model: fast")
+    );
+    expect(error).toBeNull();
+    expect(data).toEqual({ tags: ["migration", "db"], depends_on: ["P1_01.01"], model: "fast" });
+    expect(body).toBe("# Body\n");
+  });
+
+  test("block list items at column 0", () => {
+    const { data, error } = parseFrontMatter(block("depends_on:", "- P1_01.01", "- P1_01.02 # second", "tags:", "  - db", "- api", "model: fast"));
+    expect(error).toBeNull();
+    expect(data).toEqual({ depends_on: ["P1_01.01", "P1_01.02"], tags: ["db", "api"], model: "fast" });
+  });
+
+  test("an item without a key above it is still malformed", () => {
+    expect(parseFrontMatter(block("model: fast", "- P1_01.01"))).toMatchObject({ data: null, error: expect.stringMatching(/line 3 is not "key: value"/) });
+  });
+
+  test("a key without a value and without items below it is null", () => {
+    expect(parseFrontMatter(block("model:", "priority: high")).data).toEqual({ model: null, priority: "high" });
+  });
+
+  test("closes on '...', handles CRLF and a byte order mark", () => {
+    expect(parseFrontMatter("---\nmodel: a\n...\nbody").data).toEqual({ model: "a" });
+    const crlf = parseFrontMatter("﻿---\r\nmodel: a\r\ntags:\r\n  - x\r\n---\r\nbody");
+    expect(crlf.data).toEqual({ model: "a", tags: ["x"] });
+    expect(crlf.body).toBe("body");
+  });
+
+  test.each([
+    ["no front matter", "# Step\n\nmodel: x\n"],
+    ["empty file", ""],
+    ["null content", null],
+    ["--- not on the first line", "\n---\nmodel: x\n---\n"],
+  ])("%s: no data, the whole content is the body", (_, content) => {
+    const result = parseFrontMatter(content);
+    expect(result).toEqual({ data: null, body: String(content || ""), error: null });
+  });
+
+  test.each([
+    ["not closed", "---\nmodel: x\n# Step\n", /not closed/],
+    ["line without a key", block("model: x", "just text"), /line 3 is not "key: value"/],
+    ["duplicate key", block("model: x", "model: y"), /'model' is given twice/],
+    ["nested map", block("routing:", "  fast: x"), /is not "key: value"/],
+    ["block string", block("notes: |", "  text"), /block strings/],
+    ["inline map", block("notes: {a: 1}"), /block strings, maps/],
+    ["anchor", block("model: &m x"), /block strings, maps, anchors/],
+  ])("malformed (%s): no data and an error", (_, content, message) => {
+    const { data, error } = parseFrontMatter(content);
+    expect(data).toBeNull();
+    expect(error).toMatch(message);
+  });
+
+  test("an unclosed block leaves the whole content as the body", () => {
+    const content = "---\nmodel: x\n# Step\n";
+    expect(parseFrontMatter(content).body).toBe(content);
+  });
+});
+
+describe("frontMatterList", () => {
+  test.each([
+    [["a", " b ", ""], ["a", "b"]],
+    ["a, b  c", ["a", "b", "c"]],
+    [null, []],
+    [undefined, []],
+    [3, ["3"]],
+  ])("%j -> %j", (value, expected) => {
+    expect(frontMatterList(value)).toEqual(expected);
+  });
+});
+
+/** A step file in the Markdown conventions, optionally with front matter on top. */
+function stepContent(frontMatter = null, { dependsOn = "P1_01.01", timeout = "30m", tags = "backend" } = {}) {
+  const markdown = `# Step P1_01.02\n\nTimeout: ${timeout}\nTags: ${tags}\n\n## Goal\nx\n\n## Depends on\n${dependsOn}\n\n## Tasks\n- x\n`;
+  return frontMatter ? `---\n${frontMatter.join("\n")}\n---\n${markdown}` : markdown;
+}
+
+describe("readStepMeta", () => {
+  const filename = "P1_01.02_beta.md";
+
+  test("Markdown fields without front matter", () => {
+    const meta = readStepMeta(filename, stepContent());
+    expect(meta).toMatchObject({
+      id: "P1_01.02",
+      dependsOn: ["P1_01.01"],
+      timeout: { raw: "30m", seconds: 1800 },
+      tags: ["backend"],
+      model: null,
+      manual: null,
+      priority: null,
+      status: null,
+      cancelled: false,
+      gui: false,
+      frontMatter: null,
+      problems: [],
+    });
+  });
+
+  test("front matter wins over the Markdown fields", () => {
+    const meta = readStepMeta(
+      filename,
+      stepContent(["depends_on: [P1_02, P2]", "timeout: 45m", "tags: [Migration, db]", "model: gpt-5.2", "manual: Skip", "priority: high", "status: cancelled"])
+    );
+    expect(meta).toMatchObject({
+      dependsOn: ["P1_02", "P2"],
+      timeout: { raw: "45m", seconds: 2700 },
+      tags: ["migration", "db"],
+      model: "gpt-5.2",
+      manual: "skip",
+      priority: "HIGH",
+      status: "CANCELLED",
+      cancelled: true,
+      problems: [],
+    });
+  });
+
+  test("depends_on items at column 0 win over the Markdown dependencies", () => {
+    const meta = readStepMeta(filename, stepContent(["depends_on:", "- P1_02.01", "- P1_02.02"]));
+    expect(meta.dependsOn).toEqual(["P1_02.01", "P1_02.02"]);
+    expect(meta.problems).toEqual([]);
+  });
+
+  test("depends_on: none in front matter clears the Markdown dependencies", () => {
+    expect(readStepMeta(filename, stepContent(["depends_on: none"])).dependsOn).toEqual([]);
+  });
+
+  test("keys the front matter leaves out fall back to the Markdown fields", () => {
+    const meta = readStepMeta(filename, stepContent(["model: fast"]));
+    expect(meta).toMatchObject({ model: "fast", dependsOn: ["P1_01.01"], timeout: { raw: "30m", seconds: 1800 }, tags: ["backend"] });
+  });
+
+  test("malformed front matter is ignored: Markdown fields and an error", () => {
+    const meta = readStepMeta(filename, stepContent(["depends_on: [P1_03.01]", "model: fast", "model: slow"]));
+    expect(meta.frontMatter).toBeNull();
+    expect(meta.model).toBeNull();
+    expect(meta.dependsOn).toEqual(["P1_01.01"]);
+    expect(meta.timeout).toEqual({ raw: "30m", seconds: 1800 });
+    expect(meta.problems).toEqual([{ level: "error", message: "Front matter key 'model' is given twice; its fields are ignored" }]);
+  });
+
+  test("invalid values are dropped with warnings; a bad dependency id is an error", () => {
+    const meta = readStepMeta(
+      filename,
+      stepContent(["id: P1_01.09", "priority: urgent", "status: done", "manual: maybe", "owner: me", "depends_on: [P1_01.01, step-one]"])
+    );
+    expect(meta).toMatchObject({ id: "P1_01.02", priority: null, manual: null, cancelled: false });
+    expect(meta.problems.map((p) => p.level)).toEqual(["warning", "warning", "warning", "warning", "warning", "error"]);
+    expect(meta.problems.map((p) => p.message).join("\n")).toMatch(/owner[\s\S]*P1_01\.09[\s\S]*manual[\s\S]*priority[\s\S]*status[\s\S]*step-one/);
+  });
+
+  test("GUI marker and missing content", () => {
+    expect(readStepMeta("P1_01.03_GUI_screen.md", null)).toMatchObject({ id: "P1_01.03", gui: true, dependsOn: [], timeout: null, tags: [] });
+  });
+});
+
+/** A TODO file in the header conventions, optionally with front matter on top. */
+function todoContent(frontMatter = null, { status = "IN PROGRESS", priority = "HIGH" } = {}) {
+  const header = `Feature Name:\nOffline Maps\n\nStatus:\n${status}\n\nPriority: ${priority} (blocks P2)\n\nType:\nBACKEND\n\nTags: maps\n`;
+  return frontMatter ? `---\n${frontMatter.join("\n")}\n---\n${header}` : header;
+}
+
+describe("readTodoMeta", () => {
+  const filename = "P2_04_Offline_Maps.md";
+
+  test("header fields without front matter", () => {
+    expect(readTodoMeta(filename, todoContent())).toMatchObject({
+      id: "P2_04",
+      name: "Offline Maps",
+      status: "IN PROGRESS",
+      priority: "HIGH",
+      type: "BACKEND",
+      tags: ["maps"],
+      model: null,
+      manual: null,
+      cancelled: false,
+      frontMatter: null,
+      problems: [],
+    });
+  });
+
+  test("front matter wins over the header fields", () => {
+    const meta = readTodoMeta(
+      filename,
+      todoContent(["feature_name: Map Cache", "status: cancelled", "priority: low", "type: gui", "tags: [Cache]", "model: fast", "manual: block"])
+    );
+    expect(meta).toMatchObject({
+      name: "Map Cache",
+      status: "CANCELLED",
+      priority: "LOW",
+      type: "GUI",
+      tags: ["cache"],
+      model: "fast",
+      manual: "block",
+      cancelled: true,
+      problems: [],
+    });
+  });
+
+  test("keys the front matter leaves out fall back to the header fields", () => {
+    expect(readTodoMeta(filename, todoContent(["priority: critical"]))).toMatchObject({ priority: "CRITICAL", status: "IN PROGRESS", name: "Offline Maps", tags: ["maps"] });
+  });
+
+  test("malformed front matter is ignored: header fields and an error", () => {
+    const meta = readTodoMeta(filename, todoContent(["priority: low", "owner:", "  team: maps"]));
+    expect(meta).toMatchObject({ priority: "HIGH", status: "IN PROGRESS", frontMatter: null });
+    expect(meta.problems).toHaveLength(1);
+    expect(meta.problems[0]).toMatchObject({ level: "error" });
+    expect(meta.problems[0].message).toMatch(/is not "key: value".*its fields are ignored/);
+  });
+
+  test("unfilled template values count as unset", () => {
+    const meta = readTodoMeta("P2_05_<Name>.md", "Feature Name:\n<Feature Name>\n\nStatus:\nTODO | IN PROGRESS | DONE\n\nPriority:\nLOW | MEDIUM | HIGH | CRITICAL\n");
+    expect(meta).toMatchObject({ id: "P2_05", name: null, status: null, priority: null });
+  });
+});
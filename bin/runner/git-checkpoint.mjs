@@ -0,0 +1,263 @@
+/**
+ * Git checkpoints for run-steps.sh --git: the run loop records HEAD before each step, commits the
+ * step's changes once it is completed and saves them as docs/TODO/completed/patches/<stepId>.patch.
+ * rollback-step.mjs restores a step's checkpoint.
+ *
+ * Project files are everything outside docs/TODO. They must be clean before a step runs (dirty
+ * changes are stashed), so the step's commit and patch hold only its own changes. Step commits
+ * also include docs/TODO (step and TODO moves), but never docs/TODO/runner.
+ *
+ * Checkpoint file: docs/TODO/runner/checkpoints/<stepId>.json
+ *   { stepId, stepFile, head, stash, created, commit }
+ *   head    Commit the step started from.
+ *   stash   Stash commit of the project changes stashed before the step (null if the tree was clean).
+ *   commit  Step commit once completed (null until then).
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { todoIdFromStepId } from "./step-files.mjs";
+
+// Pathspecs relative to the project root (the project may live in a subdirectory of the repo)
+const PROJECT_FILES = ["--", ".", ":(exclude)docs/TODO"];
+const COMMITTED_FILES = ["--", ".", ":(exclude)docs/TODO/runner"];
+
+function git(root, args, opts = {}) {
+  const res = spawnSync("git", args, { cwd: root, encoding: "utf8", maxBuffer: 256 * 1024 * 1024 });
+  if (res.status !== 0 && !opts.allowFail) {
+    throw new Error(`git ${args.join(" ")} failed: ${(res.stderr || res.stdout || "").trim()}`);
+  }
+  return res;
+}
+
+function checkpointPath(root, stepId) {
+  return path.join(root, "docs", "TODO", "runner", "checkpoints", `${stepId}.json`);
+}
+
+/**
+ * Patch file of a completed step (relative to the project root).
+ * @param {string} stepId
+ * @returns {string}
+ */
+export function patchFile(stepId) {
+  return path.join("docs", "TODO", "completed", "patches", `${stepId}.patch`);
+}
+
+/**
+ * Why --git cannot be used in this project (null when it can).
+ * @param {string} root
+ * @returns {string|null}
+ */
+export function gitModeProblem(root) {
+  if (git(root, ["rev-parse", "--is-inside-work-tree"], { allowFail: true }).status !== 0) {
+    return "--git requires the project root to be a git repository.";
+  }
+  if (git(root, ["rev-parse", "--verify", "-q", "HEAD"], { allowFail: true }).status !== 0) {
+    return "--git requires at least one commit (checkpoints are commits).";
+  }
+  return null;
+}
+
+/**
+ * Changed or untracked project files (outside docs/TODO), as `git status --porcelain` lines.
+ * @param {string} root
+ * @returns {string[]}
+ */
+export function dirtyProjectFiles(root) {
+  return git(root, ["status", "--porcelain", ...PROJECT_FILES]).stdout.split("\n").filter(Boolean);
+}
+
+/**
+ * Checkpoint of a step, or null.
+ * @param {string} root
+ * @param {string} stepId
+ * @returns {object|null}
+ */
+export function readCheckpoint(root, stepId) {
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath(root, stepId), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeCheckpoint(root, checkpoint) {
+  const file = checkpointPath(root, checkpoint.stepId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(checkpoint, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Stash dirty project files (outside docs/TODO, untracked included).
+ * @param {string} root
+ * @param {string} message
+ * @returns {string|null} Stash commit, or null when there was nothing to stash
+ */
+export function stashProjectChanges(root, message) {
+  if (dirtyProjectFiles(root).length === 0) return null;
+  git(root, ["stash", "push", "--include-untracked", "-m", message, ...PROJECT_FILES]);
+  return git(root, ["rev-parse", "stash@{0}"]).stdout.trim();
+}
+
+/**
+ * Record the checkpoint a step starts from. A step that already has one (re-run after a blocker,
+ * or a retry) keeps it, and its leftover changes stay in the tree. Otherwise dirty project files
+ * are stashed first, unless stash is false.
+ * @param {string} root
+ * @param {{ stepId: string, stepFile: string, stash?: boolean }} opts
+ * @returns {{ checkpoint: object, created: boolean }}
+ */
+export function prepareCheckpoint(root, { stepId, stepFile, stash = true }) {
+  const existing = readCheckpoint(root, stepId);
+  if (existing && !existing.commit) return { checkpoint: existing, created: false };
+  const stashed = stash ? stashProjectChanges(root, `todo-runner: before ${stepId}`) : null;
+  const checkpoint = {
+    stepId,
+    stepFile,
+    head: git(root, ["rev-parse", "HEAD"]).stdout.trim(),
+    stash: stashed,
+    created: new Date().toISOString(),
+    commit: null,
+  };
+  writeCheckpoint(root, checkpoint);
+  return { checkpoint, created: true };
+}
+
+/**
+ * Commit subject for a step: "<stepId>: <title>" (title from the step file's first heading, else its slug).
+ * @param {string} stepId
+ * @param {string} stepPath
+ * @returns {string}
+ */
+export function commitSubject(stepId, stepPath) {
+  let title = "";
+  try {
+    const heading = fs.readFileSync(stepPath, "utf8").match(/^#\s+(.+)$/m);
+    if (heading) {
+      title = heading[1]
+        .replace(/^step\s*/i, "")
+        .replace(stepId, "")
+        .replace(/^[\s:.\-—–]+/, "")
+        .trim();
+    }
+  } catch {
+    // Fall back to the slug
+  }
+  if (!title) {
+    title = path.basename(stepPath, ".md").slice(stepId.length + 1).replace(/_/g, " ");
+  }
+  return `${stepId}: ${title}`;
+}
+
+/**
+ * Commit a completed step: save its patch (project changes since the checkpoint) and commit it
+ * together with the docs/TODO moves.
+ * @param {string} root
+ * @param {{ stepId: string, stepPath: string, note?: string }} opts - stepPath: step file in completed/steps
+ * @returns {{ commit: string|null, patch: string|null, subject: string }} commit null when there was nothing to commit
+ */
+export function commitStep(root, { stepId, stepPath, note }) {
+  const checkpoint = readCheckpoint(root, stepId);
+  const base = checkpoint ? checkpoint.head : git(root, ["rev-parse", "HEAD"]).stdout.trim();
+  git(root, ["add", "-A", ...COMMITTED_FILES]);
+
+  let patch = null;
+  const diff = git(root, ["diff", "--cached", "--binary", base, ...PROJECT_FILES]).stdout;
+  if (diff.trim()) {
+    patch = patchFile(stepId);
+    fs.mkdirSync(path.join(root, path.dirname(patch)), { recursive: true });
+    fs.writeFileSync(path.join(root, patch), diff, "utf8");
+    git(root, ["add", "--", patch]);
+  }
+
+  const subject = commitSubject(stepId, stepPath);
+  if (git(root, ["diff", "--cached", "--quiet"], { allowFail: true }).status === 0) {
+    return { commit: null, patch, subject };
+  }
+  const body = [
+    `Step file: ${path.relative(root, stepPath)}`,
+    ...(patch ? [`Patch: ${patch}`] : []),
+    ...(note ? [note] : []),
+    "",
+    "Committed by the TODO runner (--git).",
+  ].join("\n");
+  git(root, ["commit", "-q", "-m", subject, "-m", body]);
+  const commit = git(root, ["rev-parse", "HEAD"]).stdout.trim();
+  if (checkpoint) writeCheckpoint(root, { ...checkpoint, commit });
+  return { commit, patch, subject };
+}
+
+/**
+ * Restore a step's checkpoint: reset project files to the commit the step started from, move the
+ * step file (and its TODO) back to active, and remove the step's action_required files and patch.
+ * Refuses when later commits sit on top of the step, unless force; steps committed by those are
+ * moved back too.
+ * @param {string} root
+ * @param {string} stepId
+ * @param {{ force?: boolean }} [opts]
+ * @returns {{ checkpoint: object, undone: string[], steps: { stepId: string, stepFile: string|null, todoFile: string|null, removed: string[] }[] }}
+ *   undone: "<sha> <subject>" of the commits that were reset; steps: the rolled-back step first
+ */
+export function rollbackStep(root, stepId, { force = false } = {}) {
+  const checkpoint = readCheckpoint(root, stepId);
+  if (!checkpoint) throw new Error(`No checkpoint for ${stepId} (steps get one when run with --git).`);
+  if (git(root, ["cat-file", "-e", `${checkpoint.head}^{commit}`], { allowFail: true }).status !== 0) {
+    throw new Error(`Checkpoint commit ${checkpoint.head} of ${stepId} no longer exists.`);
+  }
+
+  const later = git(root, ["rev-list", `${checkpoint.head}..HEAD`]).stdout.split("\n").filter(Boolean);
+  const onlyStepCommit = later.length === 0 || (later.length === 1 && later[0] === checkpoint.commit);
+  if (!onlyStepCommit && !force) {
+    const subjects = git(root, ["log", "--format=  %h %s", `${checkpoint.head}..HEAD`]).stdout.trimEnd();
+    throw new Error(`Rolling back ${stepId} would also undo these commits:\n${subjects}\nRe-run with --force to undo them too.`);
+  }
+  const undone = later.length ? git(root, ["log", "--format=%h %s", `${checkpoint.head}..HEAD`]).stdout.split("\n").filter(Boolean) : [];
+
+  // Reset HEAD and the index; docs/TODO keeps its working copy (steps are moved below)
+  if (later.length) git(root, ["reset", "-q", "--mixed", checkpoint.head]);
+  git(root, ["checkout", checkpoint.head, ...PROJECT_FILES]);
+  git(root, ["clean", "-fdq", ...PROJECT_FILES]);
+
+  // The step itself, plus later steps whose commits were undone (--force)
+  const stepIds = [stepId];
+  const checkpointsDir = path.dirname(checkpointPath(root, stepId));
+  for (const f of fs.readdirSync(checkpointsDir).sort()) {
+    const other = readCheckpoint(root, path.basename(f, ".json"));
+    if (other && other.stepId !== stepId && other.commit && later.includes(other.commit)) stepIds.push(other.stepId);
+  }
+  const steps = stepIds.map((id) => ({ stepId: id, ...restoreStepDocs(root, id) }));
+  return { checkpoint, undone, steps };
+}
+
+/** Move a rolled-back step (and its TODO) back to active; remove its action_required files, patch and checkpoint. */
+function restoreStepDocs(root, stepId) {
+  const todoDir = path.join(root, "docs", "TODO");
+  const moveBack = (fromDir, toDir, prefix) => {
+    if (!fs.existsSync(fromDir)) return null;
+    const name = fs.readdirSync(fromDir).find((f) => f.startsWith(prefix) && f.endsWith(".md"));
+    if (!name || fs.existsSync(path.join(toDir, name))) return null;
+    fs.mkdirSync(toDir, { recursive: true });
+    fs.renameSync(path.join(fromDir, name), path.join(toDir, name));
+    return name;
+  };
+  const stepFile = moveBack(path.join(todoDir, "completed", "steps"), path.join(todoDir, "active", "steps"), `${stepId}_`);
+  const todoFile = moveBack(path.join(todoDir, "completed"), path.join(todoDir, "active"), `${todoIdFromStepId(stepId)}_`);
+
+  const removed = [];
+  const actionDir = path.join(todoDir, "action_required");
+  if (fs.existsSync(actionDir)) {
+    for (const f of fs.readdirSync(actionDir)) {
+      const rest = f.replace(/^(take_action|manual_test|resolved)_/, "");
+      if (!rest.startsWith(`${stepId}_`) && rest !== `${stepId}.md`) continue;
+      fs.rmSync(path.join(actionDir, f), { force: true });
+      removed.push(path.join("docs", "TODO", "action_required", f));
+    }
+  }
+  if (fs.existsSync(path.join(root, patchFile(stepId)))) {
+    fs.rmSync(path.join(root, patchFile(stepId)), { force: true });
+    removed.push(patchFile(stepId));
+  }
+  fs.rmSync(checkpointPath(root, stepId), { force: true });
+  return { stepFile, todoFile, removed };
+}
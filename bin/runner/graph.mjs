@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Validates the step dependency graph ("Depends on" sections of active and completed steps)
+ * and optionally renders it as Mermaid or Graphviz DOT, with nodes colored by state
+ * (completed, ready, waiting, blocked).
+ * Run from project root.
+ *
+ * Reports:
+ *   Errors    Self-dependencies (also on the step's own TODO or phase), dependencies on unknown step,
+ *             TODO or phase ids, dependency cycles.
+ *   Warnings  Dependencies on a step or TODO in another phase.
+ *
+ * Exit codes:
+ *   0  Graph printed / no errors (or errors without --strict).
+ *   1  --strict and the graph has errors.
+ *
+ * Options:
+ *   --phase ID      Only render steps whose id starts with ID (plus their dependencies). Validation covers all steps.
+ *   --format FMT    text (default: validation report only), mermaid, or dot.
+ *   --out FILE      Write the rendered graph to FILE instead of stdout.
+ *   --strict        Exit 1 when the graph has errors.
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadStepGraph, validateStepGraph, renderMermaid, renderDot } from "./step-graph.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let phase = null;
+  let format = "text";
+  let out = null;
+  let strict = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--phase" && args[i + 1]) {
+      phase = args[i + 1];
+      i++;
+    } else if (args[i] === "--format" && args[i + 1]) {
+      format = args[i + 1];
+      i++;
+    } else if (args[i] === "--out" && args[i + 1]) {
+      out = args[i + 1];
+      i++;
+    } else if (args[i] === "--strict") {
+      strict = true;
+    }
+  }
+  return { phase, format, out, strict };
+}
+
+function main() {
+  const { phase, format, out, strict } = parseArgs();
+  if (!["text", "mermaid", "dot"].includes(format)) {
+    console.error(`Unknown format '${format}'. Use text, mermaid or dot.`);
+    process.exit(1);
+  }
+
+  const graph = loadStepGraph(process.cwd());
+  const { errors, warnings } = validateStepGraph(graph);
+
+  // Keep stdout clean for the rendered graph; the report goes to stderr then
+  const report = format === "text" ? console.log : console.error;
+  report(`Steps: ${graph.nodes.size} (${[...graph.nodes.values()].filter((n) => n.completed).length} completed)`);
+  if (errors.length === 0 && warnings.length === 0) {
+    report("Dependency graph OK.");
+  }
+  if (errors.length > 0) {
+    report(`\nErrors (${errors.length}):`);
+    errors.forEach((e) => report(`  [${e.type}] ${e.message}`));
+  }
+  if (warnings.length > 0) {
+    report(`\nWarnings (${warnings.length}):`);
+    warnings.forEach((w) => report(`  [${w.type}] ${w.message}`));
+  }
+
+  if (format !== "text") {
+    const rendered = format === "mermaid" ? renderMermaid(graph, { filter: phase }) : renderDot(graph, { filter: phase });
+    if (out) {
+      fs.writeFileSync(path.resolve(out), rendered, "utf8");
+      console.error(`Written: ${path.resolve(out)}`);
+    } else {
+      process.stdout.write(rendered);
+    }
+  }
+
+  if (strict && errors.length > 0) process.exit(1);
+}
+
+main();
@@ -1,11 +1,13 @@
 /**
- * Loads GUI path patterns from user config (gui-patterns.json) with preset support.
+ * Loads GUI path patterns from user config with preset support: the "gui" section of the project
+ * config (project-config.mjs guiSettings) when the caller passes it, else gui-patterns.json.
  * Falls back to explicit _GUI_ filename detection only when no config is present.
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { isGuiStepFilename } from "./step-files.mjs";
 
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const RUNNER_ROOT = path.join(SCRIPT_DIR, "..", "..");
@@ -41,20 +43,29 @@ function findUserConfig(projectRoot) {
 }
 
 /**
- * Build compiled RegExp array from user config (presets + custom patterns).
- * Returns null if no user config exists (meaning: no content-based GUI detection).
+ * GUI settings from gui-patterns.json, or null when there is none or it cannot be parsed.
+ * @returns {{ config: object, configPath: string }|null}
  */
-export function loadGuiPatterns(projectRoot) {
+function readUserConfig(projectRoot, { warn = true } = {}) {
   const configPath = findUserConfig(projectRoot);
   if (!configPath) return null;
-
-  let config;
   try {
-    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    return { config: JSON.parse(fs.readFileSync(configPath, "utf8")), configPath };
   } catch (err) {
-    console.error(`Warning: failed to parse ${configPath}: ${err.message}`);
+    if (warn) console.error(`Warning: failed to parse ${configPath}: ${err.message}`);
     return null;
   }
+}
+
+/**
+ * Build compiled RegExp array from user config (presets + custom patterns).
+ * Returns null if no user config exists (meaning: no content-based GUI detection).
+ * @param {string} projectRoot
+ * @param {{ config: object, configPath: string }|null} [settings] - Default: gui-patterns.json
+ */
+export function loadGuiPatterns(projectRoot, settings = readUserConfig(projectRoot)) {
+  if (!settings) return null;
+  const { config, configPath } = settings;
 
   const presets = loadPresets();
   const patternStrings = [];
@@ -90,17 +101,12 @@ export function loadGuiPatterns(projectRoot) {
 
 /**
  * Load model recommendations from user config, with defaults.
+ * @param {string} projectRoot
+ * @param {{ config: object, configPath: string }|null} [settings] - Default: gui-patterns.json
  */
-export function loadModelRecommendations(projectRoot) {
-  const configPath = findUserConfig(projectRoot);
-  if (!configPath) return { ...DEFAULT_MODEL_RECOMMENDATIONS };
-
-  let config;
-  try {
-    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-  } catch {
-    return { ...DEFAULT_MODEL_RECOMMENDATIONS };
-  }
+export function loadModelRecommendations(projectRoot, settings = readUserConfig(projectRoot, { warn: false })) {
+  if (!settings) return { ...DEFAULT_MODEL_RECOMMENDATIONS };
+  const { config, configPath } = settings;
 
   const userRecs = config.modelRecommendations || {};
   const validKeys = new Set(Object.keys(DEFAULT_MODEL_RECOMMENDATIONS));
@@ -118,6 +124,56 @@ export function loadModelRecommendations(projectRoot) {
   };
 }
 
+/**
+ * Detect if step content matches any configured GUI path patterns.
+ * Returns false when no gui-patterns.json config exists (no implicit detection).
+ */
+function hasGuiPaths(content, guiPatterns) {
+  if (!guiPatterns) return false;
+  return guiPatterns.some((pattern) => pattern.test(content));
+}
+
+/**
+ * Determine GUI step type based on filename and content.
+ * - 'compound': explicit _GUI_ filename marker (always works, no config needed)
+ * - 'simple': content matches configured GUI path patterns (requires gui-patterns.json)
+ * - null: not a GUI step
+ */
+export function getGuiStepType(filename, content, guiPatterns) {
+  if (isGuiStepFilename(filename)) {
+    return "compound";
+  }
+  if (content && hasGuiPaths(content, guiPatterns)) {
+    return "simple";
+  }
+  return null;
+}
+
+/**
+ * Get recommended model for a step based on its GUI type.
+ * Model names come from gui-patterns.json config or defaults.
+ */
+export function getRecommendedModel(filename, content, guiPatterns, modelRecs) {
+  const guiType = getGuiStepType(filename, content, guiPatterns);
+  if (guiType === "compound") {
+    return modelRecs.compound;
+  }
+  if (guiType === "simple") {
+    return modelRecs.simple;
+  }
+  return null;
+}
+
+/**
+ * Path patterns of a GUI preset (config/gui-presets.json), or null for an unknown preset.
+ * @param {string} name
+ * @returns {string[]|null}
+ */
+export function presetPatterns(name) {
+  const preset = loadPresets()[name];
+  return preset && !name.startsWith("_") ? preset.patterns : null;
+}
+
 /**
  * List available preset names (for help/diagnostics).
  */
@@ -0,0 +1,196 @@
+/**
+ * Lifecycle hooks: project commands the runner runs at fixed points. Hooks come from the "hooks"
+ * section of the project config (project-config.mjs), or from hooks.json in the project root (or
+ * .cursor/ or config/) when there is none:
+ *
+ *   {
+ *     "hooks": {
+ *       "preStep": "yarn codegen",
+ *       "postStep": ["yarn prettier --write .", { "command": "yarn install --mode=update-lockfile", "timeout": 300 }],
+ *       "onPhaseCompleted": "npm version minor --no-git-tag-version"
+ *     }
+ *   }
+ *
+ * A hook is a command, an entry { command, timeout (seconds; default: the hookTimeout option),
+ * veto } or a list of those, run in order with sh -c in the project root (a parallel step's
+ * preStep runs in its worktree).
+ *   preStep           Before the agent runs a step. A failure blocks the step (take_action file).
+ *   postStep          After the step passed verification, before it is moved to completed. A failure
+ *                     vetoes completion (take_action file).
+ *   onBlocked         The runner stops on action_required files (or no step is ready).
+ *   onTodoCompleted   A TODO is moved to completed (on-step-completed.mjs, on-phase-done.mjs).
+ *   onPhaseCompleted  The last TODO of a phase is done (on-phase-done.mjs).
+ * In preStep and postStep, an entry with "veto": false only logs its failure; failures of the other
+ * hooks are always logged only. Commands get the context in TODO_RUNNER_* variables (see hookEnv);
+ * paths are relative to the project root.
+ */
+
+import fs from "fs";
+import path from "path";
+import { STEP_ID_REGEX, stepIdFromFilename, todoIdFromStepId, phaseIdFromId, findTodoFile } from "./step-files.mjs";
+import { runCommand } from "./verify.mjs";
+
+export const HOOK_NAMES = ["preStep", "postStep", "onBlocked", "onTodoCompleted", "onPhaseCompleted"];
+
+export const DEFAULT_HOOK_TIMEOUT_S = 600;
+
+// Output kept per failing command in the action file
+const ACTION_OUTPUT_LINES = 60;
+
+/**
+ * Configured hooks by name ({ command, timeout, veto } entries) and problems with them (invalid
+ * entries are skipped).
+ * @param {{ values: object, sources: object }} config - From project-config.mjs resolveConfig
+ * @returns {{ hooks: Object<string, object[]>, problems: string[] }}
+ */
+export function loadHooks({ values, sources }) {
+  const hooks = Object.fromEntries(HOOK_NAMES.map((name) => [name, []]));
+  const problems = [];
+  const defaultTimeout = values.hookTimeout || DEFAULT_HOOK_TIMEOUT_S;
+  for (const [name, value] of Object.entries(values.hooks || {})) {
+    if (!HOOK_NAMES.includes(name)) {
+      problems.push(`${sources.hooks}: unknown hook '${name}'. Valid hooks: ${HOOK_NAMES.join(", ")}`);
+      continue;
+    }
+    (Array.isArray(value) ? value : [value]).forEach((entry, i) => {
+      const where = `${sources.hooks} hooks.${name}[${i}]`;
+      const hook = typeof entry === "string" ? { command: entry } : entry;
+      if (!hook || typeof hook.command !== "string" || !hook.command.trim()) {
+        problems.push(`${where}: needs a "command"`);
+        return;
+      }
+      const timeout = hook.timeout == null ? defaultTimeout : Number(hook.timeout);
+      if (!(timeout > 0)) {
+        problems.push(`${where}: "timeout" must be a positive number of seconds`);
+        return;
+      }
+      hooks[name].push({ command: hook.command, timeout, veto: hook.veto !== false });
+    });
+  }
+  return { hooks, problems };
+}
+
+/**
+ * Hook context for a step: ids and the paths of the step and its TODO file.
+ * @param {string} root
+ * @param {string} stepPath - Step file (active or completed)
+ * @returns {{ stepId: string|null, stepFile: string, todoId: string|null, todoFile: string|null, phase: string|null }}
+ */
+export function stepHookContext(root, stepPath) {
+  const stepId = stepIdFromFilename(path.basename(stepPath));
+  const todoId = stepId ? todoIdFromStepId(stepId) : null;
+  const todoFile = findTodoFile(root, todoId);
+  return { stepId, stepFile: path.relative(root, path.resolve(root, stepPath)), todoId, todoFile, phase: stepId ? phaseIdFromId(stepId) : null };
+}
+
+/**
+ * Environment of a hook command: the runner's environment plus
+ *   TODO_RUNNER_HOOK, TODO_RUNNER_ROOT, TODO_RUNNER_PHASE, TODO_RUNNER_PHASE_FILE,
+ *   TODO_RUNNER_STEP_ID, TODO_RUNNER_STEP_FILE, TODO_RUNNER_TODO_ID, TODO_RUNNER_TODO_FILE,
+ *   TODO_RUNNER_OUTCOME, TODO_RUNNER_MODEL, TODO_RUNNER_ATTEMPT, TODO_RUNNER_EXIT_CODE,
+ *   TODO_RUNNER_REASON, TODO_RUNNER_ACTION_FILES (newline-separated), TODO_RUNNER_SUMMARY_FILE
+ * Values that do not apply are empty.
+ * @param {string} root
+ * @param {string} name - One of HOOK_NAMES
+ * @param {object} context - { phase, phaseFile, stepId, stepFile, todoId, todoFile, outcome, model, attempt, exitCode, reason, actionFiles, summaryFile }
+ * @returns {object}
+ */
+export function hookEnv(root, name, context = {}) {
+  const value = (v) => (v == null ? "" : String(v));
+  return {
+    ...process.env,
+    TODO_RUNNER_HOOK: name,
+    TODO_RUNNER_ROOT: root,
+    TODO_RUNNER_PHASE: value(context.phase),
+    TODO_RUNNER_PHASE_FILE: value(context.phaseFile),
+    TODO_RUNNER_STEP_ID: value(context.stepId),
+    TODO_RUNNER_STEP_FILE: value(context.stepFile),
+    TODO_RUNNER_TODO_ID: value(context.todoId),
+    TODO_RUNNER_TODO_FILE: value(context.todoFile),
+    TODO_RUNNER_OUTCOME: value(context.outcome),
+    TODO_RUNNER_MODEL: value(context.model),
+    TODO_RUNNER_ATTEMPT: value(context.attempt),
+    TODO_RUNNER_EXIT_CODE: value(context.exitCode),
+    TODO_RUNNER_REASON: value(context.reason),
+    TODO_RUNNER_ACTION_FILES: (context.actionFiles || []).join("\n"),
+    TODO_RUNNER_SUMMARY_FILE: value(context.summaryFile),
+  };
+}
+
+/**
+ * Run the commands of a hook in order. A failing vetoing command stops the hook; failures of
+ * "veto": false entries are recorded and the next command runs.
+ * @param {string} root
+ * @param {string} name - One of HOOK_NAMES
+ * @param {object} context - See hookEnv
+ * @param {{ hooks: Object<string, object[]>, cwd?: string, onCommand?: (command: string) => void }} opts - hooks: from loadHooks
+ * @returns {Promise<{ results: object[], failed: object[], vetoed: object|null }>} results as from verify.mjs runCommand (plus veto, timeout)
+ */
+export async function runHooks(root, name, context, { hooks, cwd = root, onCommand = () => {} }) {
+  const entries = hooks[name] || [];
+  const env = hookEnv(root, name, context);
+  const results = [];
+  for (const hook of entries) {
+    onCommand(hook.command);
+    const res = { ...(await runCommand(hook.command, { cwd, env, timeoutMs: hook.timeout * 1000 })), veto: hook.veto, timeout: hook.timeout };
+    results.push(res);
+    if (res.exitCode !== 0 && hook.veto) break;
+  }
+  const failed = results.filter((r) => r.exitCode !== 0);
+  return { results, failed, vetoed: failed.find((r) => r.veto) || null };
+}
+
+/**
+ * One-line description of a failed hook command.
+ * @param {object} result - From runHooks
+ * @returns {string}
+ */
+export function describeHookFailure(result) {
+  return `${result.command} (${result.timedOut ? `timed out after ${result.timeout}s` : `exit ${result.exitCode}`})`;
+}
+
+/**
+ * Write action_required/take_action_<stepId>_hook_<name>.md for a failed preStep/postStep hook.
+ * @param {{ root: string, name: string, stepId: string, stepFile: string, result: object }} opts - result: the failing command (runHooks vetoed)
+ * @returns {string} Action file name
+ */
+export function writeHookAction({ root, name, stepId, stepFile, result }) {
+  const dir = path.join(root, "docs", "TODO", "action_required");
+  fs.mkdirSync(dir, { recursive: true });
+  const id = stepId || (path.basename(stepFile).match(STEP_ID_REGEX) || [])[0] || path.basename(stepFile, ".md");
+  const file = `take_action_${id}_hook_${name}.md`;
+  const lines = (result.output.trimEnd() || "(no output)").split("\n");
+  const tail = lines.length > ACTION_OUTPUT_LINES ? lines.slice(-ACTION_OUTPUT_LINES) : lines;
+  const cut = lines.length > ACTION_OUTPUT_LINES ? ` (last ${ACTION_OUTPUT_LINES} of ${lines.length} lines)` : "";
+  const what =
+    name === "preStep"
+      ? `The \`preStep\` hook failed before the agent ran step \`${stepFile}\`. The step was not run.`
+      : `Step \`${stepFile}\` passed verification, but the \`postStep\` hook failed, so the step was not moved to completed.`;
+  const resolved = file.replace(/^take_action_/, "resolved_");
+  const resolution =
+    name === "preStep"
+      ? `Fix the cause (or the hook in the project config), then delete this file: the runner runs the hook and the step again. Renaming it to \`resolved_*\` would mark the step completed without running it.`
+      : `Fix the cause (or the hook in the project config). Then either:
+- rename this file as described below; the runner marks the step completed without running it again, or
+- delete this file to run the step again (the agent sees the current state of the code).
+
+When this issue is resolved, rename this file from \`take_action_*\` to \`resolved_*\` (e.g., \`${file}\` → \`${resolved}\`). The runner will then continue with the next step.`;
+  const body = `# Hook failed: ${name} for ${id}
+
+${what}
+
+### \`${result.command}\`
+
+${result.timedOut ? `Timed out after ${result.timeout}s.` : `Exit code ${result.exitCode}.`} Output${cut}:
+
+\`\`\`
+${tail.join("\n")}
+\`\`\`
+
+## Resolution
+
+${resolution}
+`;
+  fs.writeFileSync(path.join(dir, file), body, "utf8");
+  return file;
+}
@@ -0,0 +1,74 @@
+/**
+ * Run ledger: one JSON line per step attempt or summary run in docs/TODO/runner/ledger.jsonl.
+ * Written by record-attempt.mjs (called from the run loop, run-loop.mjs), read by report.mjs.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createLogNormalizer } from "../agents/index.mjs";
+
+/**
+ * Ledger path for a project root.
+ * @param {string} root - Project root
+ * @returns {string}
+ */
+export function ledgerPath(root) {
+  return path.join(root, "docs", "TODO", "runner", "ledger.jsonl");
+}
+
+/**
+ * Append one entry to the ledger (creates the file and directory if missing).
+ * @param {string} root - Project root
+ * @param {object} entry - Ledger entry
+ */
+export function appendLedgerEntry(root, entry) {
+  const file = ledgerPath(root);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+}
+
+/**
+ * Read all ledger entries; malformed lines are skipped.
+ * @param {string} root - Project root
+ * @returns {object[]}
+ */
+export function readLedger(root) {
+  const file = ledgerPath(root);
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Token usage and timing from the last "result" event of an agent event log.
+ * Accepts normalized events (bin/agents/events.mjs) and raw Cursor stream-json lines.
+ * @param {string} streamText - Agent event log (JSON lines, possibly mixed with other text)
+ * @returns {{ inputTokens: number|null, outputTokens: number|null, totalTokens: number|null, agentDurationMs: number|null, isError: boolean|null }}
+ */
+export function extractResultUsage(streamText) {
+  const normalize = createLogNormalizer();
+  let result = null;
+  for (const line of streamText.split("\n")) {
+    for (const ev of normalize(line)) {
+      if (ev.type === "result") result = ev;
+    }
+  }
+  const usage = result?.usage || {};
+  return {
+    inputTokens: usage.inputTokens ?? null,
+    outputTokens: usage.outputTokens ?? null,
+    totalTokens: usage.totalTokens ?? null,
+    agentDurationMs: typeof result?.durationMs === "number" ? result.durationMs : null,
+    isError: typeof result?.isError === "boolean" ? result.isError : null,
+  };
+}
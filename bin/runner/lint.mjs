@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Lints step and TODO files in docs/TODO (see step-lint.mjs): filenames, required step sections
+ * and TODO header fields, "Depends on" syntax and the dependency graph, steps without a parent
+ * TODO, TODOs without steps, duplicate step ids and _GUI_ marker use; and the prompt templates the
+ * project uses (prompt-template.mjs lintPrompts: its copies from the project config, else the
+ * runner's, and its user fragments).
+ * The runner runs the same checks (without the graph, which next-step.mjs validates) before it starts.
+ * Run from project root.
+ *
+ * Options:
+ *   --phase ID      Only check files whose id starts with ID (duplicate ids are checked across all).
+ *   --json          Print the result as JSON ({ issues, errors, warnings, files }).
+ *   --strict        Also exit 1 on warnings.
+ *
+ * Exit codes:
+ *   0  No errors (warnings allowed unless --strict).
+ *   1  Errors found (or warnings with --strict).
+ */
+
+import { lintTodoTree, formatLintReport } from "./step-lint.mjs";
+import { lintPrompts } from "./prompt-template.mjs";
+import { resolveConfig } from "./project-config.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let phase = null;
+  let json = false;
+  let strict = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--phase" && args[i + 1]) {
+      phase = args[i + 1];
+      i++;
+    } else if (args[i] === "--json") {
+      json = true;
+    } else if (args[i] === "--strict") {
+      strict = true;
+    }
+  }
+  return { phase, json, strict };
+}
+
+async function main() {
+  const { phase, json, strict } = parseArgs();
+  const root = process.cwd();
+  const result = lintTodoTree(root, { phase });
+  const config = await resolveConfig(root);
+  const promptIssues = lintPrompts(config.values, { root });
+  result.issues.push(...promptIssues);
+  promptIssues.forEach((i) => (i.level === "error" ? result.errors++ : result.warnings++));
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatLintReport(result));
+  }
+  if (result.errors > 0 || (strict && result.warnings > 0)) process.exit(1);
+}
+
+await main();
@@ -0,0 +1,344 @@
+/**
+ * Model routing: which model runs a step. Rules come from the "routing" section of the project
+ * config (project-config.mjs) and are checked in order; the first rule whose conditions all hold
+ * recommends its model:
+ *
+ *   {
+ *     "routing": {
+ *       "rules": [
+ *         { "name": "migrations", "when": { "tags": ["migration"] }, "model": "gpt-5.2-high" },
+ *         { "name": "critical-backend", "when": { "todoType": "BACKEND", "priority": ["HIGH", "CRITICAL"] }, "model": "claude-4.5-opus-high" },
+ *         { "name": "small", "when": { "tasks": { "max": 2 } }, "model": "claude-4.5-haiku" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Conditions (a list matches any of its values):
+ *   marker    Filename marker after the step id: "DB" matches P1_01.02_DB_schema.md
+ *   gui       GUI type (gui-config.mjs getGuiStepType): "compound", "simple", true (either) or false
+ *   todoType  Type of the parent TODO: GUI, BACKEND, MIXED
+ *   priority  Priority of the step (front matter), else of the parent TODO: LOW, MEDIUM, HIGH, CRITICAL
+ *   presets   GUI preset names (config/gui-presets.json); the step content matches one of their patterns
+ *   paths     Regular expressions; the step content matches one (with presets: one of either)
+ *   tasks     Top-level items in the step's Tasks section: { "min": N, "max": M } or N (= min)
+ *   tags      The step's or TODO's tags (front matter or "Tags:" line) list one of them
+ *
+ * The GUI recommendations (modelRecommendations of the gui settings) follow the rules as the
+ * built-in rules gui-compound and gui-simple. The recommended model is then weighed against the
+ * run options by chooseModel: --GUI_model (GUI steps) > --model (unless auto) > the model the step's
+ * (else its TODO's) front matter sets > recommended.
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadGuiPatterns, loadModelRecommendations, getGuiStepType, presetPatterns } from "./gui-config.mjs";
+import { stepIdFromFilename, todoIdFromStepId, findTodoFile, listStepFiles, readStepMeta, readTodoMeta } from "./step-files.mjs";
+import { guiSettings } from "./project-config.mjs";
+
+export const ROUTING_CONDITIONS = ["marker", "gui", "todoType", "priority", "presets", "paths", "tasks", "tags"];
+
+const TODO_TYPES = ["GUI", "BACKEND", "MIXED"];
+const PRIORITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const GUI_VALUES = ["compound", "simple", true, false];
+/** explain-model: where the step's priority comes from (stepRoutingInfo priorityFrom). */
+const PRIORITY_FROM = { step: " from the step front matter", TODO: " from the TODO" };
+
+const list = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Routing rules of a project (the configured ones, then the built-in GUI rules) and problems with
+ * the configured ones (invalid rules are skipped).
+ * @param {string} root - Project root
+ * @param {{ values: object, sources: object }} config - From project-config.mjs resolveConfig
+ * @returns {{ rules: object[], guiPatterns: RegExp[]|null, problems: string[] }} rule: { name, model, when, builtin }
+ */
+export function loadModelRouting(root, config) {
+  const { values, sources } = config;
+  const problems = [];
+  const rules = [];
+  const routing = values.routing || {};
+  if (routing.rules !== undefined && !Array.isArray(routing.rules)) {
+    problems.push(`${sources.routing}: routing.rules must be a list; ignored`);
+  }
+  (Array.isArray(routing.rules) ? routing.rules : []).forEach((rule, i) => {
+    const where = `${sources.routing} routing.rules[${i}]`;
+    if (!rule || typeof rule.model !== "string" || !rule.model.trim()) {
+      problems.push(`${where}: needs a "model"`);
+      return;
+    }
+    const when = rule.when || {};
+    const unknown = Object.keys(when).filter((k) => !ROUTING_CONDITIONS.includes(k));
+    if (unknown.length) {
+      problems.push(`${where}: unknown condition(s) ${unknown.join(", ")}. Valid conditions: ${ROUTING_CONDITIONS.join(", ")}`);
+      return;
+    }
+    const problem = conditionProblem(when);
+    if (problem) {
+      problems.push(`${where}: ${problem}`);
+      return;
+    }
+    rules.push({ name: rule.name || `rule ${i + 1}`, model: rule.model, when: compileConditions(when), builtin: false });
+  });
+
+  const gui = guiSettings(config);
+  const guiPatterns = loadGuiPatterns(root, gui);
+  const recs = loadModelRecommendations(root, gui);
+  rules.push({ name: "gui-compound", model: recs.compound, when: { gui: ["compound"] }, builtin: true });
+  rules.push({ name: "gui-simple", model: recs.simple, when: { gui: ["simple"] }, builtin: true });
+  return { rules, guiPatterns, problems };
+}
+
+/** What is wrong with the conditions of a rule, or null. */
+function conditionProblem(when) {
+  const upper = (v) => list(v).map((x) => String(x).toUpperCase());
+  if (when.todoType !== undefined && !upper(when.todoType).every((t) => TODO_TYPES.includes(t))) {
+    return `todoType must be one of ${TODO_TYPES.join(", ")}`;
+  }
+  if (when.priority !== undefined && !upper(when.priority).every((p) => PRIORITIES.includes(p))) {
+    return `priority must be one of ${PRIORITIES.join(", ")}`;
+  }
+  if (when.gui !== undefined && !list(when.gui).every((g) => GUI_VALUES.includes(g))) {
+    return `gui must be "compound", "simple", true or false`;
+  }
+  const unknownPresets = list(when.presets ?? []).filter((name) => !presetPatterns(name));
+  if (unknownPresets.length) return `unknown GUI preset(s) ${unknownPresets.join(", ")}`;
+  for (const p of list(when.paths ?? [])) {
+    try {
+      new RegExp(p, "i");
+    } catch (err) {
+      return `invalid path pattern '${p}': ${err.message}`;
+    }
+  }
+  if (when.tasks !== undefined) {
+    const { min, max } = typeof when.tasks === "number" ? { min: when.tasks } : when.tasks || {};
+    const bad = (n) => n !== undefined && !(Number.isInteger(n) && n >= 0);
+    if ((min === undefined && max === undefined) || bad(min) || bad(max)) return `tasks must be a number or { "min": N, "max": M }`;
+  }
+  return null;
+}
+
+/** Conditions in the form matchRule uses: lists, upper-cased TODO fields, compiled patterns. */
+function compileConditions(when) {
+  const out = {};
+  if (when.marker !== undefined) out.marker = list(when.marker).map(String);
+  if (when.gui !== undefined) out.gui = list(when.gui);
+  if (when.todoType !== undefined) out.todoType = list(when.todoType).map((t) => t.toUpperCase());
+  if (when.priority !== undefined) out.priority = list(when.priority).map((p) => p.toUpperCase());
+  if (when.presets !== undefined || when.paths !== undefined) {
+    const sources = [...list(when.presets ?? []).flatMap((name) => presetPatterns(name)), ...list(when.paths ?? [])];
+    out.paths = sources.map((p) => new RegExp(p, "i"));
+  }
+  if (when.tasks !== undefined) out.tasks = typeof when.tasks === "number" ? { min: when.tasks } : when.tasks;
+  if (when.tags !== undefined) out.tags = list(when.tags).map((t) => String(t).toLowerCase());
+  return out;
+}
+
+/**
+ * Number of top-level list items in the Tasks section of a step, or null without one.
+ * @param {string} content - Step file content
+ * @returns {number|null}
+ */
+export function countTasks(content) {
+  if (!content) return null;
+  const section = content.match(/(?:^|\n)(?:#{1,6}[ \t]*(?:\d+\.[ \t]*)?(?:Concrete )?Tasks\b|\*\*(?:Concrete )?Tasks:?\*\*)[^\n]*\n([\s\S]*?)(?=\n#{1,6}\s|\n\*\*[^*\n]+\*\*|(?![\s\S]))/i);
+  if (!section) return null;
+  return section[1].split("\n").filter((l) => /^(?:[-*+]|\d+[.)])\s+\S/.test(l)).length;
+}
+
+/**
+ * What the rules look at for a step: filename, content, GUI type, parent TODO fields, tags and tasks;
+ * plus what the step's and TODO's metadata (step-files.mjs readStepMeta, readTodoMeta) pin.
+ * @param {string} root - Project root
+ * @param {string} stepPath - Step file (absolute or relative to root)
+ * @param {{ guiPatterns: RegExp[]|null }} routing - From loadModelRouting
+ * @returns {object} { stepId, filename, stepFile, content, guiType, todoFile, todoType, todoPriority, priority,
+ *   priorityFrom, tags, tasks, model, modelFrom, manual } priority: the step's front matter (priorityFrom "step"),
+ *   else the TODO's priority (todoPriority, priorityFrom "TODO"); model: set by the step's (modelFrom "step") or
+ *   TODO's ("TODO") front matter; manual: skip or block from the step's or TODO's front matter, else null
+ */
+export function stepRoutingInfo(root, stepPath, routing) {
+  const abs = path.resolve(root, stepPath);
+  const filename = path.basename(abs);
+  let content = "";
+  try {
+    content = fs.readFileSync(abs, "utf8");
+  } catch {
+    // Routed on the filename alone
+  }
+  const stepId = stepIdFromFilename(filename);
+  const todoFile = findTodoFile(root, todoIdFromStepId(stepId));
+  let todoContent = "";
+  if (todoFile) {
+    try {
+      todoContent = fs.readFileSync(path.join(root, todoFile), "utf8");
+    } catch {
+      // Routed without the TODO's fields
+    }
+  }
+  const meta = readStepMeta(filename, content);
+  const todo = readTodoMeta(todoFile ? path.basename(todoFile) : "", todoContent);
+  return {
+    stepId,
+    filename,
+    stepFile: path.relative(root, abs),
+    content,
+    guiType: getGuiStepType(filename, content, routing.guiPatterns),
+    todoFile,
+    todoType: todo.type,
+    todoPriority: todo.priority,
+    priority: meta.priority || todo.priority,
+    priorityFrom: meta.priority ? "step" : todo.priority ? "TODO" : null,
+    tags: [...new Set([...meta.tags, ...todo.tags])],
+    tasks: countTasks(content),
+    model: meta.model || todo.model,
+    modelFrom: meta.model ? "step" : todo.model ? "TODO" : null,
+    manual: meta.manual || todo.manual,
+  };
+}
+
+/**
+ * Check a rule against a step: every condition with whether it holds and why.
+ * @param {object} rule - From loadModelRouting
+ * @param {object} step - From stepRoutingInfo
+ * @returns {{ matched: boolean, checks: { condition: string, ok: boolean, detail: string }[] }}
+ */
+export function matchRule(rule, step) {
+  const checks = [];
+  const check = (condition, ok, detail) => checks.push({ condition, ok, detail });
+  const { when } = rule;
+  if (when.marker) {
+    const rest = step.filename.slice((step.stepId || "").length).replace(/\.md$/i, "") + "_";
+    const found = when.marker.find((m) => rest.toLowerCase().includes(`_${m.toLowerCase()}_`));
+    check("marker", Boolean(found), found ? `_${found}_ in the filename` : `no ${when.marker.map((m) => `_${m}_`).join(" or ")} in the filename`);
+  }
+  if (when.gui) {
+    const ok = when.gui.some((g) => (g === true ? step.guiType !== null : g === false ? step.guiType === null : g === step.guiType));
+    check("gui", ok, `GUI type ${step.guiType || "none"}${ok ? "" : ` (wants ${when.gui.map((g) => (g === true ? "any" : g === false ? "none" : g)).join(" or ")})`}`);
+  }
+  if (when.todoType) {
+    const ok = when.todoType.includes(step.todoType);
+    check("todoType", ok, `TODO type ${step.todoType || "unknown"}${ok ? "" : ` (wants ${when.todoType.join(" or ")})`}`);
+  }
+  if (when.priority) {
+    const ok = when.priority.includes(step.priority);
+    check("priority", ok, `priority ${step.priority || "unknown"}${ok ? "" : ` (wants ${when.priority.join(" or ")})`}`);
+  }
+  if (when.paths) {
+    const hit = when.paths.find((p) => p.test(step.content));
+    check("paths", Boolean(hit), hit ? `content matches ${hit}` : "no path pattern matches the content");
+  }
+  if (when.tasks) {
+    const { min, max } = when.tasks;
+    const n = step.tasks;
+    const ok = n !== null && (min === undefined || n >= min) && (max === undefined || n <= max);
+    const range = min !== undefined && max !== undefined ? `${min}-${max}` : min !== undefined ? `at least ${min}` : `at most ${max}`;
+    check("tasks", ok, n === null ? "no Tasks section" : `${n} task(s)${ok ? "" : ` (wants ${range})`}`);
+  }
+  if (when.tags) {
+    const hit = when.tags.filter((t) => step.tags.includes(t));
+    check("tags", hit.length > 0, hit.length ? `tag ${hit.join(", ")}` : `no tag ${when.tags.join(" or ")} (has ${step.tags.join(", ") || "none"})`);
+  }
+  return { matched: checks.every((c) => c.ok), checks };
+}
+
+/**
+ * Route a step: the first matching rule and its model, with every rule's result.
+ * @param {object} step - From stepRoutingInfo
+ * @param {{ rules: object[] }} routing - From loadModelRouting
+ * @returns {{ model: string|null, rule: object|null, reason: string|null, results: object[] }} results: { rule, matched, checks } per rule
+ */
+export function routeModel(step, routing) {
+  const results = routing.rules.map((rule) => ({ rule, ...matchRule(rule, step) }));
+  const fired = results.find((r) => r.matched) || null;
+  return {
+    model: fired ? fired.rule.model : null,
+    rule: fired ? fired.rule : null,
+    reason: fired ? fired.checks.map((c) => c.detail).join("; ") || "no conditions" : null,
+    results,
+  };
+}
+
+/**
+ * The model a step runs with: --GUI_model for GUI steps, else --model unless auto, else the model
+ * its front matter (or its TODO's) sets, else the recommended model, else auto.
+ * @param {object} step - From stepRoutingInfo
+ * @param {{ model: string|null, rule: object|null }} route - From routeModel
+ * @param {{ model: string, guiModel: string|null }} opts - Run options
+ * @returns {{ model: string, reason: string }}
+ */
+export function chooseModel(step, route, { model = "auto", guiModel = null }) {
+  if (step.guiType && guiModel) return { model: guiModel, reason: "--GUI_model for GUI steps" };
+  if (model && model !== "auto") {
+    return { model, reason: route.model ? `--model given; rule ${route.rule.name} recommends ${route.model}` : "--model given" };
+  }
+  if (step.model) return { model: step.model, reason: `model in the ${step.modelFrom === "TODO" ? "TODO's" : "step's"} front matter` };
+  if (route.model) return { model: route.model, reason: `rule ${route.rule.name}` };
+  return { model: "auto", reason: "no rule matches" };
+}
+
+/**
+ * Explain the model choice for a pending or completed step: what the rules saw, each rule's
+ * result, which rule fired and how the run options weigh in. Null when there is no such step.
+ * @param {string} root - Project root
+ * @param {string} stepId
+ * @param {{ values: object, sources: object }} config - From resolveConfig (model and guiModel are the run options)
+ * @returns {object|null} { step: { stepId, stepFile, todoFile, todoType, todoPriority, priority, priorityFrom, guiType,
+ *   tasks, tags },
+ *   rules: [{ name, model, builtin, matched, checks }], rule, recommendedModel, reason, model, modelReason, problems }
+ */
+export function explainModel(root, stepId, config) {
+  let stepPath = null;
+  for (const location of ["active", "completed"]) {
+    const dir = path.join(root, "docs", "TODO", location, "steps");
+    const found = listStepFiles(dir).find((f) => stepIdFromFilename(f) === stepId);
+    if (found) {
+      stepPath = path.join(dir, found);
+      break;
+    }
+  }
+  if (!stepPath) return null;
+  const routing = loadModelRouting(root, config);
+  const { content, filename, ...step } = stepRoutingInfo(root, stepPath, routing);
+  const route = routeModel({ ...step, content, filename }, routing);
+  const choice = chooseModel(step, route, config.values);
+  return {
+    step,
+    rules: route.results.map(({ rule, matched, checks }) => ({ name: rule.name, model: rule.model, builtin: rule.builtin, matched, checks })),
+    rule: route.rule ? route.rule.name : null,
+    recommendedModel: route.model,
+    reason: route.reason,
+    model: choice.model,
+    modelReason: choice.reason,
+    problems: routing.problems,
+  };
+}
+
+/**
+ * explainModel result as text for `explain-model`.
+ * @param {object} explanation - From explainModel
+ * @returns {string}
+ */
+export function formatModelExplanation({ step, rules, rule, recommendedModel, model, modelReason, problems }) {
+  const lines = [
+    `Step ${step.stepId}: ${step.stepFile} (priority ${step.priority || "unknown"}${PRIORITY_FROM[step.priorityFrom] || ""})`,
+    `  TODO: ${step.todoFile || "none"} (type ${step.todoType || "unknown"}, priority ${step.todoPriority || "unknown"})`,
+    `  GUI type: ${step.guiType || "none"}; tasks: ${step.tasks === null ? "no Tasks section" : step.tasks}; tags: ${step.tags.join(", ") || "none"}`,
+    "",
+    "Rules (first match wins):",
+  ];
+  let fired = false;
+  for (const r of rules) {
+    const mark = !fired && r.name === rule ? "=>" : r.matched ? " +" : " -";
+    if (mark === "=>") fired = true;
+    const checks = r.checks.map((c) => c.detail).join("; ") || "no conditions";
+    lines.push(`${mark} ${r.name}${r.builtin ? " (built-in)" : ""} -> ${r.model}: ${checks}`);
+  }
+  lines.push("");
+  lines.push(`Recommended model: ${recommendedModel ? `${recommendedModel} (rule ${rule})` : "none"}`);
+  lines.push(`Model: ${model} (${modelReason})`);
+  if (problems.length) {
+    lines.push("", "Problems:");
+    problems.forEach((p) => lines.push(`  ${p}`));
+  }
+  return lines.join("\n");
+}
@@ -2,10 +2,19 @@
 /**
  * Resolves next TODO step from docs/TODO (active/steps vs completed/steps),
  * respects "Depends on", and writes docs/TODO/runner/NEXT.md.
+ * A dependency may be a step, a TODO (all its steps completed) or a phase (its phase doc in
+ * docs/phase/completed); see step-graph.mjs resolveDependency. One that names nothing in the tree
+ * counts as satisfied, unless --strict_deps. Among the ready steps the scheduler (scheduler.mjs) picks:
+ * by default the TODO in progress first, then priority, then id.
  * Run from project root. If action_required has any file, prints that and exits.
+ * Step metadata comes from step-files.mjs readStepMeta (front matter, else the Markdown sections):
+ * cancelled steps (status: cancelled) are not run and count as done for their dependents, and a
+ * step's (or its TODO's) manual: skip|block wins over --skip_manual. A step named by a deferred
+ * action item (action_required/deferred/, see action.mjs defer) stays pending but is not picked
+ * until the item is resolved or reopened.
  *
  * Exit codes:
- *   0  Next step written (NEXT.md present); or no steps left to process (successful completion).
+ *   0  Next step written (NEXT.md present); or no steps left to process (successful completion; a stale NEXT.md is removed).
  *   1  Action required or step blocked (dependencies not met).
  *   2  Only with --dry-run: no pending steps (allows runner to detect phase complete without writing).
  *
@@ -14,18 +23,34 @@
  *   --quiet         Use no-output fragment for the execute prompt (prompts/fragments/output-zero.txt). Default: output-step-only.txt.
  *   --skip_manual   Do not create action_required files for manual testing; only report in summary.
  *   --dry-run       Only check status and exit with appropriate code; do not write files.
+ *   --ready         Print every ready step as "<id>\t<filename>" (one per line, in --order) and exit; do not write files.
+ *                   Exit codes match --dry-run. Used by run-steps.sh --parallel.
+ *   --step ID       Write NEXT.md and RUNNER_PROMPT.txt for this pending step instead of the first ready one.
+ *                   Readiness is not checked (caller already did); used when preparing a worktree.
+ *   --strict        Refuse to run (exit 1) when the step dependency graph has errors (see graph.mjs).
+ *   --strict_deps   An unknown dependency (no step, TODO or phase with its id) keeps its step waiting.
+ *   --order ORDER   Which ready step first: depth-first (default), priority or fifo (see scheduler.mjs).
+ *   --model MODEL   Run option --model; with --GUI_model, weighed against the routed model (model-routing.mjs).
+ *   --GUI_model MODEL  Run option --GUI_model.
+ *
+ * quiet, skipManual, strict, strictDeps, order, model and guiModel default to the project config (.todo-runner.json,
+ * see project-config.mjs), which also sets the prompt and fragment directories, the GUI settings
+ * and the model routing rules. NEXT.md names the model the step runs with ("Model") and, when a
+ * routing rule fired, the recommended model and the rule.
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { loadGuiPatterns, loadModelRecommendations } from "./gui-config.mjs";
+import { readStepFile, readStepMeta, listStepFiles } from "./step-files.mjs";
+import { loadStepGraph, validateStepGraph, resolveDependency, dependencySatisfied } from "./step-graph.mjs";
+import { ORDERS, orderSteps } from "./scheduler.mjs";
+import { resolveConfig } from "./project-config.mjs";
+import { renderPrompt, stepTemplateVars } from "./prompt-template.mjs";
+import { loadModelRouting, stepRoutingInfo, routeModel, chooseModel } from "./model-routing.mjs";
 
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const RUNNER_ROOT = path.join(SCRIPT_DIR, "..", "..");
-const EXECUTE_STEP_PROMPT_PATH = path.join(RUNNER_ROOT, "prompts", "04-execute-single-step.prompt");
-const FRAGMENTS_DIR = path.join(RUNNER_ROOT, "prompts", "fragments");
-const USER_FRAGMENTS_DIR = path.join(FRAGMENTS_DIR, "user");
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -33,6 +58,13 @@ function parseArgs() {
   let quiet = false;
   let skipManual = false;
   let dryRun = false;
+  let listReady = false;
+  let step = null;
+  let strict = false;
+  let strictDeps = false;
+  let order = null;
+  let model = null;
+  let guiModel = null;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--phase" && args[i + 1]) {
       phase = args[i + 1];
@@ -43,195 +75,79 @@ function parseArgs() {
       skipManual = true;
     } else if (args[i] === "--dry-run") {
       dryRun = true;
+    } else if (args[i] === "--ready") {
+      listReady = true;
+    } else if (args[i] === "--step" && args[i + 1]) {
+      step = args[i + 1];
+      i++;
+    } else if (args[i] === "--strict") {
+      strict = true;
+    } else if (args[i] === "--strict_deps") {
+      strictDeps = true;
+    } else if (args[i] === "--order" && args[i + 1]) {
+      order = args[i + 1];
+      i++;
+    } else if (args[i] === "--model" && args[i + 1]) {
+      model = args[i + 1];
+      i++;
+    } else if (args[i] === "--GUI_model" && args[i + 1]) {
+      guiModel = args[i + 1];
+      i++;
     }
   }
-  return { phase, quiet, skipManual, dryRun };
+  return { phase, quiet, skipManual, dryRun, listReady, step, strict, strictDeps, order, model, guiModel };
 }
 
-const { phase: phaseFilter, quiet: useZeroOutput, skipManual, dryRun } = parseArgs();
+const args = parseArgs();
 const ROOT = process.cwd();
+// Flags win over the project config (its problems are reported by the runner)
+const CONFIG = await resolveConfig(ROOT, {
+  cli: {
+    quiet: args.quiet || undefined,
+    skipManual: args.skipManual || undefined,
+    strict: args.strict || undefined,
+    strictDeps: args.strictDeps || undefined,
+    order: args.order || undefined,
+    model: args.model || undefined,
+    guiModel: args.guiModel || undefined,
+  },
+});
+const { phase: phaseFilter, dryRun, listReady, step: stepFilter } = args;
+const { quiet: useZeroOutput, skipManual, strict, strictDeps, order } = CONFIG.values;
+const EXECUTE_STEP_PROMPT_NAME = "04-execute-single-step.prompt";
 const TODO_DIR = path.join(ROOT, "docs", "TODO");
 const ACTIVE_STEPS_DIR = path.join(TODO_DIR, "active", "steps");
-const COMPLETED_STEPS_DIR = path.join(TODO_DIR, "completed", "steps");
 const ACTION_REQUIRED_DIR = path.join(TODO_DIR, "action_required");
 const RUNNER_DIR = path.join(TODO_DIR, "runner");
 const NEXT_FILE = path.join(RUNNER_DIR, "NEXT.md");
 const PROMPT_FILE = path.join(RUNNER_DIR, "RUNNER_PROMPT.txt");
 
-function loadExecuteStepPrompt(stepPath) {
-  let template = fs.readFileSync(EXECUTE_STEP_PROMPT_PATH, "utf8");
-  if (!template.includes("@StepFile")) {
-    throw new Error(`${EXECUTE_STEP_PROMPT_PATH} must contain @StepFile placeholder`);
-  }
-  template = template.replace("@StepFile", "@" + stepPath);
-
-  // Output instruction fragment
-  const outputFragmentName = useZeroOutput ? "output-zero.txt" : "output-step-only.txt";
-  const outputFragmentPath = path.join(FRAGMENTS_DIR, outputFragmentName);
-  if (!template.includes("@OutputInstruction")) {
-    throw new Error(`${EXECUTE_STEP_PROMPT_PATH} must contain @OutputInstruction placeholder`);
-  }
-  const outputFragment = fs.readFileSync(outputFragmentPath, "utf8").trim();
-  template = template.replace("@OutputInstruction", outputFragment);
-
-  // Manual test instruction fragment
-  const manualFragmentName = skipManual ? "manual-skip.txt" : "manual-block.txt";
-  const manualFragmentPath = path.join(FRAGMENTS_DIR, manualFragmentName);
-  if (!template.includes("@ManualTestInstruction")) {
-    throw new Error(`${EXECUTE_STEP_PROMPT_PATH} must contain @ManualTestInstruction placeholder`);
-  }
-  const manualFragment = fs.readFileSync(manualFragmentPath, "utf8").trim();
-  template = template.replace("@ManualTestInstruction", manualFragment);
-
-  // Append user fragments matching the prompt number (e.g., 04_*.txt for 04-execute-single-step.prompt)
-  const promptNumber = extractPromptNumber(EXECUTE_STEP_PROMPT_PATH);
-  if (promptNumber) {
-    const userFragments = loadUserFragments(promptNumber);
-    if (userFragments) {
-      template += "\n\n" + userFragments;
-    }
-  }
-
-  return template;
-}
-
-/**
- * Extract the two-digit prompt number from a prompt filename.
- * E.g., "04-execute-single-step.prompt" -> "04"
- * @param {string} promptPath - Path to the prompt file
- * @returns {string|null} - Two-digit number or null if not found
- */
-function extractPromptNumber(promptPath) {
-  const filename = path.basename(promptPath);
-  const match = filename.match(/^(\d{2})-/);
-  return match ? match[1] : null;
-}
-
 /**
- * Load user-defined fragments from prompts/fragments/user/ that match a prompt number.
- * Files matching NN_*.txt (e.g., 04_testing.txt) are loaded and concatenated.
- * @param {string} promptNumber - Two-digit prompt number (e.g., "04")
- * @returns {string|null} - Concatenated fragment content, or null if none found
+ * The execute prompt (04-execute-single-step.prompt, see prompt-template.mjs) for a step.
+ * @param {string} stepPath - Step file as the agent sees it (relative to the runner root)
+ * @param {object} step - step.* template variables (stepTemplateVars)
+ * @param {boolean} skipManualTests - The run's skipManual, or the step's manual front matter
+ * @returns {string}
  */
-function loadUserFragments(promptNumber) {
-  if (!fs.existsSync(USER_FRAGMENTS_DIR)) return null;
-  
-  const files = fs.readdirSync(USER_FRAGMENTS_DIR)
-    .filter((f) => f.startsWith(promptNumber + "_") && f.endsWith(".txt"))
-    .sort();
-  
-  if (files.length === 0) return null;
-  
-  const contents = files.map((f) => {
-    const content = fs.readFileSync(path.join(USER_FRAGMENTS_DIR, f), "utf8").trim();
-    return `# User fragment: ${f}\n${content}`;
-  });
-  
-  return contents.join("\n\n");
-}
-
-// Versioned step ID: P{phase}_{todo}.{step} where each component can be dotted (e.g., P2.5_01.5.01)
-const STEP_ID_REGEX = /P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*/g;
-
-function stepIdFromFilename(name) {
-  // Match versioned step ID at start of filename: P{phase}_{todo}.{step}_
-  const match = name.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*)_/);
-  return match ? match[1] : null;
-}
-
-/**
- * Detect if a step filename indicates a GUI compound step (explicit).
- * GUI compound steps use filename pattern: P{phase}_{todo}.{step}_GUI_{description}.md
- */
-function isGuiCompoundStep(filename) {
-  return /^P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*_GUI_/i.test(filename);
-}
-
-/**
- * Detect if step content matches any configured GUI path patterns.
- * Returns false when no gui-patterns.json config exists (no implicit detection).
- */
-function hasGuiPaths(content, guiPatterns) {
-  if (!guiPatterns) return false;
-  return guiPatterns.some((pattern) => pattern.test(content));
-}
-
-/**
- * Determine GUI step type based on filename and content.
- * - 'compound': explicit _GUI_ filename marker (always works, no config needed)
- * - 'simple': content matches configured GUI path patterns (requires gui-patterns.json)
- * - null: not a GUI step
- */
-function getGuiStepType(filename, content, guiPatterns) {
-  if (isGuiCompoundStep(filename)) {
-    return "compound";
-  }
-  if (content && hasGuiPaths(content, guiPatterns)) {
-    return "simple";
-  }
-  return null;
-}
-
-/**
- * Get recommended model for a step based on its GUI type.
- * Model names come from gui-patterns.json config or defaults.
- */
-function getRecommendedModel(filename, content, guiPatterns, modelRecs) {
-  const guiType = getGuiStepType(filename, content, guiPatterns);
-  if (guiType === "compound") {
-    return modelRecs.compound;
-  }
-  if (guiType === "simple") {
-    return modelRecs.simple;
-  }
-  return null;
-}
-
-function parseDependsOn(content) {
-  const section = content.match(/## Depends on\s*\n([\s\S]*?)(?=\n## |$)/i);
-  if (!section) return [];
-  const line = section[1].trim();
-  if (/^none/i.test(line)) return [];
-  const ids = line.match(STEP_ID_REGEX);
-  return ids ? [...new Set(ids)] : [];
-}
-
-function readStepFile(dir, filename) {
-  const filepath = path.join(dir, filename);
-  try {
-    return fs.readFileSync(filepath, "utf8");
-  } catch {
-    return null;
-  }
-}
-
-function listStepFiles(dir) {
-  if (!fs.existsSync(dir)) return [];
-  return fs.readdirSync(dir).filter((f) => f.endsWith(".md") && stepIdFromFilename(f));
-}
-
-function getCompletedIds() {
-  const files = listStepFiles(COMPLETED_STEPS_DIR);
-  return new Set(files.map((f) => stepIdFromFilename(f)).filter(Boolean));
+function loadExecuteStepPrompt(stepPath, step, skipManualTests) {
+  return renderPrompt(CONFIG.values, EXECUTE_STEP_PROMPT_NAME, { stepFile: stepPath, quiet: useZeroOutput, skipManual: skipManualTests, step });
 }
 
+/** Pending step files in active/steps (not the cancelled ones). */
 function getPendingSteps() {
-  if (!fs.existsSync(ACTIVE_STEPS_DIR)) return [];
-  const files = listStepFiles(ACTIVE_STEPS_DIR);
-  return files.map((filename) => {
-    const id = stepIdFromFilename(filename);
-    const content = readStepFile(ACTIVE_STEPS_DIR, filename);
-    const dependsOn = content ? parseDependsOn(content) : [];
-    return { id, filename, dependsOn };
-  });
+  const pending = [];
+  for (const filename of listStepFiles(ACTIVE_STEPS_DIR)) {
+    const meta = readStepMeta(filename, readStepFile(ACTIVE_STEPS_DIR, filename));
+    if (!meta.cancelled) pending.push({ id: meta.id, filename, dependsOn: meta.dependsOn });
+  }
+  return pending;
 }
 
-function topoNext(pending, completedIds) {
-  const pendingIds = new Set(pending.map((s) => s.id));
-  // Dependency is satisfied if completed OR not in current pending set (e.g. completed/steps was purged or dependency never had a step file).
-  const satisfied = (d) => completedIds.has(d) || !pendingIds.has(d);
-  const ready = pending.filter((s) => s.dependsOn.every(satisfied));
-  return ready;
+/** Pending steps that are not deferred and whose dependencies are satisfied (step-graph.mjs dependencySatisfied), in the run order. */
+function topoNext(pending, graph) {
+  const deferred = (s) => Boolean(graph.nodes.get(s.id) && graph.nodes.get(s.id).deferred);
+  const ready = pending.filter((s) => !deferred(s) && s.dependsOn.every((d) => dependencySatisfied(graph, d, { strictDeps })));
+  return orderSteps(ROOT, graph, ready, { order });
 }
 
 function actionRequiredFiles() {
@@ -243,6 +159,10 @@ function actionRequiredFiles() {
 }
 
 function main() {
+  if (!ORDERS.includes(order)) {
+    console.error(`--order expects one of ${ORDERS.join(", ")} (got: ${order}).`);
+    process.exit(1);
+  }
   const actionFiles = actionRequiredFiles();
   if (actionFiles.length > 0) {
     console.log("Action required before next step. Resolve and remove:\n");
@@ -251,24 +171,51 @@ function main() {
     process.exit(1);
   }
 
-  const completedIds = getCompletedIds();
+  // Cancelled steps count as completed in the graph
+  const graph = loadStepGraph(ROOT);
+  if (strict) {
+    const { errors } = validateStepGraph(graph);
+    if (errors.length > 0) {
+      console.log("Step dependency graph is invalid (--strict):\n");
+      errors.forEach((e) => console.log(`  [${e.type}] ${e.message}`));
+      console.log(`\nFix the "Depends on" sections, then run this script again. Details: node ${path.join(SCRIPT_DIR, "graph.mjs")}`);
+      process.exit(1);
+    }
+  }
+
   let pending = getPendingSteps();
   if (phaseFilter) {
     pending = pending.filter((s) => s.id && (s.id === phaseFilter || s.id.startsWith(phaseFilter + ".")));
     if (pending.length === 0) {
       console.log(`No pending steps matching phase '${phaseFilter}' in docs/TODO/active/steps/.`);
-      process.exit(dryRun ? 2 : 0);
+      process.exit(dryRun || listReady ? 2 : 0);
     }
   }
   if (pending.length === 0) {
     console.log("No pending steps (no step files in docs/TODO/active/steps/).");
-    process.exit(0);
+    // NEXT.md of the last step would make the runner run it again instead of finishing the phase
+    if (!dryRun && !listReady) fs.rmSync(NEXT_FILE, { force: true });
+    process.exit(dryRun || listReady ? 2 : 0);
+  }
+
+  if (stepFilter) {
+    const forced = pending.find((s) => s.id === stepFilter);
+    if (!forced) {
+      console.error(`Step '${stepFilter}' is not pending in docs/TODO/active/steps/.`);
+      process.exit(1);
+    }
+    writeNextStep(forced);
+    return;
   }
 
-  let ready = topoNext(pending, completedIds);
+  let ready = topoNext(pending, graph);
   if (ready.length === 0) {
     const blocked = pending.map((s) => s.id).join(", ");
     console.log(`No step ready. Pending: ${blocked}. Complete dependencies first.`);
+    const deferred = pending.filter((s) => graph.nodes.get(s.id) && graph.nodes.get(s.id).deferred).map((s) => s.id);
+    if (deferred.length) console.log(`Deferred (docs/TODO/action_required/deferred/): ${deferred.join(", ")}. Resolve or reopen their action items with action.mjs to go on.`);
+    const unknown = [...new Set(pending.flatMap((s) => s.dependsOn).filter((d) => resolveDependency(graph, d).state === "unknown"))];
+    if (strictDeps && unknown.length) console.log(`Unknown dependencies (--strict_deps): ${unknown.join(", ")}. Fix the "Depends on" sections or add the missing steps.`);
     process.exit(1);
   }
   // Only consider steps whose file still exists (e.g. not moved by a completed run)
@@ -276,30 +223,44 @@ function main() {
   ready = ready.filter((s) => fs.existsSync(path.join(activeStepsAbs, s.filename)));
   if (ready.length === 0) {
     console.log("No runnable step (step file(s) missing, e.g. already completed); stopping.");
-    process.exit(dryRun ? 2 : 0);
+    process.exit(dryRun || listReady ? 2 : 0);
   }
 
-  const next = ready[0];
-  const stepPathRootRelative = path.join("docs", "TODO", "active", "steps", next.filename);
-  const stepFileAbs = path.join(ROOT, stepPathRootRelative);
-  const stepPathForPrompt = path.relative(RUNNER_ROOT, stepFileAbs);
+  if (listReady) {
+    ready.forEach((s) => console.log(`${s.id}\t${s.filename}`));
+    process.exit(0);
+  }
 
   if (dryRun) {
     process.exit(0);
   }
 
+  writeNextStep(ready[0]);
+}
+
+/**
+ * Write RUNNER_PROMPT.txt and NEXT.md for the given pending step.
+ */
+function writeNextStep(next) {
+  const stepPathRootRelative = path.join("docs", "TODO", "active", "steps", next.filename);
+  const stepFileAbs = path.join(ROOT, stepPathRootRelative);
+  const stepPathForPrompt = path.relative(RUNNER_ROOT, stepFileAbs);
+
   if (!fs.existsSync(RUNNER_DIR)) fs.mkdirSync(RUNNER_DIR, { recursive: true });
 
-  const promptText = loadExecuteStepPrompt(stepPathForPrompt);
+  const routing = loadModelRouting(ROOT, CONFIG);
+  const step = stepRoutingInfo(ROOT, stepFileAbs, routing);
+  const route = routeModel(step, routing);
+  const choice = chooseModel(step, route, CONFIG.values);
+
+  const stepSkipsManual = step.manual ? step.manual === "skip" : skipManual;
+  const promptText = loadExecuteStepPrompt(stepPathForPrompt, stepTemplateVars(step, { model: choice.model }), stepSkipsManual);
   fs.writeFileSync(PROMPT_FILE, promptText, "utf8");
+  const guiType = step.guiType;
+  const recommendedModel = route.model;
+  let modelHint = `\n**Model:** \`${choice.model}\``;
+  if (recommendedModel) modelHint += `\n**Recommended model:** \`${recommendedModel}\`\n**Model rule:** \`${route.rule.name}\` (${route.reason})`;
 
-  const guiPatterns = loadGuiPatterns(ROOT);
-  const modelRecs = loadModelRecommendations(ROOT);
-  const stepContent = readStepFile(ACTIVE_STEPS_DIR, next.filename);
-  const guiType = getGuiStepType(next.filename, stepContent, guiPatterns);
-  const recommendedModel = getRecommendedModel(next.filename, stepContent, guiPatterns, modelRecs);
-  const modelHint = recommendedModel ? `\n**Recommended model:** \`${recommendedModel}\`` : "";
-  
   let guiNote = "";
   if (guiType === "compound") {
     guiNote = "\n\n> **GUI Compound Step:** This step groups multiple UI components. Use a capable model and expect 2-3 hours.";
@@ -322,8 +283,9 @@ For manual run: paste the contents of RUNNER_PROMPT.txt into the chat (the @path
   console.log(`Next step: ${next.id} (${next.filename})${guiLabel}`);
   console.log(`Written: ${path.resolve(NEXT_FILE)}, ${promptFileAbs}`);
   if (recommendedModel) {
-    console.log(`Recommended model: ${recommendedModel}`);
+    console.log(`Recommended model: ${recommendedModel} (rule ${route.rule.name})`);
   }
+  console.log(`Model: ${choice.model} (${choice.reason})`);
 }
 
 main();
@@ -0,0 +1,64 @@
+/**
+ * next-step.mjs --ready on temporary projects: which pending steps the "## Depends on" section lets
+ * run (step-files.mjs parseDependsOn), TODO and phase ids in running text included.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const NEXT_STEP = fileURLToPath(new URL("./next-step.mjs", import.meta.url));
+
+/**
+ * Temporary project: phase P2 with TODO P2_01, whose step P2_01.01 is completed, and the given
+ * pending steps of P2_01.
+ * @param {Record<string, string>} steps - Step file name -> "Depends on" section
+ */
+function makeProject(steps) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "next-step-test-"));
+  const dir = (...parts) => {
+    const d = path.join(root, "docs", ...parts);
+    fs.mkdirSync(d, { recursive: true });
+    return d;
+  };
+  const step = (dependsOn) => `# Step\n\n## Goal\nx\n\n## Depends on\n${dependsOn}\n\n## Tasks\n- x\n`;
+  fs.writeFileSync(path.join(dir("phase", "active"), "P02_feature_Demo.md"), "# Phase 2\n");
+  fs.writeFileSync(path.join(dir("TODO", "active"), "P2_01_Demo.md"), "Feature Name:\nDemo\n\nStatus:\nIN PROGRESS\n");
+  fs.writeFileSync(path.join(dir("TODO", "completed", "steps"), "P2_01.01_a.md"), step("none"));
+  for (const [name, dependsOn] of Object.entries(steps)) fs.writeFileSync(path.join(dir("TODO", "active", "steps"), name), step(dependsOn));
+  return root;
+}
+
+/** Ids of the ready steps (next-step.mjs --ready), and its exit code. */
+function ready(root) {
+  const res = spawnSync(process.execPath, [NEXT_STEP, "--ready"], { cwd: root, encoding: "utf8", timeout: 30000 });
+  const ids = res.stdout.split("\n").filter((l) => l.includes("\t")).map((l) => l.split("\t")[0]);
+  return { code: res.status, ids };
+}
+
+describe("next-step.mjs --ready", () => {
+  const roots = [];
+  afterAll(() => roots.forEach((root) => fs.rmSync(root, { recursive: true, force: true })));
+
+  test("a step that mentions its own phase and TODO in passing does not wait on them", () => {
+    const root = makeProject({
+      "P2_01.02_b.md": "P2_01.01 (part of P2)",
+      "P2_01.03_c.md": "P2_01.01, which finishes the groundwork of P2_01 in phase P2",
+    });
+    roots.push(root);
+    expect(ready(root)).toEqual({ code: 0, ids: ["P2_01.02", "P2_01.03"] });
+  });
+
+  test.each([
+    ["comma-separated token", "P2_01.01, P2"],
+    ["list item", "- P2_01.01\n- P2_01"],
+    ["bold token after 'and'", "P2_01.01 and **P2**"],
+  ])("a phase or TODO id as a %s is a dependency", (_, dependsOn) => {
+    // P2_01.03 is ready; P2_01.02 waits on its own TODO or phase, which it keeps from finishing
+    const root = makeProject({ "P2_01.02_b.md": dependsOn, "P2_01.03_c.md": "P2_01.01" });
+    roots.push(root);
+    expect(ready(root)).toEqual({ code: 0, ids: ["P2_01.03"] });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Notifications for runner transitions nobody watches: the run loop blocking on action_required,
+ * a phase finishing (on-phase-done.mjs), the execution summary being written, and the runner
+ * crashing. Notifiers come from notifications.json in the project root (or .cursor/ or config/):
+ *
+ *   {
+ *     "notifiers": [
+ *       { "type": "webhook", "url": "https://hooks.example.com/x", "headers": { "Authorization": "Bearer ..." } },
+ *       { "type": "desktop", "events": ["blocked", "runner_crashed"] },
+ *       { "type": "command", "command": "./scripts/page-me.sh" }
+ *     ]
+ *   }
+ *
+ * events defaults to all of NOTIFY_EVENTS. webhook POSTs the payload as JSON; desktop runs
+ * notify-send; command runs with sh -c, the payload as JSON on stdin and TODO_RUNNER_EVENT,
+ * TODO_RUNNER_STEP, TODO_RUNNER_MESSAGE and TODO_RUNNER_SUMMARY in the environment.
+ *
+ * Payload: { event, project, projectName, time, message, stepId, phase, reason, actionFiles: [{ file, content }],
+ *   todoFile, phaseCompleted, summaryPath, exitCode, error }  (fields that do not apply are null)
+ * Notifying never throws: failures are returned so the caller can log them and carry on.
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { STEP_ID_REGEX } from "./step-files.mjs";
+
+export const NOTIFY_EVENTS = ["blocked", "phase_done", "summary_written", "runner_crashed"];
+const NOTIFIER_TYPES = ["webhook", "desktop", "command"];
+const CONFIG_NAME = "notifications.json";
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Path of the project's notifications.json, or null.
+ * @param {string} root
+ * @returns {string|null}
+ */
+export function findNotifyConfig(root) {
+  const candidates = [path.join(root, CONFIG_NAME), path.join(root, ".cursor", CONFIG_NAME), path.join(root, "config", CONFIG_NAME)];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Configured notifiers and problems with the config (invalid entries are skipped).
+ * @param {string} root
+ * @returns {{ notifiers: object[], problems: string[], configPath: string|null }}
+ */
+export function loadNotifiers(root) {
+  const configPath = findNotifyConfig(root);
+  if (!configPath) return { notifiers: [], problems: [], configPath };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    return { notifiers: [], problems: [`Cannot read ${configPath}: ${err.message}`], configPath };
+  }
+  const problems = [];
+  const notifiers = [];
+  (Array.isArray(config.notifiers) ? config.notifiers : []).forEach((n, i) => {
+    const where = `${configPath} notifiers[${i}]`;
+    if (!n || !NOTIFIER_TYPES.includes(n.type)) {
+      problems.push(`${where}: unknown type '${n && n.type}'. Valid types: ${NOTIFIER_TYPES.join(", ")}`);
+      return;
+    }
+    if (n.type === "webhook" && !/^https?:\/\//.test(n.url || "")) {
+      problems.push(`${where}: webhook needs an http(s) "url"`);
+      return;
+    }
+    if (n.type === "command" && !n.command) {
+      problems.push(`${where}: command notifier needs a "command"`);
+      return;
+    }
+    const events = n.events || NOTIFY_EVENTS;
+    const unknown = events.filter((e) => !NOTIFY_EVENTS.includes(e));
+    if (unknown.length) problems.push(`${where}: unknown event(s) ${unknown.join(", ")}. Valid events: ${NOTIFY_EVENTS.join(", ")}`);
+    notifiers.push({ ...n, events: events.filter((e) => NOTIFY_EVENTS.includes(e)) });
+  });
+  return { notifiers, problems, configPath };
+}
+
+/** One-line description of an event for desktop notifications and logs. */
+function describe(event, details) {
+  const files = (details.actionFiles || []).map((f) => path.basename(f.file));
+  switch (event) {
+    case "blocked":
+      return `Runner blocked${details.stepId ? ` on ${details.stepId}` : ""}: ${files.length ? files.join(", ") : details.reason || "see the runner output"}`;
+    case "phase_done":
+      if (details.phaseCompleted) return `Phase ${details.phase} finished`;
+      return `TODO ${details.todoFile ? path.basename(details.todoFile, ".md") : details.phase || ""} finished`;
+    case "summary_written":
+      return `Execution summary written${details.summaryPath ? `: ${details.summaryPath}` : ""}`;
+    case "runner_crashed":
+      return `Runner crashed: ${(details.error || "unknown error").split("\n")[0]}`;
+    default:
+      return event;
+  }
+}
+
+/**
+ * Build the notification payload. actionFiles may be given as names in docs/TODO/action_required;
+ * their contents are read here. stepId defaults to the first step id in those names.
+ * @param {string} root
+ * @param {string} event - One of NOTIFY_EVENTS
+ * @param {object} [details] - { stepId, phase, reason, actionFiles, todoFile, phaseCompleted, summaryPath, exitCode, error }
+ * @returns {object}
+ */
+export function buildPayload(root, event, details = {}) {
+  const actionDir = path.join(root, "docs", "TODO", "action_required");
+  const actionFiles = (details.actionFiles || []).map((f) => {
+    if (typeof f === "object") return f;
+    let content = "";
+    try {
+      content = fs.readFileSync(path.join(actionDir, f), "utf8");
+    } catch {
+      // Gone already
+    }
+    return { file: path.join("docs", "TODO", "action_required", f), content };
+  });
+  const stepId = details.stepId || actionFiles.map((f) => (path.basename(f.file).match(STEP_ID_REGEX) || [])[0]).find(Boolean) || null;
+  const full = { ...details, stepId, actionFiles };
+  return {
+    event,
+    project: root,
+    projectName: path.basename(root),
+    time: new Date().toISOString(),
+    message: describe(event, full),
+    stepId,
+    phase: details.phase || null,
+    reason: details.reason || null,
+    actionFiles,
+    todoFile: details.todoFile || null,
+    phaseCompleted: details.phaseCompleted ?? null,
+    summaryPath: details.summaryPath || null,
+    exitCode: details.exitCode ?? null,
+    error: details.error || null,
+  };
+}
+
+function runProcess(command, args, { input = "", env = process.env, cwd, timeoutMs }) {
+  return new Promise((resolve) => {
+    let output = "";
+    const child = spawn(command, args, { cwd, env, stdio: ["pipe", "pipe", "pipe"] });
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({ code: null, output: err.message });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+async function send(notifier, payload, root) {
+  if (notifier.type === "webhook") {
+    const res = await fetch(notifier.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(notifier.headers || {}) },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`webhook ${notifier.url} answered ${res.status}`);
+    return;
+  }
+  if (notifier.type === "desktop") {
+    const urgency = payload.event === "blocked" || payload.event === "runner_crashed" ? "critical" : "normal";
+    const res = await runProcess("notify-send", ["-a", "TODO runner", "-u", urgency, `TODO runner: ${payload.projectName}`, payload.message], {
+      cwd: root,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+    });
+    if (res.code !== 0) throw new Error(`notify-send failed: ${res.output.trim() || `exit ${res.code}`}`);
+    return;
+  }
+  const env = {
+    ...process.env,
+    TODO_RUNNER_EVENT: payload.event,
+    TODO_RUNNER_STEP: payload.stepId || "",
+    TODO_RUNNER_MESSAGE: payload.message,
+    TODO_RUNNER_SUMMARY: payload.summaryPath || "",
+  };
+  const res = await runProcess("sh", ["-c", notifier.command], { input: JSON.stringify(payload), env, cwd: root, timeoutMs: COMMAND_TIMEOUT_MS });
+  if (res.code !== 0) throw new Error(`command '${notifier.command}' failed: ${res.output.trim() || `exit ${res.code}`}`);
+}
+
+/**
+ * Send an event to every notifier configured for it.
+ * @param {string} root - Project root
+ * @param {string} event - One of NOTIFY_EVENTS
+ * @param {object} [details] - See buildPayload
+ * @returns {Promise<{ payload: object|null, sent: string[], errors: string[] }>} sent/errors name the notifier type
+ */
+export async function notify(root, event, details = {}) {
+  const { notifiers, problems } = loadNotifiers(root);
+  const targets = notifiers.filter((n) => n.events.includes(event));
+  if (targets.length === 0) return { payload: null, sent: [], errors: problems };
+  const payload = buildPayload(root, event, details);
+  const results = await Promise.all(
+    targets.map((n) =>
+      send(n, payload, root).then(
+        () => ({ ok: n.type }),
+        (err) => ({ error: `${n.type}: ${err.message}` })
+      )
+    )
+  );
+  return {
+    payload,
+    sent: results.filter((r) => r.ok).map((r) => r.ok),
+    errors: [...problems, ...results.filter((r) => r.error).map((r) => r.error)],
+  };
+}
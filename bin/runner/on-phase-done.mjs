@@ -1,39 +1,78 @@
 #!/usr/bin/env node
 /**
  * Run when the runner loop exits with "no pending steps" (phase/TODO finished).
- * 1. Moves any Agent-First TODO from docs/TODO/active/ to docs/TODO/completed/ if still there.
+ * 1. Moves the finished Agent-First TODOs from docs/TODO/active/ to docs/TODO/completed/ if still there.
  * 2. After last TODO of a phase is processed (no remaining in backlog or active, excluding cancelled),
  *    moves the phase doc from docs/phase/active/ to docs/phase/completed/.
- * 3. Builds execution-summary prompt with context (TodoFile, CompletedSteps, etc.) and writes
- *    docs/TODO/runner/RUNNER_SUMMARY_PROMPT.txt for the agent to run once.
- * Summary is generated only once per finished phase, not per step.
+ * 3. Builds an execution-summary prompt with context (TodoFile, CompletedSteps, etc.) per TODO and
+ *    writes docs/TODO/runner/RUNNER_SUMMARY_PROMPT_<todoId>.txt for the agent to run once each.
+ * 4. Runs the onTodoCompleted hook (when it moved a TODO) and, when the phase is finished, the
+ *    onPhaseCompleted hook (hooks.mjs).
+ * 5. Sends the phase_done notification (notify.mjs).
+ * Summaries are generated once per TODO when the phase finishes, not per step.
+ *
+ * With --stopped (the run loop stopped before the phase finished: a blocker, the --steps/--once
+ * limit or a time budget) it only writes summary prompts for the TODOs the run worked on, each with
+ * its own outcome: SUCCESS when it has no pending steps, BLOCKED when an action_required file names
+ * one of its steps (the prompt includes the file), else PARTIAL. Nothing is moved, no hooks run and
+ * no notification is sent.
  *
  * Options:
  *   --phase ID      Only consider TODO and steps for this phase (e.g. P1_03).
- *   --no_summary    Only move TODO to completed; do not write RUNNER_SUMMARY_PROMPT.txt.
+ *   --todo IDS      TODOs to summarize, comma-separated (e.g. P1_03,P1_04; the run loop passes the TODOs
+ *                   of the steps it ran). Default: the active TODOs of the phase (with --stopped: the first one).
+ *   --no_summary    Only move TODO to completed; do not write summary prompts (default: noSummary
+ *                   of the project config, see project-config.mjs).
+ *   --no_notify     Do not send the phase_done notification.
+ *   --no_hooks      Do not run the onTodoCompleted and onPhaseCompleted hooks.
+ *   --stopped       The run stopped before the phase finished (see above).
+ *   --reason TEXT   Why the run stopped (goes into the prompt).
  */
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { stepIdFromFilename, todoIdFromStepId, phaseIdFromId, listStepFiles, readStepFile, readStepMeta, readTodoMeta, normalizePhaseId } from "./step-files.mjs";
+import { notify } from "./notify.mjs";
+import { loadHooks, runHooks, describeHookFailure } from "./hooks.mjs";
+import { resolveConfig } from "./project-config.mjs";
+import { renderPrompt } from "./prompt-template.mjs";
+import { listActions, listOpenActionFiles, readActionLog, actionStepId } from "./action-files.mjs";
 
-const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
-const RUNNER_ROOT = path.join(SCRIPT_DIR, "..", "..");
-const SUMMARY_PROMPT_PATH = path.join(RUNNER_ROOT, "prompts", "05-execution-summary.prompt");
+const SUMMARY_PROMPT_NAME = "05-execution-summary.prompt";
+const TODO_FILENAME_REGEX = /^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_(.+)\.md$/;
+// RUNNER_SUMMARY_PROMPT_<todoId>.txt in docs/TODO/runner
+const SUMMARY_PROMPT_REGEX = /^RUNNER_SUMMARY_PROMPT(_.+)?\.txt$/;
 
 function parseArgs() {
   const args = process.argv.slice(2);
   let phase = null;
   let noSummary = false;
+  let noNotify = false;
+  let noHooks = false;
+  let stopped = false;
+  let reason = null;
+  let todoIds = [];
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--phase" && args[i + 1]) {
       phase = args[i + 1];
       i++;
     } else if (args[i] === "--no_summary") {
       noSummary = true;
+    } else if (args[i] === "--no_notify") {
+      noNotify = true;
+    } else if (args[i] === "--no_hooks") {
+      noHooks = true;
+    } else if (args[i] === "--stopped") {
+      stopped = true;
+    } else if (args[i] === "--reason" && args[i + 1]) {
+      reason = args[i + 1];
+      i++;
+    } else if (args[i] === "--todo" && args[i + 1]) {
+      todoIds.push(...args[i + 1].split(",").map((id) => id.trim()).filter(Boolean));
+      i++;
     }
   }
-  return { phase, noSummary };
+  return { phase, noSummary, noNotify, noHooks, stopped, reason, todoIds };
 }
 
 const ROOT = process.cwd();
@@ -43,28 +82,15 @@ const BACKLOG_DIR = path.join(TODO_DIR, "backlog");
 const COMPLETED_DIR = path.join(TODO_DIR, "completed");
 const COMPLETED_STEPS_DIR = path.join(COMPLETED_DIR, "steps");
 const SUMMARIES_DIR = path.join(COMPLETED_DIR, "summaries");
+const ACTIVE_STEPS_DIR = path.join(ACTIVE_DIR, "steps");
+const ACTION_REQUIRED_DIR = path.join(TODO_DIR, "action_required");
 const RUNNER_DIR = path.join(TODO_DIR, "runner");
-const SUMMARY_PROMPT_OUT = path.join(RUNNER_DIR, "RUNNER_SUMMARY_PROMPT.txt");
 const PHASE_ACTIVE_DIR = path.join(ROOT, "docs", "phase", "active");
 const PHASE_COMPLETED_DIR = path.join(ROOT, "docs", "phase", "completed");
 
-function stepIdFromFilename(name) {
-  // Match versioned step ID: P{phase}_{todo}.{step} where each can be dotted (e.g., P2.5_01.5.01)
-  const match = name.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*)_/);
-  return match ? match[1] : null;
-}
-
-function phaseFromStepId(stepId) {
-  if (!stepId) return null;
-  const idx = stepId.lastIndexOf(".");
-  return idx > 0 ? stepId.slice(0, idx) : stepId;
-}
-
 /** Extract phase prefix from TODO filename (e.g. P1_01_foo.md -> P1, P2.5_01_foo.md -> P2.5) */
 function phaseFromTodoFilename(name) {
-  // Match versioned phase: P{version} where version can be dotted (e.g., P2.5)
-  const match = name.match(/^(P\d+(?:\.\d+)*)_/);
-  return match ? match[1] : null;
+  return phaseIdFromId(name);
 }
 
 function listTodoFiles(dir) {
@@ -72,26 +98,15 @@ function listTodoFiles(dir) {
   return fs.readdirSync(dir).filter((f) => f.endsWith(".md"));
 }
 
-function listStepFiles(dir) {
-  if (!fs.existsSync(dir)) return [];
-  return fs.readdirSync(dir).filter((f) => f.endsWith(".md") && stepIdFromFilename(f));
-}
-
 function todoMatchesPhase(todoBasename, phase) {
   if (!phase) return true;
   return todoBasename.startsWith(phase + "_") || todoBasename.includes("_" + phase + "_");
 }
 
-/** Check if a TODO file has Status: CANCELLED (case-insensitive) */
+/** Check if a TODO is cancelled (status CANCELLED in its front matter or "Status:" field) */
 function isTodoCancelled(filepath) {
   try {
-    const content = fs.readFileSync(filepath, "utf8");
-    // Match "Status:" line followed by CANCELLED (case-insensitive)
-    const statusMatch = content.match(/^Status:\s*\n?\s*(.+)/im);
-    if (statusMatch) {
-      return /cancelled/i.test(statusMatch[1]);
-    }
-    return false;
+    return readTodoMeta(path.basename(filepath), fs.readFileSync(filepath, "utf8")).cancelled;
   } catch {
     return false;
   }
@@ -110,17 +125,22 @@ function hasRemainingTodosForPhase(phase) {
   return backlogTodos.length > 0 || activeTodos.length > 0;
 }
 
-/** Move phase doc for a phase from docs/phase/active/ to docs/phase/completed/ if it exists */
+/**
+ * Move phase doc for a phase from docs/phase/active/ to docs/phase/completed/ if it exists.
+ * @returns {string[]} Moved files (new paths)
+ */
 function movePhaseDocToCompleted(phase) {
-  if (!phase || !fs.existsSync(PHASE_ACTIVE_DIR)) return;
+  const moved = [];
+  if (!phase || !fs.existsSync(PHASE_ACTIVE_DIR)) return moved;
 
   const phaseFiles = fs.readdirSync(PHASE_ACTIVE_DIR).filter((f) => {
     if (!f.endsWith(".md")) return false;
-    // Match files that start with the phase prefix
-    return f.startsWith(phase + "_") || f.startsWith(phase + "-") || f === phase + ".md";
+    // Match files that start with the phase prefix; phase docs are numbered P01_..., steps P1_...
+    const prefix = (f.match(/^(P\d+(?:\.\d+)*)(?:[_-]|\.md$)/) || [])[1];
+    return !!prefix && normalizePhaseId(prefix) === normalizePhaseId(phase);
   });
 
-  if (phaseFiles.length === 0) return;
+  if (phaseFiles.length === 0) return moved;
 
   fs.mkdirSync(PHASE_COMPLETED_DIR, { recursive: true });
   for (const file of phaseFiles) {
@@ -130,86 +150,251 @@ function movePhaseDocToCompleted(phase) {
     const dest = path.join(PHASE_COMPLETED_DIR, file);
     fs.renameSync(src, dest);
     console.log("Moved phase doc to completed:", file);
+    moved.push(dest);
   }
+  return moved;
 }
 
-function chooseTodoToSummarize(phaseFilter) {
-  const activeTodos = listTodoFiles(ACTIVE_DIR).filter((f) => todoMatchesPhase(f, phaseFilter));
-  if (activeTodos.length > 0) {
-    const chosen = activeTodos[0];
-    const src = path.join(ACTIVE_DIR, chosen);
-    const dest = path.join(COMPLETED_DIR, chosen);
-    fs.mkdirSync(COMPLETED_DIR, { recursive: true });
-    fs.renameSync(src, dest);
-    console.log("Moved TODO to completed:", chosen);
-    return { path: dest, basename: chosen };
+const todoIdOf = (todo) => (todo.basename.match(TODO_FILENAME_REGEX) || [])[1] || null;
+
+/** A TODO file by id, in active/ or completed/ (null when neither has it). */
+function findTodo(todoId) {
+  for (const [dir, location] of [[ACTIVE_DIR, "active"], [COMPLETED_DIR, "completed"]]) {
+    const file = listTodoFiles(dir).sort().find((f) => f.startsWith(todoId + "_"));
+    if (file) return { path: path.join(dir, file), basename: file, location, moved: false };
   }
+  return null;
+}
+
+/**
+ * TODOs of a finished phase to summarize: the given ones, else the active TODOs of the phase. Active
+ * TODOs without pending steps are moved to completed; with none found, the most recently completed one.
+ */
+function finishedTodos(phaseFilter, todoIds) {
+  const ids = todoIds.length
+    ? todoIds
+    : listTodoFiles(ACTIVE_DIR)
+        .filter((f) => todoMatchesPhase(f, phaseFilter))
+        .sort()
+        .map((f) => (f.match(TODO_FILENAME_REGEX) || [])[1])
+        .filter(Boolean);
+  const todos = [];
+  for (const id of ids) {
+    const todo = findTodo(id);
+    if (!todo || (todo.location === "active" && pendingStepsOf(todo).length > 0)) continue;
+    if (todo.location === "active") {
+      const dest = path.join(COMPLETED_DIR, todo.basename);
+      fs.mkdirSync(COMPLETED_DIR, { recursive: true });
+      fs.renameSync(todo.path, dest);
+      console.log("Moved TODO to completed:", todo.basename);
+      Object.assign(todo, { path: dest, location: "completed", moved: true });
+    }
+    todos.push(todo);
+  }
+  if (todos.length || todoIds.length) return todos;
   const completedTodos = listTodoFiles(COMPLETED_DIR).filter((f) => todoMatchesPhase(f, phaseFilter));
-  if (completedTodos.length === 0) return null;
-  const byMtime = completedTodos
-    .map((f) => ({
-      basename: f,
-      path: path.join(COMPLETED_DIR, f),
-      mtime: fs.statSync(path.join(COMPLETED_DIR, f)).mtimeMs,
-    }))
-    .sort((a, b) => b.mtime - a.mtime);
-  const t = byMtime[0];
-  return t ? { path: t.path, basename: t.basename } : null;
-}
-
-function getCompletedStepsContent(phaseFilter) {
-  const files = listStepFiles(COMPLETED_STEPS_DIR);
-  const filtered = phaseFilter
-    ? files.filter((f) => phaseFromStepId(stepIdFromFilename(f)) === phaseFilter)
-    : files;
-  return filtered
+  const latest = completedTodos
+    .map((f) => ({ basename: f, path: path.join(COMPLETED_DIR, f), mtime: fs.statSync(path.join(COMPLETED_DIR, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)[0];
+  return latest ? [{ path: latest.path, basename: latest.basename, location: "completed", moved: false }] : [];
+}
+
+/** TODOs of a stopped run: the given ones, else the first active TODO of the phase (nothing moved). */
+function stoppedTodos(phaseFilter, todoIds) {
+  if (todoIds.length) return todoIds.map(findTodo).filter(Boolean);
+  const first = listTodoFiles(ACTIVE_DIR)
+    .filter((f) => todoMatchesPhase(f, phaseFilter))
+    .sort()[0];
+  return first ? [{ path: path.join(ACTIVE_DIR, first), basename: first, location: "active", moved: false }] : [];
+}
+
+/** Step files of a TODO still in active/steps (cancelled steps do not count). */
+function pendingStepsOf(todo) {
+  const todoId = todoIdOf(todo);
+  return listStepFiles(ACTIVE_STEPS_DIR).filter((f) => {
+    const meta = readStepMeta(f, readStepFile(ACTIVE_STEPS_DIR, f));
+    return !meta.cancelled && todoIdFromStepId(meta.id) === todoId;
+  });
+}
+
+/** Title of a step file: its first heading, else its slug. */
+function stepTitle(dir, file) {
+  const content = fs.readFileSync(path.join(dir, file), "utf8");
+  const heading = content.match(/^#\s+(.+)$/m);
+  return heading ? heading[1].trim() : file.replace(/^[^_]+_[^_]+_/, "").replace(/\.md$/, "").replace(/_/g, " ");
+}
+
+/** Completed step files of a TODO, in full (the agent needs their verification notes and action items). */
+function getCompletedStepsContent(todo) {
+  const todoId = todoIdOf(todo);
+  return listStepFiles(COMPLETED_STEPS_DIR)
+    .filter((f) => todoIdFromStepId(stepIdFromFilename(f)) === todoId)
+    .map((f) => `### ${f}\n${fs.readFileSync(path.join(COMPLETED_STEPS_DIR, f), "utf8").trimEnd()}`)
+    .join("\n\n");
+}
+
+/** Pending steps of a TODO as a list: path, title and the action files that block it. */
+function pendingStepsList(todo, actionFiles) {
+  return pendingStepsOf(todo)
     .map((f) => {
-      const content = fs.readFileSync(path.join(COMPLETED_STEPS_DIR, f), "utf8");
-      return `### ${f}\n${content.slice(0, 1200)}${content.length > 1200 ? "\n..." : ""}`;
+      const stepId = stepIdFromFilename(f);
+      const blockers = actionFiles.filter((a) => actionStepId(a) === stepId);
+      const blocked = blockers.length ? ` (blocked by ${blockers.join(", ")})` : "";
+      return `\n  - docs/TODO/active/steps/${f}: ${stepTitle(ACTIVE_STEPS_DIR, f)}${blocked}`;
     })
-    .join("\n\n");
+    .join("");
 }
 
-function main() {
-  const { phase: phaseFilter, noSummary } = parseArgs();
+/** Archived and deferred action items of a TODO's steps, with their notes (action-files.mjs). */
+function actionItemsOf(todo) {
+  const todoId = (todo.basename.match(TODO_FILENAME_REGEX) || [])[1];
+  return listActions(ROOT)
+    .filter((item) => (item.state === "archived" || item.state === "deferred") && item.stepId && todoIdFromStepId(item.stepId) === todoId)
+    .map((item) => {
+      const content = fs.readFileSync(path.join(ROOT, item.path), "utf8");
+      const resolved = readActionLog(content).filter((e) => e.event === "resolved" || e.event === "deferred").pop();
+      const how = item.state === "deferred" ? "deferred, still open" : "resolved";
+      return `\n  - ${item.path} (${item.stepId}, ${how}): ${(resolved && resolved.note) || "no note"}`;
+    })
+    .join("");
+}
 
-  const todo = chooseTodoToSummarize(phaseFilter);
-  if (!todo) {
-    console.log("No TODO to summarize (none in active or completed for this phase).");
-    process.exit(0);
-  }
+/** Remove the summary prompts of an earlier run, so the run loop only runs the ones written now. */
+function clearSummaryPrompts() {
+  if (!fs.existsSync(RUNNER_DIR)) return;
+  for (const f of fs.readdirSync(RUNNER_DIR)) if (SUMMARY_PROMPT_REGEX.test(f)) fs.rmSync(path.join(RUNNER_DIR, f), { force: true });
+}
 
-  // After moving TODO to completed, check if this was the last non-cancelled TODO for the phase
-  // If so, move the phase doc to completed
-  const phase = phaseFilter || phaseFromTodoFilename(todo.basename);
-  if (phase && !hasRemainingTodosForPhase(phase)) {
-    movePhaseDocToCompleted(phase);
-  }
+/** Open action files that concern a TODO: those naming one of its steps, and those naming no step. */
+function actionFilesOf(todo, actionFiles) {
+  const todoId = todoIdOf(todo);
+  return actionFiles.filter((f) => {
+    const stepId = actionStepId(f);
+    return !stepId || todoIdFromStepId(stepId) === todoId;
+  });
+}
 
-  if (noSummary) {
-    process.exit(0);
-  }
+/** Outcome of a TODO when the run stopped: SUCCESS (no pending steps), BLOCKED (an action file concerns it) or PARTIAL. */
+function stoppedOutcome(todo, actionFiles) {
+  if (pendingStepsOf(todo).length === 0) return "SUCCESS";
+  return actionFilesOf(todo, actionFiles).length ? "BLOCKED" : "PARTIAL";
+}
 
-  const todoContent = fs.readFileSync(todo.path, "utf8");
-  const completedStepsContent = getCompletedStepsContent(phaseFilter);
-  const outcome = "SUCCESS";
+/**
+ * Write RUNNER_SUMMARY_PROMPT_<todoId>.txt for a TODO: finished (SUCCESS), or unfinished (PARTIAL,
+ * BLOCKED) with its pending steps and the open action_required files (in full for BLOCKED).
+ * @param {object} todo - From finishedTodos or stoppedTodos
+ * @param {object} config - resolveConfig result
+ * @param {{ outcome?: string, reason?: string|null }} [opts] - reason: why the run stopped
+ * @returns {string} Path the summary is to be saved to
+ */
+function writeSummaryPrompt(todo, config, { outcome = "SUCCESS", reason = null } = {}) {
+  const todoId = todoIdOf(todo);
+  const openFiles = listOpenActionFiles(ROOT);
+  const ownFiles = actionFilesOf(todo, openFiles);
+  // A BLOCKED TODO gets its blockers in full; a PARTIAL one only the names of other TODOs' blockers
+  const blockers = outcome === "BLOCKED" ? ownFiles : outcome === "PARTIAL" ? openFiles : [];
+  const blockerList = blockers.map((f) => `\n  - docs/TODO/action_required/${f}`).join("");
+  const blockerContents =
+    outcome === "BLOCKED"
+      ? blockers.map((f) => `#### docs/TODO/action_required/${f}\n${fs.readFileSync(path.join(ACTION_REQUIRED_DIR, f), "utf8").trimEnd()}`).join("\n\n")
+      : "";
 
   if (!fs.existsSync(RUNNER_DIR)) fs.mkdirSync(RUNNER_DIR, { recursive: true });
   fs.mkdirSync(SUMMARIES_DIR, { recursive: true });
   const summaryBasename = path.basename(todo.basename, ".md") + ".summary.md";
   const outputPath = path.join(SUMMARIES_DIR, summaryBasename);
+  const promptOut = path.join(RUNNER_DIR, `RUNNER_SUMMARY_PROMPT_${todoId}.txt`);
 
-  let template = fs.readFileSync(SUMMARY_PROMPT_PATH, "utf8");
-  template = template.replace("@TodoFile", todoContent);
-  template = template.replace("@CompletedSteps", completedStepsContent || "(none listed)");
-  template = template.replace("@PendingSteps", "None — phase completed.");
-  template = template.replace("@ActionRequired", "None.");
-  template = template.replace("@Outcome", outcome);
-  template = template.replace("@OutputPath", outputPath);
+  const text = renderPrompt(config.values, SUMMARY_PROMPT_NAME, {
+    todoFile: fs.readFileSync(todo.path, "utf8"),
+    completedSteps: getCompletedStepsContent(todo) || "(none listed)",
+    pendingSteps: outcome === "SUCCESS" ? "None — TODO completed." : pendingStepsList(todo, openFiles) || "None.",
+    actionRequired: blockerList || "None.",
+    actionRequiredContents: blockerContents || "None.",
+    resolvedActions: actionItemsOf(todo) || "None.",
+    stopReason: reason || (outcome === "SUCCESS" ? "The TODO's steps are all completed." : "Not given."),
+    outcome,
+    outputPath,
+    todo: { id: todoId, phase: phaseIdFromId(todoId) },
+  });
 
-  fs.writeFileSync(SUMMARY_PROMPT_OUT, template, "utf8");
-  console.log("Summary prompt written:", SUMMARY_PROMPT_OUT);
+  fs.writeFileSync(promptOut, text, "utf8");
+  console.log(`Summary prompt written (${todoId}, ${outcome}):`, promptOut);
   console.log("Summary will be saved to:", outputPath);
+  return outputPath;
+}
+
+/** Run a hook (hooks.mjs) and print its failures; they never stop on-phase-done. */
+async function runHook(config, name, context) {
+  const { hooks } = loadHooks(config);
+  const { failed } = await runHooks(ROOT, name, context, { hooks, onCommand: (c) => console.log(`Hook ${name}: ${c}`) });
+  failed.forEach((r) => console.log(`Hook ${name} failed: ${describeHookFailure(r)}`));
+}
+
+async function main() {
+  const { phase: phaseFilter, noSummary: noSummaryFlag, noNotify, noHooks, stopped, reason, todoIds } = parseArgs();
+  const config = await resolveConfig(ROOT, { cli: { noSummary: noSummaryFlag || undefined } });
+  const noSummary = config.values.noSummary;
+
+  if (stopped) {
+    const todos = stoppedTodos(phaseFilter, todoIds);
+    if (todos.length === 0) {
+      console.log("No TODO to summarize for this phase.");
+      return;
+    }
+    if (noSummary) return;
+    clearSummaryPrompts();
+    const actionFiles = listOpenActionFiles(ROOT);
+    for (const todo of todos) writeSummaryPrompt(todo, config, { outcome: stoppedOutcome(todo, actionFiles), reason });
+    return;
+  }
+
+  const todos = finishedTodos(phaseFilter, todoIds);
+  if (todos.length === 0) {
+    console.log("No TODO to summarize (none in active or completed for this phase).");
+    return;
+  }
+  if (!noSummary) clearSummaryPrompts();
+  const summaries = new Map(todos.map((todo) => [todo, noSummary ? null : writeSummaryPrompt(todo, config, { reason })]));
+
+  // After moving the TODOs to completed, check for each phase whether this was its last non-cancelled
+  // TODO; if so, move the phase doc to completed
+  const phases = [...new Set(todos.map((todo) => phaseFilter || phaseFromTodoFilename(todo.basename)))];
+  for (const phase of phases) {
+    const phaseTodos = todos.filter((todo) => (phaseFilter || phaseFromTodoFilename(todo.basename)) === phase);
+    const lastTodo = phaseTodos[phaseTodos.length - 1];
+    const summaryPath = summaries.get(lastTodo);
+    const phaseCompleted = !!phase && !hasRemainingTodosForPhase(phase);
+    const phaseDocs = phaseCompleted ? movePhaseDocToCompleted(phase) : [];
+
+    if (!noHooks) {
+      for (const todo of phaseTodos) {
+        if (!todo.moved) continue;
+        await runHook(config, "onTodoCompleted", { phase, todoId: todoIdOf(todo), todoFile: path.relative(ROOT, todo.path), outcome: "completed" });
+      }
+      if (phaseCompleted) {
+        await runHook(config, "onPhaseCompleted", {
+          phase,
+          todoId: todoIdOf(lastTodo),
+          todoFile: path.relative(ROOT, lastTodo.path),
+          outcome: "completed",
+          phaseFile: phaseDocs[0] ? path.relative(ROOT, phaseDocs[0]) : null,
+          summaryFile: summaryPath && path.relative(ROOT, summaryPath),
+        });
+      }
+    }
+
+    if (!noNotify) {
+      const { errors } = await notify(ROOT, "phase_done", {
+        phase,
+        phaseCompleted,
+        todoFile: path.relative(ROOT, lastTodo.path),
+        summaryPath: summaryPath && path.relative(ROOT, summaryPath),
+      });
+      errors.forEach((e) => console.log(`Notification failed: ${e}`));
+    }
+  }
 }
 
 main();
@@ -2,9 +2,10 @@
 /**
  * Run after a step file is moved to completed/steps/.
  * If no sibling steps remain in active/steps/ for the same TODO, moves the parent
- * TODO from docs/TODO/active/ to docs/TODO/completed/.
+ * TODO from docs/TODO/active/ to docs/TODO/completed/ and runs the onTodoCompleted hook (hooks.mjs).
+ * Cancelled siblings (status: cancelled in their front matter, step-files.mjs readStepMeta) do not count.
  *
- * Usage: node on-step-completed.mjs <step-basename>
+ * Usage: node on-step-completed.mjs <step-basename> [--no_hooks]
  * Example: node on-step-completed.mjs P1_01.05_foo.md
  *
  * Run from project root. Step file may already be in completed/steps/ (call after move).
@@ -12,28 +13,24 @@
 
 import fs from "fs";
 import path from "path";
+import { stepIdFromFilename, todoIdFromStepId, listStepFiles, readStepFile, readStepMeta } from "./step-files.mjs";
+import { loadHooks, runHooks, stepHookContext, describeHookFailure } from "./hooks.mjs";
+import { resolveConfig } from "./project-config.mjs";
 
 const ROOT = process.cwd();
 const ACTIVE_DIR = path.join(ROOT, "docs", "TODO", "active");
 const ACTIVE_STEPS_DIR = path.join(ACTIVE_DIR, "steps");
 const COMPLETED_DIR = path.join(ROOT, "docs", "TODO", "completed");
-
-function stepIdFromFilename(name) {
-  // Match versioned step ID: P{phase}_{todo}.{step} where each can be dotted (e.g., P2.5_01.5.01)
-  const match = name.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*)_/);
-  return match ? match[1] : null;
-}
+const COMPLETED_STEPS_DIR = path.join(COMPLETED_DIR, "steps");
 
 /** TODO id from step filename (e.g. P1_01.05_foo.md -> P1_01, P2.5_01.5.01_foo.md -> P2.5_01.5) */
 function todoIdFromStepFilename(basename) {
-  const stepId = stepIdFromFilename(basename);
-  if (!stepId) return null;
-  const idx = stepId.lastIndexOf(".");
-  return idx > 0 ? stepId.slice(0, idx) : stepId;
+  return todoIdFromStepId(stepIdFromFilename(basename));
 }
 
-function main() {
+async function main() {
   const stepBasename = process.argv[2];
+  const noHooks = process.argv.includes("--no_hooks");
   if (!stepBasename || !stepBasename.endsWith(".md")) {
     process.exit(0);
   }
@@ -43,10 +40,9 @@ function main() {
 
   if (!fs.existsSync(ACTIVE_STEPS_DIR)) process.exit(0);
 
-  const activeStepFiles = fs.readdirSync(ACTIVE_STEPS_DIR).filter((f) => {
-    if (!f.endsWith(".md")) return false;
-    const id = stepIdFromFilename(f);
-    return id && (id === todoId || id.startsWith(todoId + "."));
+  const activeStepFiles = listStepFiles(ACTIVE_STEPS_DIR).filter((f) => {
+    const meta = readStepMeta(f, readStepFile(ACTIVE_STEPS_DIR, f));
+    return !meta.cancelled && (meta.id === todoId || meta.id.startsWith(todoId + "."));
   });
 
   if (activeStepFiles.length > 0) process.exit(0);
@@ -64,6 +60,13 @@ function main() {
   fs.mkdirSync(COMPLETED_DIR, { recursive: true });
   fs.renameSync(src, dest);
   console.log("Moved TODO to completed (no sibling steps left):", todoFile);
+
+  if (!noHooks) {
+    const context = { ...stepHookContext(ROOT, path.join(COMPLETED_STEPS_DIR, stepBasename)), outcome: "completed" };
+    const { hooks } = loadHooks(await resolveConfig(ROOT));
+    const { failed } = await runHooks(ROOT, "onTodoCompleted", context, { hooks, onCommand: (c) => console.log(`Hook onTodoCompleted: ${c}`) });
+    failed.forEach((r) => console.log(`Hook onTodoCompleted failed: ${describeHookFailure(r)}`));
+  }
 }
 
 main();
@@ -0,0 +1,220 @@
+/**
+ * Planning pipeline: runs prompts 01–03 through the agent backend without a chat, one target at
+ * a time, and checks what the agent wrote before the next stage starts.
+ *
+ *   phases  design doc  -> docs/phase/active/P{version}_{type}_{Name}.md   (01-breakdown-to-phases.prompt)
+ *   todos   phase doc   -> docs/TODO/active/P{phase}_{todo}_{Name}.md      (02-breakdown-to-todos.prompt)
+ *   steps   TODO        -> docs/TODO/active/steps/P{phase}_{todo}.{step}_{slug}.md (03-generate-steps.prompt)
+ *
+ * Each prompt is rendered with prompt-template.mjs (project copies and user fragments 01_*, 02_*,
+ * 03_* included) plus prompts/fragments/plan-unattended.txt. The new files are checked: phase docs
+ * with step-lint.mjs lintPhaseDocs, TODOs and steps with lintTodoTree (naming and sections), and
+ * all must land in the stage's directory and belong to the target. Errors stop the pipeline.
+ *
+ * Open questions: the agent writes them to docs/TODO/runner/PLAN_QUESTIONS.md instead of output
+ * files. They are collected into action_required/take_action_plan_<stage>_<target>.md, which blocks
+ * the runner and the pipeline for that target. Answer them in the file and rename it to resolved_*;
+ * the next plan run for the target puts the file in its prompt and archives it (action-files.mjs).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { renderPrompt } from "./prompt-template.mjs";
+import { lintTodoTree, lintPhaseDocs } from "./step-lint.mjs";
+import { loadProjectStatus } from "./project-status.mjs";
+import { findTodoFile, stepIdFromFilename, todoIdFromStepId, phaseIdFromId, normalizePhaseId } from "./step-files.mjs";
+import { actionRequiredDir, archiveResolvedAction } from "./action-files.mjs";
+import { runAgent } from "../agents/run.mjs";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = path.join(SCRIPT_DIR, "..", "..", "templates");
+
+/** Stages in pipeline order: prompt, output template, output directory. */
+export const PLAN_STAGES = {
+  phases: { prompt: "01-breakdown-to-phases.prompt", template: "01-feature-overview.template", dir: path.join("docs", "phase", "active") },
+  todos: { prompt: "02-breakdown-to-todos.prompt", template: "02-agent-first-todo.template", dir: path.join("docs", "TODO", "active") },
+  steps: { prompt: "03-generate-steps.prompt", template: null, dir: path.join("docs", "TODO", "active", "steps") },
+};
+
+const QUESTIONS_FILE = path.join("docs", "TODO", "runner", "PLAN_QUESTIONS.md");
+const PROMPT_FILE = path.join("docs", "TODO", "runner", "RUNNER_PLAN_PROMPT.txt");
+// Where planning output may land; files anywhere else are not looked at
+const WATCHED_DIRS = [path.join("docs", "phase", "active"), path.join("docs", "TODO", "active"), path.join("docs", "TODO", "backlog"), path.join("docs", "TODO", "active", "steps")];
+
+/** Name of the action file holding a target's open questions (without the take_action_/resolved_ prefix). */
+const questionsName = (stage, target) => `plan_${stage}_${target.id}.md`;
+
+/**
+ * Targets of a stage: what its prompt runs on.
+ * @param {string} root
+ * @param {string} stage - Key of PLAN_STAGES
+ * @param {{ design?: string|null, phase?: string|null, todo?: string|null, force?: boolean }} [opts]
+ *   phase/todo: the one target (todos: the phase doc; steps: the TODO), else every phase doc without TODOs or
+ *   active TODO without steps (steps: of the phase, when given); force: also targets that already have output
+ * @returns {{ id: string, input: string }[]} input: file the prompt is about, relative to root
+ * @throws {Error} When a given target does not exist or already has output (without force)
+ */
+export function planTargets(root, stage, { design = null, phase = null, todo = null, force = false } = {}) {
+  if (stage === "phases") {
+    if (!design) throw new Error("The phases stage needs --design FILE (the design/MVP document).");
+    if (!fs.existsSync(path.resolve(root, design))) throw new Error(`Design document not found: ${design}`);
+    return [{ id: "design", input: path.relative(root, path.resolve(root, design)) }];
+  }
+  const phaseId = phase ? normalizePhaseId(phase) : null;
+  const status = loadProjectStatus(root, { phase: stage === "todos" ? phaseId : todo || phaseId });
+  if (stage === "todos") {
+    const phases = status.phases.filter((p) => p.location === "active" && p.file);
+    if (phaseId) {
+      const found = phases.find((p) => p.id === phaseId);
+      if (!found) throw new Error(`No phase doc for ${phaseId} in docs/phase/active/.`);
+      if (found.todos.length && !force) throw new Error(`${phaseId} already has TODOs (${found.todos.map((t) => t.id).join(", ")}); use --force to plan it again.`);
+      return [{ id: phaseId, input: found.file }];
+    }
+    return phases.filter((p) => p.todos.length === 0).map((p) => ({ id: p.id, input: p.file }));
+  }
+  const todos = status.phases.flatMap((p) => p.todos).filter((t) => t.location === "active");
+  if (todo) {
+    const file = findTodoFile(root, todo);
+    if (!file || !file.startsWith(path.join("docs", "TODO", "active"))) throw new Error(`No TODO ${todo} in docs/TODO/active/.`);
+    const found = todos.find((t) => t.id === todo);
+    if (found && found.total > 0 && !force) throw new Error(`${todo} already has ${found.total} step(s); use --force to plan it again.`);
+    return [{ id: todo, input: file }];
+  }
+  return todos.filter((t) => t.total === 0).map((t) => ({ id: t.id, input: t.file }));
+}
+
+/**
+ * Prompt for one target: the stage's prompt, plus the unattended fragment (questions go to a
+ * file, earlier answers are included) unless for a chat.
+ * @param {string} root
+ * @param {object} values - resolveConfig values
+ * @param {string} stage
+ * @param {{ id: string, input: string }} target
+ * @param {{ answers?: string|null, chat?: boolean }} [opts] - chat: for pasting into a chat (no unattended fragment)
+ * @returns {string}
+ */
+export function buildPlanPrompt(root, values, stage, target, { answers = null, chat = false } = {}) {
+  const def = PLAN_STAGES[stage];
+  const template = def.template ? path.relative(root, path.join(TEMPLATES_DIR, def.template)) : null;
+  const vars = {
+    phases: { designDocument: target.input, template },
+    todos: { phaseFile: target.input, template, phase: target.id },
+    steps: { todoFile: target.input, todo: target.id, phase: phaseIdFromId(target.id) },
+  }[stage];
+  const prompt = renderPrompt(values, def.prompt, vars);
+  if (chat) return prompt;
+  const fragment = renderPrompt(values, "plan-unattended.txt", { stage, questionsFile: QUESTIONS_FILE, answers });
+  return `${prompt.trimEnd()}\n\n${fragment.trimEnd()}\n`;
+}
+
+/** Markdown files in the watched directories: relative path -> content. */
+function snapshotDocs(root) {
+  const files = new Map();
+  for (const dir of WATCHED_DIRS) {
+    const abs = path.join(root, dir);
+    if (!fs.existsSync(abs)) continue;
+    for (const name of fs.readdirSync(abs).filter((f) => f.endsWith(".md"))) {
+      files.set(path.join(dir, name), fs.readFileSync(path.join(abs, name), "utf8"));
+    }
+  }
+  return files;
+}
+
+/**
+ * Check the files a stage wrote for a target.
+ * @returns {object[]} Issues in the form of step-lint.mjs ({ level, rule, file, message })
+ */
+function checkOutputs(root, stage, target, created, changed) {
+  const issues = [];
+  const add = (level, rule, file, message) => issues.push({ level, rule, file, message });
+  const dir = PLAN_STAGES[stage].dir;
+  const own = created.filter((f) => path.dirname(f) === dir);
+  created.filter((f) => path.dirname(f) !== dir).forEach((f) => add("error", "plan-location", f, `Written to ${path.dirname(f)}/; the ${stage} stage writes to ${dir}/`));
+  changed.forEach((f) => add("warning", "plan-changed", f, "An existing file was changed"));
+
+  if (stage === "phases") {
+    issues.push(...lintPhaseDocs(root, own));
+  } else {
+    const idOf = (f) => (stage === "steps" ? stepIdFromFilename(path.basename(f)) : (path.basename(f).match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_/) || [])[1]);
+    for (const f of own) {
+      const id = idOf(f);
+      const owner = stage === "steps" ? todoIdFromStepId(id) : phaseIdFromId(id);
+      if (id && owner !== target.id) add("error", "plan-target", f, `${id} does not belong to ${target.id}`);
+    }
+    // New TODOs have no steps yet; that is the next stage
+    const lint = lintTodoTree(root, { graph: stage === "steps" });
+    issues.push(...lint.issues.filter((i) => own.includes(i.file) && i.rule !== "todo-without-steps"));
+  }
+  return issues;
+}
+
+/**
+ * Run one stage for one target: render the prompt, run the agent, then collect its questions or
+ * check its output.
+ * @param {string} root
+ * @param {string} stage
+ * @param {{ id: string, input: string }} target
+ * @param {{ values: object, agent?: string, model?: string, agentScript?: string|null, onEvent?: Function, log?: Function }} opts
+ *   values: resolveConfig values; onEvent: normalized agent events (bin/agents/events.mjs)
+ * @returns {Promise<{ status: string, files: string[], issues: object[], actionFile: string|null, exitCode: number|null }>}
+ *   status: "done", "questions" (actionFile written), "waiting" (questions still open), "invalid" (errors in issues),
+ *   "empty" (no output), "failed" (agent exit code)
+ */
+export async function runPlanTarget(root, stage, target, { values, agent = "cursor", model = "auto", agentScript = null, onEvent = () => {}, log = () => {} }) {
+  const actionDir = actionRequiredDir(root);
+  const name = questionsName(stage, target);
+  const result = { status: "done", files: [], issues: [], actionFile: null, exitCode: null };
+  if (fs.existsSync(path.join(actionDir, `take_action_${name}`))) {
+    return { ...result, status: "waiting", actionFile: path.join("docs", "TODO", "action_required", `take_action_${name}`) };
+  }
+  const resolved = path.join(actionDir, `resolved_${name}`);
+  const answers = fs.existsSync(resolved) ? fs.readFileSync(resolved, "utf8").trim() : null;
+
+  const promptFile = path.join(root, PROMPT_FILE);
+  const questionsFile = path.join(root, QUESTIONS_FILE);
+  fs.mkdirSync(path.dirname(promptFile), { recursive: true });
+  fs.mkdirSync(path.join(root, PLAN_STAGES[stage].dir), { recursive: true });
+  fs.rmSync(questionsFile, { force: true });
+  const prompt = buildPlanPrompt(root, values, stage, target, { answers });
+  fs.writeFileSync(promptFile, prompt, "utf8");
+  log(`Planning ${stage} for ${target.id} (${target.input})${answers ? `, with the answers in ${path.basename(resolved)}` : ""} ...`);
+
+  const before = snapshotDocs(root);
+  result.exitCode = await runAgent({ agent, model, prompt, cwd: root, scriptPath: agentScript, onEvent });
+  const after = snapshotDocs(root);
+  result.files = [...after.keys()].filter((f) => !before.has(f)).sort();
+  const changed = [...after.keys()].filter((f) => before.has(f) && before.get(f) !== after.get(f)).sort();
+
+  // Open questions: into an action file that blocks the runner until they are answered
+  const questions = fs.existsSync(questionsFile) ? fs.readFileSync(questionsFile, "utf8").trim() : "";
+  if (questions) {
+    fs.rmSync(questionsFile, { force: true });
+    fs.mkdirSync(actionDir, { recursive: true });
+    const command = { phases: `phases --design ${target.input}`, todos: `todos --phase ${target.id}`, steps: `steps --todo ${target.id}` }[stage];
+    const written = result.files.length ? `\nThe agent also wrote ${result.files.map((f) => `\`${f}\``).join(", ")}; check or delete them before planning again.\n` : "";
+    const body = `# Planning questions: ${stage} for ${target.id}
+
+\`plan ${command}\` stopped: the agent needs answers before it writes the ${stage} for \`${target.input}\`.
+${written}
+${questions}
+
+## Answers
+
+<Answer each question here, or name the suggestion to follow.>
+
+## Resolution
+
+When the questions are answered, rename this file from \`take_action_*\` to \`resolved_*\` (\`take_action_${name}\` → \`resolved_${name}\`) and run \`plan ${command}\` again; the answers go into its prompt.
+`;
+    fs.writeFileSync(path.join(actionDir, `take_action_${name}`), body, "utf8");
+    return { ...result, status: "questions", actionFile: path.join("docs", "TODO", "action_required", `take_action_${name}`) };
+  }
+
+  if (result.exitCode !== 0) return { ...result, status: "failed" };
+  if (result.files.length === 0) return { ...result, status: "empty" };
+  result.issues = checkOutputs(root, stage, target, result.files, changed);
+  if (result.issues.some((i) => i.level === "error")) return { ...result, status: "invalid" };
+  if (answers) archiveResolvedAction(root, `resolved_${name}`, { note: `answers used by plan ${stage}` });
+  return result;
+}
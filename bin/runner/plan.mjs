@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Runs the planning prompts (01 design -> phase docs, 02 phase -> TODOs, 03 TODO -> steps) through
+ * the agent backend and checks what they wrote (see plan-pipeline.mjs). Questions the agent cannot
+ * answer itself become docs/TODO/action_required/take_action_plan_<stage>_<target>.md; answer them,
+ * rename the file to resolved_* and run the same command again.
+ * Run from project root (run-steps.sh plan ... passes through to this script).
+ *
+ * Usage:
+ *   node plan.mjs phases --design FILE [options]
+ *   node plan.mjs todos [--phase ID] [options]
+ *   node plan.mjs steps [--todo ID | --phase ID] [options]
+ *   node plan.mjs all --design FILE [options]
+ *
+ * Commands:
+ *   phases  Break the design document down into phase docs (docs/phase/active/).
+ *   todos   Break a phase doc into Agent-First TODOs (docs/TODO/active/). Default: every active phase
+ *           doc without TODOs.
+ *   steps   Generate the step files of a TODO (docs/TODO/active/steps/). Default: every active TODO
+ *           without steps (of the phase, with --phase).
+ *   all     phases, then todos for the new phase docs, then steps for the new TODOs; stops at the
+ *           first target that has questions or invalid output.
+ *
+ * Options:
+ *   --design FILE        Design/MVP document (phases, all).
+ *   --phase ID           todos: the phase doc to break down (P02 or P2); steps: only TODOs of this phase.
+ *   --todo ID            steps: the TODO to generate steps for (e.g. P2_01).
+ *   --force              Plan a given --phase or --todo again although it already has TODOs or steps.
+ *   --print              Print the prompts (for pasting into a chat) instead of running the agent.
+ *   --model NAME         Agent model (default: model of the project config).
+ *   --agent NAME         Agent backend (default: agent of the project config).
+ *   --agent_script FILE  Action script for the scripted backend.
+ *   --quiet              Do not show the agent's output.
+ *
+ * Exit codes:
+ *   0    Done (or nothing to plan).
+ *   1    Usage error, open questions, invalid or no output, agent failed, or a runner is running.
+ *   127  Agent CLI not found.
+ */
+
+import { PLAN_STAGES, planTargets, buildPlanPrompt, runPlanTarget } from "./plan-pipeline.mjs";
+import { formatLintReport } from "./step-lint.mjs";
+import { resolveConfig } from "./project-config.mjs";
+import { acquireLock, releaseLock, describeLock } from "./run-lock.mjs";
+import { createRenderer } from "../agents/render.mjs";
+import { getAgentBackend } from "../agents/index.mjs";
+import { missingBackendHint } from "../agents/run.mjs";
+
+const ROOT = process.cwd();
+const COMMANDS = [...Object.keys(PLAN_STAGES), "all"];
+const USAGE = "Usage: node plan.mjs phases --design FILE | todos [--phase ID] | steps [--todo ID|--phase ID] | all --design FILE [--force] [--print] [--model NAME] [--agent NAME] [--agent_script FILE] [--quiet]";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null, design: null, phase: null, todo: null, force: false, print: false, cli: {} };
+  for (let i = 0; i < args.length; i++) {
+    const next = args[i + 1];
+    if (args[i] === "--design" && next) {
+      opts.design = next;
+      i++;
+    } else if (args[i] === "--phase" && next) {
+      opts.phase = next;
+      i++;
+    } else if (args[i] === "--todo" && next) {
+      opts.todo = next;
+      i++;
+    } else if (args[i] === "--model" && next) {
+      opts.cli.model = next;
+      i++;
+    } else if (args[i] === "--agent" && next) {
+      opts.cli.agent = next;
+      i++;
+    } else if (args[i] === "--agent_script" && next) {
+      opts.cli.agentScript = next;
+      i++;
+    } else if (args[i] === "--quiet") {
+      opts.cli.quiet = true;
+    } else if (args[i] === "--force") {
+      opts.force = true;
+    } else if (args[i] === "--print") {
+      opts.print = true;
+    } else if (!args[i].startsWith("--") && !opts.command) {
+      opts.command = args[i];
+    }
+  }
+  return opts;
+}
+
+/** Report of one target's run; returns whether the pipeline may go on. */
+function report(stage, target, result) {
+  const files = result.files.length ? `: ${result.files.join(", ")}` : "";
+  if (result.issues.length) {
+    const errors = result.issues.filter((i) => i.level === "error").length;
+    console.log(formatLintReport({ issues: result.issues, errors, warnings: result.issues.length - errors, files: result.files.length }));
+  }
+  switch (result.status) {
+    case "done":
+      console.log(`Planned ${stage} for ${target.id}${files}`);
+      return true;
+    case "questions":
+      console.log(`The agent has questions about ${target.id}; answer them in ${result.actionFile}, rename it to resolved_* and run this command again.`);
+      return false;
+    case "waiting":
+      console.log(`${target.id} waits on its open questions (${result.actionFile}); answer them and rename the file to resolved_*.`);
+      return false;
+    case "invalid":
+      console.log(`The ${stage} written for ${target.id} have errors; fix or delete them${files}`);
+      return false;
+    case "empty":
+      console.log(`The agent wrote no ${stage} for ${target.id} (exit code ${result.exitCode}).`);
+      return false;
+    default:
+      console.log(`The agent failed on ${target.id} (exit code ${result.exitCode}).`);
+      return false;
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!COMMANDS.includes(opts.command) || ((opts.command === "phases" || opts.command === "all") && !opts.design)) {
+    console.error(USAGE);
+    return 1;
+  }
+  const config = await resolveConfig(ROOT, { cli: opts.cli });
+  config.problems.forEach((p) => console.error(`Config: ${p}`));
+  const { values } = config;
+  const stages = opts.command === "all" ? Object.keys(PLAN_STAGES) : [opts.command];
+
+  if (opts.print) {
+    // Later stages of "all" need the files of the earlier ones: print the first stage only
+    const stage = stages[0];
+    const targets = planTargets(ROOT, stage, opts);
+    if (targets.length === 0) console.error(`Nothing to plan for ${stage}.`);
+    for (const target of targets) {
+      console.log(`=== ${stage}: ${target.id} (${target.input}) ===\n`);
+      console.log(buildPlanPrompt(ROOT, values, stage, target, { chat: true }));
+    }
+    return 0;
+  }
+
+  const hint = missingBackendHint(getAgentBackend(values.agent));
+  if (hint) {
+    console.error(hint);
+    return 127;
+  }
+  const lock = acquireLock(ROOT);
+  if (!lock.acquired) {
+    console.error(`A runner is running in this project (${lock.holder ? describeLock(lock.holder) : "lock file unreadable"}); plan when it has stopped.`);
+    return 1;
+  }
+  const renderer = values.quiet ? null : createRenderer(process.stdout);
+  try {
+    let created = null;
+    for (const stage of stages) {
+      // "all": the next stage plans what the previous one wrote
+      let targets = planTargets(ROOT, stage, opts);
+      if (created) targets = targets.filter((t) => created.includes(t.input));
+      if (targets.length === 0) {
+        console.log(`Nothing to plan for ${stage}.`);
+        if (opts.command === "all") return 1;
+        continue;
+      }
+      created = [];
+      for (const target of targets) {
+        const result = await runPlanTarget(ROOT, stage, target, {
+          values,
+          agent: values.agent,
+          model: values.model,
+          agentScript: values.agentScript,
+          onEvent: (ev) => renderer && renderer.handle(ev),
+          log: (msg) => console.log(msg),
+        });
+        if (renderer) renderer.end();
+        if (!report(stage, target, result)) return result.exitCode === 127 ? 127 : 1;
+        created.push(...result.files);
+      }
+    }
+    return 0;
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  } finally {
+    releaseLock(ROOT);
+  }
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,296 @@
+/**
+ * Project config: runner defaults in one file in the project root, .todo-runner.json or
+ * todo-runner.config.mjs (default export: the object, or a function returning it):
+ *
+ *   {
+ *     "model": "claude-4.5-sonnet",
+ *     "guiModel": "claude-4.5-opus",
+ *     "skipManual": true,
+ *     "quiet": true,
+ *     "verifyTimeout": 900,
+ *     "hookTimeout": 300,
+ *     "stepTimeout": "45m",
+ *     "gui": { "presets": ["react"], "customPatterns": [], "modelRecommendations": { "compound": "..." } },
+ *     "prompts": { "dir": "docs/prompts", "fragmentsDir": "docs/prompts/fragments" },
+ *     "hooks": { "postStep": "yarn prettier --write ." },
+ *     "routing": { "rules": [{ "name": "migrations", "when": { "tags": ["migration"] }, "model": "gpt-5.2-high" }] }
+ *   }
+ *
+ * Option keys are the run options of run-loop.mjs (see OPTIONS). The sections replace separate
+ * files, which are still read when the section is missing: "gui" (gui-patterns.json, see
+ * gui-config.mjs) and "hooks" (the "hooks" of hooks.json, see hooks.mjs). "prompts" points at
+ * project copies of the runner's prompts/ and prompts/fragments/; files missing there come from
+ * the runner. "routing" holds the model routing rules (see model-routing.mjs).
+ *
+ * Precedence: CLI > environment > config file > defaults. resolveConfig() returns every value
+ * with its source; `run-steps.sh config print` shows them.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { DEFAULT_VERIFY_TIMEOUT_S } from "./verify.mjs";
+import { DEFAULT_HOOK_TIMEOUT_S } from "./hooks.mjs";
+import { parseDuration } from "./timeouts.mjs";
+import { DEFAULT_ORDER } from "./scheduler.mjs";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const RUNNER_ROOT = path.join(SCRIPT_DIR, "..", "..");
+const RUNNER_PROMPTS_DIR = path.join(RUNNER_ROOT, "prompts");
+const RUNNER_FRAGMENTS_DIR = path.join(RUNNER_PROMPTS_DIR, "fragments");
+
+export const CONFIG_FILES = [".todo-runner.json", "todo-runner.config.mjs"];
+
+/** Options a config file may set: type, default and environment variable. */
+export const OPTIONS = {
+  model: { type: "string", default: "auto", env: "CURSOR_TODO_MODEL" },
+  guiModel: { type: "string", default: null, env: "CURSOR_TODO_GUI_MODEL" },
+  agent: { type: "string", default: "cursor", env: "CURSOR_TODO_AGENT" },
+  agentScript: { type: "string", default: null, env: "CURSOR_TODO_AGENT_SCRIPT" },
+  quiet: { type: "boolean", default: false, env: "CURSOR_TODO_QUIET" },
+  debug: { type: "boolean", default: false },
+  skipManual: { type: "boolean", default: false },
+  noSummary: { type: "boolean", default: false },
+  parallel: { type: "integer", default: 1 },
+  strict: { type: "boolean", default: false },
+  strictDeps: { type: "boolean", default: false },
+  order: { type: "string", default: DEFAULT_ORDER },
+  verify: { type: "boolean", default: true },
+  verifyTimeout: { type: "seconds", default: DEFAULT_VERIFY_TIMEOUT_S },
+  hookTimeout: { type: "seconds", default: DEFAULT_HOOK_TIMEOUT_S },
+  stepTimeout: { type: "duration", default: null },
+  maxDuration: { type: "duration", default: null },
+  maxStepsPerTodo: { type: "integer", default: null },
+  retries: { type: "integer", default: 0 },
+  escalate: { type: "list", default: [] },
+  git: { type: "boolean", default: false },
+  lint: { type: "boolean", default: true },
+  notify: { type: "boolean", default: true },
+  interrupted: { type: "string", default: null },
+};
+
+/** Sections and the file each one replaces (looked up in the project root, .cursor/ or config/). */
+const SECTIONS = {
+  gui: { file: "gui-patterns.json", pick: (json) => json },
+  prompts: { file: null },
+  hooks: { file: "hooks.json", pick: (json) => (json && json.hooks) || {} },
+  routing: { file: null },
+};
+
+/**
+ * Path of the project's config file, or null (.todo-runner.json wins when both exist).
+ * @param {string} root
+ * @returns {string|null}
+ */
+export function findProjectConfig(root) {
+  return CONFIG_FILES.map((name) => path.join(root, name)).find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Raw content of the project's config file.
+ * @param {string} root
+ * @returns {Promise<{ config: object, configPath: string|null, problems: string[] }>}
+ */
+export async function loadProjectConfig(root) {
+  const configPath = findProjectConfig(root);
+  if (!configPath) return { config: {}, configPath, problems: [] };
+  let config;
+  try {
+    if (configPath.endsWith(".mjs")) {
+      const mod = await import(pathToFileURL(configPath).href);
+      config = typeof mod.default === "function" ? await mod.default() : mod.default;
+    } else {
+      config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    }
+  } catch (err) {
+    return { config: {}, configPath, problems: [`Cannot read ${configPath}: ${err.message}`] };
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return { config: {}, configPath, problems: [`${configPath}: expected an object`] };
+  }
+  return { config, configPath, problems: [] };
+}
+
+const TYPE_NAMES = {
+  string: "a non-empty string",
+  boolean: "true or false",
+  integer: "a non-negative integer",
+  seconds: "a positive number of seconds",
+  duration: 'a positive number of seconds or a duration like "45m", "6h", "1h30m"',
+  list: "a list of strings (or a comma-separated string)",
+};
+
+/** Value of a config option converted to its type, or undefined when invalid. */
+function checkOption(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string" && value ? value : undefined;
+    case "boolean":
+      return typeof value === "boolean" ? value : undefined;
+    case "integer":
+      return Number.isInteger(value) && value >= 0 ? value : undefined;
+    case "seconds":
+      return typeof value === "number" && value > 0 ? value : undefined;
+    case "duration":
+      return parseDuration(value) ?? undefined;
+    case "list":
+      if (typeof value === "string") return value.split(",").map((s) => s.trim()).filter(Boolean);
+      return Array.isArray(value) && value.every((v) => typeof v === "string") ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/** Value of an option's environment variable (booleans: empty, 0 and false are false). */
+function envValue(type, raw) {
+  if (type === "boolean") return !["", "0", "false"].includes(raw.trim().toLowerCase());
+  return raw;
+}
+
+/** Path of a section's separate file (project root, .cursor/ or config/), or null. */
+function findSectionFile(root, name) {
+  const candidates = [path.join(root, name), path.join(root, ".cursor", name), path.join(root, "config", name)];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Resolve the runner settings for a project: every option of OPTIONS and the sections, each with
+ * where it came from ("cli", "env NAME", the config file or section file relative to root, "default").
+ * Relative prompt directories are made absolute.
+ * @param {string} root - Project root
+ * @param {{ cli?: object, env?: object }} [opts] - cli: options given on the command line (only those given)
+ * @returns {Promise<{ values: object, sources: object, configPath: string|null, problems: string[] }>}
+ */
+export async function resolveConfig(root, { cli = {}, env = process.env } = {}) {
+  const { config, configPath, problems } = await loadProjectConfig(root);
+  const label = (p) => path.relative(root, p) || p;
+  const values = {};
+  const sources = {};
+
+  for (const key of Object.keys(config)) {
+    if (!(key in OPTIONS) && !(key in SECTIONS)) {
+      problems.push(`${label(configPath)}: unknown key '${key}'. Valid keys: ${[...Object.keys(OPTIONS), ...Object.keys(SECTIONS)].join(", ")}`);
+    }
+  }
+
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    if (cli[key] !== undefined) {
+      values[key] = cli[key];
+      sources[key] = "cli";
+    } else if (option.env && env[option.env] !== undefined && env[option.env] !== "") {
+      values[key] = envValue(option.type, env[option.env]);
+      sources[key] = `env ${option.env}`;
+    } else if (config[key] !== undefined && config[key] !== null) {
+      const value = checkOption(option.type, config[key]);
+      if (value === undefined) {
+        problems.push(`${label(configPath)}: '${key}' must be ${TYPE_NAMES[option.type]} (got ${JSON.stringify(config[key])}); using the default`);
+        values[key] = option.default;
+        sources[key] = "default";
+      } else {
+        values[key] = value;
+        sources[key] = label(configPath);
+      }
+    } else {
+      values[key] = option.default;
+      sources[key] = "default";
+    }
+  }
+
+  for (const [key, section] of Object.entries(SECTIONS)) {
+    const sectionFile = section.file && findSectionFile(root, section.file);
+    if (config[key] !== undefined && config[key] !== null) {
+      if (typeof config[key] !== "object" || Array.isArray(config[key])) {
+        problems.push(`${label(configPath)}: '${key}' must be an object; ignored`);
+        values[key] = null;
+        sources[key] = "default";
+        continue;
+      }
+      values[key] = config[key];
+      sources[key] = label(configPath);
+      if (sectionFile) problems.push(`${label(sectionFile)} is ignored: ${label(configPath)} has a "${key}" section`);
+    } else if (sectionFile) {
+      try {
+        values[key] = section.pick(JSON.parse(fs.readFileSync(sectionFile, "utf8")));
+      } catch (err) {
+        problems.push(`Cannot read ${sectionFile}: ${err.message}`);
+        values[key] = null;
+      }
+      sources[key] = label(sectionFile);
+    } else {
+      values[key] = null;
+      sources[key] = "default";
+    }
+  }
+
+  if (values.prompts) {
+    values.prompts = Object.fromEntries(
+      Object.entries(values.prompts).map(([k, v]) => [k, typeof v === "string" ? path.resolve(root, v) : v])
+    );
+  }
+
+  return { values, sources, configPath, problems };
+}
+
+/**
+ * GUI settings for gui-config.mjs (loadGuiPatterns, loadModelRecommendations), or null.
+ * @param {{ values: object, sources: object }} resolved - From resolveConfig
+ * @returns {{ config: object, configPath: string }|null}
+ */
+export function guiSettings({ values, sources }) {
+  return values.gui ? { config: values.gui, configPath: sources.gui } : null;
+}
+
+/**
+ * A runner prompt file (e.g. 04-execute-single-step.prompt): the project's copy from prompts.dir
+ * when it exists, else the runner's.
+ * @param {object} values - resolveConfig values
+ * @param {string} name
+ * @returns {string}
+ */
+export function promptFile(values, name) {
+  const dir = values.prompts && values.prompts.dir;
+  if (dir && fs.existsSync(path.join(dir, name))) return path.join(dir, name);
+  return path.join(RUNNER_PROMPTS_DIR, name);
+}
+
+/**
+ * A prompt fragment (e.g. output-zero.txt): the project's copy from prompts.fragmentsDir when it
+ * exists, else the runner's.
+ * @param {object} values - resolveConfig values
+ * @param {string} name
+ * @returns {string}
+ */
+export function fragmentFile(values, name) {
+  const dir = values.prompts && values.prompts.fragmentsDir;
+  if (dir && fs.existsSync(path.join(dir, name))) return path.join(dir, name);
+  return path.join(RUNNER_FRAGMENTS_DIR, name);
+}
+
+/**
+ * Directory of user fragments (NN_*.txt appended to prompt NN): <fragmentsDir>/user when
+ * prompts.fragmentsDir is set, else the runner's prompts/fragments/user/.
+ * @param {object} values - resolveConfig values
+ * @returns {string}
+ */
+export function userFragmentsDir(values) {
+  const dir = values.prompts && values.prompts.fragmentsDir;
+  return path.join(dir || RUNNER_FRAGMENTS_DIR, "user");
+}
+
+/**
+ * Resolved settings as text for `config print`: one line per value with its source.
+ * @param {{ values: object, sources: object, configPath: string|null, problems: string[] }} resolved
+ * @returns {string}
+ */
+export function formatConfig({ values, sources, configPath, problems }) {
+  const show = (v) => (v === null || v === undefined ? "-" : typeof v === "object" ? JSON.stringify(v) : String(v));
+  const keys = Object.keys(values);
+  const width = Math.max(...keys.map((k) => k.length));
+  const lines = [`Config file: ${configPath || `none (${CONFIG_FILES.join(" or ")} in the project root)`}`, ""];
+  for (const key of keys) lines.push(`${key.padEnd(width)}  ${show(values[key])}  (${sources[key]})`);
+  if (problems.length) {
+    lines.push("", "Problems:");
+    problems.forEach((p) => lines.push(`  ${p}`));
+  }
+  return lines.join("\n");
+}
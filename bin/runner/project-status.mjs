@@ -0,0 +1,286 @@
+/**
+ * Project status: phases (docs/phase), their TODOs (docs/TODO/{backlog,active,completed}) and steps,
+ * each step done, ready, waiting on a pending dependency or blocked by an action_required file that
+ * names it, plus the step next-step.mjs would pick. Used by status.mjs.
+ *
+ * Readiness follows next-step.mjs: a step, TODO or phase dependency must be done (step-graph.mjs
+ * resolveDependency); an unknown one counts as satisfied unless the config sets strictDeps (graph.mjs
+ * reports unknown ids). Any action_required file stops the runner, so there is no next step while one
+ * exists.
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadModelRouting, stepRoutingInfo, routeModel, chooseModel } from "./model-routing.mjs";
+import { STEP_ID_REGEX, phaseIdFromId, todoHeaderField, compareIds } from "./step-files.mjs";
+import { loadStepGraph, dependencySatisfied } from "./step-graph.mjs";
+import { ORDERS, DEFAULT_ORDER, orderSteps } from "./scheduler.mjs";
+import { listActions } from "./action-files.mjs";
+
+// P{phase}_{todo}_{Name}.md and P{number:2d}_{type}_{Short_Name}.md
+const TODO_FILENAME_REGEX = /^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_(.+)\.md$/;
+const PHASE_FILENAME_REGEX = /^P(\d+(?:\.\d+)*)_(?:([a-z]+)_)?(.+)\.md$/;
+
+/** Whether an id is the filter or below it (P2 matches P2_04 and P2_04.05, P2_04 matches P2_04.05). */
+function matchesFilter(id, filter) {
+  return !filter || id === filter || id.startsWith(filter + "_") || id.startsWith(filter + ".");
+}
+
+/** Phase docs in docs/phase/{active,completed}; P01 and P1 are the same phase. */
+function loadPhaseDocs(root) {
+  const phases = [];
+  for (const location of ["active", "completed"]) {
+    const dir = path.join(root, "docs", "phase", location);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort()) {
+      const m = name.match(PHASE_FILENAME_REGEX);
+      if (!m) continue;
+      const id = "P" + m[1].split(".").map((n, i) => (i === 0 ? String(Number(n)) : n)).join(".");
+      phases.push({ id, title: m[3].replace(/_/g, " "), type: m[2] || null, location, file: path.join("docs", "phase", location, name) });
+    }
+  }
+  return phases;
+}
+
+/** TODO files in docs/TODO/{backlog,active,completed}. */
+function loadTodos(root) {
+  const todos = [];
+  for (const location of ["active", "backlog", "completed"]) {
+    const dir = path.join(root, "docs", "TODO", location);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort()) {
+      const m = name.match(TODO_FILENAME_REGEX);
+      if (!m) continue;
+      let content = "";
+      try {
+        content = fs.readFileSync(path.join(dir, name), "utf8");
+      } catch {
+        // Unreadable TODOs still show up, with defaults
+      }
+      const feature = todoHeaderField(content, "Feature Name");
+      const status = todoHeaderField(content, "Status");
+      const priority = todoHeaderField(content, "Priority");
+      todos.push({
+        id: m[1],
+        name: feature && !feature.startsWith("<") ? feature : m[2].replace(/_/g, " "),
+        location,
+        file: path.join("docs", "TODO", location, name),
+        status: status && !status.includes("|") ? status.toUpperCase() : null,
+        priority: priority && !priority.includes("|") ? priority.toUpperCase() : null,
+        cancelled: /cancelled/i.test(status || ""),
+      });
+    }
+  }
+  return todos;
+}
+
+/**
+ * Load the status of a project.
+ * @param {string} root - Project root
+ * @param {{ phase?: string|null, config?: object|null }} [opts] - phase: only phases, TODOs and steps whose id is or starts with it
+ *   (P2, P2_04); the next step is picked among those steps too. config: project-config.mjs resolveConfig result, for the
+ *   next step's model (without it only the built-in _GUI_ rule routes), strictDeps and order
+ * @returns {{ phases: object[], cancelled: object[], actionRequired: string[], deferred: string[], next: object|null, nextReason: string|null, totals: object }}
+ *   phases: [{ id, title, type, location, file, todos: [{ id, name, location, file, status, priority, done, total, percent,
+ *   steps: [{ id, title, file, state, waitingOn, blockedBy, next }] }] }]; state is "done"|"ready"|"waiting"|"blocked"|"cancelled";
+ *   next: { id, file, guiType, recommendedModel, modelRule, model, modelReason } or null with nextReason;
+ *   deferred: action items deferred with action.mjs (still open, not blocking the runner); their steps are blocked by them
+ */
+export function loadProjectStatus(root, { phase = null, config = null } = {}) {
+  const graph = loadStepGraph(root);
+  const { nodes, actionFiles, deferredFiles } = graph;
+  const actionRequired = actionFiles.slice().sort().map((f) => path.join("docs", "TODO", "action_required", f));
+  const deferred = listActions(root).filter((item) => item.state === "deferred").map((item) => item.path);
+
+  const blockers = new Map(); // step id -> action files naming it (deferred ones as deferred/<name>)
+  for (const f of [...actionFiles, ...deferredFiles.map((d) => `deferred/${d}`)]) {
+    for (const id of f.match(STEP_ID_REGEX) || []) {
+      if (!blockers.has(id)) blockers.set(id, []);
+      if (!blockers.get(id).includes(f)) blockers.get(id).push(f);
+    }
+  }
+  const strictDeps = Boolean(config && config.values && config.values.strictDeps);
+  const unmet = (dep) => !dependencySatisfied(graph, dep, { strictDeps });
+
+  // Steps by TODO id
+  const stepsByTodo = new Map();
+  for (const node of [...nodes.values()].sort((a, b) => compareIds(a.id, b.id))) {
+    if (!matchesFilter(node.id, phase)) continue;
+    const waitingOn = node.completed ? [] : node.dependsOn.filter(unmet);
+    const blockedBy = node.completed ? [] : blockers.get(node.id) || [];
+    const state = node.cancelled ? "cancelled" : node.completed ? "done" : blockedBy.length ? "blocked" : waitingOn.length ? "waiting" : "ready";
+    const dir = node.completed && !node.cancelled ? "completed" : "active";
+    const step = {
+      id: node.id,
+      title: node.filename.slice(node.id.length + 1, -".md".length).replace(/_/g, " "),
+      file: path.join("docs", "TODO", dir, "steps", node.filename),
+      state,
+      waitingOn,
+      blockedBy,
+      next: false,
+    };
+    if (!stepsByTodo.has(node.todoId)) stepsByTodo.set(node.todoId, []);
+    stepsByTodo.get(node.todoId).push(step);
+  }
+
+  // Next step, as next-step.mjs picks it: the first ready step that is not deferred in the scheduler's order, none while action files exist
+  let next = null;
+  let nextReason = null;
+  const pending = [...nodes.values()].filter((n) => !n.completed && matchesFilter(n.id, phase));
+  const order = config && ORDERS.includes(config.values.order) ? config.values.order : DEFAULT_ORDER;
+  const ready = orderSteps(root, graph, pending.filter((n) => !n.deferred && n.dependsOn.every((d) => !unmet(d))), { order });
+  if (actionFiles.length > 0) {
+    nextReason = "action required (resolve the files in docs/TODO/action_required first)";
+  } else if (pending.length === 0) {
+    nextReason = "no pending steps";
+  } else if (ready.length === 0) {
+    nextReason = "no step ready (every pending step is deferred or waits on another)";
+  } else {
+    const pick = ready[0];
+    const file = path.join("docs", "TODO", "active", "steps", pick.filename);
+    const resolved = config || { values: {}, sources: {} };
+    const routing = loadModelRouting(root, resolved);
+    const step = stepRoutingInfo(root, file, routing);
+    const route = routeModel(step, routing);
+    const choice = chooseModel(step, route, resolved.values);
+    next = {
+      id: pick.id,
+      file,
+      guiType: step.guiType,
+      recommendedModel: route.model,
+      modelRule: route.rule ? route.rule.name : null,
+      model: choice.model,
+      modelReason: choice.reason,
+    };
+    for (const steps of stepsByTodo.values()) {
+      const step = steps.find((s) => s.id === pick.id);
+      if (step) step.next = true;
+    }
+  }
+
+  // TODOs (cancelled ones are listed apart), plus step groups without a TODO file
+  const cancelled = [];
+  const todosByPhase = new Map();
+  const addTodo = (todo) => {
+    const steps = stepsByTodo.get(todo.id) || [];
+    const done = steps.filter((s) => s.state === "done").length;
+    const phaseId = phaseIdFromId(todo.id);
+    if (!todosByPhase.has(phaseId)) todosByPhase.set(phaseId, []);
+    todosByPhase.get(phaseId).push({
+      ...todo,
+      done,
+      total: steps.length,
+      percent: steps.length ? Math.round((done / steps.length) * 100) : null,
+      steps,
+    });
+  };
+  const seenTodos = new Set();
+  for (const todo of loadTodos(root)) {
+    if (!matchesFilter(todo.id, phase) && !matchesFilter(phase || "", todo.id)) continue;
+    // A TODO both in completed/ and active/ (re-opened) shows once, at its most active location
+    if (seenTodos.has(todo.id)) continue;
+    seenTodos.add(todo.id);
+    if (todo.cancelled) {
+      cancelled.push({ id: todo.id, name: todo.name, location: todo.location, file: todo.file });
+      continue;
+    }
+    addTodo(todo);
+  }
+  for (const todoId of stepsByTodo.keys()) {
+    if (seenTodos.has(todoId)) continue;
+    addTodo({ id: todoId, name: "(no TODO file)", location: null, file: null, status: null, priority: null, cancelled: false });
+  }
+
+  // Phases: docs first, then phases that only have TODOs
+  const phaseDocs = loadPhaseDocs(root);
+  const phaseIds = new Set([...phaseDocs.map((p) => p.id), ...todosByPhase.keys()]);
+  const phases = [...phaseIds]
+    .filter((id) => matchesFilter(id, phase) || matchesFilter(phase || "", id))
+    .sort(compareIds)
+    .map((id) => {
+      const doc = phaseDocs.find((p) => p.id === id && p.location === "active") || phaseDocs.find((p) => p.id === id);
+      const todos = (todosByPhase.get(id) || []).sort((a, b) => compareIds(a.id, b.id));
+      return {
+        id,
+        title: doc ? doc.title : null,
+        type: doc ? doc.type : null,
+        location: doc ? doc.location : null,
+        file: doc ? doc.file : null,
+        todos,
+      };
+    });
+
+  const allSteps = [...stepsByTodo.values()].flat();
+  const count = (state) => allSteps.filter((s) => s.state === state).length;
+  const totals = {
+    steps: allSteps.length,
+    done: count("done"),
+    ready: count("ready"),
+    waiting: count("waiting"),
+    blocked: count("blocked"),
+    percent: allSteps.length ? Math.round((count("done") / allSteps.length) * 100) : null,
+  };
+  return { phases, cancelled, actionRequired, deferred, next, nextReason, totals };
+}
+
+/** One step line: state, id, title and what it waits on or is blocked by. */
+function formatStep(step) {
+  let detail = "";
+  if (step.state === "blocked") detail = `  (blocked by ${step.blockedBy.join(", ")})`;
+  else if (step.state === "waiting") detail = `  (waiting on ${step.waitingOn.join(", ")})`;
+  const marker = step.next ? "  <- next" : "";
+  return `    ${step.state.padEnd(8)} ${step.id}  ${step.title}${detail}${marker}`;
+}
+
+/**
+ * Human-readable status tree.
+ * @param {object} status - From loadProjectStatus
+ * @param {{ all?: boolean }} [opts] - all: also list the steps of completed TODOs
+ * @returns {string}
+ */
+export function formatStatus(status, { all = false } = {}) {
+  const lines = [];
+  for (const phase of status.phases) {
+    const doc = phase.file ? `  (${phase.location}, ${phase.file})` : "  (no phase doc)";
+    lines.push(`Phase ${phase.id}${phase.title ? ` — ${phase.title}` : ""}${doc}`);
+    if (phase.todos.length === 0) lines.push("  (no TODOs)");
+    for (const todo of phase.todos) {
+      const tags = [todo.location, todo.status, todo.priority].filter(Boolean).join(", ");
+      const progress = todo.total ? `${todo.done}/${todo.total} steps, ${todo.percent}%` : "no steps";
+      lines.push(`  ${todo.id}  ${todo.name}${tags ? `  [${tags}]` : ""}  ${progress}`);
+      if (todo.location === "completed" && todo.done === todo.total && !all) continue;
+      todo.steps.forEach((step) => lines.push(formatStep(step)));
+    }
+    lines.push("");
+  }
+  if (status.phases.length === 0) lines.push("No phases, TODOs or steps found.", "");
+
+  if (status.cancelled.length) {
+    lines.push("Cancelled TODOs:");
+    status.cancelled.forEach((t) => lines.push(`  ${t.id}  ${t.name}  (${t.file})`));
+    lines.push("");
+  }
+  if (status.actionRequired.length) {
+    lines.push("Action required (the runner is blocked until these are resolved):");
+    status.actionRequired.forEach((f) => lines.push(`  ${f}`));
+    lines.push("");
+  }
+  if (status.deferred && status.deferred.length) {
+    lines.push("Deferred action items (their steps are skipped until they are resolved or reopened; node action.mjs resolve <id> when done):");
+    status.deferred.forEach((f) => lines.push(`  ${f}`));
+    lines.push("");
+  }
+
+  const t = status.totals;
+  if (t.steps) {
+    lines.push(`Steps: ${t.done}/${t.steps} done (${t.percent}%), ${t.ready} ready, ${t.waiting} waiting, ${t.blocked} blocked`);
+  }
+  if (status.next) {
+    const gui = status.next.guiType === "compound" ? " [GUI-compound]" : status.next.guiType === "simple" ? " [GUI]" : "";
+    const model = `, model: ${status.next.model} (${status.next.modelReason})`;
+    lines.push(`Next step: ${status.next.id} (${status.next.file})${gui}${model}`);
+  } else {
+    lines.push(`Next step: none — ${status.nextReason}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,463 @@
+/**
+ * Prompt templates: the template language of prompts/*.prompt, prompts/fragments/ and user
+ * fragments, and the variables each runner prompt gets (PROMPT_VARIABLES).
+ *
+ *   {{stepFile}}  {{step.id}}             Variable (dotted path). Arrays are joined with ", ", null is empty.
+ *   {{#if step.gui}} ... {{else}} ... {{/if}}
+ *                                         Block for a truthy value (true, non-empty string or array, non-zero).
+ *   {{#if outcome == "BLOCKED"}}          Comparison with a quoted string (== or !=).
+ *   {{#unless quiet}} ... {{/unless}}     Block for a falsy value.
+ *   {{> output-zero}}                     The named fragment (output-zero.txt in prompts.fragmentsDir, else the
+ *                                         runner's prompts/fragments/), rendered with the same variables.
+ *   {{! comment }}                        Dropped.
+ *   \{{                                   A literal "{{".
+ * A block tag or comment alone on its line is removed with its line.
+ *
+ * Older prompt copies use @Name placeholders (@StepFile, @OutputInstruction, @TodoFile, ...); they
+ * are translated to the template form before rendering (the legacy map of PROMPT_VARIABLES) and
+ * lint reports them.
+ *
+ * User fragments (<fragmentsDir>/user/NN_*.txt) are appended to prompt NN and rendered with its
+ * variables. A fragment whose first line is a selector
+ *   {{!when step.guiType=simple,compound step.phase=P2 step.tags=migration}}
+ * is only appended when every listed variable has one of the listed values (case-insensitive; an
+ * array variable matches when one of its entries does).
+ *
+ * Unknown variables, fragments and tags are errors when a prompt is rendered. lintPrompts() also
+ * reports required placeholders a prompt does not use (error) and expected ones (warning).
+ */
+
+import fs from "fs";
+import path from "path";
+import { promptFile, fragmentFile, userFragmentsDir } from "./project-config.mjs";
+import { todoIdFromStepId, phaseIdFromId } from "./step-files.mjs";
+
+/** A template that cannot be rendered: syntax, unknown variable or fragment. */
+export class TemplateError extends Error {}
+
+// Variables of the step a prompt is about (stepTemplateVars)
+const STEP_VARIABLES = {
+  "step.id": "optional",
+  "step.file": "optional",
+  "step.todo": "optional",
+  "step.todoFile": "optional",
+  "step.phase": "optional",
+  "step.gui": "optional",
+  "step.guiType": "optional",
+  "step.model": "optional",
+  "step.todoType": "optional",
+  "step.priority": "optional",
+  "step.tags": "optional",
+};
+
+/**
+ * Variables of each runner prompt and fragment: required (rendering fails without it), expected
+ * (lint warns when unused) or optional; legacy: @Name placeholders and their template form.
+ */
+export const PROMPT_VARIABLES = {
+  "01-breakdown-to-phases.prompt": {
+    variables: { designDocument: "required", template: "expected" },
+    legacy: { DesignDocument: "@{{designDocument}}" },
+  },
+  "02-breakdown-to-todos.prompt": {
+    variables: { phaseFile: "required", template: "expected", phase: "optional" },
+    legacy: { HighLevelTemplate: "@{{phaseFile}}" },
+  },
+  "03-generate-steps.prompt": {
+    variables: { todoFile: "required", todo: "optional", phase: "optional" },
+    legacy: { AgentFirstTODO: "@{{todoFile}}" },
+  },
+  "04-execute-single-step.prompt": {
+    variables: { stepFile: "required", quiet: "optional", skipManual: "optional", ...STEP_VARIABLES },
+    legacy: {
+      StepFile: "@{{stepFile}}",
+      OutputInstruction: "{{#if quiet}}{{> output-zero}}{{else}}{{> output-step-only}}{{/if}}",
+      ManualTestInstruction: "{{#if skipManual}}{{> manual-skip}}{{else}}{{> manual-block}}{{/if}}",
+    },
+  },
+  "05-execution-summary.prompt": {
+    variables: {
+      todoFile: "required",
+      outputPath: "required",
+      completedSteps: "expected",
+      pendingSteps: "expected",
+      actionRequired: "expected",
+      actionRequiredContents: "expected",
+      resolvedActions: "expected",
+      outcome: "expected",
+      stopReason: "expected",
+      "todo.id": "optional",
+      "todo.phase": "optional",
+    },
+    legacy: legacyNames(["TodoFile", "OutputPath", "CompletedSteps", "PendingSteps", "ActionRequired", "ActionRequiredContents", "ResolvedActions", "Outcome", "StopReason"]),
+  },
+  "retry-attempt.txt": {
+    variables: { blockers: "required", attempt: "expected", maxAttempts: "expected", previousModel: "expected", exitCode: "expected", stepId: "optional" },
+    legacy: legacyNames(["Attempt", "MaxAttempts", "PreviousModel", "ExitCode", "Blockers"]),
+  },
+  "plan-unattended.txt": {
+    variables: { questionsFile: "required", stage: "expected", answers: "expected" },
+    legacy: {},
+  },
+  "resume-step.txt": {
+    variables: { started: "expected", model: "expected", stepId: "optional" },
+    legacy: legacyNames(["Started", "Model"]),
+  },
+};
+
+function legacyNames(names) {
+  return Object.fromEntries(names.map((n) => [n, `{{${n[0].toLowerCase()}${n.slice(1)}}}`]));
+}
+
+const TAG_REGEX = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+const PATH_REGEX = /^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*$/;
+const BLOCK_REGEX = /^#(if|unless)\s+([A-Za-z_][\w.]*)(?:\s*(==|!=)\s*"([^"]*)")?$/;
+const FRAGMENT_NAME_REGEX = /^[A-Za-z0-9][\w.-]*$/;
+const SELECTOR_REGEX = /^\{\{!when\s+([^}]*)\}\}[ \t]*(?:\r?\n|$)/;
+
+const lineOf = (source, offset) => source.slice(0, offset).split("\n").length;
+
+/**
+ * Replace legacy @Name placeholders with their template form.
+ * @param {string} source
+ * @param {Record<string, string>} legacy - Name (without @) -> template text
+ * @returns {{ source: string, used: string[] }} used: the @Name placeholders found
+ */
+export function translateLegacy(source, legacy = {}) {
+  const used = new Set();
+  const out = source.replace(/@([A-Za-z]+)(?![\w{])/g, (match, name) => {
+    if (!Object.hasOwn(legacy, name)) return match;
+    used.add(`@${name}`);
+    return legacy[name];
+  });
+  return { source: out, used: [...used] };
+}
+
+/**
+ * Parse a template into a tree of text, var, include and block nodes.
+ * @param {string} source
+ * @param {string} [name] - For error messages (file name)
+ * @returns {object[]} Nodes
+ * @throws {TemplateError} On unknown tags and unbalanced blocks
+ */
+export function parseTemplate(source, name = "template") {
+  const root = { children: [] };
+  const stack = [root];
+  const fail = (offset, message) => {
+    throw new TemplateError(`${name}:${lineOf(source, offset)}: ${message}`);
+  };
+  const push = (node) => {
+    const top = stack[stack.length - 1];
+    (top.inElse ? top.otherwise : top.children).push(node);
+  };
+  let last = 0;
+  for (const match of source.matchAll(TAG_REGEX)) {
+    let start = match.index;
+    let end = start + match[0].length;
+    if (match[0] === "\\{{") {
+      push({ type: "text", value: source.slice(last, start) + "{{" });
+      last = end;
+      continue;
+    }
+    const tag = match[1].trim();
+    // Block tags and comments alone on their line take the line with them
+    if (/^[#/!]|^else$/.test(tag)) {
+      const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+      const newline = source.indexOf("\n", end);
+      const lineEnd = newline < 0 ? source.length : newline + 1;
+      if (lineStart >= last && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+    if (start > last) push({ type: "text", value: source.slice(last, start) });
+    last = end;
+
+    if (tag.startsWith("!")) continue;
+    if (tag.startsWith(">")) {
+      const fragment = tag.slice(1).trim();
+      if (!FRAGMENT_NAME_REGEX.test(fragment)) fail(match.index, `Invalid fragment name in {{${tag}}}`);
+      push({ type: "include", name: fragment, line: lineOf(source, match.index) });
+    } else if (tag.startsWith("#")) {
+      const m = tag.match(BLOCK_REGEX);
+      if (!m) fail(match.index, `Invalid block {{${tag}}} (expected {{#if name}}, {{#if name == "value"}} or {{#unless name}})`);
+      const node = { type: "block", kind: m[1], path: m[2], op: m[3] || null, value: m[4], children: [], otherwise: [], inElse: false, line: lineOf(source, match.index) };
+      push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      const top = stack[stack.length - 1];
+      if (top === root || top.inElse) fail(match.index, "{{else}} outside an {{#if}} or {{#unless}} block");
+      top.inElse = true;
+    } else if (tag.startsWith("/")) {
+      const top = stack[stack.length - 1];
+      if (top === root || `/${top.kind}` !== tag) fail(match.index, `Unexpected {{${tag}}}${top === root ? "" : ` (open: {{#${top.kind} ${top.path}}} on line ${top.line})`}`);
+      stack.pop();
+    } else if (PATH_REGEX.test(tag)) {
+      push({ type: "var", path: tag, line: lineOf(source, match.index) });
+    } else {
+      fail(match.index, `Unknown tag {{${tag}}}`);
+    }
+  }
+  if (last < source.length) push({ type: "text", value: source.slice(last) });
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`${name}:${open.line}: {{#${open.kind} ${open.path}}} is never closed`);
+  }
+  return root.children;
+}
+
+/** Value of a dotted path in the variables (undefined when any part is missing). */
+function lookup(vars, dotted) {
+  let value = vars;
+  for (const key of dotted.split(".")) {
+    if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function show(value) {
+  if (value === null || value === undefined) return "";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+/**
+ * Render a template.
+ * @param {string} source
+ * @param {object} vars - Variables (nested objects for dotted paths)
+ * @param {{ name?: string, include?: (name: string) => { source: string, file: string }|null, stack?: string[] }} [opts]
+ *   include: source of a named fragment (null when there is none); stack: includes being rendered (cycle check)
+ * @returns {string}
+ * @throws {TemplateError} On syntax errors, unknown variables and fragments, and include cycles
+ */
+export function renderTemplate(source, vars, { name = "template", include = () => null, stack = [] } = {}) {
+  const render = (nodes) =>
+    nodes
+      .map((node) => {
+        if (node.type === "text") return node.value;
+        if (node.type === "var") {
+          const value = lookup(vars, node.path);
+          if (value === undefined) throw new TemplateError(`${name}:${node.line}: Unknown variable {{${node.path}}}`);
+          return show(value);
+        }
+        if (node.type === "include") {
+          if (stack.includes(node.name)) throw new TemplateError(`${name}:${node.line}: Fragment ${node.name} includes itself (${[...stack, node.name].join(" > ")})`);
+          const fragment = include(node.name);
+          if (!fragment) throw new TemplateError(`${name}:${node.line}: Unknown fragment {{> ${node.name}}}`);
+          return renderTemplate(fragment.source, vars, { name: fragment.file, include, stack: [...stack, node.name] }).trim();
+        }
+        const value = lookup(vars, node.path);
+        if (value === undefined) throw new TemplateError(`${name}:${node.line}: Unknown variable {{#${node.kind} ${node.path}}}`);
+        let on = node.op ? (show(value) === node.value) === (node.op === "==") : truthy(value);
+        if (node.kind === "unless") on = !on;
+        return render(on ? node.children : node.otherwise);
+      })
+      .join("");
+  return render(parseTemplate(source, name));
+}
+
+/**
+ * Variables and fragments a template refers to.
+ * @param {object[]} nodes - From parseTemplate
+ * @returns {{ variables: Map<string, number>, includes: Map<string, number> }} name -> first line
+ */
+export function templateReferences(nodes) {
+  const variables = new Map();
+  const includes = new Map();
+  const walk = (list) =>
+    list.forEach((node) => {
+      if (node.type === "var" || node.type === "block") {
+        if (!variables.has(node.path)) variables.set(node.path, node.line);
+      }
+      if (node.type === "include" && !includes.has(node.name)) includes.set(node.name, node.line);
+      if (node.type === "block") {
+        walk(node.children);
+        walk(node.otherwise);
+      }
+    });
+  walk(nodes);
+  return { variables, includes };
+}
+
+/**
+ * Includer for renderTemplate: fragments from the project's prompts.fragmentsDir, else the runner's.
+ * @param {object} values - resolveConfig values
+ * @returns {(name: string) => { source: string, file: string }|null}
+ */
+export function fragmentIncluder(values) {
+  return (name) => {
+    const file = fragmentFile(values, name.endsWith(".txt") ? name : `${name}.txt`);
+    return fs.existsSync(file) ? { source: fs.readFileSync(file, "utf8"), file } : null;
+  };
+}
+
+/**
+ * Selector of a user fragment (its first line, {{!when path=value,value ...}}).
+ * @param {string} content
+ * @returns {{ when: { path: string, values: string[] }[]|null, body: string, problems: string[] }}
+ *   when: null without a selector; body: the content without the selector line
+ */
+export function parseFragmentSelector(content) {
+  const m = content.match(SELECTOR_REGEX);
+  if (!m) return { when: null, body: content, problems: [] };
+  const problems = [];
+  const when = [];
+  for (const part of m[1].trim().split(/\s+/).filter(Boolean)) {
+    const [key, list] = part.split("=");
+    if (!PATH_REGEX.test(key || "") || !list) {
+      problems.push(`Invalid selector '${part}' (expected variable=value or variable=value1,value2)`);
+      continue;
+    }
+    when.push({ path: key, values: list.split(",").filter(Boolean).map((v) => v.toLowerCase()) });
+  }
+  return { when, body: content.slice(m[0].length), problems };
+}
+
+/**
+ * Whether a fragment selector matches the prompt's variables.
+ * @param {{ path: string, values: string[] }[]|null} when
+ * @param {object} vars
+ * @returns {boolean}
+ */
+export function selectorMatches(when, vars) {
+  if (!when) return true;
+  return when.every(({ path: dotted, values }) => {
+    const value = lookup(vars, dotted);
+    const have = (Array.isArray(value) ? value : [value]).map((v) => show(v).toLowerCase());
+    return have.some((v) => values.includes(v));
+  });
+}
+
+/**
+ * User fragments of a prompt (<fragmentsDir>/user/NN_*.txt for NN-*.prompt), sorted by name.
+ * @param {object} values - resolveConfig values
+ * @param {string} name - Prompt file name
+ * @returns {{ name: string, file: string, content: string }[]}
+ */
+export function userFragmentFiles(values, name) {
+  const number = (name.match(/^(\d{2})-/) || [])[1];
+  const dir = userFragmentsDir(values);
+  if (!number || !fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.startsWith(number + "_") && f.endsWith(".txt"))
+    .sort()
+    .map((f) => ({ name: f, file: path.join(dir, f), content: fs.readFileSync(path.join(dir, f), "utf8") }));
+}
+
+/** File of a runner prompt or fragment (project copy first). */
+function templateFile(values, name) {
+  return name.endsWith(".prompt") ? promptFile(values, name) : fragmentFile(values, name);
+}
+
+/**
+ * Render a runner prompt or fragment of PROMPT_VARIABLES with its variables, followed by the
+ * user fragments for its number whose selector matches (each under "# User fragment: <name>").
+ * @param {object} values - resolveConfig values (prompts.dir, prompts.fragmentsDir)
+ * @param {string} name - e.g. 04-execute-single-step.prompt, retry-attempt.txt
+ * @param {object} vars
+ * @returns {string}
+ * @throws {TemplateError} When the template cannot be rendered or lacks a required placeholder
+ */
+export function renderPrompt(values, name, vars) {
+  const def = PROMPT_VARIABLES[name] || { variables: {}, legacy: {} };
+  const file = templateFile(values, name);
+  const { source } = translateLegacy(fs.readFileSync(file, "utf8"), def.legacy);
+  const { variables } = templateReferences(parseTemplate(source, file));
+  for (const [variable, level] of Object.entries(def.variables)) {
+    if (level === "required" && !variables.has(variable)) throw new TemplateError(`${file} must contain the {{${variable}}} placeholder`);
+  }
+  const include = fragmentIncluder(values);
+  let text = renderTemplate(source, vars, { name: file, include });
+  const fragments = userFragmentFiles(values, name)
+    .map((f) => ({ ...f, ...parseFragmentSelector(f.content) }))
+    .filter((f) => selectorMatches(f.when, vars))
+    .map((f) => `# User fragment: ${f.name}\n${renderTemplate(f.body, vars, { name: f.file, include }).trim()}`);
+  if (fragments.length) text += "\n\n" + fragments.join("\n\n");
+  return text;
+}
+
+/**
+ * Template variables of a step (the step.* variables), from model-routing.mjs stepRoutingInfo.
+ * @param {object} info - stepRoutingInfo result (stepFile and todoFile relative to the project root)
+ * @param {{ model?: string|null }} [opts] - model: the model the step runs with
+ * @returns {object}
+ */
+export function stepTemplateVars(info, { model = null } = {}) {
+  return {
+    id: info.stepId,
+    file: info.stepFile || null,
+    todo: todoIdFromStepId(info.stepId),
+    todoFile: info.todoFile || null,
+    phase: phaseIdFromId(info.stepId),
+    gui: Boolean(info.guiType && info.guiType !== "none"),
+    guiType: info.guiType || "none",
+    model,
+    todoType: info.todoType || null,
+    priority: info.priority || null,
+    tags: info.tags || [],
+  };
+}
+
+/**
+ * Check the runner prompts and fragments a project uses (its copies, else the runner's) and its
+ * user fragments: syntax, unknown variables and fragments, unused required (error) and expected
+ * (warning) placeholders, legacy @Name placeholders (warning) and fragment selectors.
+ * @param {object} values - resolveConfig values
+ * @param {{ root?: string }} [opts] - root: file paths in issues are relative to it
+ * @returns {{ level: string, rule: string, file: string, message: string }[]} Issues in the form of step-lint.mjs
+ */
+export function lintPrompts(values, { root = process.cwd() } = {}) {
+  const issues = [];
+  const add = (level, file, message) => issues.push({ level, rule: "prompt-template", file: path.relative(root, file), message });
+  const include = fragmentIncluder(values);
+
+  // Variables, fragments and selectors of one template, following its includes
+  const check = (source, file, known, seen = []) => {
+    let nodes;
+    try {
+      nodes = parseTemplate(source, path.basename(file));
+    } catch (err) {
+      add("error", file, err.message);
+      return new Map();
+    }
+    const { variables, includes } = templateReferences(nodes);
+    for (const [variable, line] of variables) {
+      if (!Object.hasOwn(known, variable)) add("error", file, `Line ${line}: unknown variable {{${variable}}} (known: ${Object.keys(known).join(", ")})`);
+    }
+    for (const [name, line] of includes) {
+      const fragment = include(name);
+      if (!fragment) add("error", file, `Line ${line}: unknown fragment {{> ${name}}}`);
+      else if (seen.includes(name)) add("error", file, `Line ${line}: fragment ${name} includes itself`);
+      else check(fragment.source, fragment.file, known, [...seen, name]).forEach((l, v) => variables.has(v) || variables.set(v, l));
+    }
+    return variables;
+  };
+
+  for (const [name, def] of Object.entries(PROMPT_VARIABLES)) {
+    const file = templateFile(values, name);
+    if (!fs.existsSync(file)) {
+      add("error", file, "Prompt file is missing");
+      continue;
+    }
+    const { source, used } = translateLegacy(fs.readFileSync(file, "utf8"), def.legacy);
+    used.forEach((p) => add("warning", file, `Legacy placeholder ${p}; use ${def.legacy[p.slice(1)]}`));
+    const variables = check(source, file, def.variables);
+    for (const [variable, level] of Object.entries(def.variables)) {
+      if (level !== "optional" && !variables.has(variable)) {
+        add(level === "required" ? "error" : "warning", file, `Placeholder {{${variable}}} is never used`);
+      }
+    }
+    for (const fragment of userFragmentFiles(values, name)) {
+      const { when, body, problems } = parseFragmentSelector(fragment.content);
+      problems.forEach((p) => add("error", fragment.file, p));
+      (when || []).filter((w) => !Object.hasOwn(def.variables, w.path)).forEach((w) => add("error", fragment.file, `Selector on unknown variable ${w.path}`));
+      check(body, fragment.file, def.variables);
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Appends one entry to docs/TODO/runner/ledger.jsonl after a step attempt or summary run.
+ * Called by the run loop (run-loop.mjs) after the runner has moved (or not moved) the step file, so the
+ * outcome is read from the docs/TODO layout:
+ *   completed   Step file is in completed/steps/ (summary: agent exited 0).
+ *   blocked     Step still active and action_required has files (listed in the entry).
+ *   incomplete  Step still active without any action_required file.
+ *   failed      Summary run whose agent exited non-zero.
+ * Run from project root. Never fails the runner: errors are printed and exit code is 0.
+ *
+ * Options:
+ *   --kind step|summary   Kind of run (default: step).
+ *   --step FILE           Step basename (step runs).
+ *   --phase ID            Phase filter of the run (summary runs; informational for steps).
+ *   --todo ID             TODO the summary run summarized (summary runs).
+ *   --model MODEL         Model the agent ran with.
+ *   --started EPOCH_S     Start time in seconds since the epoch (date +%s).
+ *   --ended EPOCH_S       End time of the agent run (default: now).
+ *   --exit N              Agent exit code.
+ *   --stream FILE         Agent event log; token usage is read from its "result" event.
+ *   --parallel            Step ran in a parallel worktree.
+ *   --attempt N           Attempt number under the retry policy (retry.mjs); omitted for single attempts.
+ */
+
+import fs from "fs";
+import path from "path";
+import { appendLedgerEntry, extractResultUsage } from "./ledger.mjs";
+import { stepIdFromFilename, todoIdFromStepId, phaseIdFromId } from "./step-files.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { kind: "step", step: null, phase: null, todo: null, model: null, started: null, ended: null, exit: null, stream: null, parallel: false, attempt: null };
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i].replace(/^--/, "");
+    if (key === "parallel") {
+      opts.parallel = true;
+    } else if (key in opts && args[i + 1] != null) {
+      opts[key] = args[i + 1];
+      i++;
+    }
+  }
+  return opts;
+}
+
+const ROOT = process.cwd();
+const TODO_DIR = path.join(ROOT, "docs", "TODO");
+const COMPLETED_STEPS_DIR = path.join(TODO_DIR, "completed", "steps");
+const ACTION_REQUIRED_DIR = path.join(TODO_DIR, "action_required");
+
+function actionRequiredFiles() {
+  if (!fs.existsSync(ACTION_REQUIRED_DIR)) return [];
+  return fs.readdirSync(ACTION_REQUIRED_DIR).filter((f) => f.endsWith(".md") && !f.startsWith("resolved_"));
+}
+
+function main() {
+  const opts = parseArgs();
+  const endedAt = opts.ended ? Number(opts.ended) * 1000 : Date.now();
+  const startedAt = opts.started ? Number(opts.started) * 1000 : null;
+  const exitCode = opts.exit != null ? Number(opts.exit) : null;
+  const streamText = opts.stream && fs.existsSync(opts.stream) ? fs.readFileSync(opts.stream, "utf8") : "";
+  const usage = extractResultUsage(streamText);
+
+  const entry = {
+    ts: new Date(endedAt).toISOString(),
+    kind: opts.kind,
+    step: null,
+    stepFile: null,
+    todo: null,
+    phase: opts.phase || null,
+    model: opts.model,
+    durationMs: startedAt ? endedAt - startedAt : null,
+    agentDurationMs: usage.agentDurationMs,
+    exitCode,
+    outcome: null,
+    actionFiles: [],
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    totalTokens: usage.totalTokens,
+  };
+  if (opts.parallel) entry.parallel = true;
+  if (opts.attempt) entry.attempt = Number(opts.attempt);
+
+  if (opts.kind === "summary") {
+    entry.outcome = exitCode === 0 ? "completed" : "failed";
+    entry.todo = opts.todo || null;
+  } else {
+    const stepId = opts.step ? stepIdFromFilename(opts.step) : null;
+    entry.step = stepId;
+    entry.stepFile = opts.step;
+    entry.todo = todoIdFromStepId(stepId);
+    entry.phase = phaseIdFromId(stepId);
+    const actionFiles = actionRequiredFiles();
+    if (opts.step && fs.existsSync(path.join(COMPLETED_STEPS_DIR, opts.step))) {
+      entry.outcome = "completed";
+    } else if (actionFiles.length > 0) {
+      entry.outcome = "blocked";
+      entry.actionFiles = actionFiles;
+    } else {
+      entry.outcome = "incomplete";
+    }
+  }
+
+  appendLedgerEntry(ROOT, entry);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Warning: could not write run ledger: ${err.message}`);
+}
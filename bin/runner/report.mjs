@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Aggregates docs/TODO/runner/ledger.jsonl (see record-attempt.mjs) into a run report:
+ * step attempts by phase, TODO, model and outcome with success rate, mean duration and
+ * token usage, plus the most-blocked steps.
+ * Run from project root.
+ *
+ * Options:
+ *   --phase ID      Only entries whose step id starts with ID (e.g. P2 or P2_04).
+ *   --model MODEL   Only entries run with MODEL.
+ *   --since DATE    Only entries at or after DATE (anything Date.parse accepts, e.g. 2026-01-31).
+ *   --top N         Number of most-blocked steps to list (default: 10).
+ *   --json          Print the report as JSON.
+ */
+
+import { readLedger, ledgerPath } from "./ledger.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let phase = null;
+  let model = null;
+  let since = null;
+  let top = 10;
+  let json = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--phase" && args[i + 1]) {
+      phase = args[i + 1];
+      i++;
+    } else if (args[i] === "--model" && args[i + 1]) {
+      model = args[i + 1];
+      i++;
+    } else if (args[i] === "--since" && args[i + 1]) {
+      since = Date.parse(args[i + 1]);
+      if (Number.isNaN(since)) {
+        console.error(`Invalid --since date: ${args[i + 1]}`);
+        process.exit(1);
+      }
+      i++;
+    } else if (args[i] === "--top" && args[i + 1]) {
+      top = Number(args[i + 1]) || 10;
+      i++;
+    } else if (args[i] === "--json") {
+      json = true;
+    }
+  }
+  return { phase, model, since, top, json };
+}
+
+function matchesPrefix(id, prefix) {
+  return !!id && (id === prefix || id.startsWith(prefix + ".") || id.startsWith(prefix + "_"));
+}
+
+/**
+ * Aggregate step attempts: count, outcomes, success rate, mean duration, tokens.
+ */
+function aggregate(entries) {
+  const attempts = entries.length;
+  const outcomes = {};
+  for (const e of entries) outcomes[e.outcome] = (outcomes[e.outcome] || 0) + 1;
+  const durations = entries.map((e) => e.durationMs).filter((d) => typeof d === "number");
+  const tokens = entries.map((e) => e.totalTokens).filter((t) => typeof t === "number");
+  const totalTokens = tokens.reduce((a, b) => a + b, 0);
+  return {
+    attempts,
+    completed: outcomes.completed || 0,
+    blocked: outcomes.blocked || 0,
+    outcomes,
+    successRate: attempts ? (outcomes.completed || 0) / attempts : null,
+    meanDurationMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+    totalTokens: tokens.length ? totalTokens : null,
+    meanTokens: tokens.length ? Math.round(totalTokens / tokens.length) : null,
+  };
+}
+
+function groupBy(entries, keyFn) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyFn(e) ?? "(none)";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return Object.fromEntries(
+    [...groups.entries()].sort(([a], [b]) => String(a).localeCompare(String(b), undefined, { numeric: true })).map(([k, v]) => [k, aggregate(v)])
+  );
+}
+
+function buildReport(entries, top) {
+  const steps = entries.filter((e) => e.kind !== "summary");
+  const summaries = entries.filter((e) => e.kind === "summary");
+
+  const blockedCounts = new Map();
+  for (const e of steps) {
+    if (e.outcome !== "blocked" || !e.step) continue;
+    const cur = blockedCounts.get(e.step) || { step: e.step, stepFile: e.stepFile, blocked: 0, attempts: 0, actionFiles: new Set() };
+    cur.blocked++;
+    (e.actionFiles || []).forEach((f) => cur.actionFiles.add(f));
+    blockedCounts.set(e.step, cur);
+  }
+  for (const e of steps) {
+    if (blockedCounts.has(e.step)) blockedCounts.get(e.step).attempts++;
+  }
+  const mostBlocked = [...blockedCounts.values()]
+    .sort((a, b) => b.blocked - a.blocked || a.step.localeCompare(b.step))
+    .slice(0, top)
+    .map((b) => ({ ...b, actionFiles: [...b.actionFiles] }));
+
+  return {
+    entries: entries.length,
+    from: entries.length ? entries[0].ts : null,
+    to: entries.length ? entries[entries.length - 1].ts : null,
+    steps: aggregate(steps),
+    byPhase: groupBy(steps, (e) => e.phase),
+    byTodo: groupBy(steps, (e) => e.todo),
+    byModel: groupBy(steps, (e) => e.model),
+    byOutcome: groupBy(steps, (e) => e.outcome),
+    summaries: aggregate(summaries),
+    mostBlocked,
+  };
+}
+
+function formatDuration(ms) {
+  if (ms == null) return "-";
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+  if (m > 0) return `${m}m ${String(s % 60).padStart(2, "0")}s`;
+  return `${s}s`;
+}
+
+function formatNumber(n) {
+  return n == null ? "-" : n.toLocaleString("en-US");
+}
+
+function formatRate(r) {
+  return r == null ? "-" : `${Math.round(r * 100)}%`;
+}
+
+function printTable(title, groups) {
+  const rows = Object.entries(groups).map(([key, g]) => [
+    key,
+    String(g.attempts),
+    String(g.completed),
+    String(g.blocked),
+    formatRate(g.successRate),
+    formatDuration(g.meanDurationMs),
+    formatNumber(g.totalTokens),
+    formatNumber(g.meanTokens),
+  ]);
+  if (rows.length === 0) return;
+  const header = [title, "Attempts", "Done", "Blocked", "Success", "Mean time", "Tokens", "Tokens/run"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const fmt = (r) => r.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ");
+  console.log(fmt(header));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  rows.forEach((r) => console.log(fmt(r)));
+  console.log("");
+}
+
+function main() {
+  const { phase, model, since, top, json } = parseArgs();
+  const root = process.cwd();
+  let entries = readLedger(root);
+  if (phase) entries = entries.filter((e) => matchesPrefix(e.step, phase) || (e.kind === "summary" && matchesPrefix(e.phase, phase)));
+  if (model) entries = entries.filter((e) => e.model === model);
+  if (since != null) entries = entries.filter((e) => Date.parse(e.ts) >= since);
+
+  const report = buildReport(entries, top);
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log(`No ledger entries${phase || model || since != null ? " matching filters" : ""} in ${ledgerPath(root)}.`);
+    return;
+  }
+
+  const s = report.steps;
+  console.log(`Run ledger: ${report.entries} entries (${report.from} .. ${report.to})\n`);
+  console.log(
+    `Step attempts: ${s.attempts}, completed: ${s.completed}, blocked: ${s.blocked}, success rate: ${formatRate(s.successRate)}, ` +
+      `mean duration: ${formatDuration(s.meanDurationMs)}, tokens: ${formatNumber(s.totalTokens)}`
+  );
+  console.log(`Summary runs: ${report.summaries.attempts}, tokens: ${formatNumber(report.summaries.totalTokens)}\n`);
+
+  printTable("Phase", report.byPhase);
+  printTable("TODO", report.byTodo);
+  printTable("Model", report.byModel);
+  printTable("Outcome", report.byOutcome);
+
+  if (report.mostBlocked.length > 0) {
+    console.log("Most-blocked steps:");
+    for (const b of report.mostBlocked) {
+      console.log(`  ${b.step}  blocked ${b.blocked} of ${b.attempts} attempts${b.actionFiles.length ? `  (${b.actionFiles.join(", ")})` : ""}`);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,134 @@
+/**
+ * Retry policy for failed step attempts: the run loop (run-loop.mjs) re-runs a step whose agent
+ * exited non-zero or left take_action_* files, feeding the blockers back in a fix-up prompt and
+ * moving up the model escalation ladder. Every attempt is recorded in the step file's
+ * "Attempt history" section.
+ *
+ * Policy: { retries: number, escalate: string[] }
+ *   retries   Extra attempts after the first (0 = no retries, the default).
+ *   escalate  Model for attempt 2, 3, ...; the last entry is reused when the ladder is shorter than
+ *             the retries, and without a ladder retries use the step's model.
+ */
+
+import fs from "fs";
+import path from "path";
+import { renderPrompt } from "./prompt-template.mjs";
+
+const HISTORY_HEADING = "## Attempt history";
+const HISTORY_HEADER = "| # | Model | Finished | Duration | Exit | Outcome |\n|---|-------|----------|----------|------|---------|";
+
+/**
+ * Model ladder from a comma-separated list or an array.
+ * @param {string|string[]|null} value
+ * @returns {string[]}
+ */
+export function parseEscalate(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((m) => String(m).trim()).filter(Boolean);
+}
+
+/**
+ * Model for an attempt (1-based): attempt 1 uses the step's model, later attempts climb the ladder.
+ * @param {string[]} escalate
+ * @param {string} baseModel
+ * @param {number} attempt
+ * @returns {string}
+ */
+export function modelForAttempt(escalate, baseModel, attempt) {
+  if (attempt <= 1 || escalate.length === 0) return baseModel;
+  return escalate[Math.min(attempt - 2, escalate.length - 1)];
+}
+
+/**
+ * take_action_* files in action_required (the blockers an attempt can leave behind).
+ * @param {string} actionRequiredDir
+ * @returns {string[]}
+ */
+export function takeActionFiles(actionRequiredDir) {
+  if (!fs.existsSync(actionRequiredDir)) return [];
+  return fs.readdirSync(actionRequiredDir).filter((f) => f.startsWith("take_action_") && f.endsWith(".md")).sort();
+}
+
+/**
+ * Move an attempt's blocker files to docs/TODO/runner/retries/<stepId>/ so the next attempt can run.
+ * @param {{ root: string, stepId: string, attempt: number, files: string[] }} opts
+ * @returns {{ name: string, content: string, archived: string }[]}
+ */
+export function archiveBlockers({ root, stepId, attempt, files }) {
+  const actionDir = path.join(root, "docs", "TODO", "action_required");
+  const archiveDir = path.join(root, "docs", "TODO", "runner", "retries", stepId);
+  fs.mkdirSync(archiveDir, { recursive: true });
+  return files.map((name) => {
+    const src = path.join(actionDir, name);
+    const content = fs.readFileSync(src, "utf8");
+    const archived = path.join(archiveDir, `attempt${attempt}_${name}`);
+    fs.renameSync(src, archived);
+    return { name, content, archived: path.relative(root, archived) };
+  });
+}
+
+/**
+ * Fix-up prompt for a retry: the step's runner prompt plus the retry fragment with the blockers.
+ * @param {{ basePrompt: string, stepId?: string, attempt: number, maxAttempts: number, previousModel: string, exitCode: number,
+ *   blockers: { name: string, content: string }[], values?: object }} opts - values: resolveConfig values (the project's
+ *   copy of prompts/fragments/retry-attempt.txt, see prompt-template.mjs)
+ * @returns {string}
+ */
+export function buildRetryPrompt({ basePrompt, stepId = null, attempt, maxAttempts, previousModel, exitCode, blockers, values = {} }) {
+  const quoted = blockers.length
+    ? blockers.map((b) => `--- ${b.name} ---\n${b.content.trim()}\n--- end of ${b.name} ---`).join("\n\n")
+    : "(No blocker file was left; the agent exited with a non-zero code. Check the step's tasks and \"How to verify\".)";
+  const fragment = renderPrompt(values, "retry-attempt.txt", { stepId, attempt, maxAttempts, previousModel, exitCode, blockers: quoted });
+  return `${basePrompt.trimEnd()}\n\n${fragment.trimEnd()}\n`;
+}
+
+/**
+ * Append one row to the step file's "Attempt history" section (created at the end of the file).
+ * @param {string} stepPath
+ * @param {{ attempt: number, model: string, ended: number, durationS: number, exitCode: number, outcome: string }} row
+ *   ended in epoch seconds
+ */
+export function appendAttemptHistory(stepPath, { attempt, model, ended, durationS, exitCode, outcome }) {
+  let content = fs.readFileSync(stepPath, "utf8");
+  if (!content.includes(HISTORY_HEADING)) {
+    content = `${content.trimEnd()}\n\n${HISTORY_HEADING}\n\n${HISTORY_HEADER}\n`;
+  }
+  const finished = new Date(ended * 1000).toISOString().replace(/\.\d{3}Z$/, "Z");
+  const row = `| ${attempt} | ${model} | ${finished} | ${durationS}s | ${exitCode} | ${outcome.replace(/\|/g, "\\|")} |`;
+  fs.writeFileSync(stepPath, `${content.trimEnd()}\n${row}\n`, "utf8");
+}
+
+/**
+ * Write action_required/take_action_<stepId>_retries_exhausted.md when the last attempt failed
+ * without leaving a blocker file of its own.
+ * @param {{ root: string, stepId: string, stepFile: string, attempts: { attempt: number, model: string, exitCode: number, outcome: string }[],
+ *   archived: string[] }} opts
+ * @returns {string} Action file name
+ */
+export function writeRetriesExhaustedAction({ root, stepId, stepFile, attempts, archived }) {
+  const dir = path.join(root, "docs", "TODO", "action_required");
+  fs.mkdirSync(dir, { recursive: true });
+  const name = `take_action_${stepId}_retries_exhausted.md`;
+  const rows = attempts.map((a) => `| ${a.attempt} | ${a.model} | ${a.exitCode} | ${a.outcome} |`);
+  const body = `# Retries exhausted: ${stepId}
+
+Step \`${stepFile}\` failed on every attempt of the retry policy; the last attempt exited with a
+non-zero code and left no blocker file. The step was not moved to completed.
+
+| # | Model | Exit | Outcome |
+|---|-------|------|---------|
+${rows.join("\n")}
+${archived.length ? `\nBlocker files from earlier attempts:\n${archived.map((a) => `- \`${a}\``).join("\n")}\n` : ""}
+The step file's "Attempt history" section has the same list; agent output is in the run ledger / \`--debug\` log.
+
+## Resolution
+
+Finish the step by hand, then rename this file as described below; the runner marks the step completed.
+To run the step again (with a fresh set of retries), delete this file.
+
+When this issue is resolved, rename this file from \`take_action_*\` to \`resolved_*\` (e.g., \`take_action_${stepId}_retries_exhausted.md\` → \`resolved_${stepId}_retries_exhausted.md\`). The runner will then continue with the next step.
+`;
+  fs.writeFileSync(path.join(dir, name), body, "utf8");
+  return name;
+}
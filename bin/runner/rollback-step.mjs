@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Undoes a step run with run-steps.sh --git: restores the project files to the checkpoint the step
+ * started from (see git-checkpoint.mjs), moves the step file back to docs/TODO/active/steps/ and
+ * removes the step's action_required files and patch, so the runner runs the step again.
+ * Run from project root.
+ *
+ * Usage:
+ *   node rollback-step.mjs <stepId> [--force]
+ *   node rollback-step.mjs --list
+ *
+ * Options:
+ *   --force   Also undo commits made after the step (later steps); they are reset, not reverted.
+ *   --list    List steps with a checkpoint.
+ *
+ * Changes stashed before the step are not restored; the output names the stash (git stash pop).
+ *
+ * Exit codes:
+ *   0  Rolled back (or listed).
+ *   1  No checkpoint for the step, later commits without --force, or a git error.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readCheckpoint, rollbackStep } from "./git-checkpoint.mjs";
+
+const ROOT = process.cwd();
+const CHECKPOINTS_DIR = path.join(ROOT, "docs", "TODO", "runner", "checkpoints");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { step: null, force: false, list: false };
+  for (const arg of args) {
+    if (arg === "--force") opts.force = true;
+    else if (arg === "--list") opts.list = true;
+    else if (!arg.startsWith("--")) opts.step = arg;
+  }
+  return opts;
+}
+
+function list() {
+  const files = fs.existsSync(CHECKPOINTS_DIR) ? fs.readdirSync(CHECKPOINTS_DIR).filter((f) => f.endsWith(".json")).sort() : [];
+  if (files.length === 0) {
+    console.log("No checkpoints (steps get one when run with --git).");
+    return;
+  }
+  for (const f of files) {
+    const cp = readCheckpoint(ROOT, path.basename(f, ".json"));
+    if (!cp) continue;
+    const state = cp.commit ? `committed ${cp.commit.slice(0, 7)}` : "not committed";
+    console.log(`${cp.stepId}\tfrom ${cp.head.slice(0, 7)}\t${state}\t${cp.created}`);
+  }
+}
+
+function main() {
+  const opts = parseArgs();
+  if (opts.list) {
+    list();
+    return 0;
+  }
+  if (!opts.step) {
+    console.error("Usage: node rollback-step.mjs <stepId> [--force] | --list");
+    return 1;
+  }
+
+  let res;
+  try {
+    res = rollbackStep(ROOT, opts.step, { force: opts.force });
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  console.log(`Restored project files to ${res.checkpoint.head.slice(0, 7)} (checkpoint of ${opts.step}).`);
+  res.undone.forEach((c) => console.log(`  Undid commit ${c}`));
+  for (const step of res.steps) {
+    if (step.stepFile) console.log(`Moved step back to docs/TODO/active/steps/${step.stepFile}`);
+    if (step.todoFile) console.log(`Moved TODO back to docs/TODO/active/${step.todoFile}`);
+    step.removed.forEach((f) => console.log(`Removed ${f}`));
+  }
+  if (res.checkpoint.stash) {
+    console.log(`Changes stashed before the step are still in the stash (${res.checkpoint.stash.slice(0, 7)}); restore them with: git stash pop`);
+  }
+  return 0;
+}
+
+process.exit(main());
@@ -0,0 +1,205 @@
+/**
+ * Run lock and in-progress marker, so two runners never share a project root and a run that died
+ * mid-step (Ctrl-C, OOM, laptop sleep) is noticed by the next one.
+ *
+ *   docs/TODO/runner/runner.lock       { pid, host, started, command, steps, updated }
+ *     Held while a run loop is running; steps: the step ids it is working on. A lock whose process
+ *     is gone (same host) is stale and is removed on the next start; a live one makes the next
+ *     runner refuse to start. Locks from another host are never removed automatically.
+ *   docs/TODO/runner/in_progress.json  { pid, started, steps: [{ stepId, stepFile, model, started, parallel }] }
+ *     Written when an agent starts on a step and removed once the runner is done with it (completed
+ *     or blocked). Left behind, it names the interrupted step(s). Interrupted steps a run resumes
+ *     stay in it until they have run again.
+ *
+ * On the next start the run loop handles an interrupted step as chosen (INTERRUPTED_CHOICES):
+ *   resume  Run it again with prompts/fragments/resume-step.txt: partial work is in the tree, continue it.
+ *   rerun   Undo its changes first (--git checkpoint, see git-checkpoint.mjs), then run it from scratch.
+ *   done    Mark it completed without running it (like a resolved_* file).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { renderPrompt } from "./prompt-template.mjs";
+
+export const INTERRUPTED_CHOICES = ["resume", "rerun", "done"];
+
+const LOCK_NAME = "runner.lock";
+const IN_PROGRESS_NAME = "in_progress.json";
+
+const runnerDir = (root) => path.join(root, "docs", "TODO", "runner");
+const lockPath = (root) => path.join(runnerDir(root), LOCK_NAME);
+const inProgressPath = (root) => path.join(runnerDir(root), IN_PROGRESS_NAME);
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/** True when a process with this id exists (EPERM: it exists but belongs to someone else). */
+function processAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * The current lock and whether its runner is still running. A lock from another host counts as
+ * live (its process cannot be checked from here); an unreadable lock counts as stale.
+ * @param {string} root
+ * @returns {{ lock: object, live: boolean, path: string }|null} Null without a lock
+ */
+export function readLock(root) {
+  const file = lockPath(root);
+  if (!fs.existsSync(file)) return null;
+  const lock = readJson(file) || {};
+  const live = lock.host && lock.host !== os.hostname() ? true : processAlive(lock.pid);
+  return { lock, live, path: file };
+}
+
+/**
+ * Take the project's run lock. A stale lock is moved aside and removed first; when two runners
+ * clean up the same stale lock, exclusive creation lets only one of them win.
+ * @param {string} root
+ * @param {{ command?: string }} [info]
+ * @returns {{ acquired: boolean, holder: object|null, stale: object|null }} holder: the live lock when not acquired;
+ *   stale: the removed stale lock
+ */
+export function acquireLock(root, { command = process.argv.slice(1).join(" ") } = {}) {
+  const file = lockPath(root);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lock = { pid: process.pid, host: os.hostname(), started: new Date().toISOString(), command, steps: [], updated: null };
+  let stale = null;
+  for (let tries = 0; tries < 3; tries++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(lock, null, 2) + "\n", { encoding: "utf8", flag: "wx" });
+      return { acquired: true, holder: null, stale };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    const current = readLock(root);
+    if (!current) continue;
+    if (current.live) return { acquired: false, holder: current.lock, stale };
+    // Move the stale lock aside before removing it, so a lock another runner just took is not deleted
+    const aside = `${file}.${process.pid}.stale`;
+    try {
+      fs.renameSync(file, aside);
+    } catch {
+      continue;
+    }
+    const moved = readJson(aside) || {};
+    if (moved.pid !== current.lock.pid || moved.started !== current.lock.started) {
+      // Another runner replaced it in the meantime: put its lock back and look again
+      if (!fs.existsSync(file)) fs.renameSync(aside, file);
+      else fs.rmSync(aside, { force: true });
+      continue;
+    }
+    fs.rmSync(aside, { force: true });
+    stale = current.lock;
+  }
+  const current = readLock(root);
+  return { acquired: false, holder: current ? current.lock : null, stale };
+}
+
+/**
+ * Record the steps the lock holder is working on (only when this process holds the lock).
+ * @param {string} root
+ * @param {string[]} steps - Step ids (empty between steps)
+ */
+export function updateLock(root, steps) {
+  const current = readLock(root);
+  if (!current || current.lock.pid !== process.pid) return;
+  const lock = { ...current.lock, steps, updated: new Date().toISOString() };
+  fs.writeFileSync(current.path, JSON.stringify(lock, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Remove the lock if this process holds it.
+ * @param {string} root
+ */
+export function releaseLock(root) {
+  const current = readLock(root);
+  if (current && current.lock.pid === process.pid) fs.rmSync(current.path, { force: true });
+}
+
+/**
+ * One-line description of a lock holder for "another runner is running" messages.
+ * @param {object} lock - From readLock or acquireLock
+ * @returns {string}
+ */
+export function describeLock(lock) {
+  const where = lock.host && lock.host !== os.hostname() ? ` on ${lock.host}` : "";
+  const steps = lock.steps && lock.steps.length ? `, working on ${lock.steps.join(", ")}` : "";
+  return `pid ${lock.pid}${where}, started ${lock.started || "?"}${steps}`;
+}
+
+/**
+ * Write the in-progress marker for the steps an agent is starting on.
+ * @param {string} root
+ * @param {{ stepId: string, stepFile: string, model?: string, parallel?: boolean }[]} steps
+ */
+export function markInProgress(root, steps) {
+  const started = new Date().toISOString();
+  const marker = { pid: process.pid, started, steps: steps.map((s) => ({ started, parallel: false, ...s })) };
+  fs.mkdirSync(runnerDir(root), { recursive: true });
+  fs.writeFileSync(inProgressPath(root), JSON.stringify(marker, null, 2) + "\n", "utf8");
+}
+
+/**
+ * The in-progress marker, or null.
+ * @param {string} root
+ * @returns {{ pid: number, started: string, steps: object[] }|null}
+ */
+export function readInProgress(root) {
+  const marker = readJson(inProgressPath(root));
+  return marker && Array.isArray(marker.steps) ? marker : null;
+}
+
+/**
+ * Steps a run that is no longer running left in progress (the marker of another live lock holder
+ * is not interrupted), limited to those still in docs/TODO/active/steps/.
+ * @param {string} root
+ * @returns {{ marker: object, steps: object[] }|null}
+ */
+export function interruptedSteps(root) {
+  const marker = readInProgress(root);
+  if (!marker) return null;
+  const current = readLock(root);
+  if (current && current.live && current.lock.pid === marker.pid && marker.pid !== process.pid) return null;
+  const activeDir = path.join(root, "docs", "TODO", "active", "steps");
+  const steps = marker.steps.filter((s) => s.stepFile && fs.existsSync(path.join(activeDir, s.stepFile)));
+  return { marker, steps };
+}
+
+/**
+ * Remove the in-progress marker: only this process's own unless force.
+ * @param {string} root
+ * @param {{ force?: boolean }} [opts]
+ */
+export function clearInProgress(root, { force = false } = {}) {
+  const marker = readInProgress(root);
+  if (!fs.existsSync(inProgressPath(root))) return;
+  if (force || !marker || marker.pid === process.pid) fs.rmSync(inProgressPath(root), { force: true });
+}
+
+/**
+ * Prompt for resuming an interrupted step: the step's runner prompt plus the resume fragment.
+ * @param {{ basePrompt: string, step: object, values?: object }} opts - step: from interruptedSteps; values: resolveConfig
+ *   values (the project's copy of prompts/fragments/resume-step.txt, see prompt-template.mjs)
+ * @returns {string}
+ */
+export function buildResumePrompt({ basePrompt, step, values = {} }) {
+  const fragment = renderPrompt(values, "resume-step.txt", {
+    stepId: step.stepId || null,
+    started: step.started || "an earlier run",
+    model: step.model || "unknown",
+  });
+  return `${basePrompt.trimEnd()}\n\n${fragment.trimEnd()}\n`;
+}
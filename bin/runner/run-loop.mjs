@@ -0,0 +1,1203 @@
+/**
+ * Programmatic run loop: resolve next step -> run agent -> move step -> repeat.
+ * run-steps.sh / run-steps.mjs are a CLI over runSteps(); embed it to drive the runner from
+ * other tooling.
+ *
+ *   import { runSteps } from "<runner-path>/bin/runner/run-loop.mjs";
+ *   const run = runSteps({ root, phase: "P1_02", steps: 3 });
+ *   run.on("step:completed", ({ stepId }) => console.log("done", stepId));
+ *   const { exitCode } = await run.done;
+ *
+ * The loop starts on the next tick, so listeners attached right after the call see every event.
+ * Helper scripts (next-step.mjs, on-phase-done.mjs, worktree.mjs, ...) run as child processes
+ * with cwd = project root, exactly like the shell runner ran them; their output is emitted as
+ * "log" events.
+ *
+ * A run holds docs/TODO/runner/runner.lock and marks the step it works on as in progress
+ * (run-lock.mjs); a step a dead run left in progress is handled first, as the interrupted option says.
+ *
+ * Events:
+ *   log              { message, stream: "stdout"|"stderr" }   Runner messages (what the CLI prints)
+ *   lint:done        { errors, warnings, issues }              Pre-run lint of docs/TODO and the prompts (step-lint.mjs, prompt-template.mjs)
+ *   step:interrupted { stepId, stepFile, started, choice }    A dead run left the step in progress (run-lock.mjs)
+ *   step:start       { stepId, stepFile, model, run, parallel }
+ *   step:timeout     { stepId, stepFile, timeoutS, actionFile }   Agent stopped by the step timeout (timeouts.mjs)
+ *   agent:event      { kind: "step"|"summary", stepId, parallel, event }   Normalized agent event (bin/agents/events.mjs)
+ *   agent:done       { kind, stepId, parallel, exitCode }     Agent run finished (parallel: after the whole batch)
+ *   verify:done      { stepId, stepFile, passed, commands, results, actionFile }   Runner ran "How to verify" (verify.mjs)
+ *   hook:done        { name, stepId, results, vetoed, actionFile }   A preStep, postStep or onBlocked hook ran (hooks.mjs)
+ *   step:retry       { stepId, stepFile, attempt, maxAttempts, model, previousModel, exitCode, blockers }   Failed attempt re-run (retry.mjs)
+ *   step:completed   { stepId, stepFile, dest, resolved }     Step moved to completed/steps (resolved: by a resolved_* file)
+ *   action:archived  { file, dest, stepId, note }             Resolved action item moved to completed/actions (action-files.mjs)
+ *   step:committed   { stepId, stepFile, commit, patch, subject }   Step committed (git option; git-checkpoint.mjs)
+ *   blocked          { reason, actionFiles, output }          Runner stops until action_required is resolved
+ *   phase:done       { phase }                                No pending steps left (for the --phase filter)
+ *   summary:written  { phase, todoId, exitCode, outputPath }  Execution summary agent run finished (one per TODO)
+ *   budget:exceeded  { limit: "maxDuration"|"maxStepsPerTodo", reason, stepId }   Run stopped between steps (summaries written)
+ *   end              { exitCode, runs }
+ *
+ * Exit codes (run.done resolves to { exitCode, runs }):
+ *   0 = success (steps run and/or no steps left, or a time budget used up); 1 = action required / step blocked, RUNNER_PROMPT
+ *   missing, bad options, unknown agent backend or another runner holds the lock; 127 = agent CLI not found; other = next-step.mjs exit code.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import { spawn, spawnSync } from "child_process";
+import { getAgentBackend } from "../agents/index.mjs";
+import { runAgent, missingBackendHint, AGENT_TIMEOUT_EXIT } from "../agents/run.mjs";
+import { STEP_ID_REGEX, stepIdFromFilename, todoIdFromStepId } from "./step-files.mjs";
+import { DEFAULT_VERIFY_TIMEOUT_S, verifyStep } from "./verify.mjs";
+import {
+  parseEscalate,
+  modelForAttempt,
+  takeActionFiles,
+  archiveBlockers,
+  buildRetryPrompt,
+  appendAttemptHistory,
+  writeRetriesExhaustedAction,
+} from "./retry.mjs";
+import { lintTodoTree, formatLintReport } from "./step-lint.mjs";
+import { gitModeProblem, prepareCheckpoint, readCheckpoint, stashProjectChanges, commitStep, rollbackStep } from "./git-checkpoint.mjs";
+import { notify } from "./notify.mjs";
+import { loadHooks, runHooks, stepHookContext, describeHookFailure, writeHookAction } from "./hooks.mjs";
+import { resolveConfig } from "./project-config.mjs";
+import { ORDERS, DEFAULT_ORDER } from "./scheduler.mjs";
+import { lintPrompts } from "./prompt-template.mjs";
+import { loadModelRouting } from "./model-routing.mjs";
+import { parseDuration, formatDuration, stepTimeout, writeTimeoutAction } from "./timeouts.mjs";
+import { actionStepId, archiveResolvedAction, attachActionNote } from "./action-files.mjs";
+import {
+  INTERRUPTED_CHOICES,
+  acquireLock,
+  updateLock,
+  releaseLock,
+  describeLock,
+  markInProgress,
+  interruptedSteps,
+  clearInProgress,
+  buildResumePrompt,
+} from "./run-lock.mjs";
+
+const RUNNER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+
+/** Default options of runSteps() (root: current directory). */
+export const RUN_DEFAULTS = {
+  root: null,
+  once: false,
+  steps: null,
+  phase: null,
+  model: "auto",
+  guiModel: null,
+  noSummary: false,
+  skipManual: false,
+  quiet: false,
+  debug: false,
+  parallel: 1,
+  strict: false,
+  strictDeps: false,
+  order: DEFAULT_ORDER,
+  agent: "cursor",
+  agentScript: null,
+  verify: true,
+  verifyTimeout: DEFAULT_VERIFY_TIMEOUT_S,
+  retries: 0,
+  escalate: [],
+  stepTimeout: null,
+  maxDuration: null,
+  maxStepsPerTodo: null,
+  git: false,
+  lint: true,
+  notify: true,
+  hooks: true,
+  interrupted: null,
+};
+
+/**
+ * Project root for a start directory: the directory itself when it has docs/TODO, else the
+ * nearest parent that does (runner installed in a subfolder); unchanged if none has.
+ * @param {string} start
+ * @returns {string}
+ */
+export function findProjectRoot(start) {
+  const abs = path.resolve(start);
+  if (fs.existsSync(path.join(abs, "docs", "TODO"))) return abs;
+  let dir = abs;
+  while (path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, "docs", "TODO"))) return dir;
+  }
+  return abs;
+}
+
+/**
+ * Start the run loop.
+ * @param {Partial<typeof RUN_DEFAULTS>} options
+ * @returns {EventEmitter & { done: Promise<{ exitCode: number, runs: number }> }}
+ */
+export function runSteps(options = {}) {
+  const emitter = new EventEmitter();
+  const opts = { ...RUN_DEFAULTS, ...options };
+  emitter.done = new Promise((resolve, reject) => {
+    setImmediate(() => {
+      runLoop(emitter, opts).then(
+        (result) => {
+          emitter.emit("end", result);
+          resolve(result);
+        },
+        async (err) => {
+          if (opts.notify) {
+            await notify(findProjectRoot(opts.root || process.cwd()), "runner_crashed", {
+              phase: opts.phase,
+              error: err instanceof Error ? err.stack || err.message : String(err),
+            }).catch(() => {});
+          }
+          reject(err);
+        }
+      );
+    });
+  });
+  return emitter;
+}
+
+// Thrown to leave the loop with an exit code (the shell runner's `exit N`).
+const STOP = Symbol("stop");
+function stop(exitCode) {
+  throw { [STOP]: true, exitCode };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const epochSeconds = () => Math.floor(Date.now() / 1000);
+
+/** First line matching `**Label:** \`value\`` in NEXT.md (empty if missing). */
+function nextMdValue(nextFile, label) {
+  let content;
+  try {
+    content = fs.readFileSync(nextFile, "utf8");
+  } catch {
+    return "";
+  }
+  const m = content.match(new RegExp(`\\*\\*${label}:\\*\\* \`([^\`]*)\``));
+  return m ? m[1].replace(/\r/g, "") : "";
+}
+
+function headLines(file, n) {
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").slice(0, n).join("\n").replace(/\n$/, "");
+  } catch {
+    return "";
+  }
+}
+
+async function runLoop(emitter, opts) {
+  const log = (message = "", stream = "stdout") => emitter.emit("log", { message, stream });
+
+  const root = findProjectRoot(opts.root || process.cwd());
+  const todoDir = path.join(root, "docs", "TODO");
+  const runnerFiles = path.join(todoDir, "runner");
+  const actionRequiredDir = path.join(todoDir, "action_required");
+  const activeStepsDir = path.join(todoDir, "active", "steps");
+  const completedStepsDir = path.join(todoDir, "completed", "steps");
+  const nextFile = path.join(runnerFiles, "NEXT.md");
+  const runnerPrompt = path.join(runnerFiles, "RUNNER_PROMPT.txt");
+  // Fix-up prompt of the current retry attempt (RUNNER_PROMPT plus the previous attempt's blockers)
+  const retryPrompt = path.join(runnerFiles, "RUNNER_RETRY_PROMPT.txt");
+  // Prompt of an interrupted step that is resumed (RUNNER_PROMPT plus prompts/fragments/resume-step.txt)
+  const resumePromptFile = path.join(runnerFiles, "RUNNER_RESUME_PROMPT.txt");
+  // Execution summary prompts on-phase-done writes, one per TODO (RUNNER_SUMMARY_PROMPT_<todoId>.txt)
+  const summaryPrompts = () =>
+    fs.existsSync(runnerFiles)
+      ? fs.readdirSync(runnerFiles).filter((f) => /^RUNNER_SUMMARY_PROMPT_.+\.txt$/.test(f)).sort().map((f) => path.join(runnerFiles, f))
+      : [];
+  // Normalized agent events of the last run (token usage for the run ledger)
+  const agentStream = path.join(runnerFiles, "last_agent_stream.jsonl");
+  const agentScript = opts.agentScript ? path.resolve(root, opts.agentScript) : null;
+  const parallel = Number(opts.parallel ?? 1);
+  const retries = Number(opts.retries ?? 0);
+  const escalate = parseEscalate(opts.escalate);
+  // Time limits (timeouts.mjs); null = none
+  const stepTimeoutS = opts.stepTimeout == null ? null : parseDuration(opts.stepTimeout);
+  const maxDurationS = opts.maxDuration == null ? null : parseDuration(opts.maxDuration);
+  const maxStepsPerTodo = opts.maxStepsPerTodo == null ? null : Number(opts.maxStepsPerTodo);
+  const runStarted = Date.now();
+  // Agent runs per TODO in this run (maxStepsPerTodo)
+  const todoRuns = new Map();
+  // TODOs this run worked on (agent runs and steps completed by hand), in order: their summaries are written on a stop
+  const sessionTodos = new Set();
+  let runs = 0;
+  let agentLog = null;
+  // Project config sections (project-config.mjs: hooks, prompt fragments); loaded before the first step
+  let projectConfig = null;
+  // Configured lifecycle hooks (hooks.mjs)
+  let hooks = null;
+  // Interrupted steps to resume (run-lock.mjs), by step id
+  const resumeSteps = new Map();
+  let lockHeld = false;
+
+  /**
+   * Interrupted steps still waiting to be resumed: they stay in the in-progress marker until they
+   * run again, so a run that stops before it gets to them still offers them on the next start.
+   * Steps that left docs/TODO/active/steps meanwhile (resolved or moved by hand) are dropped.
+   * @returns {object[]} Marker entries (run-lock.mjs interruptedSteps)
+   */
+  const pendingResumes = () => {
+    for (const [stepId, step] of resumeSteps) {
+      if (!fs.existsSync(path.join(activeStepsDir, step.stepFile))) resumeSteps.delete(stepId);
+    }
+    return [...resumeSteps.values()];
+  };
+
+  /** markInProgress for the steps an agent starts on, keeping the interrupted steps not run yet. */
+  const markRunning = (steps) => {
+    markInProgress(root, [...steps, ...pendingResumes().filter((r) => !steps.some((s) => s.stepId === r.stepId))]);
+  };
+
+  /** The runner is done with its current step(s): only interrupted steps not run yet stay in the marker. */
+  const releaseInProgress = () => {
+    const pending = pendingResumes();
+    if (pending.length) markInProgress(root, pending);
+    else clearInProgress(root);
+  };
+
+  /**
+   * Run a helper script from bin/runner with cwd = project root. Output lines become "log"
+   * events unless captured.
+   * @returns {Promise<{ code: number, stdout: string }>}
+   */
+  const runScript = (script, args, { capture = false, quietStderr = false } = {}) =>
+    new Promise((resolve) => {
+      const child = spawn(process.execPath, [path.join(RUNNER_DIR, script), ...args], {
+        cwd: root,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      let stdout = "";
+      if (capture) {
+        child.stdout.on("data", (d) => (stdout += d));
+      } else {
+        readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on("line", (l) => log(l));
+      }
+      if (quietStderr) {
+        child.stderr.resume();
+      } else {
+        readline.createInterface({ input: child.stderr, crlfDelay: Infinity }).on("line", (l) => log(l, "stderr"));
+      }
+      child.on("error", (err) => {
+        log(`Failed to run ${script}: ${err.message}`, "stderr");
+        resolve({ code: 1, stdout });
+      });
+      child.on("close", (code) => resolve({ code: code ?? 1, stdout }));
+    });
+
+  const nextArgs = [];
+  if (opts.phase) nextArgs.push("--phase", opts.phase);
+  // No-output fragment only when quiet
+  if (opts.quiet) nextArgs.push("--quiet");
+  // Skip manual test blocking when skipManual
+  if (opts.skipManual) nextArgs.push("--skip_manual");
+  // Refuse to run on an invalid dependency graph when strict
+  if (opts.strict) nextArgs.push("--strict");
+  // Unknown dependencies keep their steps waiting when strictDeps
+  if (opts.strictDeps) nextArgs.push("--strict_deps");
+  // Which ready step runs first (scheduler.mjs)
+  if (opts.order) nextArgs.push("--order", opts.order);
+  // next-step weighs these against the routed model and writes the result to NEXT.md (model-routing.mjs)
+  const modelArgs = [...(opts.model ? ["--model", opts.model] : []), ...(opts.guiModel ? ["--GUI_model", opts.guiModel] : [])];
+  nextArgs.push(...modelArgs);
+
+  const onDoneArgs = () => [
+    ...(opts.phase ? ["--phase", opts.phase] : []),
+    ...(opts.noSummary ? ["--no_summary"] : []),
+    ...(opts.notify ? [] : ["--no_notify"]),
+    ...(opts.hooks ? [] : ["--no_hooks"]),
+  ];
+  const onStepCompletedArgs = (base) => [base, ...(opts.hooks ? [] : ["--no_hooks"])];
+
+  /** Send a notification (notify.mjs); failures are logged, never fatal. */
+  const sendNotification = async (event, details) => {
+    if (!opts.notify) return;
+    const { errors } = await notify(root, event, { phase: opts.phase, ...details });
+    errors.forEach((e) => log(`Notification failed: ${e}`, "stderr"));
+  };
+
+  /**
+   * Run the agent on a prompt file; events go to the "agent:event" listeners, the events file
+   * and (with debug) the debug log. With timeoutS the agent is stopped after that many seconds.
+   * @returns {Promise<{ exitCode: number, started: number, ended: number, timedOut: boolean }>} started/ended in epoch seconds
+   */
+  const agentRun = async ({ promptFile, model, kind, stepId = null, cwd = root, eventsFile = agentStream, label = null, isParallel = false, timeoutS = null }) => {
+    fs.writeFileSync(eventsFile, "", "utf8");
+    if (agentLog && label) fs.appendFileSync(agentLog, `=== ${label} ===\n`, "utf8");
+    const started = epochSeconds();
+    const exitCode = await runAgent({
+      agent: opts.agent,
+      model,
+      prompt: fs.readFileSync(promptFile, "utf8"),
+      cwd,
+      scriptPath: agentScript,
+      timeoutMs: timeoutS ? timeoutS * 1000 : null,
+      onEvent: (event) => {
+        const line = JSON.stringify(event) + "\n";
+        fs.appendFileSync(eventsFile, line, "utf8");
+        if (agentLog && !isParallel) fs.appendFileSync(agentLog, line, "utf8");
+        emitter.emit("agent:event", { kind, stepId, parallel: isParallel, event });
+      },
+    });
+    const ended = epochSeconds();
+    if (!isParallel) emitter.emit("agent:done", { kind, stepId, parallel: false, exitCode });
+    return { exitCode, started, ended, timedOut: !!timeoutS && exitCode === AGENT_TIMEOUT_EXIT };
+  };
+
+  /** A step's agent timeout: its own "Timeout:" line, else stepTimeout; null for none. */
+  const timeoutForStep = (stepPath) => {
+    let own = null;
+    try {
+      own = stepTimeout(fs.readFileSync(stepPath, "utf8"));
+    } catch {
+      // Step file gone
+    }
+    if (own && own.seconds) return { seconds: own.seconds, source: "the step file" };
+    return stepTimeoutS ? { seconds: stepTimeoutS, source: "--step_timeout" } : null;
+  };
+
+  /**
+   * Leave take_action_<stepId>_timeout.md (with the tail of the agent output) for a timed-out run;
+   * dir is a worktree's action_required for parallel steps.
+   */
+  const recordTimeout = ({ stepId, stepFile, timeout, eventsFile, dir, parallel = false }) => {
+    const actionFile = writeTimeoutAction({ root, stepId, stepFile, timeoutS: timeout.seconds, source: timeout.source, eventsFile, dir, parallel });
+    log(`Step agent timed out after ${formatDuration(timeout.seconds)} (${timeout.source}); step not completed.`);
+    log(`  See docs/TODO/action_required/${actionFile}.`);
+    emitter.emit("step:timeout", { stepId, stepFile, timeoutS: timeout.seconds, actionFile });
+  };
+
+  // Append a step attempt or summary run to docs/TODO/runner/ledger.jsonl (never fails the runner).
+  const recordAttempt = async (fields) => {
+    const args = [];
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === true) args.push(`--${key}`);
+      else if (value != null && value !== false) args.push(`--${key}`, String(value));
+    }
+    await runScript("record-attempt.mjs", args);
+  };
+
+  /** Execution summary agent runs on the prompts on-phase-done wrote (one per TODO), unless noSummary. */
+  const runSummary = async (summaryMessage) => {
+    const prompts = summaryPrompts();
+    if (opts.noSummary || prompts.length === 0) return;
+    log(summaryMessage);
+    for (const promptFile of prompts) {
+      const todoId = path.basename(promptFile, ".txt").replace(/^RUNNER_SUMMARY_PROMPT_/, "");
+      const outputPath = (fs.readFileSync(promptFile, "utf8").match(/Save the summary to this path exactly[^\n]*\n\s*(\S+)/) || [])[1] || null;
+      const res = await agentRun({ promptFile, model: opts.model, kind: "summary", label: `summary ${todoId}` });
+      await recordAttempt({ kind: "summary", phase: opts.phase, todo: todoId, model: opts.model, started: res.started, ended: res.ended, exit: res.exitCode, stream: agentStream });
+      emitter.emit("summary:written", { phase: opts.phase || null, todoId, exitCode: res.exitCode, outputPath });
+      await sendNotification("summary_written", {
+        summaryPath: outputPath && path.relative(root, path.resolve(root, outputPath)),
+        exitCode: res.exitCode,
+      });
+    }
+    log("Summary prompt(s) consumed; see docs/TODO/completed/summaries/ for output.");
+  };
+
+  const sessionTodoArgs = () => (sessionTodos.size ? ["--todo", [...sessionTodos].join(",")] : []);
+
+  /** on-phase-done, then the execution summary agent runs unless noSummary. */
+  const finishPhase = async (summaryMessage) => {
+    // NEXT.md of the last step (--once, --steps) would make the next start run it again
+    fs.rmSync(nextFile, { force: true });
+    emitter.emit("phase:done", { phase: opts.phase || null });
+    await runScript("on-phase-done.mjs", [...onDoneArgs(), ...sessionTodoArgs()], { quietStderr: true });
+    await runSummary(summaryMessage);
+  };
+
+  /**
+   * The run stops before the phase finished (blocker, steps/once limit, time budget): summaries of
+   * the TODOs it worked on, each SUCCESS, PARTIAL or BLOCKED (on-phase-done --stopped). A run that
+   * did no work writes none.
+   */
+  const summarizeStop = async (reason) => {
+    if (sessionTodos.size === 0) return;
+    await runScript("on-phase-done.mjs", [...onDoneArgs(), "--stopped", "--reason", reason, ...sessionTodoArgs()], { quietStderr: true });
+    await runSummary("Generating execution summary of the stopped run ...");
+  };
+
+  /**
+   * The run-wide budget that stops the run before stepId, or null: maxDuration, or maxStepsPerTodo
+   * for the step's TODO.
+   * @returns {{ limit: string, reason: string }|null}
+   */
+  const budgetExceeded = (stepId) => {
+    const elapsedS = (Date.now() - runStarted) / 1000;
+    if (maxDurationS && elapsedS >= maxDurationS) {
+      return { limit: "maxDuration", reason: `Reached --max_duration ${formatDuration(maxDurationS)} (running for ${formatDuration(elapsedS)})` };
+    }
+    const todoId = stepId && todoIdFromStepId(stepId);
+    if (maxStepsPerTodo && todoId && (todoRuns.get(todoId) || 0) >= maxStepsPerTodo) {
+      return { limit: "maxStepsPerTodo", reason: `Reached --max_steps_per_todo ${maxStepsPerTodo} for ${todoId}` };
+    }
+    return null;
+  };
+
+  // Budget used up: execution summaries of the run's TODOs (summarizeStop), then stop with 0.
+  const stopOnBudget = async (budget, stepId) => {
+    log("");
+    log(`${budget.reason}; stopping before ${stepId || "the next step"}.`);
+    emitter.emit("budget:exceeded", { ...budget, stepId: stepId || null });
+    await summarizeStop(budget.reason);
+    stop(0);
+  };
+
+  // One more agent run for the step's TODO (maxStepsPerTodo)
+  const countRun = (stepId) => {
+    const todoId = todoIdFromStepId(stepId);
+    todoRuns.set(todoId, (todoRuns.get(todoId) || 0) + 1);
+    sessionTodos.add(todoId);
+  };
+
+  // Phase finished: run on-phase-done, optional summary, then stop with 0.
+  const runPhaseDoneAndStop = async () => {
+    await finishPhase("Generating execution summary (one per TODO) ...");
+    log("No pending steps; stopping.");
+    stop(0);
+  };
+
+  // Check if phase is complete before stopping (for once or steps limit); else summarize the stopped run
+  const checkPhaseComplete = async (reason) => {
+    const { code } = await runScript("next-step.mjs", [...nextArgs, "--dry-run"], { quietStderr: true });
+    if (code === 2) {
+      log("Phase finished (no pending steps).");
+      await finishPhase("Generating execution summary ...");
+    } else {
+      await summarizeStop(reason);
+    }
+  };
+
+  const listActionFiles = () => {
+    if (!fs.existsSync(actionRequiredDir)) return [];
+    return fs.readdirSync(actionRequiredDir).filter((f) => f.endsWith(".md") && !f.startsWith("resolved_")).sort();
+  };
+
+  const blocked = async (reason, output = "") => {
+    const actionFiles = listActionFiles();
+    emitter.emit("blocked", { reason, actionFiles, output });
+    const why = output.trim() || (actionFiles.length ? "Action required" : "No step ready (dependencies not met or invalid graph)");
+    await runHook("onBlocked", {
+      phase: opts.phase,
+      stepId: (actionFiles.join(" ").match(STEP_ID_REGEX) || [])[0] || null,
+      outcome: "blocked",
+      reason: why,
+      actionFiles: actionFiles.map((f) => path.join("docs", "TODO", "action_required", f)),
+    });
+    await sendNotification("blocked", { reason: why, actionFiles });
+    await summarizeStop(actionFiles.length ? `Blocked on ${actionFiles.join(", ")}.` : `Blocked: ${why.trim().split("\n")[0]}`);
+  };
+
+  /**
+   * Run a lifecycle hook (hooks.mjs) and log its failures. preStep and postStep failures that veto
+   * leave take_action_<stepId>_hook_<name>.md, which blocks the step like a failed verification.
+   * @returns {Promise<boolean>} False when the hook vetoed
+   */
+  const runHook = async (name, context, { cwd = root } = {}) => {
+    if (!hooks || hooks[name].length === 0) return true;
+    const res = await runHooks(root, name, context, { hooks, cwd, onCommand: (command) => log(`Hook ${name}: ${command}`) });
+    for (const r of res.failed) log(`Hook ${name} failed: ${describeHookFailure(r)}${r.veto ? "" : " (veto: false; continuing)"}`, "stderr");
+    let actionFile = null;
+    if (res.vetoed && (name === "preStep" || name === "postStep")) {
+      actionFile = writeHookAction({ root, name, stepId: context.stepId, stepFile: path.basename(context.stepFile), result: res.vetoed });
+      log(name === "preStep" ? "Step not run." : "Step not completed.");
+      log(`  See docs/TODO/action_required/${actionFile}.`);
+    }
+    emitter.emit("hook:done", { name, stepId: context.stepId || null, results: res.results, vetoed: !!res.vetoed, actionFile });
+    return !res.vetoed;
+  };
+
+  /** Move a step file from active/steps to completed/steps. */
+  const moveToCompleted = (stepFile) => {
+    const base = path.basename(stepFile);
+    const dest = path.join(completedStepsDir, base);
+    fs.mkdirSync(completedStepsDir, { recursive: true });
+    fs.renameSync(stepFile, dest);
+    return { base, dest };
+  };
+
+  /**
+   * Run the step's "How to verify" commands in the project root (verify.mjs). On failure a
+   * take_action_<stepId>_verification.md blocks the runner and the step stays active.
+   * @returns {Promise<boolean>} True when the step may be marked completed
+   */
+  const verifyAfterAgent = async (stepFile, note) => {
+    if (!opts.verify) return true;
+    const base = path.basename(stepFile);
+    const res = await verifyStep({
+      root,
+      stepPath: stepFile,
+      timeoutS: Number(opts.verifyTimeout) || DEFAULT_VERIFY_TIMEOUT_S,
+      note,
+      onCommand: (command) => log(`Verifying: ${command}`),
+    });
+    if (res.commands.length === 0) {
+      log(`No "How to verify" commands in ${base}; skipping runner verification.`);
+    } else if (res.passed) {
+      log(`Verification passed (${res.commands.length} command(s)).`);
+    } else {
+      const failed = res.results.filter((r) => r.exitCode !== 0).length;
+      log(`Verification failed (${failed} of ${res.commands.length} command(s)); step not completed.`);
+      log(`  See docs/TODO/action_required/${res.actionFile} (full output: ${path.relative(root, res.logFile)}).`);
+    }
+    emitter.emit("verify:done", {
+      stepId: res.stepId,
+      stepFile: base,
+      passed: res.passed,
+      commands: res.commands,
+      results: res.results,
+      actionFile: res.actionFile,
+    });
+    return res.passed;
+  };
+
+  /**
+   * Record the checkpoint a step starts from (git option). Dirty project files are stashed unless
+   * the step already has a checkpoint or stash is false.
+   */
+  const checkpointStep = (stepId, stepFile, stash = true) => {
+    const { checkpoint, created } = prepareCheckpoint(root, { stepId, stepFile, stash });
+    if (!created) {
+      log(`Continuing from the checkpoint of ${stepId} (${checkpoint.head.slice(0, 7)}); the step's earlier changes are kept.`);
+    } else if (checkpoint.stash) {
+      log(`Stashed uncommitted project changes before ${stepId} (${checkpoint.stash.slice(0, 7)}); restore them with: git stash pop`);
+    }
+  };
+
+  // Commit a completed step with its patch (git option); a failed commit stops the runner so the next step starts clean.
+  const commitCompleted = (base, dest, note) => {
+    const stepId = stepIdFromFilename(base);
+    let res;
+    try {
+      res = commitStep(root, { stepId, stepPath: dest, note });
+    } catch (err) {
+      log(`Could not commit ${base}: ${err.message}`, "stderr");
+      log("Commit the step's changes by hand (or fix the problem and delete its checkpoint), then re-run.");
+      stop(1);
+    }
+    if (res.commit) log(`Committed ${res.subject} (${res.commit.slice(0, 7)})${res.patch ? `; patch: ${res.patch}` : ""}`);
+    else log(`Nothing to commit for ${base}.`);
+    emitter.emit("step:committed", { stepId, stepFile: base, commit: res.commit, patch: res.patch, subject: res.subject });
+  };
+
+  // Steps left with an open checkpoint (git option): how to undo their changes
+  const logRollbackHint = () => {
+    if (!opts.git || !fs.existsSync(activeStepsDir)) return;
+    for (const f of fs.readdirSync(activeStepsDir).sort()) {
+      const stepId = stepIdFromFilename(f);
+      const checkpoint = stepId ? readCheckpoint(root, stepId) : null;
+      if (!checkpoint || checkpoint.commit) continue;
+      log(`  To undo the changes of ${stepId} instead: node ${path.join(RUNNER_DIR, "rollback-step.mjs")} ${stepId}`);
+    }
+  };
+
+  // Mark a step completed after an agent run: move it, give file watchers a moment, run on-step-completed.
+  const completeStep = async (stepFile) => {
+    const { base, dest } = moveToCompleted(stepFile);
+    await sleep(2000);
+    log(`Step marked completed (runner). Moved to: ${dest}`);
+    emitter.emit("step:completed", { stepId: stepIdFromFilename(base), stepFile: base, dest, resolved: false });
+    await runScript("on-step-completed.mjs", onStepCompletedArgs(base), { quietStderr: true });
+    if (opts.git) commitCompleted(base, dest);
+  };
+
+  /** Move an active step to completed without an agent run (resolved_* file, interrupted step marked done). */
+  const completeByHand = async (stepId, message) => {
+    const candidate = fs.existsSync(activeStepsDir)
+      ? fs.readdirSync(activeStepsDir).sort().find((f) => f.startsWith(`${stepId}_`) && f.endsWith(".md"))
+      : null;
+    if (!candidate) return null;
+    const { base, dest } = moveToCompleted(path.join(activeStepsDir, candidate));
+    log(`${message}; moved step to completed: ${base}`);
+    emitter.emit("step:completed", { stepId, stepFile: base, dest, resolved: true });
+    await runScript("on-step-completed.mjs", onStepCompletedArgs(base), { quietStderr: true });
+    sessionTodos.add(todoIdFromStepId(stepId));
+    return { base, dest };
+  };
+
+  /**
+   * Archive a resolved_* file to completed/actions (action-files.mjs) and attach its note to the
+   * item's completed step, if there is one.
+   * @returns {{ dest: string, note: string|null, name: string }}
+   */
+  const archiveAction = (file, by) => {
+    const stepId = actionStepId(file);
+    const archived = archiveResolvedAction(root, file, { note: by });
+    log(`Action resolved; archived: ${path.relative(root, archived.dest)}`);
+    emitter.emit("action:archived", { file, dest: archived.dest, stepId, note: archived.note });
+    const stepFile = stepId && fs.existsSync(completedStepsDir) ? fs.readdirSync(completedStepsDir).sort().find((f) => f.startsWith(`${stepId}_`) && f.endsWith(".md")) : null;
+    if (stepFile) attachActionNote(path.join(completedStepsDir, stepFile), { actionPath: archived.dest, note: archived.note });
+    return archived;
+  };
+
+  // Process resolved_* files: move the corresponding step to completed (by step id in filename) and
+  // archive the file. Deferred items are left alone: next-step.mjs skips their steps.
+  // Answered planning questions (resolved_plan_*) are left for plan.mjs, which puts them in its prompt.
+  const processResolvedFiles = async () => {
+    if (!fs.existsSync(actionRequiredDir)) return;
+    const resolvedFiles = fs.readdirSync(actionRequiredDir).filter((f) => f.startsWith("resolved_") && !f.startsWith("resolved_plan_") && f.endsWith(".md")).sort();
+    for (const file of resolvedFiles) {
+      const stepId = actionStepId(file);
+      const completed = stepId ? await completeByHand(stepId, "Action resolved") : null;
+      const archived = archiveAction(file, "processed by the runner");
+      const note = archived.note ? `: ${archived.note}` : "";
+      if (opts.git && completed) commitCompleted(completed.base, completed.dest, `Completed by hand (${archived.name}${note}).`);
+    }
+  };
+
+  /**
+   * Steps a dead run left in progress (run-lock.mjs): resume them (the resume prompt is used when
+   * the step comes up), roll them back and run them again, or mark them completed.
+   */
+  const handleInterruptedSteps = async () => {
+    const found = interruptedSteps(root);
+    if (!found) return;
+    const choice = opts.interrupted || "resume";
+    for (const step of found.steps) {
+      log(`Step ${step.stepId} was interrupted: a run (pid ${found.marker.pid}) started it at ${step.started} and stopped before it finished.`);
+      emitter.emit("step:interrupted", { stepId: step.stepId, stepFile: step.stepFile, started: step.started, choice });
+      if (choice === "done") {
+        const completed = await completeByHand(step.stepId, "Interrupted step marked done");
+        if (opts.git && completed) commitCompleted(completed.base, completed.dest, "Interrupted; marked done by hand.");
+      } else if (choice === "rerun") {
+        const checkpoint = readCheckpoint(root, step.stepId);
+        if (checkpoint && !checkpoint.commit) {
+          try {
+            rollbackStep(root, step.stepId);
+          } catch (err) {
+            log(`Could not roll back ${step.stepId}: ${err.message}`, "stderr");
+            stop(1);
+          }
+          log(`Rolled back the changes of ${step.stepId} to its checkpoint (${checkpoint.head.slice(0, 7)}); running it from scratch.`);
+        } else {
+          log(`No open checkpoint for ${step.stepId} (run with --git to get one); it runs again on the current tree.`);
+        }
+      } else {
+        resumeSteps.set(step.stepId, step);
+        log(step.parallel ? `Running ${step.stepId} again (its partial work was in a parallel worktree).` : `Resuming ${step.stepId} when it comes up; the agent continues from the current tree.`);
+      }
+    }
+    if (found.steps.length && !opts.interrupted) log(`  (Choose with --interrupted resume|rerun|done.)`);
+    // Resumed steps stay in the marker (now this run's) until they run again, so a stop or another crash still finds them
+    if (choice !== "resume" || found.steps.length === 0) clearInProgress(root, { force: true });
+    else markInProgress(root, found.steps);
+  };
+
+  /**
+   * Wait for the agents of a parallel batch, then merge each step's worktree back (in batch order),
+   * verify and complete the step, and remove the worktree. A batch cut short (a worktree that
+   * could not be created) goes through here too, so finished agent work is never left behind.
+   * @param {object[]} jobs - Started agent runs ({ id, model, eventsFile, wt, stepRel, timeout, run })
+   */
+  const finishParallelJobs = async (jobs) => {
+    markRunning(jobs.map((job) => ({ stepId: job.id, stepFile: path.basename(job.stepRel), model: job.model, parallel: true })));
+    updateLock(root, jobs.map((job) => job.id));
+    for (const job of jobs) {
+      job.result = await job.run;
+      log("");
+      log(`Step agent finished: ${job.id} (exit code ${job.result.exitCode}).`);
+      // The action file goes into the worktree: merge copies it back instead of applying the partial changes
+      if (job.result.timedOut) {
+        const dir = path.join(job.wt, "docs", "TODO", "action_required");
+        recordTimeout({ stepId: job.id, stepFile: path.basename(job.stepRel), timeout: job.timeout, eventsFile: job.eventsFile, dir, parallel: true });
+      }
+      if (agentLog) {
+        fs.appendFileSync(agentLog, `=== step ${job.id} (parallel) ===\n`, "utf8");
+        fs.appendFileSync(agentLog, fs.readFileSync(job.eventsFile, "utf8"), "utf8");
+      }
+      emitter.emit("agent:done", { kind: "step", stepId: job.id, parallel: true, exitCode: job.result.exitCode });
+      runs++;
+    }
+
+    for (const job of jobs) {
+      const stepFile = fs.existsSync(activeStepsDir)
+        ? fs.readdirSync(activeStepsDir).sort().find((f) => f.startsWith(`${job.id}_`) && f.endsWith(".md"))
+        : null;
+      // Each step's checkpoint is the tree before its merge (earlier steps of the batch are committed by then)
+      if (opts.git && stepFile) checkpointStep(job.id, stepFile, false);
+      const merged = await runScript("worktree.mjs", ["merge", job.id]);
+      if (merged.code === 0 && stepFile && fs.existsSync(path.join(activeStepsDir, stepFile))) {
+        const stepPath = path.join(activeStepsDir, stepFile);
+        const note = "The step ran in a parallel worktree; its changes were applied to the project tree before verification.";
+        const context = { ...stepHookContext(root, stepPath), outcome: opts.verify ? "verified" : "unverified", model: job.model, exitCode: job.result.exitCode };
+        if ((await verifyAfterAgent(stepPath, note)) && (await runHook("postStep", context))) await completeStep(stepPath);
+      }
+      await runScript("worktree.mjs", ["remove", job.id]);
+      if (stepFile) {
+        await recordAttempt({
+          kind: "step",
+          step: stepFile,
+          model: job.model,
+          started: job.result.started,
+          ended: job.result.ended,
+          exit: job.result.exitCode,
+          stream: job.eventsFile,
+          parallel: true,
+        });
+      }
+      fs.rmSync(job.eventsFile, { force: true });
+    }
+  };
+
+  /**
+   * Run up to `parallel` ready steps at once, each in its own git worktree (worktree.mjs create)
+   * with its own RUNNER_PROMPT. Results are merged back in the order next-step lists them (--order;
+   * ready steps never depend on each other); a blocker or merge conflict leaves an action_required file and the next loop
+   * iteration stops on it.
+   */
+  const runParallelBatch = async () => {
+    let limit = parallel;
+    if (opts.steps && opts.steps - runs < limit) limit = opts.steps - runs;
+
+    const ready = await runScript("next-step.mjs", [...nextArgs, "--ready"], { capture: true });
+    if (ready.code === 2) await runPhaseDoneAndStop();
+    if (ready.code === 1) {
+      if (ready.stdout.trim()) log(ready.stdout.replace(/\n$/, ""));
+      log("Step blocked or action required; resolve then re-run.");
+      logRollbackHint();
+      await blocked("next-step", ready.stdout);
+      stop(1);
+    }
+    if (ready.code !== 0) {
+      log(`next-step.mjs exited with ${ready.code}; stopping.`);
+      stop(ready.code);
+    }
+
+    const readyIds = ready.stdout
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => line.split("\t")[0]);
+    if (readyIds.length === 0) {
+      log("No pending steps; phase finished.");
+      await runPhaseDoneAndStop();
+    }
+    // Budgets: none left for the run, or for the TODOs of the ready steps
+    const planned = new Map(todoRuns);
+    const batchIds = readyIds
+      .filter((id) => {
+        const todoId = todoIdFromStepId(id);
+        if (maxStepsPerTodo && (planned.get(todoId) || 0) >= maxStepsPerTodo) return false;
+        planned.set(todoId, (planned.get(todoId) || 0) + 1);
+        return true;
+      })
+      .slice(0, limit);
+    const budget = budgetExceeded(batchIds[0] || readyIds[0]);
+    if (budget) await stopOnBudget(budget, batchIds[0] || readyIds[0]);
+
+    log("");
+    log(`Running ${batchIds.length} step(s) in parallel: ${batchIds.join(" ")}`);
+    // Worktrees start from a snapshot of the working tree: stash unrelated changes first (git option)
+    if (opts.git && !batchIds.some((id) => readCheckpoint(root, id) && !readCheckpoint(root, id).commit)) {
+      const stashed = stashProjectChanges(root, `todo-runner: before ${batchIds.join(" ")}`);
+      if (stashed) log(`Stashed uncommitted project changes before the batch (${stashed.slice(0, 7)}); restore them with: git stash pop`);
+    }
+
+    const wtArgs = [...(opts.quiet ? ["--quiet"] : []), ...(opts.skipManual ? ["--skip_manual"] : []), ...modelArgs];
+    const jobs = [];
+    for (const id of batchIds) {
+      const created = await runScript("worktree.mjs", ["create", id, ...wtArgs], { capture: true });
+      if (created.code !== 0) {
+        log(`Could not create worktree for ${id}; stopping${jobs.length ? ` once the ${jobs.length} step(s) already started are merged` : ""}.`);
+        await runScript("worktree.mjs", ["remove", id]);
+        await finishParallelJobs(jobs);
+        stop(1);
+      }
+      const wt = created.stdout.trim();
+      const wtNext = path.join(wt, "docs", "TODO", "runner", "NEXT.md");
+      const model = nextMdValue(wtNext, "Model") || opts.model;
+      const stepRel = nextMdValue(wtNext, "Step file");
+      if (!(await runHook("preStep", { ...stepHookContext(root, path.join(root, stepRel)), outcome: "pending", model }, { cwd: wt }))) {
+        await runScript("worktree.mjs", ["remove", id]);
+        continue;
+      }
+      const eventsFile = path.join(runnerFiles, "worktrees", `${id}.log`);
+      const timeout = timeoutForStep(path.join(wt, stepRel));
+      log(`Starting agent for ${id} (model: ${model}${timeout ? `, timeout: ${formatDuration(timeout.seconds)}` : ""}) in ${wt}`);
+      emitter.emit("step:start", { stepId: id, stepFile: path.basename(stepRel), model, run: runs + jobs.length + 1, parallel: true });
+      countRun(id);
+      // An interrupted step runs again from scratch in its worktree
+      resumeSteps.delete(id);
+      jobs.push({
+        id,
+        model,
+        eventsFile,
+        wt,
+        stepRel,
+        timeout,
+        run: agentRun({
+          promptFile: path.join(wt, "docs", "TODO", "runner", "RUNNER_PROMPT.txt"),
+          model,
+          kind: "step",
+          stepId: id,
+          cwd: wt,
+          eventsFile,
+          isParallel: true,
+          timeoutS: timeout && timeout.seconds,
+        }),
+      });
+    }
+
+    await finishParallelJobs(jobs);
+  };
+
+  /** One sequential iteration: next-step, agent run, move step. */
+  const runNextStep = async () => {
+    const next = await runScript("next-step.mjs", nextArgs);
+    if (next.code === 2) {
+      // Legacy: no pending steps (older next-step.mjs)
+      await runPhaseDoneAndStop();
+    }
+    if (next.code === 1) {
+      log("Step blocked or action required; resolve then re-run.");
+      log(`  If you just ran a step, the agent may not have moved it — from project root run: node ${path.join(RUNNER_DIR, "accept-step.mjs")} (or yarn todo:accept), then re-run.`);
+      logRollbackHint();
+      await blocked("next-step");
+      stop(1);
+    }
+    if (next.code !== 0) {
+      log(`next-step.mjs exited with ${next.code}; stopping.`);
+      stop(next.code);
+    }
+    // When next-step exits 0 with no steps left it does not write NEXT.md. Treat that as phase finished.
+    if (!fs.existsSync(nextFile)) {
+      log("No pending steps; phase finished.");
+      await runPhaseDoneAndStop();
+    }
+    // Step file path and model from NEXT.md (single source of truth written by next-step).
+    const stepRaw = nextMdValue(nextFile, "Step file");
+    if (!stepRaw) {
+      log("Step file path empty (NEXT.md may not match expected pattern); stopping to avoid loop.");
+      stop(0);
+    }
+    const stepFile = path.join(root, stepRaw);
+    if (!fs.existsSync(stepFile)) {
+      log(`Step file missing or unreadable: ${stepFile}`);
+      log("  (NEXT.md was just written by next-step; file should be in docs/TODO/active/steps/.)");
+      stop(0);
+    }
+    if (!fs.existsSync(runnerPrompt)) {
+      log(`RUNNER_PROMPT missing or unreadable: ${runnerPrompt} (needed for agent prompt); stopping.`);
+      stop(1);
+    }
+
+    const stepBase = path.basename(stepFile);
+    const stepId = stepIdFromFilename(stepBase);
+    // Run-wide budgets are checked between steps (timeouts.mjs)
+    const budget = budgetExceeded(stepId);
+    if (budget) await stopOnBudget(budget, stepId);
+
+    // Runner prompts and alerts always go out (even when quiet)
+    log("");
+    log(`Next step: ${stepBase} (run ${runs + 1})`);
+    log(`--- NEXT.md (${nextFile}) ---`);
+    log(headLines(nextFile, 30));
+    log(`--- RUNNER_PROMPT (${runnerPrompt}, first 15 lines) ---`);
+    log(headLines(runnerPrompt, 15));
+    log("---");
+    log("");
+
+    const model = nextMdValue(nextFile, "Model") || opts.model;
+    if (opts.git) checkpointStep(stepId, stepBase);
+    // A failed preStep hook leaves an action file; the next iteration stops on it
+    if (!(await runHook("preStep", { ...stepHookContext(root, stepFile), outcome: "pending", model }))) return;
+
+    const backend = opts.agent;
+    if (agentLog && opts.quiet) log(`Running ${backend} agent for step (log only: ${agentLog}) ...`);
+    else if (agentLog) log(`Running ${backend} agent for step (stdout + ${agentLog}) ...`);
+    else log(`Running ${backend} agent for step ...`);
+    emitter.emit("step:start", { stepId, stepFile: stepBase, model, run: runs + 1, parallel: false });
+    runs++;
+    countRun(stepId);
+    markRunning([{ stepId, stepFile: stepBase, model }]);
+    updateLock(root, [stepId]);
+    const timeout = timeoutForStep(stepFile);
+    if (timeout) log(`Step timeout: ${formatDuration(timeout.seconds)} (${timeout.source}).`);
+
+    // Retry policy (retry.mjs): a failed attempt is re-run with its blockers fed back, up the model ladder
+    const maxAttempts = retries + 1;
+    const attempts = [];
+    const archived = [];
+    let promptFile = runnerPrompt;
+    if (resumeSteps.has(stepId)) {
+      const resumePrompt = buildResumePrompt({ basePrompt: fs.readFileSync(runnerPrompt, "utf8"), step: resumeSteps.get(stepId), values: projectConfig.values });
+      fs.writeFileSync(resumePromptFile, resumePrompt, "utf8");
+      resumeSteps.delete(stepId);
+      promptFile = resumePromptFile;
+      log(`Resuming interrupted step ${stepId} (prompt: ${path.relative(root, resumePromptFile)}).`);
+    }
+    for (let attempt = 1; ; attempt++) {
+      const attemptModel = modelForAttempt(escalate, model, attempt);
+      const label = attempt > 1 ? `step ${stepBase} (attempt ${attempt})` : `step ${stepBase}`;
+      const res = await agentRun({ promptFile, model: attemptModel, kind: "step", stepId, label, timeoutS: timeout && timeout.seconds });
+      log(`Step agent finished (exit code ${res.exitCode}).`);
+      // The timeout action file blocks the step like any take_action file (retried with --retries)
+      if (res.timedOut) recordTimeout({ stepId, stepFile: stepBase, timeout, eventsFile: agentStream });
+
+      // Runner owns step-file moves: move step to completed so next iteration can run the following step.
+      // (We do not rely on the agent to move the file.)
+      // Archive any resolved_* from this run (agent renamed take_action_* to resolved_*), then move step if no blockers left.
+      if (fs.existsSync(actionRequiredDir)) {
+        for (const f of fs.readdirSync(actionRequiredDir).sort()) {
+          if (!f.startsWith("resolved_") || !f.endsWith(".md")) continue;
+          archiveAction(f, `resolved by the agent during ${stepId}`);
+        }
+      }
+      // Block on any .md in action_required except resolved_*; otherwise the runner verifies before completing.
+      // With retries, a non-zero agent exit counts as a failed attempt (no verification).
+      let failed = false;
+      let completed = false;
+      let outcome;
+      const stepActive = fs.existsSync(stepFile);
+      if (!stepActive) {
+        outcome = "step file moved by agent";
+      } else if (listActionFiles().length > 0) {
+        failed = true;
+      } else if (retries > 0 && res.exitCode !== 0) {
+        failed = true;
+      } else if (
+        (await verifyAfterAgent(stepFile)) &&
+        (await runHook("postStep", { ...stepHookContext(root, stepFile), outcome: opts.verify ? "verified" : "unverified", model: attemptModel, attempt, exitCode: res.exitCode }))
+      ) {
+        completed = true;
+        outcome = "completed";
+      } else {
+        failed = true;
+      }
+      const actionFiles = listActionFiles();
+      const blockers = takeActionFiles(actionRequiredDir);
+      // Only take_action_* files are retried; manual_test_* and other files wait for a human
+      const retriable = failed && actionFiles.every((f) => blockers.includes(f));
+      if (failed) outcome = actionFiles.length ? `blocked: ${actionFiles.join(", ")}` : `agent exit ${res.exitCode}`;
+
+      const entry = { attempt, model: attemptModel, ended: res.ended, durationS: res.ended - res.started, exitCode: res.exitCode, outcome };
+      attempts.push(entry);
+      if (retries > 0 && stepActive) appendAttemptHistory(stepFile, entry);
+      if (completed) await completeStep(stepFile);
+      const exhausted = retries > 0 && retriable && attempt >= maxAttempts;
+      // Exit-only failure on the last attempt: leave a blocker so the runner stops on this step
+      const exhaustedAction = exhausted && actionFiles.length === 0 ? writeRetriesExhaustedAction({ root, stepId, stepFile: stepBase, attempts, archived }) : null;
+      await recordAttempt({
+        kind: "step",
+        step: stepBase,
+        model: attemptModel,
+        started: res.started,
+        ended: res.ended,
+        exit: res.exitCode,
+        stream: agentStream,
+        attempt: retries > 0 ? attempt : null,
+      });
+
+      if (!failed || retries === 0) return;
+      if (!retriable) {
+        log(`Attempt ${attempt} left files that need a human (${actionFiles.join(", ")}); not retrying.`);
+        return;
+      }
+      if (exhausted) {
+        log(`Retries exhausted for ${stepBase} (${attempts.length} attempt(s)); step not completed.`);
+        if (exhaustedAction) log(`  See docs/TODO/action_required/${exhaustedAction}.`);
+        return;
+      }
+
+      // Feed this attempt's blockers into a fix-up prompt and re-run on the next model up the ladder
+      const moved = archiveBlockers({ root, stepId, attempt, files: blockers });
+      archived.push(...moved.map((b) => b.archived));
+      fs.writeFileSync(
+        retryPrompt,
+        buildRetryPrompt({
+          basePrompt: fs.readFileSync(runnerPrompt, "utf8"),
+          stepId,
+          attempt: attempt + 1,
+          maxAttempts,
+          previousModel: attemptModel,
+          exitCode: res.exitCode,
+          blockers: moved,
+          values: projectConfig.values,
+        }),
+        "utf8"
+      );
+      promptFile = retryPrompt;
+      const nextModel = modelForAttempt(escalate, model, attempt + 1);
+      log("");
+      log(`Attempt ${attempt} of ${maxAttempts} failed (${outcome}); retrying with model ${nextModel}.`);
+      moved.forEach((b) => log(`  Moved blocker to ${b.archived}`));
+      emitter.emit("step:retry", {
+        stepId,
+        stepFile: stepBase,
+        attempt: attempt + 1,
+        maxAttempts,
+        model: nextModel,
+        previousModel: attemptModel,
+        exitCode: res.exitCode,
+        blockers: moved.map((b) => b.name),
+      });
+    }
+  };
+
+  try {
+    if (!Number.isInteger(parallel) || parallel < 1) {
+      log(`--parallel expects a positive integer (got: ${opts.parallel}).`);
+      stop(1);
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+      log(`--retries expects a non-negative integer (got: ${opts.retries}).`);
+      stop(1);
+    }
+    for (const [flag, value, seconds] of [["--step_timeout", opts.stepTimeout, stepTimeoutS], ["--max_duration", opts.maxDuration, maxDurationS]]) {
+      if (value != null && seconds == null) {
+        log(`${flag} expects a duration: seconds, or e.g. 45m, 6h, 1h30m (got: ${value}).`);
+        stop(1);
+      }
+    }
+    if (maxStepsPerTodo != null && (!Number.isInteger(maxStepsPerTodo) || maxStepsPerTodo < 1)) {
+      log(`--max_steps_per_todo expects a positive integer (got: ${opts.maxStepsPerTodo}).`);
+      stop(1);
+    }
+    if (!ORDERS.includes(opts.order)) {
+      log(`--order expects one of ${ORDERS.join(", ")} (got: ${opts.order}).`);
+      stop(1);
+    }
+    if (opts.interrupted != null && !INTERRUPTED_CHOICES.includes(opts.interrupted)) {
+      log(`--interrupted expects one of ${INTERRUPTED_CHOICES.join(", ")} (got: ${opts.interrupted}).`);
+      stop(1);
+    }
+    // Agent CLI installed? (install hint; an unknown backend throws)
+    const hint = missingBackendHint(getAgentBackend(opts.agent));
+    if (hint) {
+      log(hint);
+      stop(127);
+    }
+    if (opts.git) {
+      const problem = gitModeProblem(root);
+      if (problem) {
+        log(problem);
+        stop(1);
+      }
+    }
+    if (parallel > 1 && spawnSync("git", ["-C", root, "rev-parse", "--is-inside-work-tree"], { stdio: "ignore" }).status !== 0) {
+      log("--parallel requires the project root to be a git repository.");
+      stop(1);
+    }
+
+    // Ensure full TODO layout exists (runner creates dirs it writes to; create the rest here)
+    for (const dir of [activeStepsDir, completedStepsDir, path.join(todoDir, "completed", "summaries"), runnerFiles, actionRequiredDir]) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // One runner per project root: step moves of two runners would race
+    const lock = acquireLock(root);
+    if (lock.stale) log(`Removed the stale lock of a runner that is gone (${describeLock(lock.stale)}).`);
+    if (!lock.acquired) {
+      log(`Another runner is running in this project (${lock.holder ? describeLock(lock.holder) : "lock file unreadable"}); stopping.`);
+      log(`  If it is not running, delete ${path.relative(root, path.join(runnerFiles, "runner.lock"))} and start again.`);
+      stop(1);
+    }
+    lockHeld = true;
+
+    projectConfig = await resolveConfig(root);
+
+    // Naming and structure problems make steps skip or run badly, broken prompt templates fail the
+    // first step: stop on errors before anything runs
+    if (opts.lint) {
+      const result = lintTodoTree(root, { phase: opts.phase, graph: false });
+      const promptIssues = lintPrompts(projectConfig.values, { root });
+      result.issues.push(...promptIssues);
+      promptIssues.forEach((i) => (i.level === "error" ? result.errors++ : result.warnings++));
+      emitter.emit("lint:done", { errors: result.errors, warnings: result.warnings, issues: result.issues });
+      if (result.errors > 0) {
+        log(formatLintReport({ ...result, issues: result.issues.filter((i) => i.level === "error") }));
+        log(`Fix the errors above (details: node ${path.join(RUNNER_DIR, "lint.mjs")}), or run with --no_lint; stopping.`);
+        stop(1);
+      }
+      if (result.warnings > 0) log(`Lint: ${result.warnings} warning(s) in docs/TODO and prompts; see: node ${path.join(RUNNER_DIR, "lint.mjs")}`);
+    }
+
+    loadModelRouting(root, projectConfig).problems.forEach((p) => log(`Routing: ${p} (skipped)`, "stderr"));
+    if (opts.hooks) {
+      const loaded = loadHooks(projectConfig);
+      loaded.problems.forEach((p) => log(`Hooks: ${p} (skipped)`, "stderr"));
+      hooks = loaded.hooks;
+    }
+
+    await handleInterruptedSteps();
+
+    if (opts.debug) {
+      const d = new Date();
+      const pad = (n) => String(n).padStart(2, "0");
+      const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+      agentLog = path.join(runnerFiles, `agent_output_${stamp}.log`);
+      const header = {
+        run_timestamp: d.toISOString(),
+        root,
+        phase: opts.phase || "",
+        agent: opts.agent,
+        model: opts.model,
+        GUI_model: opts.guiModel || "",
+        once: opts.once ? 1 : "",
+        steps: opts.steps || "",
+        no_summary: opts.noSummary ? 1 : "",
+        skip_manual: opts.skipManual ? 1 : "",
+        quiet: opts.quiet ? 1 : "",
+        parallel,
+        strict: opts.strict ? 1 : "",
+        strict_deps: opts.strictDeps ? 1 : "",
+        order: opts.order,
+        verify: opts.verify ? 1 : "",
+        verify_timeout: opts.verifyTimeout,
+        retries,
+        escalate: escalate.join(","),
+        step_timeout: stepTimeoutS || "",
+        max_duration: maxDurationS || "",
+        max_steps_per_todo: maxStepsPerTodo || "",
+        git: opts.git ? 1 : "",
+        lint: opts.lint ? 1 : "",
+        hooks: opts.hooks ? 1 : "",
+        interrupted: opts.interrupted || "",
+      };
+      const lines = Object.entries(header).map(([k, v]) => `${k}=${v}`);
+      fs.appendFileSync(agentLog, lines.join("\n") + "\n---\n", "utf8");
+    }
+
+    for (;;) {
+      await processResolvedFiles();
+
+      if (parallel > 1 && !opts.once) {
+        await runParallelBatch();
+      } else {
+        await runNextStep();
+      }
+      // The runner is done with the step(s): completed, or blocked on an action file
+      releaseInProgress();
+      updateLock(root, []);
+      if (opts.once) {
+        await checkPhaseComplete("Ran one step (--once).");
+        stop(0);
+      }
+      if (opts.steps && runs >= opts.steps) {
+        log(`Reached --steps ${opts.steps}; stopping.`);
+        await checkPhaseComplete(`Reached --steps ${opts.steps}.`);
+        stop(0);
+      }
+    }
+  } catch (err) {
+    if (err && err[STOP]) {
+      // A clean stop never leaves a step in progress; a crash (thrown error) does
+      if (lockHeld) releaseInProgress();
+      return { exitCode: err.exitCode, runs };
+    }
+    if (err instanceof Error && /^Unknown agent backend/.test(err.message)) {
+      log(err.message, "stderr");
+      return { exitCode: 1, runs };
+    }
+    throw err;
+  } finally {
+    if (lockHeld) releaseLock(root);
+  }
+}
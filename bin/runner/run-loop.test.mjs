@@ -0,0 +1,312 @@
+/**
+ * runSteps() end to end on a temporary project, with the scripted agent backend (no network):
+ * the order of the lifecycle events, where the step files end up and the exit code of run.done,
+ * including the --once and --steps stops (phase doc moved only when no step is left).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { runSteps } from "./run-loop.mjs";
+
+const TIMEOUT_MS = 60000;
+
+/** A step file with a "Depends on" section and a "How to verify" command that always passes. */
+function stepFile(id, dependsOn = "none") {
+  return `# Step ${id}\n\n## Goal\nx\n\n## Depends on\n${dependsOn}\n\n## Tasks\n- x\n\n## How to verify\n\`\`\`\ntrue\n\`\`\`\n\n## Estimated duration\n1h\n`;
+}
+
+/**
+ * Temporary project with TODO P1_01 and the given steps, plus an agent script.
+ * @param {Record<string, string>} steps - Step file name -> "Depends on" value
+ * @param {object} script - Scripted backend actions (see bin/agents/scripted.mjs)
+ */
+function makeProject(steps, script) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "run-loop-test-"));
+  const stepsDir = path.join(root, "docs", "TODO", "active", "steps");
+  fs.mkdirSync(stepsDir, { recursive: true });
+  fs.mkdirSync(path.join(root, "docs", "phase", "active"), { recursive: true });
+  fs.writeFileSync(path.join(root, "docs", "TODO", "active", "P1_01_Demo.md"), "Feature Name:\nDemo\n\nStatus:\nIN PROGRESS\n\nPriority:\nHIGH\n\nType:\nBACKEND\n");
+  fs.writeFileSync(path.join(root, "docs", "phase", "active", "P01_feature_Demo.md"), "# Phase 1\n");
+  for (const [name, dependsOn] of Object.entries(steps)) {
+    fs.writeFileSync(path.join(stepsDir, name), stepFile(name.split("_").slice(0, 2).join("_"), dependsOn));
+  }
+  const scriptPath = path.join(root, "agent-script.json");
+  fs.writeFileSync(scriptPath, JSON.stringify(script));
+  return { root, scriptPath };
+}
+
+/** Run the loop and collect the lifecycle events in order. */
+async function run(root, scriptPath, opts = {}) {
+  const events = [];
+  const runner = runSteps({ root, agent: "scripted", agentScript: scriptPath, quiet: true, noSummary: true, notify: false, hooks: false, ...opts });
+  for (const name of EVENTS) {
+    runner.on(name, (payload) => events.push([name, payload.stepId ?? payload.reason ?? null]));
+  }
+  const result = await runner.done;
+  return { ...result, events };
+}
+
+const RUN_LOOP = fileURLToPath(new URL("./run-loop.mjs", import.meta.url));
+const EVENTS = ["step:start", "step:completed", "blocked", "phase:done"];
+
+/**
+ * Same as run(), in a child process with its own environment: the runner's helper scripts
+ * inherit the real process environment, which jest's process.env does not change.
+ */
+function runInChild(root, scriptPath, opts, env) {
+  const options = { root, agent: "scripted", agentScript: scriptPath, quiet: true, noSummary: true, notify: false, hooks: false, ...opts };
+  const code = `
+    import { runSteps } from ${JSON.stringify(RUN_LOOP)};
+    const events = [];
+    const runner = runSteps(${JSON.stringify(options)});
+    for (const name of ${JSON.stringify(EVENTS)}) runner.on(name, (p) => events.push([name, p.stepId ?? p.reason ?? null]));
+    const result = await runner.done;
+    process.stdout.write(JSON.stringify({ ...result, events }));
+  `;
+  const res = spawnSync(process.execPath, ["--input-type=module", "-e", code], { cwd: root, encoding: "utf8", env: { ...process.env, ...env }, timeout: TIMEOUT_MS });
+  if (res.status !== 0) throw new Error(`runSteps child failed (${res.status}): ${res.stderr}`);
+  return JSON.parse(res.stdout);
+}
+
+/** Make the project a git repository with everything committed (parallel mode needs one). */
+function gitInit(root) {
+  const git = (...args) => spawnSync("git", args, { cwd: root, encoding: "utf8" });
+  git("init", "-q");
+  git("config", "user.email", "runner@example.com");
+  git("config", "user.name", "runner");
+  git("add", "-A");
+  git("commit", "-qm", "init");
+}
+
+const listDir = (root, ...parts) => {
+  const dir = path.join(root, ...parts);
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+};
+
+describe("runSteps", () => {
+  const roots = [];
+  afterAll(() => roots.forEach((root) => fs.rmSync(root, { recursive: true, force: true })));
+
+  test(
+    "runs the steps in dependency order, moves them to completed/steps and finishes the phase",
+    async () => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "P1_01.02", "P1_01.02_beta.md": "none" },
+        { default: [{ write: "out/{{step}}.txt", content: "done\n" }] }
+      );
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath);
+
+      expect(exitCode).toBe(0);
+      expect(runs).toBe(2);
+      expect(events).toEqual([
+        ["step:start", "P1_01.02"],
+        ["step:completed", "P1_01.02"],
+        ["step:start", "P1_01.01"],
+        ["step:completed", "P1_01.01"],
+        ["phase:done", null],
+      ]);
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual([]);
+      expect(listDir(project.root, "docs", "TODO", "completed", "steps")).toEqual(["P1_01.01_alpha.md", "P1_01.02_beta.md"]);
+      expect(listDir(project.root, "out")).toEqual(["P1_01.01.txt", "P1_01.02.txt"]);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "finishes the phase when --once runs the last step",
+    async () => {
+      const project = makeProject({ "P1_01.01_alpha.md": "none" }, { default: [{ write: "out/{{step}}.txt", content: "done\n" }] });
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath, { once: true });
+
+      expect(exitCode).toBe(0);
+      expect(runs).toBe(1);
+      expect(events).toEqual([
+        ["step:start", "P1_01.01"],
+        ["step:completed", "P1_01.01"],
+        ["phase:done", null],
+      ]);
+      expect(listDir(project.root, "docs", "phase", "active")).toEqual([]);
+      expect(listDir(project.root, "docs", "phase", "completed")).toEqual(["P01_feature_Demo.md"]);
+      expect(fs.existsSync(path.join(project.root, "docs", "TODO", "runner", "NEXT.md"))).toBe(false);
+    },
+    TIMEOUT_MS
+  );
+
+  test.each([
+    // [options, steps run, phase finished]
+    [{ once: true }, 1, false],
+    [{ steps: 1 }, 1, false],
+    [{ steps: 2 }, 2, true],
+    [{ steps: 5 }, 2, true],
+  ])(
+    "stops after %j: %i step(s) run, phase finished: %s",
+    async (stopOpts, expectedRuns, finished) => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "none", "P1_01.02_beta.md": "P1_01.01" },
+        { default: [{ write: "out/{{step}}.txt", content: "done\n" }] }
+      );
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath, stopOpts);
+
+      expect(exitCode).toBe(0);
+      expect(runs).toBe(expectedRuns);
+      expect(events.filter(([name]) => name === "step:completed").map(([, id]) => id)).toEqual(["P1_01.01", "P1_01.02"].slice(0, expectedRuns));
+      expect(events.some(([name]) => name === "phase:done")).toBe(finished);
+      expect(listDir(project.root, "docs", "phase", finished ? "completed" : "active")).toEqual(["P01_feature_Demo.md"]);
+      expect(listDir(project.root, "docs", "phase", finished ? "active" : "completed")).toEqual([]);
+      expect(fs.existsSync(path.join(project.root, "docs", "TODO", "runner", "in_progress.json"))).toBe(false);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "keeps an interrupted step in the in-progress marker until it is resumed",
+    async () => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "none", "P1_01.02_beta.md": "none" },
+        { default: [{ write: "out/{{step}}.txt", content: "done\n" }] }
+      );
+      roots.push(project.root);
+      // A dead run left P1_01.02 in progress; the scheduler picks P1_01.01 first
+      const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+      const started = "2026-01-01T00:00:00.000Z";
+      const marker = path.join(project.root, "docs", "TODO", "runner", "in_progress.json");
+      fs.mkdirSync(path.dirname(marker), { recursive: true });
+      fs.writeFileSync(marker, JSON.stringify({ pid: deadPid, started, steps: [{ stepId: "P1_01.02", stepFile: "P1_01.02_beta.md", started, parallel: false }] }));
+      const markerSteps = () => (fs.existsSync(marker) ? JSON.parse(fs.readFileSync(marker, "utf8")).steps.map((s) => [s.stepId, s.started]) : []);
+
+      const first = await run(project.root, project.scriptPath, { once: true, interrupted: "resume" });
+      expect(first.exitCode).toBe(0);
+      expect(first.events).toEqual([
+        ["step:start", "P1_01.01"],
+        ["step:completed", "P1_01.01"],
+      ]);
+      expect(markerSteps()).toEqual([["P1_01.02", started]]);
+
+      const runner = runSteps({ root: project.root, agent: "scripted", agentScript: project.scriptPath, quiet: true, noSummary: true, notify: false, hooks: false, once: true, interrupted: "resume" });
+      const interrupted = [];
+      runner.on("step:interrupted", ({ stepId }) => interrupted.push(stepId));
+      expect((await runner.done).exitCode).toBe(0);
+      expect(interrupted).toEqual(["P1_01.02"]);
+      expect(fs.existsSync(path.join(project.root, "docs", "TODO", "runner", "RUNNER_RESUME_PROMPT.txt"))).toBe(true);
+      expect(listDir(project.root, "docs", "TODO", "completed", "steps")).toEqual(["P1_01.01_alpha.md", "P1_01.02_beta.md"]);
+      expect(markerSteps()).toEqual([]);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "stops with exit code 1 when the agent leaves an action item",
+    async () => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "none", "P1_01.02_beta.md": "P1_01.01" },
+        { steps: { "P1_01.01": [{ actionRequired: "manual_test_{{step}}.md", content: "Check it.\n" }] } }
+      );
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath);
+
+      expect(exitCode).toBe(1);
+      expect(runs).toBe(1);
+      expect(events.map(([name]) => name)).toEqual(["step:start", "blocked"]);
+      expect(events[0][1]).toBe("P1_01.01");
+      expect(listDir(project.root, "docs", "TODO", "action_required")).toContain("manual_test_P1_01.01.md");
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual(["P1_01.01_alpha.md", "P1_01.02_beta.md"]);
+      expect(listDir(project.root, "docs", "TODO", "completed", "steps")).toEqual([]);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "stops with exit code 1 when next-step.mjs refuses to pick a step",
+    async () => {
+      // A dependency cycle: with strict, next-step.mjs exits 1 before any agent runs
+      const project = makeProject({ "P1_01.01_alpha.md": "P1_01.02", "P1_01.02_beta.md": "P1_01.01" }, {});
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath, { strict: true, lint: false });
+
+      expect(exitCode).toBe(1);
+      expect(runs).toBe(0);
+      expect(events).toEqual([["blocked", "next-step"]]);
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual(["P1_01.01_alpha.md", "P1_01.02_beta.md"]);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "leaves a deferred step pending and runs the others",
+    async () => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "none", "P1_01.02_beta.md": "none" },
+        { default: [{ write: "out/{{step}}.txt", content: "done\n" }] }
+      );
+      roots.push(project.root);
+      const deferredDir = path.join(project.root, "docs", "TODO", "action_required", "deferred");
+      fs.mkdirSync(deferredDir, { recursive: true });
+      fs.writeFileSync(path.join(deferredDir, "manual_test_P1_01.01.md"), "Check it.\n");
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath);
+
+      expect(exitCode).toBe(1);
+      expect(runs).toBe(1);
+      expect(events).toEqual([
+        ["step:start", "P1_01.02"],
+        ["step:completed", "P1_01.02"],
+        ["blocked", "next-step"],
+      ]);
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual(["P1_01.01_alpha.md"]);
+      expect(listDir(project.root, "docs", "TODO", "completed", "steps")).toEqual(["P1_01.02_beta.md"]);
+      expect(listDir(project.root, "docs", "TODO", "action_required", "deferred")).toEqual(["manual_test_P1_01.01.md"]);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "merges the steps already started when a parallel worktree cannot be created",
+    async () => {
+      const project = makeProject(
+        { "P1_01.01_alpha.md": "none", "P1_01.02_beta.md": "none" },
+        { default: [{ write: "out/{{step}}.txt", content: "done\n" }] }
+      );
+      roots.push(project.root);
+      gitInit(project.root);
+      // git that refuses to add the worktree of the second step of the batch
+      const bin = path.join(project.root, "fake-bin");
+      fs.mkdirSync(bin);
+      const realGit = spawnSync("sh", ["-c", "command -v git"], { encoding: "utf8" }).stdout.trim();
+      fs.writeFileSync(path.join(bin, "git"), `#!/bin/sh\ncase "$*" in *"worktree add"*P1_01.02*) echo "fatal: simulated" >&2; exit 128;; esac\nexec ${realGit} "$@"\n`, { mode: 0o755 });
+      const result = runInChild(project.root, project.scriptPath, { parallel: 2 }, { PATH: `${bin}${path.delimiter}${process.env.PATH}` });
+
+      expect(result.exitCode).toBe(1);
+      expect(result.runs).toBe(1);
+      expect(result.events).toEqual([
+        ["step:start", "P1_01.01"],
+        ["step:completed", "P1_01.01"],
+      ]);
+      expect(listDir(project.root, "out")).toEqual(["P1_01.01.txt"]);
+      expect(listDir(project.root, "docs", "TODO", "completed", "steps")).toEqual(["P1_01.01_alpha.md"]);
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual(["P1_01.02_beta.md"]);
+      expect(listDir(project.root, "docs", "TODO", "runner", "worktrees").filter((f) => !f.startsWith("."))).toEqual([]);
+      expect(fs.existsSync(path.join(project.root, "docs", "TODO", "runner", "in_progress.json"))).toBe(false);
+    },
+    TIMEOUT_MS
+  );
+
+  test(
+    "stops with exit code 1 on an unknown order before running anything",
+    async () => {
+      const project = makeProject({ "P1_01.01_alpha.md": "none" }, {});
+      roots.push(project.root);
+      const { exitCode, runs, events } = await run(project.root, project.scriptPath, { order: "random" });
+
+      expect(exitCode).toBe(1);
+      expect(runs).toBe(0);
+      expect(events).toEqual([]);
+      expect(listDir(project.root, "docs", "TODO", "active", "steps")).toEqual(["P1_01.01_alpha.md"]);
+    },
+    TIMEOUT_MS
+  );
+});
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * CLI over the run loop (run-loop.mjs): prints runner messages and renders agent progress.
+ * run-steps.sh resolves the runner install and execs this script with the same arguments.
+ * Run from project root, or pass project root as last arg.
+ *
+ * Defaults for the options below come from the project config (.todo-runner.json or
+ * todo-runner.config.mjs, see project-config.mjs). Precedence: CLI > env > config > defaults.
+ *
+ * Usage:
+ *   node run-steps.mjs [options] [ROOT]
+ *   node run-steps.mjs config print [--json] [options] [ROOT]
+ *       Print the resolved settings and where each one came from (cli, env, config file, default).
+ *   node run-steps.mjs explain-model <stepId> [--json] [options] [ROOT]
+ *       Show which model routing rule fires for a step and the model it would run with (model-routing.mjs).
+ *
+ * Options:
+ *   --once           Run at most one step, then exit.
+ *   --steps N        Run at most N steps, then exit.
+ *   --phase ID       Only run steps whose id starts with ID (e.g. P1_03).
+ *   --model MODEL    Agent model to use (default: auto). Env: CURSOR_TODO_MODEL.
+ *   --agent NAME     Agent backend: cursor (default), claude, scripted (offline replay). Env: CURSOR_TODO_AGENT.
+ *   --agent_script FILE  Action script for the scripted backend. Env: CURSOR_TODO_AGENT_SCRIPT.
+ *   --GUI_model MODEL Agent model to use for GUI steps (default: use --model value). Env: CURSOR_TODO_GUI_MODEL.
+ *   --no_summary     When phase finishes, do not generate execution summary (still move TODO to completed).
+ *   --skip_manual    Do not create action_required files for manual testing; only report in summary.
+ *   --quiet          Do not render agent output (runner prompts and alerts always on stdout). Env: CURSOR_TODO_QUIET=1.
+ *   --debug          Show agent output, log to timestamped file with run parameters.
+ *   --parallel N     Run up to N ready steps at once, each in its own git worktree (requires git).
+ *   --strict         Refuse to run when the step dependency graph is invalid (cycles, unknown or self dependencies).
+ *   --strict_deps    A dependency on an unknown step, TODO or phase keeps its step waiting (default: satisfied).
+ *   --order ORDER    Which ready step runs first: depth-first (finish the TODO in progress; default), priority
+ *                    (the TODO's or step's Priority) or fifo (step id order); see scheduler.mjs.
+ *   --no_verify      Do not run the step's "How to verify" commands after the agent (trust the agent).
+ *   --verify_timeout S  Per-command timeout for runner verification in seconds (default: 600).
+ *   --retries N      Re-run a failed step up to N times, feeding its blocker files back (default: 0).
+ *   --escalate M1,M2 Models for retry attempts 2, 3, ... (last one reused; default: the step's model).
+ *   --step_timeout D Stop a step's agent after D (seconds, or e.g. 45m, 2h) and block the step with a
+ *                    take_action file; a "Timeout:" line in the step file wins (see timeouts.mjs).
+ *   --max_duration D Stop between steps once the run has taken D (e.g. 6h); writes the execution summaries.
+ *   --max_steps_per_todo N  Stop between steps once N agent runs went to one TODO; writes the execution summaries.
+ *   --git            Checkpoint before each step, commit completed steps and save their patches (requires git).
+ *   --no_lint        Do not lint docs/TODO before starting (lint errors otherwise stop the run; see lint.mjs).
+ *   --no_notify      Do not send notifications (see notify.mjs and notifications.json).
+ *   --no_hooks       Do not run lifecycle hooks (see hooks.mjs).
+ *   --interrupted resume|rerun|done  What to do with a step a dead run left in progress (see run-lock.mjs):
+ *                    resume it, roll it back (--git) and run it again, or mark it completed. Default: ask
+ *                    when stdin is a terminal, else resume.
+ *   --serve PORT     Serve the web dashboard on http://127.0.0.1:PORT/ (see dashboard.mjs). It stays up after
+ *                    the run ends (Ctrl-C to quit) and can start the run again.
+ *   [ROOT]           Project root (default: current directory).
+ *
+ * Exit codes: 0 = success (steps run and/or no steps left); 1 = action required / step blocked,
+ * RUNNER_PROMPT missing, or another runner is running in the project; 127 = agent CLI not found; other = next-step.mjs exit code.
+ */
+
+import readline from "readline";
+import { runSteps, findProjectRoot } from "./run-loop.mjs";
+import { DEFAULT_VERIFY_TIMEOUT_S } from "./verify.mjs";
+import { createRenderer } from "../agents/render.mjs";
+import { startDashboard } from "./dashboard.mjs";
+import { OPTIONS, resolveConfig, formatConfig } from "./project-config.mjs";
+import { explainModel, formatModelExplanation } from "./model-routing.mjs";
+import { interruptedSteps } from "./run-lock.mjs";
+
+/**
+ * Command line: per-run options plus the config options (OPTIONS) that were given; the rest come
+ * from resolveConfig.
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    root: process.cwd(),
+    once: false,
+    steps: null,
+    phase: null,
+    hooks: true,
+    serve: null,
+    command: null,
+    stepId: null,
+    json: false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const next = args[i + 1];
+    switch (args[i]) {
+      case "config":
+        if (next !== "print") throw new Error(`Unknown config command '${next || ""}' (expected: config print).`);
+        opts.command = "config print";
+        i++;
+        break;
+      case "explain-model":
+        if (!next || next.startsWith("--")) throw new Error("Usage: explain-model <stepId> [--json] [options] [ROOT]");
+        opts.command = "explain-model";
+        opts.stepId = next;
+        i++;
+        break;
+      case "--json":
+        opts.json = true;
+        break;
+      case "--once":
+        opts.once = true;
+        break;
+      case "--steps":
+        opts.steps = Number(next) || null;
+        i++;
+        break;
+      case "--phase":
+        opts.phase = next || null;
+        i++;
+        break;
+      case "--model":
+        opts.model = next;
+        i++;
+        break;
+      case "--GUI_model":
+        opts.guiModel = next || null;
+        i++;
+        break;
+      case "--no_summary":
+        opts.noSummary = true;
+        break;
+      case "--skip_manual":
+        opts.skipManual = true;
+        break;
+      case "--quiet":
+        opts.quiet = true;
+        break;
+      case "--debug":
+        opts.debug = true;
+        break;
+      case "--parallel":
+        opts.parallel = next;
+        i++;
+        break;
+      case "--strict":
+        opts.strict = true;
+        break;
+      case "--strict_deps":
+        opts.strictDeps = true;
+        break;
+      case "--order":
+        opts.order = next;
+        i++;
+        break;
+      case "--agent":
+        opts.agent = next;
+        i++;
+        break;
+      case "--no_verify":
+        opts.verify = false;
+        break;
+      case "--verify_timeout":
+        opts.verifyTimeout = Number(next) || DEFAULT_VERIFY_TIMEOUT_S;
+        i++;
+        break;
+      case "--retries":
+        opts.retries = next;
+        i++;
+        break;
+      case "--escalate":
+        opts.escalate = next || [];
+        i++;
+        break;
+      case "--step_timeout":
+        opts.stepTimeout = next;
+        i++;
+        break;
+      case "--max_duration":
+        opts.maxDuration = next;
+        i++;
+        break;
+      case "--max_steps_per_todo":
+        opts.maxStepsPerTodo = next;
+        i++;
+        break;
+      case "--no_lint":
+        opts.lint = false;
+        break;
+      case "--git":
+        opts.git = true;
+        break;
+      case "--no_notify":
+        opts.notify = false;
+        break;
+      case "--no_hooks":
+        opts.hooks = false;
+        break;
+      case "--serve":
+        opts.serve = next;
+        i++;
+        break;
+      case "--agent_script":
+        opts.agentScript = next || null;
+        i++;
+        break;
+      case "--interrupted":
+        opts.interrupted = next;
+        i++;
+        break;
+      default:
+        opts.root = args[i];
+    }
+  }
+  return opts;
+}
+
+/** Start a run and print its messages (agent progress unless quiet). */
+function startRun(opts) {
+  const run = runSteps(opts);
+  run.on("log", ({ message, stream }) => {
+    if (stream === "stderr") console.error(message);
+    else console.log(message);
+  });
+  if (!opts.quiet) {
+    // Sequential runs render live; parallel runs are buffered per step and rendered once the batch finished
+    let renderer = null;
+    const buffered = new Map();
+    run.on("agent:event", ({ stepId, parallel, event }) => {
+      if (parallel) {
+        if (!buffered.has(stepId)) buffered.set(stepId, []);
+        buffered.get(stepId).push(event);
+        return;
+      }
+      if (!renderer) renderer = createRenderer(process.stdout);
+      renderer.handle(event);
+    });
+    run.on("agent:done", ({ stepId, parallel }) => {
+      if (parallel) {
+        const replay = createRenderer(process.stdout);
+        (buffered.get(stepId) || []).forEach((ev) => replay.handle(ev));
+        replay.end();
+        buffered.delete(stepId);
+        return;
+      }
+      if (renderer) renderer.end();
+      renderer = null;
+    });
+  }
+  return run;
+}
+
+/**
+ * --serve: run with the dashboard attached, then keep serving until Ctrl-C (runs started from the
+ * dashboard attach to it too). Resolves to the exit code of the last run.
+ */
+async function serve(opts) {
+  const port = Number(opts.serve);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`--serve needs a port number (got '${opts.serve}').`);
+    return 1;
+  }
+  let exitCode = 0;
+  let idle = null;
+  const quit = () => idle && idle();
+  const runAttached = () => {
+    process.off("SIGINT", quit);
+    const run = startRun(opts);
+    run.done.then((res) => {
+      exitCode = res.exitCode;
+      console.log(`Run finished (exit ${exitCode}). Dashboard still at ${dashboard.url} — Ctrl-C to quit.`);
+      process.once("SIGINT", quit);
+    });
+    return run;
+  };
+  let dashboard;
+  try {
+    dashboard = await startDashboard({ root: opts.root, port, phase: opts.phase, startRun: runAttached });
+  } catch (err) {
+    console.error(`Cannot serve the dashboard on port ${port}: ${err.message}`);
+    return 1;
+  }
+  console.log(`Dashboard: ${dashboard.url}`);
+  dashboard.attach(runAttached());
+  await new Promise((resolve) => (idle = resolve));
+  await dashboard.close();
+  return exitCode;
+}
+
+/**
+ * Ask what to do with steps a dead run left in progress (terminal only).
+ * @returns {Promise<string|null>} One of INTERRUPTED_CHOICES, or null when nothing was interrupted
+ */
+async function askInterrupted(root) {
+  const found = interruptedSteps(root);
+  if (!found || found.steps.length === 0) return null;
+  const ids = found.steps.map((s) => s.stepId).join(", ");
+  console.log(`Interrupted: ${ids} (started ${found.steps[0].started}; the run stopped before it finished).`);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question("Resume it (r), roll back and re-run (n), or mark done (d)? [r] ", resolve));
+  rl.close();
+  return { n: "rerun", d: "done" }[answer.trim().toLowerCase()[0]] || "resume";
+}
+
+async function main() {
+  let given;
+  try {
+    given = parseArgs();
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  const cli = Object.fromEntries(Object.keys(OPTIONS).filter((k) => given[k] !== undefined).map((k) => [k, given[k]]));
+  const root = findProjectRoot(given.root);
+  const config = await resolveConfig(root, { cli });
+  if (given.command === "config print") {
+    console.log(given.json ? JSON.stringify(config, null, 2) : formatConfig(config));
+    return 0;
+  }
+  if (given.command === "explain-model") {
+    const explanation = explainModel(root, given.stepId, config);
+    if (!explanation) {
+      console.error(`Step '${given.stepId}' not found in docs/TODO/active/steps/ or docs/TODO/completed/steps/.`);
+      return 1;
+    }
+    console.log(given.json ? JSON.stringify(explanation, null, 2) : formatModelExplanation(explanation));
+    return 0;
+  }
+  config.problems.forEach((p) => console.error(`Config: ${p}`));
+  const opts = { ...given, ...Object.fromEntries(Object.keys(OPTIONS).map((k) => [k, config.values[k]])) };
+  if (opts.interrupted == null && opts.serve == null && process.stdin.isTTY) opts.interrupted = await askInterrupted(root);
+  if (opts.serve != null) return serve(opts);
+  const { exitCode } = await startRun(opts).done;
+  return exitCode;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,78 @@
+/**
+ * Order of ready steps: the one next-step.mjs runs next, and the order --ready lists them in
+ * (run-steps.sh --parallel takes the first N). Strategies (--order, "order" in the project config):
+ *
+ *   depth-first  Finish a TODO that has started (one of its steps completed) before starting another,
+ *                then the highest priority, then by id. Default.
+ *   priority     The highest priority first, then started TODOs, then by id.
+ *   fifo         By id only.
+ *
+ * A step's priority is its front matter priority, else its TODO's Priority (step-files.mjs
+ * readStepMeta, readTodoMeta); unset counts as MEDIUM. Ids compare component by component
+ * (compareIds), so P2_01.01 runs before P10_01.01 whatever order the directory lists them in.
+ */
+
+import path from "path";
+import { PRIORITIES, compareIds, readStepFile, readStepMeta, readTodoMeta, findTodoFile, todoIdFromStepId } from "./step-files.mjs";
+
+export const ORDERS = ["depth-first", "priority", "fifo"];
+export const DEFAULT_ORDER = "depth-first";
+const DEFAULT_PRIORITY = "MEDIUM";
+
+/**
+ * Priority of an active step: its front matter priority, else its TODO's, else MEDIUM.
+ * @param {string} root
+ * @param {{ id: string, filename: string }} step - Step file in docs/TODO/active/steps
+ * @param {Map<string, string|null>} [todoPriorities] - Cache of TODO priorities by TODO id
+ * @returns {string} One of PRIORITIES
+ */
+export function stepPriority(root, step, todoPriorities = new Map()) {
+  const dir = path.join(root, "docs", "TODO", "active", "steps");
+  const meta = readStepMeta(step.filename, readStepFile(dir, step.filename));
+  if (meta.priority) return meta.priority;
+  const todoId = todoIdFromStepId(step.id);
+  if (!todoPriorities.has(todoId)) {
+    const todoFile = findTodoFile(root, todoId);
+    const content = todoFile ? readStepFile(path.join(root, path.dirname(todoFile)), path.basename(todoFile)) : null;
+    const { priority } = readTodoMeta(todoFile ? path.basename(todoFile) : "", content);
+    todoPriorities.set(todoId, PRIORITIES.includes(priority) ? priority : null);
+  }
+  return todoPriorities.get(todoId) || DEFAULT_PRIORITY;
+}
+
+/**
+ * TODOs in progress: one of their steps is completed (not cancelled) and another is still pending.
+ * @param {{ nodes: Map }} graph - From step-graph.mjs loadStepGraph
+ * @returns {Set<string>} TODO ids
+ */
+export function startedTodos(graph) {
+  const done = new Set();
+  const pending = new Set();
+  for (const node of graph.nodes.values()) {
+    if (node.completed && !node.cancelled) done.add(node.todoId);
+    else if (!node.completed) pending.add(node.todoId);
+  }
+  return new Set([...done].filter((id) => pending.has(id)));
+}
+
+/**
+ * Ready steps in the order they should run.
+ * @param {string} root
+ * @param {{ nodes: Map }} graph - From step-graph.mjs loadStepGraph
+ * @param {{ id: string, filename: string }[]} steps - Ready steps (files in docs/TODO/active/steps)
+ * @param {{ order?: string }} [opts] - order: one of ORDERS
+ * @returns {{ id: string, filename: string }[]} The same steps, sorted (a new array)
+ */
+export function orderSteps(root, graph, steps, { order = DEFAULT_ORDER } = {}) {
+  if (!ORDERS.includes(order)) throw new Error(`Unknown order '${order}'. Use ${ORDERS.join(", ")}.`);
+  const byId = (a, b) => compareIds(a.id, b.id);
+  if (order === "fifo") return [...steps].sort(byId);
+
+  const started = startedTodos(graph);
+  const todoPriorities = new Map();
+  const rank = new Map(steps.map((s) => [s.id, PRIORITIES.indexOf(stepPriority(root, s, todoPriorities))]));
+  const byStarted = (a, b) => Number(started.has(todoIdFromStepId(b.id))) - Number(started.has(todoIdFromStepId(a.id)));
+  const byPriority = (a, b) => rank.get(b.id) - rank.get(a.id);
+  const keys = order === "priority" ? [byPriority, byStarted, byId] : [byStarted, byPriority, byId];
+  return [...steps].sort((a, b) => keys.reduce((result, key) => result || key(a, b), 0));
+}
@@ -0,0 +1,118 @@
+/**
+ * Id order (step-files.mjs compareIds) and the ready-step order of each --order strategy
+ * (scheduler.mjs) on a temporary docs/TODO tree.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { compareIds } from "./step-files.mjs";
+import { loadStepGraph } from "./step-graph.mjs";
+import { ORDERS, DEFAULT_ORDER, orderSteps, startedTodos, stepPriority } from "./scheduler.mjs";
+
+describe("compareIds", () => {
+  test.each([
+    ["P1_2", "P1_10", -1],
+    ["P1_10", "P1_2", 1],
+    ["P1_9.01", "P1_10.01", -1],
+    ["P2_01.2", "P2_01.10", -1],
+    ["P2_01.01", "P10_01.01", -1],
+    ["P2_01.01", "P2_01.02", -1],
+    ["P2_01.02", "P2_01.5.01", -1],
+    ["P2_01.5.01", "P2.5_01.01", -1],
+    ["P2.5_01.01", "P3_01.01", -1],
+    ["P2", "P2_01", -1],
+    ["P2_01", "P2_01.01", -1],
+    ["P2_01.01", "P2_01.01", 0],
+    ["P2_01.01", "notes", -1],
+    ["b", "a", 1],
+  ])("%s vs %s", (a, b, expected) => {
+    expect(Math.sign(compareIds(a, b))).toBe(expected);
+  });
+
+  test("sorts mixed ids numerically", () => {
+    const ids = ["P10_01.01", "P2_10.01", "P2_2.01", "P2_2", "P2", "P1_01.10", "P1_01.9"];
+    expect([...ids].sort(compareIds)).toEqual(["P1_01.9", "P1_01.10", "P2", "P2_2", "P2_2.01", "P2_10.01", "P10_01.01"]);
+  });
+});
+
+/**
+ * Temporary project:
+ *   P1_01 (LOW, started)   P1_01.01 completed, P1_01.02 pending
+ *   P1_03 (no priority)    P1_03.01 pending with front matter priority: critical
+ *   P1_9  (HIGH)           P1_9.01, P1_9.02 pending
+ *   P1_10 (HIGH, started)  P1_10.01 completed, P1_10.02 pending
+ */
+function makeProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-test-"));
+  const dir = (...parts) => {
+    const d = path.join(root, "docs", "TODO", ...parts);
+    fs.mkdirSync(d, { recursive: true });
+    return d;
+  };
+  const step = (frontMatter = "") => `${frontMatter}# Step\n\n## Depends on\nnone\n\n## Tasks\n- x\n`;
+  const todo = (priority) => `Feature Name:\nDemo\n\nStatus:\nIN PROGRESS\n${priority ? `\nPriority:\n${priority}\n` : ""}`;
+  fs.writeFileSync(path.join(dir("active"), "P1_01_Low.md"), todo("LOW"));
+  fs.writeFileSync(path.join(dir("active"), "P1_03_Unset.md"), todo(null));
+  fs.writeFileSync(path.join(dir("active"), "P1_9_High.md"), todo("HIGH"));
+  fs.writeFileSync(path.join(dir("active"), "P1_10_High.md"), todo("HIGH"));
+  for (const name of ["P1_01.02_b.md", "P1_9.01_a.md", "P1_9.02_b.md", "P1_10.02_b.md"]) fs.writeFileSync(path.join(dir("active", "steps"), name), step());
+  fs.writeFileSync(path.join(dir("active", "steps"), "P1_03.01_a.md"), step("---\npriority: critical\n---\n"));
+  for (const name of ["P1_01.01_a.md", "P1_10.01_a.md"]) fs.writeFileSync(path.join(dir("completed", "steps"), name), step());
+  return root;
+}
+
+describe("scheduler", () => {
+  let root;
+  let graph;
+  let ready;
+  beforeAll(() => {
+    root = makeProject();
+    graph = loadStepGraph(root);
+    // Directory order is not id order; the scheduler must not depend on it
+    ready = ["P1_9.02_b.md", "P1_10.02_b.md", "P1_03.01_a.md", "P1_01.02_b.md", "P1_9.01_a.md"].map((filename) => ({ id: filename.split("_").slice(0, 2).join("_"), filename }));
+  });
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test("startedTodos: TODOs with a completed and a pending step", () => {
+    expect([...startedTodos(graph)].sort(compareIds)).toEqual(["P1_01", "P1_10"]);
+  });
+
+  test.each([
+    ["P1_03.01_a.md", "CRITICAL"], // step front matter
+    ["P1_9.01_a.md", "HIGH"], // TODO Priority
+    ["P1_01.02_b.md", "LOW"],
+    ["P1_04.01_a.md", "MEDIUM"], // no TODO file
+  ])("stepPriority(%s) = %s", (filename, priority) => {
+    expect(stepPriority(root, { id: filename.split("_").slice(0, 2).join("_"), filename })).toBe(priority);
+  });
+
+  test.each([
+    // Started TODOs first (P1_10 HIGH before P1_01 LOW), then priority, then id (P1_9 before P1_10)
+    ["depth-first", ["P1_10.02", "P1_01.02", "P1_03.01", "P1_9.01", "P1_9.02"]],
+    // Priority first; the HIGH tie goes to the started TODO (P1_10), then by id
+    ["priority", ["P1_03.01", "P1_10.02", "P1_9.01", "P1_9.02", "P1_01.02"]],
+    // Id order only, numerically
+    ["fifo", ["P1_01.02", "P1_03.01", "P1_9.01", "P1_9.02", "P1_10.02"]],
+  ])("order %s", (order, expected) => {
+    expect(orderSteps(root, graph, ready, { order }).map((s) => s.id)).toEqual(expected);
+  });
+
+  test("depth-first is the default and every order is covered", () => {
+    expect(DEFAULT_ORDER).toBe("depth-first");
+    expect(ORDERS).toEqual(["depth-first", "priority", "fifo"]);
+    expect(orderSteps(root, graph, ready).map((s) => s.id)).toEqual(orderSteps(root, graph, ready, { order: "depth-first" }).map((s) => s.id));
+  });
+
+  test("a priority tie without a started TODO falls back to the id", () => {
+    const tie = ready.filter((s) => s.id.startsWith("P1_9."));
+    for (const order of ORDERS) expect(orderSteps(root, graph, [...tie].reverse(), { order }).map((s) => s.id)).toEqual(["P1_9.01", "P1_9.02"]);
+  });
+
+  test("does not change the input and rejects an unknown order", () => {
+    const before = ready.map((s) => s.id);
+    orderSteps(root, graph, ready, { order: "priority" });
+    expect(ready.map((s) => s.id)).toEqual(before);
+    expect(() => orderSteps(root, graph, ready, { order: "random" })).toThrow("Unknown order 'random'. Use depth-first, priority, fifo.");
+  });
+});
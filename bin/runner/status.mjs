@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Prints where the project stands (see project-status.mjs): a tree of phases, TODOs and steps with
+ * per-TODO completion, each pending step ready, waiting on a named dependency or blocked by a named
+ * action_required file, cancelled TODOs, open action files and the step next-step.mjs would pick
+ * (with its recommended model). Read-only; writes nothing.
+ * Run from project root.
+ *
+ * Options:
+ *   --phase ID      Only phases, TODOs and steps whose id is or starts with ID (e.g. P2 or P2_04).
+ *   --all           Also list the steps of completed TODOs (collapsed to one line by default).
+ *   --json          Print the status as JSON (see loadProjectStatus in project-status.mjs).
+ *
+ * Exit codes:
+ *   0  Status printed.
+ */
+
+import { loadProjectStatus, formatStatus } from "./project-status.mjs";
+import { resolveConfig } from "./project-config.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let phase = null;
+  let all = false;
+  let json = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--phase" && args[i + 1]) {
+      phase = args[i + 1];
+      i++;
+    } else if (args[i] === "--all") {
+      all = true;
+    } else if (args[i] === "--json") {
+      json = true;
+    }
+  }
+  return { phase, all, json };
+}
+
+async function main() {
+  const { phase, all, json } = parseArgs();
+  const config = await resolveConfig(process.cwd());
+  const status = loadProjectStatus(process.cwd(), { phase, config });
+  if (json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    console.log(formatStatus(status, { all }));
+  }
+}
+
+main();
@@ -0,0 +1,353 @@
+/**
+ * Step file naming and parsing helpers shared by the runner scripts.
+ * Step ids are versioned: P{phase}_{todo}.{step} where each component can be dotted (e.g. P2.5_01.5.01).
+ *
+ * Step and TODO metadata (readStepMeta, readTodoMeta) comes from the file's YAML front matter
+ * (front-matter.mjs) when it sets a field, else from the Markdown conventions: the id from the
+ * filename, "## Depends on", "Timeout:", "Tags:" and the TODO header fields ("Status:", ...).
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseFrontMatter, frontMatterList } from "./front-matter.mjs";
+import { stepTimeout } from "./timeouts.mjs";
+
+// Versioned step ID: P{phase}_{todo}.{step} where each component can be dotted (e.g., P2.5_01.5.01)
+export const STEP_ID_REGEX = /P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*/g;
+// Dependency: a step id, a TODO id (P2_03: all its steps) or a phase id (P1: its phase doc completed)
+export const DEPENDENCY_ID_REGEX = /(?<![\w.])P\d+(?:\.\d+)*(?:_\d+(?:\.\d+)*)?/g;
+
+// Front matter keys of step and TODO files
+export const STEP_META_FIELDS = ["id", "depends_on", "model", "timeout", "tags", "manual", "priority", "status"];
+export const TODO_META_FIELDS = ["id", "feature_name", "status", "priority", "type", "tags", "model", "manual"];
+// manual: skip (mention manual tests in the summary only) or block (write a manual_test_* file and wait)
+export const MANUAL_MODES = ["skip", "block"];
+export const PRIORITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+// A cancelled step is not run; it counts as done for the steps that depend on it
+export const STEP_STATUSES = ["PENDING", "CANCELLED"];
+
+/**
+ * Step id from a step filename (P{phase}_{todo}.{step}_slug.md), or null.
+ * @param {string} name - Step filename
+ * @returns {string|null}
+ */
+export function stepIdFromFilename(name) {
+  // Match versioned step ID at start of filename: P{phase}_{todo}.{step}_
+  const match = name.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*\.\d+(?:\.\d+)*)_/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a step filename carries the explicit GUI compound marker (P{phase}_{todo}.{step}_GUI_{description}.md).
+ * @param {string} name - Step filename
+ * @returns {boolean}
+ */
+export function isGuiStepFilename(name) {
+  return new RegExp(`^${STEP_ID_REGEX.source}_GUI_`, "i").test(name);
+}
+
+/**
+ * TODO id of a step id (e.g. P1_01.05 -> P1_01, P2.5_01.5.01 -> P2.5_01.5).
+ * @param {string} stepId
+ * @returns {string|null}
+ */
+export function todoIdFromStepId(stepId) {
+  if (!stepId) return null;
+  const idx = stepId.lastIndexOf(".");
+  return idx > 0 ? stepId.slice(0, idx) : stepId;
+}
+
+/**
+ * TODO id of a step id among the TODOs that exist: the longest TODO id the step id starts with, so a
+ * sub-step of a sub-TODO finds its parent (P2.5_01.5.01.5 -> P2.5_01.5 when there is no TODO
+ * P2.5_01.5.01). Without a match, todoIdFromStepId.
+ * @param {string} stepId
+ * @param {{ has: (id: string) => boolean }} todoIds - Set or Map keyed by the existing TODO ids
+ * @returns {string|null}
+ */
+export function resolveTodoId(stepId, todoIds) {
+  const fallback = todoIdFromStepId(stepId);
+  let candidate = fallback;
+  while (candidate && candidate.lastIndexOf(".") > candidate.indexOf("_")) {
+    if (todoIds.has(candidate)) return candidate;
+    candidate = candidate.slice(0, candidate.lastIndexOf("."));
+  }
+  return candidate && todoIds.has(candidate) ? candidate : fallback;
+}
+
+/**
+ * Phase id of a step or TODO id (e.g. P2.5_01.5.01 -> P2.5).
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function phaseIdFromId(id) {
+  if (!id) return null;
+  const match = id.match(/^(P\d+(?:\.\d+)*)_/);
+  return match ? match[1] : null;
+}
+
+/** Numbers of each component of an id: P2.5_01.5.03 -> [[2, 5], [1, 5], [3]] (phase, TODO, step). */
+function idComponents(id) {
+  const m = String(id).match(/^P(\d+(?:\.\d+)*)(?:_(\d+(?:\.\d+)*))?/);
+  if (!m) return null;
+  const nums = (s) => s.split(".").map(Number);
+  if (!m[2]) return [nums(m[1])];
+  const rest = nums(m[2]);
+  return dependencyKind(m[0]) === "step" ? [nums(m[1]), rest.slice(0, -1), rest.slice(-1)] : [nums(m[1]), rest];
+}
+
+/**
+ * Compare step, TODO or phase ids component by component, numerically: P2_01.01 < P2_01.02 <
+ * P2_01.5.01 < P2.5_01.01 < P10_01.01, and a phase or TODO before its own TODOs and steps. Ids of
+ * another form sort after these, by text.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareIds(a, b) {
+  const ca = idComponents(a);
+  const cb = idComponents(b);
+  if (!ca || !cb) return ca ? -1 : cb ? 1 : String(a).localeCompare(String(b));
+  for (let i = 0; i < Math.max(ca.length, cb.length); i++) {
+    if (!ca[i]) return -1;
+    if (!cb[i]) return 1;
+    for (let j = 0; j < Math.max(ca[i].length, cb[i].length); j++) {
+      if (ca[i][j] === undefined) return -1;
+      if (cb[i][j] === undefined) return 1;
+      if (ca[i][j] !== cb[i][j]) return ca[i][j] - cb[i][j];
+    }
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Phase id as TODO and step ids use it: P02 -> P2, P02.5 -> P2.5.
+ * @param {string} id
+ * @returns {string}
+ */
+export function normalizePhaseId(id) {
+  const m = String(id || "").match(/^P(\d+)((?:\.\d+)*)$/i);
+  return m ? `P${Number(m[1])}${m[2]}` : String(id || "");
+}
+
+/**
+ * What a dependency id names by its form: "phase" (P1), "todo" (P2_03) or "step" (P2_03.01).
+ * A TODO with a dotted number (P2.5_01.5) has the form of a step id; step-graph.mjs
+ * resolveDependency tells them apart by the files that exist.
+ * @param {string} id
+ * @returns {"phase"|"todo"|"step"}
+ */
+export function dependencyKind(id) {
+  const idx = id.indexOf("_");
+  if (idx < 0) return "phase";
+  return id.slice(idx).includes(".") ? "step" : "todo";
+}
+
+/** Dependency ids in a text, phase ids normalized, without duplicates. */
+function dependencyIds(text) {
+  const ids = (text.match(DEPENDENCY_ID_REGEX) || []).map((id) => (dependencyKind(id) === "phase" ? normalizePhaseId(id) : id));
+  return [...new Set(ids)];
+}
+
+// A dependency id at the start of a list item or of a comma-separated token (backticks or bold allowed)
+const LEADING_DEPENDENCY_REGEX = new RegExp(`^[\`*]*(${DEPENDENCY_ID_REGEX.source})(?![\\w.])`);
+
+/**
+ * Dependency ids of a "## Depends on" section. Step ids count anywhere in the text; a TODO or phase
+ * id only as a list item or a comma-separated token ("P1_02, P2", "- P2"), so prose that mentions
+ * one in passing ("P2_01.01 (part of P2)") does not make the step wait on it.
+ */
+function sectionDependencyIds(text) {
+  const ids = [];
+  for (const line of text.split("\n")) {
+    for (const token of line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "").split(/[,;]|\band\b/)) {
+      const lead = token.trim().match(LEADING_DEPENDENCY_REGEX);
+      if (lead) ids.push(lead[1]);
+      ids.push(...(token.match(DEPENDENCY_ID_REGEX) || []).filter((id) => dependencyKind(id) === "step"));
+    }
+  }
+  return dependencyIds(ids.join(" "));
+}
+
+/**
+ * Ids a step depends on (step, TODO and phase ids; see DEPENDENCY_ID_REGEX): front matter
+ * depends_on, else the "## Depends on" section (sectionDependencyIds; [] for none or neither).
+ * @param {string} content - Step file content
+ * @returns {string[]}
+ */
+export function parseDependsOn(content) {
+  const { data, body } = parseFrontMatter(content);
+  if (data && data.depends_on !== undefined) return dependencyIds(frontMatterList(data.depends_on).join(" "));
+  const section = body.match(/## Depends on\s*\n([\s\S]*?)(?=\n## |$)/i);
+  if (!section) return [];
+  const line = section[1].trim();
+  if (/^none/i.test(line)) return [];
+  return sectionDependencyIds(line);
+}
+
+/**
+ * Step filenames (*.md with a step id) in a directory.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+export function listStepFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((f) => f.endsWith(".md") && stepIdFromFilename(f));
+}
+
+/**
+ * Read a step file, or null if it cannot be read.
+ * @param {string} dir
+ * @param {string} filename
+ * @returns {string|null}
+ */
+export function readStepFile(dir, filename) {
+  const filepath = path.join(dir, filename);
+  try {
+    return fs.readFileSync(filepath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Value of a TODO header field: the front matter key (Status -> status, Feature Name ->
+ * feature_name), else the header line ("Status:\nIN PROGRESS" or "Status: IN PROGRESS"), or null.
+ * A trailing parenthesized note ("HIGH (blocks P2)") is dropped.
+ * @param {string} content - TODO file content
+ * @param {string} name - Field name (e.g. "Status")
+ * @returns {string|null}
+ */
+export function todoHeaderField(content, name) {
+  const { data, body } = parseFrontMatter(content);
+  const key = name.toLowerCase().replace(/\s+/g, "_");
+  if (data && data[key] !== undefined && data[key] !== null) return frontMatterList([].concat(data[key])).join(", ");
+  const m = body.match(new RegExp(`^${name}:[ \\t]*(.*)\\n?([^\\n]*)`, "im"));
+  if (!m) return null;
+  return (m[1].trim() || m[2].trim()).replace(/\s*\(.*\)$/, "");
+}
+
+/**
+ * TODO file of a TODO id in docs/TODO/{active,completed,backlog}, relative to root, or null.
+ * @param {string} root - Project root
+ * @param {string|null} todoId - E.g. P1_01
+ * @returns {string|null}
+ */
+export function findTodoFile(root, todoId) {
+  if (!todoId) return null;
+  for (const location of ["active", "completed", "backlog"]) {
+    const dir = path.join(root, "docs", "TODO", location);
+    if (!fs.existsSync(dir)) continue;
+    const found = fs.readdirSync(dir).sort().find((f) => f.startsWith(`${todoId}_`) && f.endsWith(".md"));
+    if (found) return path.join("docs", "TODO", location, found);
+  }
+  return null;
+}
+
+/**
+ * Tags of a file, lower-cased: front matter tags, else a "Tags:" line, "**Tags:**" label or "## Tags" section.
+ * @param {string} content - Step or TODO file content
+ * @returns {string[]}
+ */
+export function parseTags(content) {
+  if (!content) return [];
+  const { data, body } = parseFrontMatter(content);
+  if (data && data.tags !== undefined) return frontMatterList(data.tags).map((t) => t.toLowerCase());
+  const section = body.match(/(?:^|\n)#{1,6}[ \t]*Tags[ \t]*:?[ \t]*\n([\s\S]*?)(?=\n#{1,6}\s|(?![\s\S]))/i);
+  const line = body.match(/(?:^|\n)[ \t]*\*{0,2}Tags(?::\*{0,2}|\*{0,2}:)[ \t]*([^\n]*)\n?([^\n]*)/i);
+  const text = section ? section[1] : line ? line[1].trim() || line[2] : "";
+  return text
+    .split(/[,\s]+/)
+    .map((t) => t.replace(/^[-#`*]+|[`*]+$/g, "").toLowerCase())
+    .filter((t) => /\w/.test(t));
+}
+
+/** Problems with the front matter keys every file kind shares: parse error, unknown keys, id, manual. */
+function metaProblems(fm, error, { fields, kind, id }) {
+  const problems = error ? [{ level: "error", message: `${error}; its fields are ignored` }] : [];
+  const warn = (message) => problems.push({ level: "warning", message });
+  for (const key of Object.keys(fm).filter((k) => !fields.includes(k))) warn(`Unknown front matter key '${key}' (${kind} files know ${fields.join(", ")})`);
+  if (fm.id != null && String(fm.id) !== id) warn(`Front matter id '${fm.id}' does not match the filename (${id || "no id"}); the filename's id is used`);
+  if (fm.manual != null && !MANUAL_MODES.includes(String(fm.manual).toLowerCase())) warn(`Front matter manual must be ${MANUAL_MODES.join(" or ")} (got '${fm.manual}')`);
+  return problems;
+}
+
+const manualMode = (value) => (value != null && MANUAL_MODES.includes(String(value).toLowerCase()) ? String(value).toLowerCase() : null);
+const upperValue = (value) => (value == null || value === "" ? null : String(value).trim().toUpperCase());
+
+/**
+ * Metadata of a step file: front matter fields, with the Markdown conventions as fallback.
+ * @param {string} filename - Step filename (the id comes from it)
+ * @param {string|null} content - Step file content
+ * @returns {{ id: string|null, dependsOn: string[], model: string|null, timeout: { raw: string, seconds: number|null }|null,
+ *   tags: string[], manual: "skip"|"block"|null, priority: string|null, status: string|null, cancelled: boolean,
+ *   gui: boolean, frontMatter: object|null, problems: object[] }}
+ *   gui: the _GUI_ filename marker; frontMatter: the raw block (null without one or when it is invalid);
+ *   problems: { level, message } for invalid front matter (lint.mjs reports them as front-matter)
+ */
+export function readStepMeta(filename, content) {
+  const { data, error } = parseFrontMatter(content || "");
+  const fm = data || {};
+  const id = stepIdFromFilename(filename);
+  const problems = metaProblems(fm, error, { fields: STEP_META_FIELDS, kind: "step", id });
+  const priority = upperValue(fm.priority);
+  if (priority && !PRIORITIES.includes(priority)) {
+    problems.push({ level: "warning", message: `Front matter priority must be one of ${PRIORITIES.join(", ")} (got '${fm.priority}')` });
+  }
+  const status = upperValue(fm.status);
+  if (status && !STEP_STATUSES.includes(status)) {
+    problems.push({ level: "warning", message: `Front matter status of a step must be ${STEP_STATUSES.join(" or ")} (got '${fm.status}')` });
+  }
+  // An entry that is not a step, TODO or phase id is dropped: the step would run without that dependency
+  const deps = frontMatterList(fm.depends_on).filter((d) => !/^none$/i.test(d) && !new RegExp(`^${DEPENDENCY_ID_REGEX.source}$`).test(d));
+  if (deps.length) problems.push({ level: "error", message: `Front matter depends_on lists ${deps.join(", ")}, which ${deps.length > 1 ? "are not step, TODO or phase ids" : "is not a step, TODO or phase id"}` });
+  return {
+    id,
+    dependsOn: content ? parseDependsOn(content) : [],
+    model: fm.model == null || fm.model === "" ? null : String(fm.model),
+    timeout: stepTimeout(content),
+    tags: parseTags(content),
+    manual: manualMode(fm.manual),
+    priority: PRIORITIES.includes(priority) ? priority : null,
+    status,
+    cancelled: status === "CANCELLED",
+    gui: isGuiStepFilename(filename),
+    frontMatter: data,
+    problems,
+  };
+}
+
+/**
+ * Metadata of a TODO file: front matter fields, else the header fields. Unfilled template values
+ * ("LOW | MEDIUM | HIGH | CRITICAL") count as unset.
+ * @param {string} filename - TODO filename (P{phase}_{todo}_{Name}.md)
+ * @param {string|null} content - TODO file content
+ * @returns {{ id: string|null, name: string|null, status: string|null, priority: string|null, type: string|null,
+ *   tags: string[], model: string|null, manual: "skip"|"block"|null, cancelled: boolean, frontMatter: object|null,
+ *   problems: object[] }} Values of status, priority and type upper-cased; problems as in readStepMeta
+ */
+export function readTodoMeta(filename, content) {
+  const text = content || "";
+  const { data, error } = parseFrontMatter(text);
+  const fm = data || {};
+  const id = (filename.match(/^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_/) || [])[1] || null;
+  const field = (name) => {
+    const value = todoHeaderField(text, name);
+    return value && !value.includes("|") ? value : null;
+  };
+  const status = upperValue(field("Status"));
+  const name = field("Feature Name");
+  return {
+    id,
+    name: name && !name.startsWith("<") ? name : null,
+    status,
+    priority: upperValue(field("Priority")),
+    type: upperValue(field("Type")),
+    tags: parseTags(text),
+    model: fm.model == null || fm.model === "" ? null : String(fm.model),
+    manual: manualMode(fm.manual),
+    cancelled: /cancelled/i.test(status || ""),
+    frontMatter: data,
+    problems: metaProblems(fm, error, { fields: TODO_META_FIELDS, kind: "TODO", id }),
+  };
+}
@@ -0,0 +1,357 @@
+/**
+ * Step dependency graph: loads active and completed steps, validates "Depends on"
+ * references and renders the graph as Mermaid or Graphviz DOT.
+ *
+ * A dependency is a step id, a TODO id or a phase id (resolveDependency): a TODO is done when every
+ * one of its steps is completed (or, without step files, when the TODO is in docs/TODO/completed),
+ * a phase when its phase doc is in docs/phase/completed or all its TODOs are. A dependency nothing
+ * in the tree names is unknown: satisfied by default (as if its steps were purged), blocking with
+ * strictDeps.
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  STEP_ID_REGEX,
+  stepIdFromFilename,
+  resolveTodoId,
+  phaseIdFromId,
+  listStepFiles,
+  readStepFile,
+  readStepMeta,
+  readTodoMeta,
+  dependencyKind,
+  normalizePhaseId,
+  compareIds,
+} from "./step-files.mjs";
+
+// P{phase}_{todo}_{Name}.md and P{number:2d}_{type}_{Short_Name}.md
+const TODO_FILENAME_REGEX = /^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_.+\.md$/;
+const PHASE_FILENAME_REGEX = /^(P\d+(?:\.\d+)*)_.+\.md$/;
+
+const STATE_COLORS = {
+  completed: { fill: "#c8e6c9", stroke: "#2e7d32" },
+  ready: { fill: "#bbdefb", stroke: "#1565c0" },
+  waiting: { fill: "#eeeeee", stroke: "#757575" },
+  blocked: { fill: "#ffcdd2", stroke: "#c62828" },
+};
+
+/**
+ * Where each TODO file (docs/TODO/{active,backlog,completed}) or phase doc (docs/phase/{active,completed})
+ * is; an active copy wins over a completed one. A TODO with status CANCELLED is "cancelled" wherever it is.
+ */
+function loadLocations(root, base, locations, regex, { normalize = (id) => id, todos = false } = {}) {
+  const found = new Map();
+  for (const location of locations) {
+    const dir = path.join(root, ...base, location);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const m = name.match(regex);
+      if (!m || found.has(normalize(m[1]))) continue;
+      const cancelled = todos && readTodoMeta(name, readStepFile(dir, name)).cancelled;
+      found.set(normalize(m[1]), cancelled ? "cancelled" : location);
+    }
+  }
+  return found;
+}
+
+/**
+ * Load every step in docs/TODO/active/steps and docs/TODO/completed/steps. A cancelled active step
+ * (status: cancelled, step-files.mjs readStepMeta) counts as completed and is marked cancelled; an
+ * active step named by an item in action_required/deferred/ (action.mjs defer) is marked deferred:
+ * it stays pending but is not scheduled until the item is resolved or reopened.
+ * @param {string} root - Project root
+ * @returns {{ nodes: Map<string, {id: string, filename: string, todoId: string, phaseId: string, dependsOn: string[], completed: boolean, cancelled: boolean, deferred: boolean}>,
+ *   todos: Map<string, string>, phases: Map<string, string>, actionFiles: string[], deferredFiles: string[] }} todos/phases: id -> location of the
+ *   TODO file or phase doc ("active", "backlog", "completed", or "cancelled" for a TODO), for TODO and phase dependencies
+ */
+export function loadStepGraph(root) {
+  const todoDir = path.join(root, "docs", "TODO");
+  const todos = loadLocations(root, ["docs", "TODO"], ["active", "backlog", "completed"], TODO_FILENAME_REGEX, { todos: true });
+  const nodes = new Map();
+  const sources = [
+    { dir: path.join(todoDir, "completed", "steps"), completed: true },
+    { dir: path.join(todoDir, "active", "steps"), completed: false },
+  ];
+  for (const { dir, completed } of sources) {
+    for (const filename of listStepFiles(dir)) {
+      const id = stepIdFromFilename(filename);
+      const meta = readStepMeta(filename, readStepFile(dir, filename));
+      // An active copy of a step wins over a completed one (it still has to run)
+      nodes.set(id, {
+        id,
+        filename,
+        todoId: resolveTodoId(id, todos),
+        phaseId: phaseIdFromId(id),
+        dependsOn: meta.dependsOn,
+        completed: completed || meta.cancelled,
+        cancelled: !completed && meta.cancelled,
+        deferred: false,
+      });
+    }
+  }
+  const actionDir = path.join(todoDir, "action_required");
+  const actionFiles = fs.existsSync(actionDir)
+    ? fs.readdirSync(actionDir).filter((f) => f.endsWith(".md") && !f.startsWith("resolved_"))
+    : [];
+  const deferredDir = path.join(actionDir, "deferred");
+  const deferredFiles = fs.existsSync(deferredDir) ? fs.readdirSync(deferredDir).filter((f) => f.endsWith(".md")) : [];
+  for (const f of deferredFiles) {
+    for (const id of f.match(STEP_ID_REGEX) || []) {
+      const node = nodes.get(id);
+      if (node && !node.completed) node.deferred = true;
+    }
+  }
+  const phases = loadLocations(root, ["docs", "phase"], ["active", "completed"], PHASE_FILENAME_REGEX, { normalize: normalizePhaseId });
+  return { nodes, todos, phases, actionFiles, deferredFiles };
+}
+
+/** Steps of a TODO, or of a phase (any of its TODOs). */
+function stepsOf(nodes, kind, id) {
+  return [...nodes.values()].filter((n) => (kind === "todo" ? n.todoId === id : n.phaseId === id));
+}
+
+/**
+ * What a dependency names and whether it is done.
+ * step: done when the step is completed (or cancelled). todo: done when it is cancelled or every step
+ * of the TODO is; without step files, when the TODO file is in docs/TODO/completed (pending while it
+ * is active or in the backlog: its steps are not planned yet). phase: done when the phase doc is in
+ * docs/phase/completed, or when the phase has TODOs or steps and all of them are completed or cancelled
+ * (on-phase-done moves the doc only once the run has no pending steps left, which a step waiting on
+ * the phase would prevent).
+ * An id with the form of a step id that only a TODO has (P2.5_01.5) is that TODO.
+ * @param {{ nodes: Map, todos?: Map, phases?: Map }} graph - From loadStepGraph
+ * @param {string} dep - Dependency id
+ * @returns {{ id: string, kind: "step"|"todo"|"phase", state: "done"|"pending"|"unknown" }}
+ */
+export function resolveDependency(graph, dep) {
+  const { nodes, todos = new Map(), phases = new Map() } = graph;
+  let kind = dependencyKind(dep);
+  if (kind === "step" && !nodes.has(dep) && (todos.has(dep) || stepsOf(nodes, "todo", dep).length > 0)) kind = "todo";
+  if (kind === "step") {
+    const node = nodes.get(dep);
+    return { id: dep, kind, state: !node ? "unknown" : node.completed ? "done" : "pending" };
+  }
+  const finished = (location) => location === "completed" || location === "cancelled";
+  if (kind === "todo") {
+    const steps = stepsOf(nodes, kind, dep);
+    const location = todos.get(dep);
+    if (location === "cancelled") return { id: dep, kind, state: "done" };
+    if (steps.length > 0) return { id: dep, kind, state: steps.every((n) => n.completed) ? "done" : "pending" };
+    return { id: dep, kind, state: !location ? "unknown" : finished(location) ? "done" : "pending" };
+  }
+  const location = phases.get(dep);
+  if (location === "completed") return { id: dep, kind, state: "done" };
+  const steps = stepsOf(nodes, kind, dep);
+  const phaseTodos = [...todos].filter(([id]) => phaseIdFromId(id) === dep);
+  if (steps.length === 0 && phaseTodos.length === 0) return { id: dep, kind, state: location ? "pending" : "unknown" };
+  const done = steps.every((n) => n.completed) && phaseTodos.every(([, loc]) => finished(loc));
+  return { id: dep, kind, state: done ? "done" : "pending" };
+}
+
+/**
+ * Whether a dependency lets its step run: it is done, or unknown and strictDeps is off.
+ * @param {{ nodes: Map, todos?: Map, phases?: Map }} graph
+ * @param {string} dep
+ * @param {{ strictDeps?: boolean }} [opts]
+ * @returns {boolean}
+ */
+export function dependencySatisfied(graph, dep, { strictDeps = false } = {}) {
+  const { state } = resolveDependency(graph, dep);
+  return state === "done" || (state === "unknown" && !strictDeps);
+}
+
+/** Step ids a dependency stands for: the step, the steps of the TODO or of the phase. */
+function dependencyStepIds(graph, dep) {
+  const { id, kind } = resolveDependency(graph, dep);
+  if (kind === "step") return graph.nodes.has(id) ? [id] : [];
+  return stepsOf(graph.nodes, kind, id).map((n) => n.id);
+}
+
+/**
+ * Find dependency cycles among the known steps (a TODO or phase dependency stands for its steps).
+ * @returns {string[][]} Each cycle as a list of step ids, first id repeated at the end
+ */
+function findCycles(graph) {
+  const { nodes } = graph;
+  const cycles = [];
+  const seen = new Set();
+  const color = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    color.set(id, 1);
+    stack.push(id);
+    const deps = new Set(nodes.get(id).dependsOn.flatMap((d) => dependencyStepIds(graph, d)));
+    for (const dep of deps) {
+      if (dep === id) continue;
+      if (color.get(dep) === 1) {
+        const cycle = [...stack.slice(stack.indexOf(dep)), dep];
+        const key = [...cycle.slice(0, -1)].sort().join(",");
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!color.has(dep)) {
+        visit(dep);
+      }
+    }
+    stack.pop();
+    color.set(id, 2);
+  };
+
+  for (const id of [...nodes.keys()].sort(compareIds)) {
+    if (!color.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+/**
+ * Validate "Depends on" references.
+ * Errors (make --strict fail): self-dependencies (on the step itself, its own TODO or phase), unknown
+ * step, TODO or phase ids, cycles.
+ * Warnings: dependencies on a step or TODO in another phase.
+ * @param {{ nodes: Map }} graph - From loadStepGraph
+ * @returns {{ errors: {type: string, step: string, dep?: string, cycle?: string[], message: string}[], warnings: {type: string, step: string, dep: string, message: string}[] }}
+ */
+export function validateStepGraph(graph) {
+  const { nodes } = graph;
+  const errors = [];
+  const warnings = [];
+  for (const node of [...nodes.values()].sort((a, b) => compareIds(a.id, b.id))) {
+    for (const dep of node.dependsOn) {
+      const { kind, state } = resolveDependency(graph, dep);
+      const name = kind === "todo" ? "TODO" : kind;
+      if (dep === node.id) {
+        errors.push({ type: "self", step: node.id, dep, message: `${node.id} depends on itself` });
+      } else if ((kind === "todo" && dep === node.todoId) || (kind === "phase" && dep === node.phaseId)) {
+        errors.push({ type: "self", step: node.id, dep, message: `${node.id} depends on its own ${name} ${dep}, which cannot finish before it` });
+      } else if (state === "unknown") {
+        errors.push({ type: "unknown", step: node.id, dep, message: `${node.id} depends on unknown ${name} ${dep}` });
+      } else if (kind !== "phase" && phaseIdFromId(dep) !== node.phaseId) {
+        warnings.push({
+          type: "cross-phase",
+          step: node.id,
+          dep,
+          message: `${node.id} (phase ${node.phaseId}) depends on ${dep} in phase ${phaseIdFromId(dep)}`,
+        });
+      }
+    }
+  }
+  for (const cycle of findCycles(graph)) {
+    errors.push({ type: "cycle", step: cycle[0], cycle, message: `Dependency cycle: ${cycle.join(" -> ")}` });
+  }
+  return { errors, warnings };
+}
+
+/**
+ * State of every step: completed, ready (all dependencies satisfied, see dependencySatisfied),
+ * waiting, or blocked (an action_required file names the step, or the step is deferred).
+ * @param {{ nodes: Map, actionFiles: string[] }} graph
+ * @param {{ strictDeps?: boolean }} [opts] - strictDeps: an unknown dependency keeps its step waiting
+ * @returns {Map<string, "completed"|"ready"|"waiting"|"blocked">}
+ */
+export function computeStepStates(graph, { strictDeps = false } = {}) {
+  const { nodes, actionFiles } = graph;
+  const blockedIds = new Set();
+  for (const f of actionFiles) {
+    for (const id of f.match(STEP_ID_REGEX) || []) blockedIds.add(id);
+  }
+  const states = new Map();
+  for (const node of nodes.values()) {
+    if (node.completed) states.set(node.id, "completed");
+    else if (blockedIds.has(node.id) || node.deferred) states.set(node.id, "blocked");
+    else if (node.dependsOn.every((d) => dependencySatisfied(graph, d, { strictDeps }))) states.set(node.id, "ready");
+    else states.set(node.id, "waiting");
+  }
+  return states;
+}
+
+/**
+ * Nodes to render: steps whose id matches the filter, plus the steps they depend on.
+ */
+function selectNodes(nodes, filter) {
+  const matches = (id) => !filter || id === filter || id.startsWith(filter + ".") || id.startsWith(filter + "_");
+  const ids = new Set([...nodes.keys()].filter(matches));
+  for (const id of [...ids]) {
+    for (const dep of nodes.get(id).dependsOn) ids.add(dep);
+  }
+  return [...ids].sort(compareIds);
+}
+
+/** Render state and label of a node that is not a step: a TODO or phase dependency, or an unknown id. */
+function otherNode(graph, id) {
+  const { kind, state } = resolveDependency(graph, id);
+  if (state === "unknown") return { state: "unknown", label: "(unknown)" };
+  return { state: state === "done" ? "completed" : "waiting", label: kind === "todo" ? "(TODO)" : "(phase)" };
+}
+
+function mermaidId(id) {
+  return id.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+/**
+ * Render the graph as a Mermaid flowchart (edges point from dependency to dependent).
+ * @param {{ nodes: Map, actionFiles: string[] }} graph
+ * @param {{ filter?: string }} [options] - Only steps whose id starts with filter (and their dependencies)
+ * @returns {string}
+ */
+export function renderMermaid(graph, { filter } = {}) {
+  const { nodes } = graph;
+  const states = computeStepStates(graph);
+  const ids = selectNodes(nodes, filter);
+  const lines = ["flowchart TD"];
+  for (const id of ids) {
+    const other = nodes.has(id) ? null : otherNode(graph, id);
+    const state = other ? other.state : states.get(id);
+    const label = other ? `${id}<br/>${other.label}` : `${id}<br/>${nodes.get(id).filename.replace(/\.md$/, "").slice(id.length + 1)}`;
+    lines.push(`  ${mermaidId(id)}["${label.replace(/"/g, "'")}"]:::${state}`);
+  }
+  for (const id of ids) {
+    if (!nodes.has(id)) continue;
+    for (const dep of nodes.get(id).dependsOn) {
+      lines.push(`  ${mermaidId(dep)} --> ${mermaidId(id)}`);
+    }
+  }
+  for (const [state, { fill, stroke }] of Object.entries(STATE_COLORS)) {
+    lines.push(`  classDef ${state} fill:${fill},stroke:${stroke}`);
+  }
+  lines.push("  classDef unknown fill:#fff,stroke:#c62828,stroke-dasharray: 4 4");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the graph as Graphviz DOT (edges point from dependency to dependent).
+ * @param {{ nodes: Map, actionFiles: string[] }} graph
+ * @param {{ filter?: string }} [options] - Only steps whose id starts with filter (and their dependencies)
+ * @returns {string}
+ */
+export function renderDot(graph, { filter } = {}) {
+  const { nodes } = graph;
+  const states = computeStepStates(graph);
+  const ids = selectNodes(nodes, filter);
+  const lines = ["digraph steps {", "  rankdir=TB;", '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'];
+  for (const id of ids) {
+    if (nodes.has(id)) {
+      const { fill, stroke } = STATE_COLORS[states.get(id)];
+      const slug = nodes.get(id).filename.replace(/\.md$/, "").slice(id.length + 1);
+      lines.push(`  "${id}" [label="${id}\\n${slug}", fillcolor="${fill}", color="${stroke}"];`);
+    } else {
+      const other = otherNode(graph, id);
+      if (other.state === "unknown") {
+        lines.push(`  "${id}" [label="${id}\\n(unknown)", style="dashed", color="#c62828"];`);
+      } else {
+        const { fill, stroke } = STATE_COLORS[other.state];
+        lines.push(`  "${id}" [label="${id}\\n${other.label}", style="dashed,filled", fillcolor="${fill}", color="${stroke}"];`);
+      }
+    }
+  }
+  for (const id of ids) {
+    if (!nodes.has(id)) continue;
+    for (const dep of nodes.get(id).dependsOn) {
+      lines.push(`  "${dep}" -> "${id}";`);
+    }
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
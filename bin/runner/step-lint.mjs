@@ -0,0 +1,312 @@
+/**
+ * Lints the docs/TODO tree against the naming and structure conventions the runner relies on:
+ * step and TODO filenames, the required sections of step files (prompts/03-generate-steps.prompt)
+ * and TODO headers (templates/02-agent-first-todo.template), "Depends on" syntax, steps without a
+ * parent TODO, TODOs without steps, duplicate step ids, the _GUI_ marker, step "Timeout:" values and
+ * the YAML front matter of steps and TODOs (step-files.mjs readStepMeta, readTodoMeta).
+ * Used by lint.mjs and by the run loop before it starts (run-loop.mjs). lintPhaseDocs checks phase
+ * docs (filename and Feature Overview sections) for the planning pipeline (plan-pipeline.mjs).
+ *
+ * Issue: { level: "error"|"warning", rule, file, step?, message }  (file relative to the project root)
+ *   Errors are files the runner skips or runs badly; warnings are convention drift.
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  stepIdFromFilename,
+  resolveTodoId,
+  isGuiStepFilename,
+  readStepFile,
+  todoHeaderField,
+  readStepMeta,
+  readTodoMeta,
+} from "./step-files.mjs";
+import { loadStepGraph, validateStepGraph } from "./step-graph.mjs";
+import { extractVerifyCommands } from "./verify.mjs";
+import { stepTimeout } from "./timeouts.mjs";
+
+// P{phase}_{todo}_{Name}.md (phase and todo may be dotted)
+const TODO_FILENAME_REGEX = /^(P\d+(?:\.\d+)*_\d+(?:\.\d+)*)_(.+)\.md$/;
+// Anything that starts like an id: P<digits>_ ...
+const ID_LIKE_REGEX = /^P\d/;
+
+// Sections every step file needs (prompt 03); level is what a missing section costs
+const STEP_SECTIONS = [
+  { name: "Goal", pattern: /goal/, level: "warning" },
+  { name: "Depends on", pattern: /depends on/, level: "error" },
+  { name: "Tasks", pattern: /tasks/, level: "warning" },
+  { name: "How to verify", pattern: /how to verify/, level: "error" },
+  { name: "Estimated duration", pattern: /estimated duration/, level: "warning" },
+];
+
+// P{version}_{type}_{Short_Name}.md (prompt 01)
+const PHASE_FILENAME_REGEX = /^P\d+(?:\.\d+)*_(phase|feature|bugfix|chore|spike|refactor)_([A-Za-z0-9][A-Za-z0-9_-]*)\.md$/;
+
+// Sections of a Feature Overview (templates/01-feature-overview.template)
+const PHASE_SECTIONS = [
+  { name: "Problem & Motivation", pattern: /problem/ },
+  { name: "Goals", pattern: /^goals/ },
+  { name: "Non-Goals", pattern: /non-goals/ },
+  { name: "Current State", pattern: /current state/ },
+  { name: "Constraints & Realities", pattern: /constraints/ },
+  { name: "Risks & Unknowns", pattern: /risks/ },
+  { name: "Open Questions", pattern: /open questions/ },
+];
+
+// Header fields of an Agent-First TODO (template 02) and their allowed values
+const TODO_FIELDS = [
+  { name: "Feature Name" },
+  { name: "Status", values: ["PLANNING", "IN PROGRESS", "BLOCKED", "CANCELLED"] },
+  { name: "Priority", values: ["LOW", "MEDIUM", "HIGH", "CRITICAL"] },
+  { name: "Type", values: ["GUI", "BACKEND", "MIXED"] },
+];
+
+/**
+ * Section labels of a step file: markdown headings and bold labels ("**Goal:** ..."), lower-cased,
+ * numbering stripped.
+ */
+function sectionLabels(content) {
+  const labels = [];
+  for (const line of content.split("\n")) {
+    const heading = line.match(/^#{1,6}\s+(?:\d+\.\s*)?(.+?)\s*:?\s*$/);
+    const bold = line.match(/^\s*(?:\d+\.\s*)?\*\*([^*]+?):?\*\*/);
+    const label = heading ? heading[1] : bold ? bold[1] : null;
+    if (label) labels.push(label.replace(/\*/g, "").trim().toLowerCase());
+  }
+  return labels;
+}
+
+/**
+ * What is wrong with a step filename, or null.
+ * @returns {{ level: string, message: string }|null}
+ */
+function stepFilenameProblem(filename) {
+  const id = stepIdFromFilename(filename);
+  if (!id) {
+    const message = ID_LIKE_REGEX.test(filename)
+      ? "Not a valid step filename (expected P{phase}_{todo}.{step}_{slug}.md, e.g. P2_04.05_foo.md); the runner ignores it"
+      : "Not a step file (expected P{phase}_{todo}.{step}_{slug}.md); the runner ignores it";
+    return { level: "error", message };
+  }
+  // TODO and step numbers are zero-padded by convention (P2_04.05, P2.5_01.5.01); ids sort numerically
+  // (compareIds), so an unpadded one runs in the right order and is only drift
+  const numbers = id.slice(id.indexOf("_") + 1).split(".");
+  if (numbers[0].length < 2 || !numbers.slice(1).some((n) => n.length >= 2)) {
+    const padded = numbers.map((n, i) => (i < 2 ? n.padStart(2, "0") : n)).join(".");
+    return { level: "warning", message: `TODO and step numbers should be zero-padded to two digits (e.g. ${id.slice(0, id.indexOf("_") + 1)}${padded})` };
+  }
+  const slug = filename.slice(id.length + 1, -".md".length);
+  if (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(slug)) {
+    return { level: "warning", message: `Slug '${slug}' should only use letters, digits, '_' and '-'` };
+  }
+  return null;
+}
+
+/**
+ * Lint the docs/TODO tree of a project.
+ * @param {string} root - Project root
+ * @param {{ phase?: string|null, graph?: boolean }} [opts] - phase: only check files whose id starts with it
+ *   (duplicates are checked across all); graph: include dependency graph validation (step-graph.mjs, default true)
+ * @returns {{ issues: object[], errors: number, warnings: number, files: number }}
+ */
+export function lintTodoTree(root, { phase = null, graph = true } = {}) {
+  const todoDir = path.join(root, "docs", "TODO");
+  const rel = (p) => path.relative(root, p);
+  const issues = [];
+  const add = (level, rule, file, message, step) => issues.push({ level, rule, file: rel(file), ...(step ? { step } : {}), message });
+  const inPhase = (id) => !phase || (id && id.startsWith(phase));
+  let files = 0;
+
+  // TODO files (active, backlog, completed)
+  const todos = new Map(); // todo id -> { file, sub, type }
+  for (const sub of ["active", "backlog", "completed"]) {
+    const dir = path.join(todoDir, sub);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort()) {
+      const file = path.join(dir, name);
+      const m = name.match(TODO_FILENAME_REGEX);
+      if (!inPhase(m ? m[1] : name)) continue;
+      files++;
+      if (!m) {
+        add("error", "todo-filename", file, "Not a valid TODO filename (expected P{phase}_{todo}_{Name}.md, e.g. P2_04_Offline_Regions.md)");
+        continue;
+      }
+      if (/(^|_)TODO(_|$)/i.test(m[2])) add("warning", "todo-filename", file, "TODO filenames should not contain the word 'TODO'");
+      const content = fs.readFileSync(file, "utf8");
+      readTodoMeta(name, content).problems.forEach((p) => add(p.level, "front-matter", file, p.message));
+      const type = todoHeaderField(content, "Type");
+      todos.set(m[1], { file, sub, type: type ? type.toUpperCase() : null });
+      for (const field of TODO_FIELDS) {
+        const value = todoHeaderField(content, field.name);
+        if (value == null || value === "" || /^</.test(value)) {
+          add("warning", "todo-header", file, `Missing '${field.name}:' value (see templates/02-agent-first-todo.template)`);
+        } else if (field.values && !field.values.includes(value.toUpperCase())) {
+          add("warning", "todo-header", file, `${field.name} '${value}' is not one of ${field.values.join(", ")}`);
+        }
+      }
+    }
+  }
+
+  // Step files (active and completed)
+  const seen = new Map(); // step id -> first file
+  const stepsByTodo = new Map();
+  for (const [sub, completed] of [["active", false], ["completed", true]]) {
+    const dir = path.join(todoDir, sub, "steps");
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort()) {
+      const file = path.join(dir, name);
+      const id = stepIdFromFilename(name);
+      if (id) {
+        if (seen.has(id) && inPhase(id)) {
+          add("error", "duplicate-id", file, `Step id ${id} is also used by ${rel(seen.get(id))}`, id);
+        } else if (!seen.has(id)) {
+          seen.set(id, file);
+        }
+        const todoId = resolveTodoId(id, todos);
+        if (!stepsByTodo.has(todoId)) stepsByTodo.set(todoId, []);
+        stepsByTodo.get(todoId).push(id);
+      }
+      if (!inPhase(id || name)) continue;
+      files++;
+      const problem = stepFilenameProblem(name);
+      if (problem) {
+        add(problem.level, "step-filename", file, problem.message, id || undefined);
+        if (!id) continue;
+      }
+
+      // Misplaced or lower-case GUI marker; the marker must follow the step id
+      const guiMarker = isGuiStepFilename(name);
+      if (!guiMarker && /(^|_)GUI(_|\.md$)/i.test(name.slice(id.length))) {
+        add("warning", "gui-marker", file, "_GUI_ must directly follow the step id (P1_01.03_GUI_name.md) to mark an integration step", id);
+      } else if (guiMarker && !name.slice(id.length).startsWith("_GUI_")) {
+        add("warning", "gui-marker", file, "Use upper-case _GUI_ for the integration step marker", id);
+      }
+
+      const content = readStepFile(dir, name);
+      if (content == null) continue;
+      if (completed) continue; // Completed steps already ran; only names and ids matter
+
+      const meta = readStepMeta(name, content);
+      meta.problems.forEach((p) => add(p.level, "front-matter", file, p.message, id));
+      const frontDepends = meta.frontMatter && meta.frontMatter.depends_on !== undefined;
+      if (!/^#\s+\S/m.test(content)) add("warning", "step-title", file, "Missing title heading ('# Step <id>: <title>')", id);
+      const labels = sectionLabels(content);
+      for (const section of STEP_SECTIONS) {
+        // depends_on in the front matter stands in for the section
+        if (section.name === "Depends on" && frontDepends) continue;
+        if (!labels.some((l) => section.pattern.test(l))) {
+          add(section.level, "step-section", file, `Missing '${section.name}' section (see prompts/03-generate-steps.prompt)`, id);
+        }
+      }
+      if (labels.some((l) => /how to verify/.test(l)) && extractVerifyCommands(content).length === 0) {
+        add("warning", "verify-commands", file, "'How to verify' has no runnable commands (fenced shell block or `command` list item); the runner cannot check the step", id);
+      }
+      const timeout = stepTimeout(content);
+      if (timeout && !timeout.seconds) {
+        add("warning", "step-timeout", file, `Timeout '${timeout.raw}' is not a duration (e.g. 90s, 45m, 2h); the step runs with --step_timeout`, id);
+      }
+
+      // "Depends on": the runner only reads a "## Depends on" heading with "none" or step, TODO or phase ids
+      const dependsHeading = content.match(/^## Depends on\s*$/im);
+      if (frontDepends) {
+        if (dependsHeading) add("warning", "depends-on", file, "Both front matter depends_on and '## Depends on' are given; the front matter wins", id);
+      } else if (labels.some((l) => /depends on/.test(l)) && !dependsHeading) {
+        add("error", "depends-on", file, "'Depends on' must be a '## Depends on' heading; other forms are ignored and the step runs without dependencies", id);
+      } else if (dependsHeading) {
+        const body = (content.match(/## Depends on\s*\n([\s\S]*?)(?=\n## |$)/i) || [])[1]?.trim() || "";
+        if (!body) {
+          add("error", "depends-on", file, "'## Depends on' is empty; write 'none' or the step, TODO or phase ids", id);
+        } else if (!/^none/i.test(body) && meta.dependsOn.length === 0) {
+          add("error", "depends-on", file, `'## Depends on' has no step ids and no TODO or phase ids as list items ('${body.split("\n")[0]}'); write 'none' or ids like ${id}`, id);
+        }
+      }
+
+      // Parent TODO and GUI steps in a BACKEND TODO
+      const todoId = resolveTodoId(id, todos);
+      const todo = todos.get(todoId);
+      if (!todo && !phase) {
+        add("error", "orphan-step", file, `No TODO ${todoId}_*.md in docs/TODO/active, backlog or completed`, id);
+      } else if (todo && guiMarker && todo.type === "BACKEND") {
+        add("warning", "gui-marker", file, `_GUI_ step in BACKEND TODO ${rel(todo.file)}`, id);
+      }
+      if (guiMarker && !labels.some((l) => /execution note/.test(l))) {
+        add("warning", "gui-marker", file, "_GUI_ integration steps should have an '## Execution Note' section (prompt 03)", id);
+      }
+    }
+  }
+
+  // Active TODOs without any step
+  for (const [todoId, todo] of todos) {
+    if (todo.sub === "active" && !stepsByTodo.has(todoId)) {
+      add("warning", "todo-without-steps", todo.file, `No steps for ${todoId} in active/steps or completed/steps (generate them with prompt 03)`);
+    }
+  }
+
+  // Dependency graph (self, unknown, cycles; cross-phase warnings)
+  if (graph) {
+    const { errors, warnings } = validateStepGraph(loadStepGraph(root));
+    const stepsDir = (stepId) => seen.get(stepId) || path.join(todoDir, "active", "steps");
+    for (const e of errors) if (inPhase(e.step)) add("error", `graph-${e.type}`, stepsDir(e.step), e.message, e.step);
+    for (const w of warnings) if (inPhase(w.step)) add("warning", `graph-${w.type}`, stepsDir(w.step), w.message, w.step);
+  }
+
+  issues.sort((a, b) => a.file.localeCompare(b.file) || (a.level === b.level ? 0 : a.level === "error" ? -1 : 1));
+  return {
+    issues,
+    errors: issues.filter((i) => i.level === "error").length,
+    warnings: issues.filter((i) => i.level === "warning").length,
+    files,
+  };
+}
+
+/**
+ * Lint phase docs (Feature Overviews from prompt 01): filename and the template's sections. Not part
+ * of lintTodoTree; the planning pipeline (plan-pipeline.mjs) checks the docs it wrote.
+ * @param {string} root - Project root
+ * @param {string[]} files - Phase docs (paths relative to root)
+ * @returns {object[]} Issues
+ */
+export function lintPhaseDocs(root, files) {
+  const issues = [];
+  for (const file of files) {
+    const add = (level, rule, message) => issues.push({ level, rule, file, message });
+    const name = path.basename(file);
+    if (!PHASE_FILENAME_REGEX.test(name)) {
+      add("error", "phase-filename", "Not a valid phase doc filename (expected P{version}_{type}_{Short_Name}.md with type phase, feature, bugfix, chore, spike or refactor, e.g. P02_feature_Map.md)");
+    }
+    const content = fs.readFileSync(path.join(root, file), "utf8");
+    // Headings, bold labels and the template's upper-case section lines ("1. PROBLEM & MOTIVATION")
+    const labels = [
+      ...sectionLabels(content),
+      ...content.split("\n").filter((l) => /^\s*\d+\.\s+[A-Z][A-Za-z &/()-]+$/.test(l)).map((l) => l.replace(/^\s*\d+\.\s+/, "").trim().toLowerCase()),
+    ];
+    for (const section of PHASE_SECTIONS) {
+      if (!labels.some((l) => section.pattern.test(l))) {
+        add("warning", "phase-section", `Missing '${section.name}' section (see templates/01-feature-overview.template)`);
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Human-readable lint report, grouped by file.
+ * @param {{ issues: object[], errors: number, warnings: number, files: number }} result
+ * @returns {string}
+ */
+export function formatLintReport(result) {
+  const lines = [];
+  let file = null;
+  for (const issue of result.issues) {
+    if (issue.file !== file) {
+      if (file !== null) lines.push("");
+      file = issue.file;
+      lines.push(file);
+    }
+    lines.push(`  ${issue.level.padEnd(7)} ${issue.rule.padEnd(18)} ${issue.message}`);
+  }
+  if (lines.length) lines.push("");
+  lines.push(`Lint: ${result.errors} error(s), ${result.warnings} warning(s) in ${result.files} file(s).`);
+  return lines.join("\n");
+}
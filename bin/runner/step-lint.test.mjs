@@ -0,0 +1,102 @@
+/**
+ * docs/TODO lint (step-lint.mjs lintTodoTree) on temporary trees: the parent TODO of sub-steps
+ * (step-files.mjs resolveTodoId, also used for the TODO groups of project-status.mjs) and the
+ * filename rules.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { lintTodoTree } from "./step-lint.mjs";
+import { resolveTodoId } from "./step-files.mjs";
+import { loadProjectStatus } from "./project-status.mjs";
+
+const TODO = "Feature Name:\nOverlay Styles\n\nStatus:\nIN PROGRESS\n\nPriority:\nHIGH\n\nType:\nBACKEND\n";
+
+/** A step file with every section prompt 03 asks for. */
+function stepFile(id, dependsOn = "none") {
+  return `# Step ${id}: x\n\n## Goal\nx\n\n## Depends on\n${dependsOn}\n\n## Tasks\n- x\n\n## How to verify\n\`\`\`\ntrue\n\`\`\`\n\n## Estimated duration\n1h\n`;
+}
+
+/**
+ * Temporary project with the given TODO files and active steps.
+ * @param {string[]} todos - TODO file names (docs/TODO/active)
+ * @param {Record<string, string>} steps - Step file name -> "Depends on" value
+ */
+function makeProject(todos, steps) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "step-lint-test-"));
+  const stepsDir = path.join(root, "docs", "TODO", "active", "steps");
+  fs.mkdirSync(stepsDir, { recursive: true });
+  for (const name of todos) fs.writeFileSync(path.join(root, "docs", "TODO", "active", name), TODO);
+  for (const [name, dependsOn] of Object.entries(steps)) {
+    fs.writeFileSync(path.join(stepsDir, name), stepFile(name.split("_").slice(0, 2).join("_"), dependsOn));
+  }
+  return root;
+}
+
+const rulesOf = (result) => result.issues.map((i) => [i.level, i.rule, i.step || null]);
+
+describe("resolveTodoId", () => {
+  const todos = new Set(["P1_01", "P2.5_01.5", "P3_02.1"]);
+  test.each([
+    ["P1_01.02", "P1_01"],
+    ["P1_01.02.5", "P1_01"],
+    ["P2.5_01.5.01", "P2.5_01.5"],
+    ["P2.5_01.5.01.5", "P2.5_01.5"],
+    ["P3_02.1.04", "P3_02.1"],
+    ["P3_02.04", "P3_02"], // no TODO: the id without the step number
+    ["P4_01.01.5", "P4_01.01"],
+  ])("%s -> %s", (stepId, todoId) => {
+    expect(resolveTodoId(stepId, todos)).toBe(todoId);
+  });
+
+  test("the longest existing TODO id wins", () => {
+    expect(resolveTodoId("P2.5_01.5.01.5", new Set(["P2.5_01.5", "P2.5_01.5.01"]))).toBe("P2.5_01.5.01");
+  });
+});
+
+describe("lintTodoTree", () => {
+  const roots = [];
+  afterAll(() => roots.forEach((root) => fs.rmSync(root, { recursive: true, force: true })));
+
+  test("sub-steps of a sub-TODO (prompt 03 example) belong to it", () => {
+    const root = makeProject(["P2.5_01.5_Overlay_Styles.md"], {
+      "P2.5_01.5.01_overlay_base.md": "none",
+      "P2.5_01.5.01.5_overlay_animation.md": "P2.5_01.5.01",
+    });
+    roots.push(root);
+    const result = lintTodoTree(root);
+    expect(rulesOf(result)).toEqual([]);
+    expect(result.errors).toBe(0);
+
+    const status = loadProjectStatus(root);
+    expect(status.phases.flatMap((p) => p.todos).map((t) => [t.id, t.total])).toEqual([["P2.5_01.5", 2]]);
+  });
+
+  test("a step without any parent TODO is an orphan", () => {
+    const root = makeProject(["P1_01_Overlay_Styles.md"], { "P1_01.01_a.md": "none", "P1_02.01.5_b.md": "none" });
+    roots.push(root);
+    const result = lintTodoTree(root);
+    expect(rulesOf(result)).toEqual([["error", "orphan-step", "P1_02.01.5"]]);
+    expect(result.issues[0].message).toBe("No TODO P1_02.01_*.md in docs/TODO/active, backlog or completed");
+  });
+
+  test("numbers that are not zero-padded are a warning, not an error", () => {
+    const root = makeProject(["P1_02_Overlay_Styles.md"], { "P1_02.1_one.md": "none", "P1_02.2_two.md": "P1_02.1" });
+    roots.push(root);
+    const result = lintTodoTree(root);
+    expect(rulesOf(result)).toEqual([
+      ["warning", "step-filename", "P1_02.1"],
+      ["warning", "step-filename", "P1_02.2"],
+    ]);
+    expect(result.errors).toBe(0);
+    expect(result.issues[1].message).toBe("TODO and step numbers should be zero-padded to two digits (e.g. P1_02.02)");
+  });
+
+  test("a file in steps/ without a step id is an error", () => {
+    const root = makeProject(["P1_01_Overlay_Styles.md"], { "P1_01.01_a.md": "none" });
+    roots.push(root);
+    fs.writeFileSync(path.join(root, "docs", "TODO", "active", "steps", "notes.md"), "# Notes\n");
+    expect(rulesOf(lintTodoTree(root))).toEqual([["error", "step-filename", null]]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Step timeouts and run-wide time budgets.
+ *
+ * A step's agent run is stopped after its timeout: the step file's front matter timeout, "Timeout:"
+ * line (e.g. `**Timeout:** 45m`) or "## Timeout" section, else the stepTimeout option. The agent's process
+ * group is killed (bin/agents/run.mjs) and the run loop leaves take_action_<stepId>_timeout.md
+ * with the tail of the agent's output, which blocks the step like any other take_action file.
+ *
+ * maxDuration (wall clock of the whole run) and maxStepsPerTodo (agent runs per TODO) are checked
+ * by the run loop between steps; when one is used up it stops cleanly and writes the execution
+ * summaries of the TODOs it worked on (on-phase-done.mjs --stopped).
+ *
+ * Durations are a number of seconds or a string of number+unit parts: "90", "90s", "45m", "6h", "1h30m".
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRenderer } from "../agents/render.mjs";
+import { parseFrontMatter } from "./front-matter.mjs";
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Lines of agent output kept in the timeout action file
+const ACTION_OUTPUT_LINES = 60;
+
+/**
+ * Seconds of a duration, or null when it is not a positive duration.
+ * @param {number|string} value - Seconds, or e.g. "45m", "6h", "1h30m"
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  if (typeof value === "number") return value > 0 ? value : null;
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) > 0 ? Number(text) : null;
+  if (!/^(\d+(\.\d+)?[smhd])+$/.test(text)) return null;
+  let seconds = 0;
+  for (const [, n, unit] of text.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)) seconds += Number(n) * UNIT_SECONDS[unit];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Short form of a number of seconds ("45m", "1h30m", "90s").
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const parts = [h && `${h}h`, m && `${m}m`, s % 60 && `${s % 60}s`].filter(Boolean);
+  return parts.length ? parts.join("") : "0s";
+}
+
+/**
+ * A step's own timeout: its front matter timeout, else the value of a "Timeout:" line,
+ * "**Timeout:**" label or "## Timeout" section (raw text and seconds; seconds is null when the
+ * value is not a duration).
+ * @param {string} content - Step file content
+ * @returns {{ raw: string, seconds: number|null }|null} Null when the step sets none
+ */
+export function stepTimeout(content) {
+  if (!content) return null;
+  const { data, body } = parseFrontMatter(content);
+  if (data && data.timeout != null && data.timeout !== "") return { raw: String(data.timeout), seconds: parseDuration(data.timeout) };
+  const section = body.match(/(?:^|\n)#{1,6}[ \t]*Timeout[ \t]*:?[ \t]*\n\s*([^\n]*)/i);
+  const line = body.match(/(?:^|\n)\*{0,2}Timeout(?::\*{0,2}|\*{0,2}:)[ \t]*([^\n]*)/i);
+  const raw = (section ? section[1] : line ? line[1] : "").replace(/[`*]/g, "").trim();
+  if (!raw) return null;
+  return { raw, seconds: parseDuration(raw.split(/\s/)[0]) };
+}
+
+/**
+ * Last lines of an agent run's output, rendered from its normalized events file (events.mjs) as
+ * the CLI prints it.
+ * @param {string} eventsFile - JSON lines written by the run loop
+ * @param {number} [maxLines]
+ * @returns {{ lines: string[], total: number }}
+ */
+export function agentOutputTail(eventsFile, maxLines = ACTION_OUTPUT_LINES) {
+  let text = "";
+  const renderer = createRenderer({ write: (s) => (text += s), isTTY: false });
+  let content = "";
+  try {
+    content = fs.readFileSync(eventsFile, "utf8");
+  } catch {
+    // No events written
+  }
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      renderer.handle(JSON.parse(line));
+    } catch {
+      // Partial last line
+    }
+  }
+  renderer.end();
+  const lines = text.trim() ? text.trimEnd().split("\n") : [];
+  return { lines: lines.slice(-maxLines), total: lines.length };
+}
+
+/**
+ * Write action_required/take_action_<stepId>_timeout.md for an agent run stopped by its timeout.
+ * @param {{ root: string, stepId: string, stepFile: string, timeoutS: number, source: string, eventsFile: string,
+ *   dir?: string, parallel?: boolean }} opts - source: where the timeout came from (e.g. "--step_timeout");
+ *   dir: action_required directory (default: the project's); parallel: the step ran in a worktree
+ * @returns {string} Action file name
+ */
+export function writeTimeoutAction({ root, stepId, stepFile, timeoutS, source, eventsFile, dir = path.join(root, "docs", "TODO", "action_required"), parallel = false }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = `take_action_${stepId}_timeout.md`;
+  const resolved = file.replace(/^take_action_/, "resolved_");
+  const { lines, total } = agentOutputTail(eventsFile);
+  const cut = total > lines.length ? ` (last ${lines.length} of ${total} lines)` : "";
+  const changes = parallel
+    ? "The step ran in a parallel worktree; its partial changes were not applied to the project tree."
+    : "Changes the agent made before it was stopped are still in the working tree.";
+  const body = `# Step timed out: ${stepId}
+
+The agent worked on step \`${stepFile}\` for ${formatDuration(timeoutS)} (timeout from ${source}) and was stopped; its process group was killed. The step was not verified and stays active. ${changes}
+
+### Agent output${cut}
+
+\`\`\`
+${lines.length ? lines.join("\n") : "(no output)"}
+\`\`\`
+
+## Resolution
+
+Check how far the agent got. Then either:
+- split the step or give it more time (a \`**Timeout:** 2h\` line in the step file, or \`--step_timeout\`), then delete this file to run the step again, or
+- finish the step by hand and rename this file as described below; the runner marks the step completed without running it again.
+
+When this issue is resolved, rename this file from \`take_action_*\` to \`resolved_*\` (e.g., \`${file}\` → \`${resolved}\`). The runner will then continue with the next step.
+`;
+  fs.writeFileSync(path.join(dir, file), body, "utf8");
+  return file;
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Runs a step's "How to verify" commands the way the runner does after each agent run
+ * (see verify.mjs). Handy to check a step by hand before renaming its take_action file.
+ * Run from project root.
+ *
+ * Usage:
+ *   node verify-step.mjs <stepId|step file> [--timeout S] [--list] [--no_action]
+ *
+ * Options:
+ *   --timeout S    Per-command timeout in seconds (default: 600).
+ *   --list         Only print the extracted commands.
+ *   --no_action    Do not write action_required/take_action_<stepId>_verification.md on failure.
+ *
+ * The step is looked up in docs/TODO/active/steps/, then docs/TODO/completed/steps/.
+ *
+ * Exit codes:
+ *   0  All commands passed (or the step has no commands).
+ *   1  A command failed, or the step was not found.
+ */
+
+import fs from "fs";
+import path from "path";
+import { DEFAULT_VERIFY_TIMEOUT_S, extractVerifyCommands, verifyStep } from "./verify.mjs";
+
+const ROOT = process.cwd();
+const TODO_DIR = path.join(ROOT, "docs", "TODO");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { step: null, timeout: DEFAULT_VERIFY_TIMEOUT_S, list: false, noAction: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--timeout" && args[i + 1]) {
+      opts.timeout = Number(args[i + 1]) || DEFAULT_VERIFY_TIMEOUT_S;
+      i++;
+    } else if (args[i] === "--list") {
+      opts.list = true;
+    } else if (args[i] === "--no_action") {
+      opts.noAction = true;
+    } else if (!args[i].startsWith("--")) {
+      opts.step = args[i];
+    }
+  }
+  return opts;
+}
+
+/** Step file path for a step id or file name/path (null if not found). */
+function findStep(ref) {
+  if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return path.resolve(ref);
+  const base = path.basename(ref);
+  for (const dir of [path.join(TODO_DIR, "active", "steps"), path.join(TODO_DIR, "completed", "steps")]) {
+    if (!fs.existsSync(dir)) continue;
+    const match = fs
+      .readdirSync(dir)
+      .sort()
+      .find((f) => f === base || (f.startsWith(`${base}_`) && f.endsWith(".md")));
+    if (match) return path.join(dir, match);
+  }
+  return null;
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!opts.step) {
+    console.error("Usage: node verify-step.mjs <stepId|step file> [--timeout S] [--list] [--no_action]");
+    return 1;
+  }
+  const stepPath = findStep(opts.step);
+  if (!stepPath) {
+    console.error(`Step not found: ${opts.step}`);
+    return 1;
+  }
+
+  if (opts.list) {
+    extractVerifyCommands(fs.readFileSync(stepPath, "utf8")).forEach((c) => console.log(c));
+    return 0;
+  }
+
+  const res = await verifyStep({
+    root: ROOT,
+    stepPath,
+    timeoutS: opts.timeout,
+    writeAction: !opts.noAction,
+    onCommand: (c) => console.log(`$ ${c}`),
+  });
+  if (res.commands.length === 0) {
+    console.log(`No commands in the "How to verify" section of ${path.basename(stepPath)}.`);
+    return 0;
+  }
+  for (const r of res.results) {
+    console.log(`  ${r.exitCode === 0 ? "✓" : "✗"} ${r.command}${r.timedOut ? " (timed out)" : r.exitCode !== 0 ? ` (exit ${r.exitCode})` : ""}`);
+  }
+  console.log(`Output: ${path.relative(ROOT, res.logFile)}`);
+  if (res.actionFile) console.log(`Action required: docs/TODO/action_required/${res.actionFile}`);
+  console.log(res.passed ? "Verification passed." : "Verification failed.");
+  return res.passed ? 0 : 1;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);
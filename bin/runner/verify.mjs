@@ -0,0 +1,225 @@
+/**
+ * Runner-side verification: extracts the commands of a step's "How to verify" section and runs
+ * them after the agent finished, so a step only counts as completed when its checks pass.
+ * On failure the runner writes action_required/take_action_<stepId>_verification.md instead of
+ * moving the step to completed. Used by the run loop (run-loop.mjs) and verify-step.mjs.
+ *
+ * Commands are taken from the section's fenced code blocks (untagged or bash/sh/shell/console/zsh;
+ * one command per line, "$ " prompts stripped, "\" continuations joined, # comments skipped) and
+ * from list items that are a backtick command ("- `yarn test foo`", "- Run `npm run lint`").
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { stepIdFromFilename } from "./step-files.mjs";
+
+export const DEFAULT_VERIFY_TIMEOUT_S = 600;
+
+// Output kept per failing command in the action file (full output goes to the verification log)
+const ACTION_OUTPUT_LINES = 60;
+
+const SHELL_LANGS = new Set(["", "bash", "sh", "shell", "console", "zsh"]);
+
+/**
+ * Text of the "How to verify" section (heading or bold/numbered label), or null.
+ * @param {string} content - Step file content
+ * @returns {string|null}
+ */
+export function verifySection(content) {
+  const lines = content.split("\n").map((l) => l.replace(/\r$/, ""));
+  const start = lines.findIndex((l) => /^\s*(?:#{1,6}\s*|\d+\.\s*)?\**\s*how to verify\s*\**:?\**\s*$/i.test(l));
+  if (start < 0) return null;
+  // Section ends at the next heading or bold label ("**Estimated duration:** ...") outside code blocks
+  let inFence = false;
+  let end = lines.length;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (/^\s*(```|~~~)/.test(lines[i])) inFence = !inFence;
+    if (inFence) continue;
+    if (/^#{1,6}\s/.test(lines[i]) || /^\s*(?:\d+\.\s*)?\*\*[^*]+(?::\*\*|\*\*:)/.test(lines[i])) {
+      end = i;
+      break;
+    }
+  }
+  return lines.slice(start + 1, end).join("\n");
+}
+
+/**
+ * Commands of a step's "How to verify" section (empty when there is none).
+ * @param {string} content - Step file content
+ * @returns {string[]}
+ */
+export function extractVerifyCommands(content) {
+  const section = verifySection(content);
+  if (!section) return [];
+  const commands = [];
+  let fence = null; // language of the open code block, null outside
+  let pending = "";
+  for (const raw of section.split("\n")) {
+    const line = raw.replace(/\r$/, "");
+    const fenceMatch = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+    if (fenceMatch) {
+      if (fence === null) {
+        fence = fenceMatch[2].toLowerCase();
+      } else {
+        if (pending) commands.push(pending);
+        pending = "";
+        fence = null;
+      }
+      continue;
+    }
+    if (fence !== null) {
+      if (!SHELL_LANGS.has(fence)) continue;
+      let cmd = line.trim().replace(/^\$\s+/, "");
+      if (!pending && (!cmd || cmd.startsWith("#"))) continue;
+      if (cmd.endsWith("\\")) {
+        pending += cmd.slice(0, -1).trimEnd() + " ";
+        continue;
+      }
+      cmd = (pending + cmd).trim();
+      pending = "";
+      if (cmd) commands.push(cmd);
+      continue;
+    }
+    // List item that is a command: "- `cmd args`" or "- Run `cmd args`" (spans without a space are paths, not commands)
+    const item = line.match(/^\s*(?:[-*+]|\d+\.)\s+(?:run:?\s+)?`([^`]+)`/i);
+    if (item && /\s/.test(item[1].trim())) commands.push(item[1].trim());
+  }
+  return commands;
+}
+
+/**
+ * Run one command with sh -c; the whole process group is killed on timeout.
+ * @param {string} command
+ * @param {{ cwd: string, timeoutMs: number, env?: object }} opts
+ * @returns {Promise<{ command: string, exitCode: number|null, timedOut: boolean, durationMs: number, output: string }>}
+ */
+export function runCommand(command, { cwd, timeoutMs, env = process.env }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const child = spawn("sh", ["-c", command], { cwd, env, stdio: ["ignore", "pipe", "pipe"], detached: true });
+    let output = "";
+    let timedOut = false;
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        child.kill("SIGKILL");
+      }
+    }, timeoutMs);
+    const finish = (exitCode) => {
+      clearTimeout(timer);
+      resolve({ command, exitCode, timedOut, durationMs: Date.now() - started, output });
+    };
+    child.on("error", (err) => {
+      output += `${err.message}\n`;
+      finish(127);
+    });
+    child.on("close", (code) => finish(timedOut ? null : code));
+  });
+}
+
+/**
+ * Run verification commands in order (all of them, so the report shows every failure).
+ * @param {string[]} commands
+ * @param {{ cwd: string, timeoutS?: number, onCommand?: (command: string) => void }} opts
+ * @returns {Promise<{ passed: boolean, results: object[] }>}
+ */
+export async function runVerifyCommands(commands, { cwd, timeoutS = DEFAULT_VERIFY_TIMEOUT_S, onCommand = () => {} }) {
+  const results = [];
+  for (const command of commands) {
+    onCommand(command);
+    results.push(await runCommand(command, { cwd, timeoutMs: timeoutS * 1000 }));
+  }
+  return { passed: results.every((r) => r.exitCode === 0), results };
+}
+
+function statusOf(r) {
+  if (r.timedOut) return "timed out";
+  return r.exitCode === 0 ? "passed" : `failed (exit ${r.exitCode})`;
+}
+
+/**
+ * Full verification output for docs/TODO/runner/verify_<stepId>.log.
+ * @param {string} stepId
+ * @param {object[]} results
+ * @returns {string}
+ */
+export function formatVerifyLog(stepId, results) {
+  const parts = [`verification ${stepId} ${new Date().toISOString()}`];
+  for (const r of results) {
+    parts.push(`\n=== $ ${r.command}  [${statusOf(r)}, ${(r.durationMs / 1000).toFixed(1)}s] ===\n${r.output.trimEnd() || "(no output)"}`);
+  }
+  return parts.join("\n") + "\n";
+}
+
+/**
+ * Write action_required/take_action_<stepId>_verification.md for failed verification.
+ * @param {{ root: string, stepId: string, stepFile: string, results: object[], timeoutS: number, logFile: string, note?: string }} opts
+ * @returns {string} Action file name
+ */
+export function writeVerificationAction({ root, stepId, stepFile, results, timeoutS, logFile, note }) {
+  const dir = path.join(root, "docs", "TODO", "action_required");
+  fs.mkdirSync(dir, { recursive: true });
+  const name = `take_action_${stepId}_verification.md`;
+  const rows = results.map((r) => `| \`${r.command.replace(/\|/g, "\\|")}\` | ${statusOf(r)} | ${(r.durationMs / 1000).toFixed(1)}s |`);
+  const failures = results
+    .filter((r) => r.exitCode !== 0)
+    .map((r) => {
+      const lines = (r.output.trimEnd() || "(no output)").split("\n");
+      const tail = lines.length > ACTION_OUTPUT_LINES ? lines.slice(-ACTION_OUTPUT_LINES) : lines;
+      const cut = lines.length > ACTION_OUTPUT_LINES ? ` (last ${ACTION_OUTPUT_LINES} of ${lines.length} lines)` : "";
+      const why = r.timedOut ? `Timed out after ${timeoutS}s.` : `Exit code ${r.exitCode}.`;
+      return `### \`${r.command}\`\n\n${why} Output${cut}:\n\n\`\`\`\n${tail.join("\n")}\n\`\`\``;
+    });
+  const body = `# Verification failed: ${stepId}
+
+The agent finished step \`${stepFile}\`, but the runner's own run of its "How to verify" commands failed.
+The step was not moved to completed.${note ? `\n\n${note}` : ""}
+
+| Command | Result | Time |
+|---------|--------|------|
+${rows.join("\n")}
+
+## Failing output
+
+${failures.join("\n\n")}
+
+Full output: \`${path.relative(root, logFile)}\`
+
+## Resolution
+
+Fix the code (or the step's "How to verify" section) until the commands pass. Then either:
+- rename this file as described below; the runner marks the step completed without running it again, or
+- delete this file to run the step again (the agent sees the current state of the code).
+
+When this issue is resolved, rename this file from \`take_action_*\` to \`resolved_*\` (e.g., \`take_action_${stepId}_verification.md\` → \`resolved_${stepId}_verification.md\`). The runner will then continue with the next step.
+`;
+  fs.writeFileSync(path.join(dir, name), body, "utf8");
+  return name;
+}
+
+/**
+ * Verify a step: run its "How to verify" commands, write the verification log and, when a
+ * command fails, the take_action file.
+ * @param {{ root: string, stepPath: string, cwd?: string, timeoutS?: number, writeAction?: boolean,
+ *   note?: string, onCommand?: (command: string) => void }} opts
+ * @returns {Promise<{ stepId: string, commands: string[], passed: boolean, results: object[], logFile: string|null, actionFile: string|null }>}
+ */
+export async function verifyStep({ root, stepPath, cwd = root, timeoutS = DEFAULT_VERIFY_TIMEOUT_S, writeAction = true, note, onCommand }) {
+  const stepFile = path.basename(stepPath);
+  const stepId = stepIdFromFilename(stepFile) || path.basename(stepFile, ".md");
+  const commands = extractVerifyCommands(fs.readFileSync(stepPath, "utf8"));
+  if (commands.length === 0) return { stepId, commands, passed: true, results: [], logFile: null, actionFile: null };
+
+  const { passed, results } = await runVerifyCommands(commands, { cwd, timeoutS, onCommand });
+  const logFile = path.join(root, "docs", "TODO", "runner", `verify_${stepId}.log`);
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  fs.writeFileSync(logFile, formatVerifyLog(stepId, results), "utf8");
+  const actionFile =
+    !passed && writeAction ? writeVerificationAction({ root, stepId, stepFile, results, timeoutS, logFile, note }) : null;
+  return { stepId, commands, passed, results, logFile, actionFile };
+}
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Git worktree helper for run-steps.sh --parallel.
+ * Each parallel step runs in its own worktree under docs/TODO/runner/worktrees/<stepId>/,
+ * checked out at a snapshot of the current working tree (uncommitted changes from earlier
+ * steps included), with its own NEXT.md and RUNNER_PROMPT.txt.
+ * Nothing is committed: the snapshot is a dangling commit and results come back as patches
+ * applied to the main working tree.
+ *
+ * Usage:
+ *   node worktree.mjs create <stepId> [--quiet] [--skip_manual] [--model MODEL] [--GUI_model MODEL]
+ *       Create the worktree, copy the step file into it and write its runner prompt (options are
+ *       passed to next-step.mjs).
+ *       Prints the worktree path.
+ *   node worktree.mjs merge <stepId>
+ *       Copy action_required files from the worktree back to the project. If there are none,
+ *       apply the worktree's changes (excluding docs/TODO) to the project working tree.
+ *   node worktree.mjs remove <stepId>
+ *       Remove the worktree.
+ *
+ * Run from project root.
+ *
+ * Exit codes:
+ *   0  Done (merge: changes applied; step can be marked completed).
+ *   1  merge: action required (agent left a blocker, or the patch conflicts); otherwise an error.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { spawnSync } from "child_process";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = process.cwd();
+const TODO_DIR = path.join(ROOT, "docs", "TODO");
+const ACTIVE_STEPS_DIR = path.join(TODO_DIR, "active", "steps");
+const ACTION_REQUIRED_DIR = path.join(TODO_DIR, "action_required");
+const WORKTREES_DIR = path.join(TODO_DIR, "runner", "worktrees");
+
+function git(args, opts = {}) {
+  const res = spawnSync("git", args, { cwd: ROOT, encoding: "utf8", maxBuffer: 256 * 1024 * 1024, ...opts });
+  if (res.status !== 0 && !opts.allowFail) {
+    throw new Error(`git ${args.join(" ")} failed: ${(res.stderr || "").trim()}`);
+  }
+  return res;
+}
+
+function worktreePath(stepId) {
+  return path.join(WORKTREES_DIR, stepId);
+}
+
+/** Project root inside a worktree (the project may live in a subdirectory of the repo). */
+function worktreeProjectRoot(wt) {
+  const prefix = git(["rev-parse", "--show-prefix"]).stdout.trim();
+  return path.join(wt, prefix);
+}
+
+function patchPath(stepId) {
+  return path.join(WORKTREES_DIR, `${stepId}.patch`);
+}
+
+function findStepFile(stepId) {
+  if (!fs.existsSync(ACTIVE_STEPS_DIR)) return null;
+  return fs.readdirSync(ACTIVE_STEPS_DIR).find((f) => f.startsWith(stepId + "_") && f.endsWith(".md")) || null;
+}
+
+/**
+ * Commit the current working tree (tracked and untracked, respecting .gitignore) into a
+ * dangling commit using a temporary index, so the real index and HEAD are untouched.
+ */
+function snapshotWorkingTree() {
+  const tmpIndex = path.join(os.tmpdir(), `todo-runner-index-${process.pid}-${Date.now()}`);
+  const env = { ...process.env, GIT_INDEX_FILE: tmpIndex };
+  try {
+    const head = git(["rev-parse", "--verify", "-q", "HEAD"], { allowFail: true }).stdout.trim();
+    if (head) git(["read-tree", head], { env });
+    git(["add", "-A", "--", ".", ":(exclude)docs/TODO/runner"], { env });
+    const tree = git(["write-tree"], { env }).stdout.trim();
+    const parents = head ? ["-p", head] : [];
+    return git(["commit-tree", tree, ...parents, "-m", "todo-runner snapshot"], { env }).stdout.trim();
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
+  }
+}
+
+function create(stepId, nextStepArgs) {
+  const stepFile = findStepFile(stepId);
+  if (!stepFile) {
+    console.error(`Step file for ${stepId} not found in docs/TODO/active/steps/.`);
+    process.exit(1);
+  }
+  const wt = worktreePath(stepId);
+  fs.mkdirSync(WORKTREES_DIR, { recursive: true });
+  // Keep worktrees out of the project's git status
+  fs.writeFileSync(path.join(WORKTREES_DIR, ".gitignore"), "*\n", "utf8");
+  if (fs.existsSync(wt)) remove(stepId);
+
+  const snapshot = snapshotWorkingTree();
+  git(["worktree", "add", "--detach", wt, snapshot]);
+  fs.writeFileSync(path.join(wt, ".todo-runner-base"), snapshot + "\n", "utf8");
+
+  // Step file may be git-ignored; make sure the agent can @-mention it in the worktree
+  const wtRoot = worktreeProjectRoot(wt);
+  const wtStepsDir = path.join(wtRoot, "docs", "TODO", "active", "steps");
+  const wtActionDir = path.join(wtRoot, "docs", "TODO", "action_required");
+  fs.mkdirSync(wtStepsDir, { recursive: true });
+  fs.copyFileSync(path.join(ACTIVE_STEPS_DIR, stepFile), path.join(wtStepsDir, stepFile));
+  fs.mkdirSync(wtActionDir, { recursive: true });
+  for (const f of fs.readdirSync(wtActionDir)) {
+    fs.rmSync(path.join(wtActionDir, f), { force: true });
+  }
+
+  const res = spawnSync(process.execPath, [path.join(SCRIPT_DIR, "next-step.mjs"), "--step", stepId, ...nextStepArgs], {
+    cwd: wtRoot,
+    encoding: "utf8",
+  });
+  if (res.status !== 0) {
+    console.error(`next-step.mjs failed in worktree for ${stepId}: ${(res.stdout || "") + (res.stderr || "")}`.trim());
+    process.exit(1);
+  }
+  console.log(wtRoot);
+}
+
+function writeConflictAction(stepId, stepFile, detail) {
+  fs.mkdirSync(ACTION_REQUIRED_DIR, { recursive: true });
+  const name = `take_action_${stepId}_merge_conflict.md`;
+  const body = `# Merge conflict: ${stepId}
+
+Step \`${stepFile || stepId}\` ran in a parallel worktree, but its changes could not be applied to the
+project working tree (another step in the same batch changed the same lines). Nothing was applied for
+this step; the project tree is unchanged.
+
+Patch with the step's changes: \`${path.relative(ROOT, patchPath(stepId))}\`
+
+\`\`\`
+${detail.trim()}
+\`\`\`
+
+## Resolution
+
+Apply the patch by hand (e.g. \`git apply --3way ${path.relative(ROOT, patchPath(stepId))}\`), fix the conflicts,
+then rename this file as described below; the runner marks the step completed.
+To run the step again instead, delete this file; the step stays in docs/TODO/active/steps/.
+
+When this issue is resolved, rename this file from \`take_action_*\` to \`resolved_*\` (e.g., \`take_action_${stepId}_merge_conflict.md\` → \`resolved_${stepId}_merge_conflict.md\`). The runner will then continue with the next step.
+`;
+  fs.writeFileSync(path.join(ACTION_REQUIRED_DIR, name), body, "utf8");
+  return name;
+}
+
+function merge(stepId) {
+  const wt = worktreePath(stepId);
+  if (!fs.existsSync(wt)) {
+    console.error(`No worktree for ${stepId}.`);
+    process.exit(1);
+  }
+  const stepFile = findStepFile(stepId);
+  const wtRoot = worktreeProjectRoot(wt);
+
+  // Blockers created by the agent are copied back; the step is not merged
+  const wtActionDir = path.join(wtRoot, "docs", "TODO", "action_required");
+  const actionFiles = fs.existsSync(wtActionDir)
+    ? fs.readdirSync(wtActionDir).filter((f) => f.endsWith(".md") && !f.startsWith("resolved_"))
+    : [];
+  if (actionFiles.length > 0) {
+    fs.mkdirSync(ACTION_REQUIRED_DIR, { recursive: true });
+    for (const f of actionFiles) {
+      fs.copyFileSync(path.join(wtActionDir, f), path.join(ACTION_REQUIRED_DIR, f));
+      console.log(`Action required from ${stepId}: docs/TODO/action_required/${f}`);
+    }
+    process.exit(1);
+  }
+
+  const base = fs.readFileSync(path.join(wt, ".todo-runner-base"), "utf8").trim();
+  // Pathspecs are relative to the project root; patch paths are relative to the repo top level
+  const pathspec = ["--", ".", ":(exclude)docs/TODO", ":(top,exclude).todo-runner-base"];
+  git(["add", "-A", ...pathspec], { cwd: wtRoot });
+  const diff = git(["diff", "--cached", "--binary", base, ...pathspec], { cwd: wtRoot }).stdout;
+  if (!diff.trim()) {
+    console.log(`No changes to merge from ${stepId}.`);
+    process.exit(0);
+  }
+  fs.writeFileSync(patchPath(stepId), diff, "utf8");
+
+  // git apply is atomic: on conflict nothing is written to the project tree
+  const topLevel = git(["rev-parse", "--show-toplevel"]).stdout.trim();
+  const res = git(["apply", "--binary", patchPath(stepId)], { cwd: topLevel, allowFail: true });
+  if (res.status !== 0) {
+    const name = writeConflictAction(stepId, stepFile, res.stderr || res.stdout || "git apply failed");
+    console.log(`Merge conflict for ${stepId}; see docs/TODO/action_required/${name}`);
+    process.exit(1);
+  }
+  fs.rmSync(patchPath(stepId), { force: true });
+  console.log(`Merged changes from ${stepId}.`);
+}
+
+function remove(stepId) {
+  const wt = worktreePath(stepId);
+  git(["worktree", "remove", "--force", wt], { allowFail: true });
+  if (fs.existsSync(wt)) fs.rmSync(wt, { recursive: true, force: true });
+  git(["worktree", "prune"], { allowFail: true });
+}
+
+/** The create options next-step.mjs understands. */
+function nextStepArgs(args) {
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--quiet" || args[i] === "--skip_manual") out.push(args[i]);
+    else if ((args[i] === "--model" || args[i] === "--GUI_model") && args[i + 1]) out.push(args[i], args[++i]);
+  }
+  return out;
+}
+
+function main() {
+  const [command, stepId, ...rest] = process.argv.slice(2);
+  if (!command || !stepId) {
+    console.error("Usage: node worktree.mjs <create|merge|remove> <stepId> [--quiet] [--skip_manual] [--model MODEL] [--GUI_model MODEL]");
+    process.exit(1);
+  }
+  if (git(["rev-parse", "--is-inside-work-tree"], { allowFail: true }).status !== 0) {
+    console.error("Parallel mode requires the project root to be a git repository.");
+    process.exit(1);
+  }
+  switch (command) {
+    case "create":
+      create(stepId, nextStepArgs(rest));
+      break;
+    case "merge":
+      merge(stepId);
+      break;
+    case "remove":
+      remove(stepId);
+      break;
+    default:
+      console.error(`Unknown command: ${command}`);
+      process.exit(1);
+  }
+}
+
+main();